@@ -13,6 +13,14 @@ module.exports = {
    */
   usarMock: process.env.SIFEN_USAR_MOCK === 'true',
 
+  /**
+   * Modo producción: NODE_ENV=production o SET Real en ambiente prod
+   *
+   * En este modo no se inicia con claves de secretos por defecto
+   */
+  modoProduccion: process.env.NODE_ENV === 'production' ||
+    (process.env.SIFEN_USAR_MOCK !== 'true' && process.env.SIFEN_AMBIENTE === 'prod'),
+
   /**
    * URL del servidor Mock-SET
    * 
@@ -1,10 +1,11 @@
 const ApiKey = require('../models/ApiKey');
 const crypto = require('crypto');
+const { empresaPermitida } = require('../middleware/empresas');
 
 // Crear nueva API Key
 exports.crearApiKey = async (req, res) => {
   try {
-    const { nombre, descripcion, permisos, expiracion } = req.body;
+    const { nombre, descripcion, permisos, expiracion, empresaId } = req.body;
 
     // Validar campos requeridos
     if (!nombre) {
@@ -14,13 +15,43 @@ exports.crearApiKey = async (req, res) => {
       });
     }
 
+    // Una key asociada a una empresa solo puede ser de una empresa del usuario
+    if (empresaId && !empresaPermitida(req, empresaId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    // Validar permisos (scopes)
+    if (permisos !== undefined) {
+      const invalidos = Array.isArray(permisos)
+        ? permisos.filter(permiso => !ApiKey.PERMISOS_API_KEY.includes(permiso))
+        : [permisos];
+      if (invalidos.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Permisos no válidos: ${invalidos.join(', ')}`,
+          permisosValidos: ApiKey.PERMISOS_API_KEY
+        });
+      }
+      // La administración (API Keys, usuarios) requiere sesión: una key no la obtiene
+      if (permisos.includes('admin')) {
+        return res.status(400).json({
+          success: false,
+          error: 'El permiso admin no se puede asignar a una API Key'
+        });
+      }
+    }
+
     // Crear API Key
     const apiKey = new ApiKey({
       nombre,
       descripcion: descripcion || '',
-      permisos: permisos || ['facturas:crear', 'facturas:leer', 'stats:leer'],
+      permisos: permisos || ApiKey.PERMISOS_POR_DEFECTO,
       expiracion: expiracion ? new Date(expiracion) : null,
       usuario: req.usuario._id,
+      empresaId: empresaId || null,
       ipOrigen: req.ip
     });
 
@@ -35,6 +66,7 @@ exports.crearApiKey = async (req, res) => {
         nombre: apiKey.nombre,
         descripcion: apiKey.descripcion,
         permisos: apiKey.permisos,
+        empresaId: apiKey.empresaId,
         expiracion: apiKey.expiracion,
         fechaCreacion: apiKey.fechaCreacion
       },
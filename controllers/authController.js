@@ -1,31 +1,35 @@
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Empresa = require('../models/Empresa');
+const Invitacion = require('../models/Invitacion');
+const Sesion = require('../models/Sesion');
+const sesionService = require('../services/sesionService');
 
-// Generar token JWT
-const generarToken = (userId) => {
-  return jwt.sign(
-    { userId },
-    process.env.JWT_SECRET || 'sifen-secret-key-change-in-production',
-    { expiresIn: '24h' }
-  );
-};
-
-// Registro de usuario
+// Registro de usuario con una invitación (ver usuarioController.invitar)
+// El email, el rol y las empresas los define la invitación
 exports.registrar = async (req, res) => {
   try {
-    const { username, email, password, nombre, apellido, rol } = req.body;
+    const { token, username, password, nombre, apellido } = req.body;
 
     // Validar campos requeridos
-    if (!username || !email || !password || !nombre || !apellido) {
+    if (!token || !username || !password || !nombre || !apellido) {
+      return res.status(400).json({
+        success: false,
+        error: 'Todos los campos son requeridos (token, username, password, nombre, apellido)'
+      });
+    }
+
+    const invitacion = await Invitacion.encontrarPorToken(token);
+    if (!invitacion) {
       return res.status(400).json({
         success: false,
-        error: 'Todos los campos son requeridos'
+        error: 'Invitación inválida, vencida o ya utilizada'
       });
     }
 
     // Verificar si el usuario ya existe
     const usuarioExistente = await User.findOne({ 
-      $or: [{ email }, { username }] 
+      $or: [{ email: invitacion.email }, { username }] 
     });
 
     if (usuarioExistente) {
@@ -38,17 +42,35 @@ exports.registrar = async (req, res) => {
     // Crear usuario
     const usuario = new User({
       username,
-      email,
+      email: invitacion.email,
       password,
       nombre,
       apellido,
-      rol: rol || 'usuario'
+      rol: invitacion.rol
     });
 
     await usuario.save();
 
-    // Generar token
-    const token = generarToken(usuario._id);
+    // El token se usa una sola vez: si otra solicitud lo usó antes, se descarta este usuario
+    if (!await invitacion.aceptar(usuario._id)) {
+      await User.deleteOne({ _id: usuario._id });
+      return res.status(400).json({
+        success: false,
+        error: 'Invitación inválida, vencida o ya utilizada'
+      });
+    }
+
+    if (invitacion.empresaIds.length > 0) {
+      await Empresa.updateMany(
+        { _id: { $in: invitacion.empresaIds } },
+        { $addToSet: { usuarios: usuario._id } }
+      );
+    }
+
+    console.log(`👤 Usuario registrado por invitación: ${usuario.username} (${usuario.rol})`);
+
+    // Abrir sesión (access token + refresh token)
+    const { token: tokenSesion, refreshToken, expiraEn } = await sesionService.crearSesion(usuario, req);
 
     res.status(201).json({
       success: true,
@@ -62,10 +84,20 @@ exports.registrar = async (req, res) => {
           apellido: usuario.apellido,
           rol: usuario.rol
         },
-        token
+        token: tokenSesion,
+        refreshToken,
+        expiraEn
       }
     });
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Datos de usuario inválidos',
+        message: error.message
+      });
+    }
+
     console.error('Error registrando usuario:', error);
     res.status(500).json({
       success: false,
@@ -100,22 +132,39 @@ exports.login = async (req, res) => {
       });
     }
 
+    // Cuenta bloqueada por intentos fallidos (no se verifica el password)
+    if (usuario.estaBloqueado()) {
+      return res.status(423).json({
+        success: false,
+        error: 'Cuenta bloqueada temporalmente por intentos fallidos',
+        bloqueadoHasta: usuario.bloqueadoHasta
+      });
+    }
+
     // Verificar password
     const passwordValido = await usuario.compararPassword(password);
 
     if (!passwordValido) {
+      await usuario.registrarIntentoFallido();
+      if (usuario.estaBloqueado()) {
+        console.log(`🔒 Cuenta bloqueada por intentos fallidos: ${usuario.username}`);
+      }
       return res.status(401).json({
         success: false,
         error: 'Credenciales inválidas'
       });
     }
 
-    // Actualizar último acceso
-    usuario.ultimoAcceso = new Date();
-    await usuario.save();
+    // Reiniciar intentos fallidos y actualizar último acceso (salvo que se haya bloqueado mientras tanto)
+    if (!await usuario.registrarLoginExitoso()) {
+      return res.status(423).json({
+        success: false,
+        error: 'Cuenta bloqueada temporalmente por intentos fallidos'
+      });
+    }
 
-    // Generar token
-    const token = generarToken(usuario._id);
+    // Abrir sesión (access token + refresh token)
+    const { token, refreshToken, expiraEn } = await sesionService.crearSesion(usuario, req);
 
     res.status(200).json({
       success: true,
@@ -129,7 +178,9 @@ exports.login = async (req, res) => {
           apellido: usuario.apellido,
           rol: usuario.rol
         },
-        token
+        token,
+        refreshToken,
+        expiraEn
       }
     });
   } catch (error) {
@@ -142,6 +193,58 @@ exports.login = async (req, res) => {
   }
 };
 
+// Restablecer password con un token generado por un admin (ver usuarioController.generarResetPassword)
+exports.restablecerPassword = async (req, res) => {
+  try {
+    const { token, passwordNuevo } = req.body;
+
+    if (!token || !passwordNuevo) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token y password nuevo son requeridos'
+      });
+    }
+
+    const usuario = await User.encontrarPorTokenReset(token);
+    if (!usuario) {
+      return res.status(400).json({
+        success: false,
+        error: 'Token inválido o vencido'
+      });
+    }
+
+    usuario.password = passwordNuevo;
+    usuario.resetPassword = undefined;
+    usuario.desbloquear();
+    await usuario.save();
+
+    // Se cierran todas las sesiones del usuario
+    await sesionService.revocarSesionesUsuario(usuario._id, 'cambio_password');
+
+    console.log(`🔑 Password restablecido: ${usuario.username}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password restablecido exitosamente'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Password inválido',
+        message: error.message
+      });
+    }
+
+    console.error('Error restableciendo password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al restablecer password',
+      message: error.message
+    });
+  }
+};
+
 // Obtener perfil del usuario actual
 exports.getPerfil = async (req, res) => {
   try {
@@ -155,6 +258,7 @@ exports.getPerfil = async (req, res) => {
           nombre: req.usuario.nombre,
           apellido: req.usuario.apellido,
           rol: req.usuario.rol,
+          permisos: User.PERMISOS_POR_ROL[req.usuario.rol] || [],
           activo: req.usuario.activo,
           ultimoAcceso: req.usuario.ultimoAcceso,
           fechaCreacion: req.usuario.fechaCreacion
@@ -233,6 +337,9 @@ exports.cambiarPassword = async (req, res) => {
     usuario.password = passwordNuevo;
     await usuario.save();
 
+    // Se cierran las demás sesiones del usuario (se conserva la actual)
+    await sesionService.revocarSesionesUsuario(usuario._id, 'cambio_password', { excepto: req.sesionId });
+
     res.status(200).json({
       success: true,
       message: 'Password actualizado exitosamente'
@@ -247,10 +354,159 @@ exports.cambiarPassword = async (req, res) => {
   }
 };
 
-// Logout (opcional, el cliente puede eliminar el token)
+// Renovar el access token con el refresh token (el refresh token se rota)
+exports.refrescar = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token requerido'
+      });
+    }
+
+    const sesion = await sesionService.renovarSesion(refreshToken, req);
+
+    // El usuario pudo ser desactivado después del login
+    const usuario = await User.findById(sesion.sesion.usuarioId);
+    if (!usuario || !usuario.activo) {
+      await sesionService.revocarSesion(sesion.sesion, 'usuario_desactivado');
+      return res.status(401).json({
+        success: false,
+        error: 'Usuario no encontrado o inactivo'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: sesion.token,
+        refreshToken: sesion.refreshToken,
+        expiraEn: sesion.expiraEn
+      }
+    });
+  } catch (error) {
+    if (error.codigo === 'SESION_INVALIDA') {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        codigo: error.codigo
+      });
+    }
+
+    console.error('Error renovando sesión:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al renovar sesión',
+      message: error.message
+    });
+  }
+};
+
+// Logout: revoca la sesión actual (su refresh token y su access token)
 exports.logout = async (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Logout exitoso'
-  });
+  try {
+    const sesion = req.sesionId ? await Sesion.findById(req.sesionId) : null;
+
+    if (sesion) {
+      await sesionService.revocarSesion(sesion, 'logout');
+    } else {
+      // Token sin sesión (emitido antes de las sesiones): solo se invalida el token
+      await sesionService.revocarAccessToken(req.tokenJti, req.tokenExpiracion, req.usuario._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout exitoso'
+    });
+  } catch (error) {
+    console.error('Error en logout:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al cerrar sesión',
+      message: error.message
+    });
+  }
+};
+
+// Listar las sesiones activas del usuario (una por dispositivo)
+exports.listarSesiones = async (req, res) => {
+  try {
+    const sesiones = await sesionService.listarSesiones(req.usuario._id);
+
+    res.status(200).json({
+      success: true,
+      data: sesiones.map(sesion => ({
+        id: sesion._id,
+        dispositivo: sesion.dispositivo,
+        ip: sesion.ip,
+        fechaCreacion: sesion.createdAt,
+        ultimoUso: sesion.ultimoUso,
+        fechaExpiracion: sesion.fechaExpiracion,
+        actual: sesion._id.equals(req.sesionId || null)
+      }))
+    });
+  } catch (error) {
+    console.error('Error listando sesiones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al listar sesiones',
+      message: error.message
+    });
+  }
+};
+
+// Revocar una sesión del usuario (cerrar sesión en otro dispositivo)
+exports.revocarSesion = async (req, res) => {
+  try {
+    const sesion = mongoose.isValidObjectId(req.params.id)
+      ? await Sesion.findOne({ _id: req.params.id, usuarioId: req.usuario._id, revocada: false })
+      : null;
+
+    if (!sesion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sesión no encontrada'
+      });
+    }
+
+    await sesionService.revocarSesion(sesion, 'revocada_por_usuario');
+
+    res.status(200).json({
+      success: true,
+      message: 'Sesión revocada exitosamente'
+    });
+  } catch (error) {
+    console.error('Error revocando sesión:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al revocar sesión',
+      message: error.message
+    });
+  }
+};
+
+// Revocar todas las sesiones del usuario excepto la actual
+exports.revocarOtrasSesiones = async (req, res) => {
+  try {
+    const revocadas = await sesionService.revocarSesionesUsuario(
+      req.usuario._id,
+      'revocada_por_usuario',
+      { excepto: req.sesionId }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: `Se revocaron ${revocadas} sesiones`,
+      revocadas
+    });
+  } catch (error) {
+    console.error('Error revocando sesiones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al revocar sesiones',
+      message: error.message
+    });
+  }
 };
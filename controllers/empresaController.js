@@ -3,9 +3,35 @@
  * CRUD completo para empresas con sus certificados digitales
  */
 
+const mongoose = require('mongoose');
 const Empresa = require('../models/Empresa');
+const User = require('../models/User');
 const certificadoService = require('../services/certificadoService');
 const Invoice = require('../models/Invoice');
+const numeracionService = require('../services/numeracionService');
+const contingenciaService = require('../services/contingenciaService');
+const alertaCertificadoService = require('../services/alertaCertificadoService');
+const { filtroEmpresas } = require('../middleware/empresas');
+const { tienePermiso } = require('../middleware/auth');
+
+// Filtro de una empresa por _id, solo si está entre las permitidas de la solicitud
+function filtroEmpresa(req, id) {
+  return { $and: [{ _id: id }, filtroEmpresas(req, '_id')] };
+}
+
+// Empresa para responder: el CSC se guarda cifrado y se devuelve en claro solo a
+// quien gestiona la empresa (el resto de los roles no lo recibe)
+function empresaConCSC(req, empresa) {
+  const datos = empresa.toObject();
+  if (datos.configuracionSifen?.csc) {
+    if (tienePermiso(req, 'empresas:gestionar')) {
+      datos.configuracionSifen.csc = empresa.obtenerCSC();
+    } else {
+      delete datos.configuracionSifen.csc;
+    }
+  }
+  return datos;
+}
 
 /**
  * Listar todas las empresas del usuario autenticado
@@ -13,15 +39,15 @@ const Invoice = require('../models/Invoice');
  */
 exports.listar = async (req, res) => {
   try {
-    const empresas = await Empresa.find({ usuarioId: req.usuario._id })
-      .select('-certificado.contrasena')
+    const empresas = await Empresa.find(filtroEmpresas(req, '_id'))
+      .select('-certificado.contrasena -historialCertificados.contrasena')
       .sort({ nombreFantasia: 1 });
     
     // Agregar información adicional
     const empresasConInfo = empresas.map(empresa => {
-      const infoCertificado = certificadoService.obtenerInfoCertificado(empresa.ruc);
+      const infoCertificado = certificadoService.obtenerInfoCertificado(empresa.ruc, empresa.certificado?.archivo);
       return {
-        ...empresa.toObject(),
+        ...empresaConCSC(req, empresa),
         certificadoEnFileSystem: infoCertificado?.existe || false
       };
     });
@@ -48,10 +74,7 @@ exports.obtener = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const empresa = await Empresa.findOne({
-      _id: id,
-      usuarioId: req.usuario._id
-    }).select('-certificado.contrasena');
+    const empresa = await Empresa.findOne(filtroEmpresa(req, id)).select('-certificado.contrasena -historialCertificados.contrasena');
     
     if (!empresa) {
       return res.status(404).json({
@@ -61,12 +84,12 @@ exports.obtener = async (req, res) => {
     }
     
     // Agregar información del certificado
-    const infoCertificado = certificadoService.obtenerInfoCertificado(empresa.ruc);
+    const infoCertificado = certificadoService.obtenerInfoCertificado(empresa.ruc, empresa.certificado?.archivo);
     
     res.json({
       success: true,
       data: {
-        ...empresa.toObject(),
+        ...empresaConCSC(req, empresa),
         certificadoEnFileSystem: infoCertificado?.existe || false
       }
     });
@@ -86,6 +109,14 @@ exports.obtener = async (req, res) => {
  */
 exports.crear = async (req, res) => {
   try {
+    // Una API Key restringida a una empresa no puede dar de alta otras
+    if (req.apiKey?.empresaId) {
+      return res.status(403).json({
+        success: false,
+        error: 'Acceso denegado. La API Key está restringida a una empresa'
+      });
+    }
+
     const {
       ruc,
       nombreFantasia,
@@ -168,10 +199,7 @@ exports.actualizar = async (req, res) => {
       activo
     } = req.body;
 
-    const empresa = await Empresa.findOne({
-      _id: id,
-      usuarioId: req.usuario._id
-    });
+    const empresa = await Empresa.findOne(filtroEmpresa(req, id));
 
     if (!empresa) {
       return res.status(404).json({
@@ -336,10 +364,7 @@ exports.subirCertificado = async (req, res) => {
       });
     }
     
-    const empresa = await Empresa.findOne({
-      _id: id,
-      usuarioId: req.usuario._id
-    });
+    const empresa = await Empresa.findOne(filtroEmpresa(req, id));
     
     if (!empresa) {
       return res.status(404).json({
@@ -348,33 +373,39 @@ exports.subirCertificado = async (req, res) => {
       });
     }
     
-    // Guardar archivo .p12
-    certificadoService.guardarCertificado(empresa.ruc, req.file.buffer);
-    
-    // Actualizar metadatos del certificado
-    empresa.certificado = {
+    // Abrir el .p12 con la contraseña y validar vigencia y RUC del titular antes de guardarlo
+    const info = certificadoService.inspeccionarCertificado(req.file.buffer, contrasena, { ruc: empresa.ruc });
+
+    // Guardar archivo .p12 como nueva versión (las anteriores quedan en el historial)
+    const version = certificadoService.agregarVersion(empresa, {
+      buffer: req.file.buffer,
       nombreArchivo: req.file.originalname,
-      contrasena: certificadoService.cifrarContrasena(contrasena),
-      fechaCarga: new Date(),
-      activo: true
-    };
-    
-    // Nota: fechaVencimiento debería extraerse del certificado
-    // Por ahora se deja null, se puede implementar con openssl
+      contrasena,
+      info
+    });
     
     await empresa.save();
     
-    console.log(`✅ Certificado cargado para empresa: ${empresa.nombreFantasia}`);
+    console.log(`✅ Certificado v${version.version} cargado para empresa: ${empresa.nombreFantasia} (serie ${info.numeroSerie}, vence ${info.fechaVencimiento.toISOString()})`);
     
     res.json({
       success: true,
       message: 'Certificado cargado exitosamente',
       data: {
+        version: version.version,
         nombreArchivo: req.file.originalname,
-        fechaCarga: empresa.certificado.fechaCarga
+        fechaCarga: version.fechaCarga,
+        ...info
       }
     });
   } catch (error) {
+    if (error.codigo === 'CERTIFICADO_INVALIDO') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Certificado inválido',
+        message: error.message
+      });
+    }
     console.error('❌ Error subiendo certificado:', error);
     res.status(500).json({
       success: false,
@@ -384,6 +415,106 @@ exports.subirCertificado = async (req, res) => {
   }
 };
 
+/**
+ * Historial de certificados de una empresa (el activo marcado con activo: true)
+ * GET /api/empresas/:id/certificados
+ */
+exports.listarHistorialCertificados = async (req, res) => {
+  try {
+    const empresa = await Empresa.findOne(filtroEmpresa(req, req.params.id));
+
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    // Documentos firmados con cada certificado (Invoice.certificadoSerie)
+    const firmados = await Invoice.aggregate([
+      { $match: { empresaId: empresa._id, certificadoSerie: { $ne: null } } },
+      { $group: { _id: '$certificadoSerie', total: { $sum: 1 } } }
+    ]);
+    const firmadosPorSerie = new Map(firmados.map(item => [item._id, item.total]));
+
+    const versiones = empresa.historialCertificados
+      .map(entrada => {
+        const { contrasena, ...datos } = entrada.toObject();
+        return {
+          ...datos,
+          activo: Boolean(empresa.certificado?.activo) && entrada.version === empresa.certificado.version,
+          vencido: Boolean(entrada.fechaVencimiento && entrada.fechaVencimiento <= new Date()),
+          existeArchivo: certificadoService.existeCertificado(empresa.ruc, entrada.archivo),
+          documentosFirmados: firmadosPorSerie.get(entrada.numeroSerie) || 0
+        };
+      })
+      .sort((a, b) => b.version - a.version);
+
+    res.json({
+      success: true,
+      data: {
+        versionActiva: empresa.certificado?.activo ? (empresa.certificado.version || null) : null,
+        versiones
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error listando historial de certificados:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al listar historial de certificados',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Volver a activar una versión anterior del certificado
+ * POST /api/empresas/:id/certificados/:version/activar
+ */
+exports.activarVersionCertificado = async (req, res) => {
+  try {
+    const empresa = await Empresa.findOne(filtroEmpresa(req, req.params.id));
+
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    const anterior = empresa.certificado?.version;
+    const entrada = certificadoService.activarVersion(empresa, req.params.version);
+    await empresa.save();
+
+    console.log(`🔄 Certificado de ${empresa.nombreFantasia}: v${anterior || '-'} → v${entrada.version} (serie ${entrada.numeroSerie})`);
+
+    res.json({
+      success: true,
+      message: `Versión ${entrada.version} del certificado activada`,
+      data: {
+        versionAnterior: anterior || null,
+        version: entrada.version,
+        numeroSerie: entrada.numeroSerie,
+        fechaVencimiento: entrada.fechaVencimiento
+      }
+    });
+  } catch (error) {
+    if (error.codigo === 'CERTIFICADO_INVALIDO') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'No se puede activar la versión del certificado',
+        message: error.message
+      });
+    }
+    console.error('❌ Error activando versión de certificado:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al activar versión de certificado',
+      message: error.message
+    });
+  }
+};
+
 /**
  * Validar certificado de una empresa
  * GET /api/empresas/:id/validar-certificado
@@ -392,10 +523,7 @@ exports.validarCertificado = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const empresa = await Empresa.findOne({
-      _id: id,
-      usuarioId: req.usuario._id
-    });
+    const empresa = await Empresa.findOne(filtroEmpresa(req, id));
     
     if (!empresa) {
       return res.status(404).json({
@@ -406,17 +534,44 @@ exports.validarCertificado = async (req, res) => {
     
     // Verificar certificado
     const tieneCertificado = empresa.tieneCertificadoValido();
-    const infoCertificado = certificadoService.obtenerInfoCertificado(empresa.ruc);
+    const infoCertificado = certificadoService.obtenerInfoCertificado(empresa.ruc, empresa.certificado?.archivo);
+
+    const vigencia = alertaCertificadoService.estadoCertificado(empresa);
+
+    // Volver a abrir el .p12 guardado con su contraseña (detecta archivos reemplazados o vencidos)
+    let errorCertificado = null;
+    if (tieneCertificado && empresa.certificado.contrasena) {
+      try {
+        certificadoService.inspeccionarCertificado(
+          certificadoService.leerCertificado(empresa.ruc, empresa.certificado.archivo || 'certificado.p12'),
+          certificadoService.descifrarContrasena(empresa.certificado.contrasena),
+          { ruc: empresa.ruc }
+        );
+      } catch (error) {
+        errorCertificado = error.message;
+      }
+    }
     
     res.json({
       success: true,
       data: {
         tieneCertificado,
+        certificadoValido: tieneCertificado && !errorCertificado,
+        errorCertificado,
         certificadoActivo: empresa.certificado?.activo || false,
         certificadoEnFileSystem: infoCertificado?.existe || false,
         fechaVencimiento: empresa.certificado?.fechaVencimiento,
+        diasParaVencer: vigencia.diasParaVencer,
+        vencido: vigencia.vencido,
         fechaCarga: empresa.certificado?.fechaCarga,
         nombreArchivo: empresa.certificado?.nombreArchivo,
+        sujeto: empresa.certificado?.sujeto,
+        emisor: empresa.certificado?.emisor,
+        numeroSerie: empresa.certificado?.numeroSerie,
+        rucTitular: empresa.certificado?.rucTitular,
+        fechaInicioVigencia: empresa.certificado?.fechaInicioVigencia,
+        huella: empresa.certificado?.huella,
+        cadenaCompleta: empresa.certificado?.cadenaCompleta,
         infoAdicional: infoCertificado
       }
     });
@@ -438,10 +593,7 @@ exports.eliminar = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const empresa = await Empresa.findOne({
-      _id: id,
-      usuarioId: req.usuario._id
-    });
+    const empresa = await Empresa.findOne(filtroEmpresa(req, id));
     
     if (!empresa) {
       return res.status(404).json({
@@ -490,10 +642,7 @@ exports.obtenerStats = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const empresa = await Empresa.findOne({
-      _id: id,
-      usuarioId: req.usuario._id
-    });
+    const empresa = await Empresa.findOne(filtroEmpresa(req, id));
     
     if (!empresa) {
       return res.status(404).json({
@@ -503,7 +652,15 @@ exports.obtenerStats = async (req, res) => {
     }
     
     // Obtener estadísticas de facturas
-    const totalFacturas = await Invoice.countDocuments({ empresaId: empresa._id });
+    // Los documentos cancelados no suman en los totales
+    const totalFacturas = await Invoice.countDocuments({
+      empresaId: empresa._id,
+      estadoSifen: { $ne: 'cancelado' }
+    });
+    const facturasCanceladas = await Invoice.countDocuments({
+      empresaId: empresa._id,
+      estadoSifen: 'cancelado'
+    });
     
     const facturasPorEstado = await Invoice.aggregate([
       { $match: { empresaId: empresa._id } },
@@ -522,6 +679,7 @@ exports.obtenerStats = async (req, res) => {
           ruc: empresa.ruc
         },
         totalFacturas,
+        facturasCanceladas,
         facturasPorEstado,
         ultimaFactura
       }
@@ -535,3 +693,295 @@ exports.obtenerStats = async (req, res) => {
     });
   }
 };
+
+/**
+ * Obtener los contadores de numeración de una empresa (con detección de huecos)
+ * GET /api/empresas/:id/numeracion
+ */
+exports.obtenerNumeracion = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const empresa = await Empresa.findOne(filtroEmpresa(req, id));
+
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    const series = await numeracionService.obtenerNumeracionEmpresa(empresa);
+
+    res.json({
+      success: true,
+      data: {
+        empresa: {
+          nombreFantasia: empresa.nombreFantasia,
+          ruc: empresa.ruc
+        },
+        numeracionAutomatica: empresa.configuracionSifen?.numeracionAutomatica || false,
+        series,
+        totalHuecos: series.reduce((suma, serie) => suma + serie.totalHuecos, 0)
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error obteniendo numeración:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener numeración',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Alertas de vencimiento de los certificados de las empresas del usuario
+ * GET /api/empresas/certificados/alertas?empresaId=&tipo=por_vencer|vencido
+ */
+exports.obtenerAlertasCertificado = async (req, res) => {
+  try {
+    const { empresaId, tipo } = req.query;
+
+    const filtro = empresaId ? filtroEmpresa(req, empresaId) : filtroEmpresas(req, '_id');
+
+    const empresas = await Empresa.find(filtro).sort({ nombreFantasia: 1 });
+    const alertas = await alertaCertificadoService.listarAlertas(
+      empresas.map(empresa => empresa._id),
+      { tipo, limite: Math.min(parseInt(req.query.limite, 10) || 50, 500) }
+    );
+
+    res.json({
+      success: true,
+      data: {
+        umbralesDias: alertaCertificadoService.UMBRALES_DIAS,
+        certificados: empresas.map(empresa => alertaCertificadoService.estadoCertificado(empresa)),
+        alertas
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error obteniendo alertas de certificados:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener alertas de certificados',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Obtener el estado de contingencia de una empresa y sus DE pendientes de envío
+ * GET /api/empresas/:id/contingencia
+ */
+exports.obtenerContingencia = async (req, res) => {
+  try {
+    const empresa = await Empresa.findOne(filtroEmpresa(req, req.params.id));
+
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await contingenciaService.obtenerEstado(empresa)
+    });
+  } catch (error) {
+    console.error('❌ Error obteniendo contingencia:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener contingencia',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Activar/desactivar la contingencia de una empresa (manual) y configurar la automática
+ * PUT /api/empresas/:id/contingencia
+ */
+exports.actualizarContingencia = async (req, res) => {
+  try {
+    const { activa, automatica, motivo } = req.body;
+
+    if (activa === undefined && automatica === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Indique "activa" y/o "automatica" (boolean)'
+      });
+    }
+
+    const empresa = await Empresa.findOne(filtroEmpresa(req, req.params.id));
+
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    if (automatica !== undefined) {
+      empresa.contingencia.automatica = Boolean(automatica);
+      await empresa.save();
+    }
+
+    if (activa === true && !empresa.contingencia.activa) {
+      await contingenciaService.activarContingencia(empresa, {
+        origen: 'manual',
+        motivo: motivo || 'Activada manualmente'
+      });
+    } else if (activa === false && empresa.contingencia.activa) {
+      await contingenciaService.desactivarContingencia(empresa);
+
+      // Enviar los pendientes sin esperar a la próxima ejecución programada
+      try {
+        const { contingenciaQueue } = require('../queues/facturaQueue');
+        await contingenciaQueue.add('enviar-pendientes', {
+          empresaId: empresa._id.toString(),
+          origen: 'manual'
+        });
+      } catch (queueError) {
+        console.warn('⚠️ No se pudo encolar el envío de pendientes:', queueError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: empresa.contingencia.activa ? 'Contingencia activa' : 'Contingencia inactiva',
+      data: await contingenciaService.obtenerEstado(empresa)
+    });
+  } catch (error) {
+    console.error('❌ Error actualizando contingencia:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al actualizar contingencia',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Listar los usuarios asignados a una empresa
+ * GET /api/empresas/:id/usuarios
+ */
+exports.listarUsuarios = async (req, res) => {
+  try {
+    const empresa = await Empresa.findOne(filtroEmpresa(req, req.params.id))
+      .populate('usuarios', 'username email nombre apellido rol activo');
+
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: empresa.usuarios
+    });
+  } catch (error) {
+    console.error('❌ Error listando usuarios de la empresa:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al listar usuarios de la empresa',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Asignar un usuario a una empresa (con el rol que ya tiene el usuario)
+ * POST /api/empresas/:id/usuarios
+ * Body: { "usuarioId": "..." }
+ */
+exports.asignarUsuario = async (req, res) => {
+  try {
+    const { usuarioId } = req.body;
+
+    const empresa = await Empresa.findOne(filtroEmpresa(req, req.params.id));
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    const usuario = usuarioId && mongoose.isValidObjectId(usuarioId)
+      ? await User.findById(usuarioId)
+      : null;
+    if (!usuario || !usuario.activo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado o inactivo'
+      });
+    }
+
+    await Empresa.updateOne({ _id: empresa._id }, { $addToSet: { usuarios: usuario._id } });
+
+    console.log(`👥 Usuario ${usuario.username} (${usuario.rol}) asignado a ${empresa.nombreFantasia}`);
+
+    res.json({
+      success: true,
+      message: `Usuario ${usuario.username} asignado a la empresa`
+    });
+  } catch (error) {
+    console.error('❌ Error asignando usuario a la empresa:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al asignar usuario a la empresa',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Quitar un usuario de una empresa
+ * DELETE /api/empresas/:id/usuarios/:usuarioId
+ */
+exports.quitarUsuario = async (req, res) => {
+  try {
+    const { usuarioId } = req.params;
+
+    const empresa = await Empresa.findOne(filtroEmpresa(req, req.params.id));
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    if (!empresa.usuarios.some(id => id.equals(usuarioId))) {
+      return res.status(404).json({
+        success: false,
+        error: 'El usuario no está asignado a la empresa'
+      });
+    }
+
+    // La empresa no puede quedar sin usuarios (nadie podría administrarla)
+    if (empresa.usuarios.length === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'La empresa debe tener al menos un usuario asignado'
+      });
+    }
+
+    await Empresa.updateOne({ _id: empresa._id }, { $pull: { usuarios: usuarioId } });
+
+    console.log(`👥 Usuario ${usuarioId} quitado de ${empresa.nombreFantasia}`);
+
+    res.json({
+      success: true,
+      message: 'Usuario quitado de la empresa'
+    });
+  } catch (error) {
+    console.error('❌ Error quitando usuario de la empresa:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al quitar usuario de la empresa',
+      message: error.message
+    });
+  }
+};
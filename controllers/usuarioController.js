@@ -0,0 +1,384 @@
+/**
+ * Controller para gestión de usuarios (solo admin)
+ * Invitaciones, listado, roles, activación y restablecimiento de password
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Invitacion = require('../models/Invitacion');
+const { empresaPermitida } = require('../middleware/empresas');
+const sesionService = require('../services/sesionService');
+
+// Campos del usuario que se devuelven en la gestión
+const CAMPOS_USUARIO = '-password -resetPassword';
+
+// Buscar el usuario de la ruta (:id)
+async function buscarUsuario(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return User.findById(id);
+}
+
+// Un admin no puede quitarse el rol ni desactivarse a sí mismo (la instalación quedaría sin admin)
+function esMismoUsuario(req, usuario) {
+  return usuario._id.equals(req.usuario._id);
+}
+
+/**
+ * Listar usuarios
+ * GET /api/usuarios?rol=&activo=
+ */
+exports.listar = async (req, res) => {
+  try {
+    const { rol, activo } = req.query;
+
+    const filtro = {};
+    if (rol) filtro.rol = rol;
+    if (activo !== undefined) filtro.activo = activo === 'true';
+
+    const usuarios = await User.find(filtro)
+      .select(CAMPOS_USUARIO)
+      .sort({ username: 1 });
+
+    res.json({
+      success: true,
+      data: usuarios
+    });
+  } catch (error) {
+    console.error('❌ Error listando usuarios:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al listar usuarios',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Invitar a un usuario
+ * POST /api/usuarios/invitaciones
+ * Body: { "email": "...", "rol": "usuario", "empresaIds": ["..."] }
+ *
+ * No se envían emails: el token se devuelve una sola vez al admin para que
+ * se lo haga llegar al invitado (POST /api/auth/registrar)
+ */
+exports.invitar = async (req, res) => {
+  try {
+    const { email, rol = 'usuario', empresaIds = [] } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'El email es requerido'
+      });
+    }
+
+    if (!User.ROLES.includes(rol)) {
+      return res.status(400).json({
+        success: false,
+        error: `Rol no válido: ${rol}`,
+        rolesValidos: User.ROLES
+      });
+    }
+
+    if (!Array.isArray(empresaIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'empresaIds debe ser una lista'
+      });
+    }
+
+    // Solo se puede asignar a empresas que el admin alcanza
+    const empresasInvalidas = empresaIds.filter(empresaId => !empresaPermitida(req, empresaId));
+    if (empresasInvalidas.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada',
+        empresaIds: empresasInvalidas
+      });
+    }
+
+    const existente = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (existente) {
+      return res.status(400).json({
+        success: false,
+        error: 'Ya existe un usuario con ese email'
+      });
+    }
+
+    const { invitacion, token } = await Invitacion.crear({
+      email,
+      rol,
+      empresaIds,
+      creadaPor: req.usuario._id
+    });
+
+    console.log(`✉️ Invitación creada para ${invitacion.email} (${invitacion.rol})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitación creada exitosamente',
+      data: {
+        id: invitacion._id,
+        token,  // ← Solo se muestra una vez!
+        email: invitacion.email,
+        rol: invitacion.rol,
+        empresaIds: invitacion.empresaIds,
+        fechaExpiracion: invitacion.fechaExpiracion
+      },
+      advertencia: 'Entregue este token al invitado. No podrá verlo nuevamente.'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Datos de invitación inválidos',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error creando invitación:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al crear invitación',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Listar invitaciones
+ * GET /api/usuarios/invitaciones?estado=pendiente
+ */
+exports.listarInvitaciones = async (req, res) => {
+  try {
+    const filtro = {};
+    if (req.query.estado) filtro.estado = req.query.estado;
+
+    const invitaciones = await Invitacion.find(filtro)
+      .populate('creadaPor', 'username')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: invitaciones
+    });
+  } catch (error) {
+    console.error('❌ Error listando invitaciones:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al listar invitaciones',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Revocar una invitación pendiente
+ * DELETE /api/usuarios/invitaciones/:id
+ */
+exports.revocarInvitacion = async (req, res) => {
+  try {
+    const invitacion = mongoose.isValidObjectId(req.params.id)
+      ? await Invitacion.findOneAndUpdate(
+        { _id: req.params.id, estado: 'pendiente' },
+        { estado: 'revocada' },
+        { new: true }
+      )
+      : null;
+
+    if (!invitacion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitación pendiente no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitación revocada exitosamente'
+    });
+  } catch (error) {
+    console.error('❌ Error revocando invitación:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al revocar invitación',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Cambiar el rol de un usuario
+ * PUT /api/usuarios/:id/rol
+ * Body: { "rol": "contador" }
+ */
+exports.cambiarRol = async (req, res) => {
+  try {
+    const { rol } = req.body;
+
+    if (!User.ROLES.includes(rol)) {
+      return res.status(400).json({
+        success: false,
+        error: `Rol no válido: ${rol}`,
+        rolesValidos: User.ROLES
+      });
+    }
+
+    const usuario = await buscarUsuario(req.params.id);
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (esMismoUsuario(req, usuario) && rol !== 'admin') {
+      return res.status(400).json({
+        success: false,
+        error: 'No puede quitarse a sí mismo el rol de administrador'
+      });
+    }
+
+    const rolAnterior = usuario.rol;
+    usuario.rol = rol;
+    await usuario.save();
+
+    console.log(`👤 Rol de ${usuario.username}: ${rolAnterior} → ${rol}`);
+
+    res.json({
+      success: true,
+      message: 'Rol actualizado exitosamente',
+      data: { id: usuario._id, username: usuario.username, rol: usuario.rol }
+    });
+  } catch (error) {
+    console.error('❌ Error cambiando rol:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al cambiar rol',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Activar o desactivar un usuario
+ * PUT /api/usuarios/:id/activar | PUT /api/usuarios/:id/desactivar
+ * Un usuario desactivado no puede iniciar sesión y sus tokens y API Keys dejan de funcionar
+ */
+const cambiarActivo = (activo) => async (req, res) => {
+  try {
+    const usuario = await buscarUsuario(req.params.id);
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    if (esMismoUsuario(req, usuario) && !activo) {
+      return res.status(400).json({
+        success: false,
+        error: 'No puede desactivarse a sí mismo'
+      });
+    }
+
+    usuario.activo = activo;
+    if (activo) usuario.desbloquear();
+    await usuario.save();
+
+    // Un usuario desactivado no puede renovar sus sesiones
+    if (!activo) {
+      await sesionService.revocarSesionesUsuario(usuario._id, 'usuario_desactivado');
+    }
+
+    console.log(`👤 Usuario ${usuario.username} ${activo ? 'activado' : 'desactivado'}`);
+
+    res.json({
+      success: true,
+      message: `Usuario ${activo ? 'activado' : 'desactivado'} exitosamente`,
+      data: { id: usuario._id, username: usuario.username, activo: usuario.activo }
+    });
+  } catch (error) {
+    console.error('❌ Error cambiando estado del usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al cambiar estado del usuario',
+      message: error.message
+    });
+  }
+};
+
+exports.activar = cambiarActivo(true);
+exports.desactivar = cambiarActivo(false);
+
+/**
+ * Generar un token de restablecimiento de password
+ * POST /api/usuarios/:id/reset-password
+ *
+ * El token se devuelve una sola vez al admin; el usuario lo usa en
+ * POST /api/auth/restablecer-password (que además quita el bloqueo por intentos fallidos).
+ */
+exports.generarResetPassword = async (req, res) => {
+  try {
+    const usuario = await buscarUsuario(req.params.id);
+    if (!usuario || !usuario.activo) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado o inactivo'
+      });
+    }
+
+    const token = usuario.generarTokenResetPassword();
+    await usuario.save();
+
+    console.log(`🔑 Token de restablecimiento generado para ${usuario.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Token de restablecimiento generado',
+      data: {
+        token,  // ← Solo se muestra una vez!
+        fechaExpiracion: usuario.resetPassword.fechaExpiracion
+      },
+      advertencia: 'Entregue este token al usuario. No podrá verlo nuevamente.'
+    });
+  } catch (error) {
+    console.error('❌ Error generando token de restablecimiento:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al generar token de restablecimiento',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Quitar el bloqueo por intentos de login fallidos
+ * POST /api/usuarios/:id/desbloquear
+ */
+exports.desbloquear = async (req, res) => {
+  try {
+    const usuario = await buscarUsuario(req.params.id);
+    if (!usuario) {
+      return res.status(404).json({
+        success: false,
+        error: 'Usuario no encontrado'
+      });
+    }
+
+    usuario.desbloquear();
+    await usuario.save();
+
+    res.json({
+      success: true,
+      message: 'Usuario desbloqueado exitosamente'
+    });
+  } catch (error) {
+    console.error('❌ Error desbloqueando usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al desbloquear usuario',
+      message: error.message
+    });
+  }
+};
@@ -1,9 +1,12 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const ApiKey = require('../models/ApiKey');
+const sesionService = require('../services/sesionService');
 
 // Middleware para verificar el token JWT O API Key
 const verificarToken = async (req, res, next) => {
+  // Ya autenticado por un router montado antes (ej: /api/invoices)
+  if (req.usuario) return next();
+
   try {
     // Obtener token del header
     const authHeader = req.headers['authorization'];
@@ -17,9 +20,9 @@ const verificarToken = async (req, res, next) => {
       });
     }
 
-    // Intentar verificar como JWT primero
+    // Intentar verificar como JWT primero (firma, vencimiento y denylist)
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'sifen-secret-key-change-in-production');
+      const decoded = await sesionService.verificarAccessToken(token);
       
       // Buscar usuario en la base de datos
       const usuario = await User.findById(decoded.userId).select('-password');
@@ -31,13 +34,20 @@ const verificarToken = async (req, res, next) => {
         });
       }
 
-      // Agregar usuario al request
+      // Agregar usuario y sesión al request
       req.usuario = usuario;
       req.tipoAutenticacion = 'jwt';
+      req.sesionId = decoded.sid;
+      req.tokenJti = decoded.jti;
+      req.tokenExpiracion = new Date(decoded.exp * 1000);
       
       next();
       return;
     } catch (jwtError) {
+      // Un JWT vencido o revocado se informa (el cliente debe renovarlo con el refresh token)
+      if (jwtError.name === 'TokenExpiredError' || jwtError.name === 'ErrorSesion') {
+        throw jwtError;
+      }
       // No es un JWT válido, intentar como API Key
     }
 
@@ -92,7 +102,15 @@ const verificarToken = async (req, res, next) => {
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({
         success: false,
-        error: 'Token expirado'
+        error: 'Token expirado',
+        codigo: 'TOKEN_EXPIRADO'
+      });
+    }
+    if (error.name === 'ErrorSesion') {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        codigo: error.codigo
       });
     }
     
@@ -112,38 +130,72 @@ const verificarAdmin = (req, res, next) => {
       error: 'Acceso denegado. Se requiere rol de administrador'
     });
   }
+  // Las operaciones de administración afectan a todas las empresas
+  if (req.apiKey?.empresaId) {
+    return res.status(403).json({
+      success: false,
+      error: 'Acceso denegado. La API Key está restringida a una empresa'
+    });
+  }
   next();
 };
 
-// Middleware para verificar permisos de API Key
-const verificarPermiso = (permisoRequerido) => {
+// Indica si la solicitud tiene un permiso: lo otorga el rol del usuario
+// (User.PERMISOS_POR_ROL) y, con API Key, además la key
+const tienePermiso = (req, permiso) => {
+  return req.usuario.tienePermiso(permiso) && (!req.apiKey || req.apiKey.tienePermiso(permiso));
+};
+
+// Middleware para verificar permisos del rol y de la API Key
+// Uso: router.post('/crear', requierePermiso('facturas:crear'), ...)
+// Con varios permisos se requieren todos. Debe usarse después de verificarToken.
+const requierePermiso = (...permisosRequeridos) => {
   return (req, res, next) => {
-    // Si es JWT, verificar rol
-    if (req.tipoAutenticacion === 'jwt') {
-      return next();
-    }
-    
-    // Si es API Key, verificar permisos
-    if (req.apiKey && req.apiKey.permisos) {
-      if (req.apiKey.permisos.includes(permisoRequerido) || 
-          req.apiKey.permisos.includes('admin')) {
-        return next();
-      }
-      
+    const faltantesRol = permisosRequeridos.filter(permiso => !req.usuario.tienePermiso(permiso));
+    if (faltantesRol.length > 0) {
       return res.status(403).json({
         success: false,
-        error: 'API Key no tiene permisos suficientes',
-        permisosRequeridos: [permisoRequerido],
-        permisosActuales: req.apiKey.permisos
+        error: `Acceso denegado. El rol ${req.usuario.rol} no tiene el permiso requerido: ${faltantesRol.join(', ')}`,
+        rol: req.usuario.rol,
+        permisosFaltantes: faltantesRol
       });
     }
-    
-    next();
+
+    // Con JWT (sesión de usuario) alcanza con el rol
+    if (!req.apiKey) {
+      return next();
+    }
+
+    const faltantes = permisosRequeridos.filter(permiso => !req.apiKey.tienePermiso(permiso));
+    if (faltantes.length === 0) {
+      return next();
+    }
+
+    res.status(403).json({
+      success: false,
+      error: `La API Key no tiene el permiso requerido: ${faltantes.join(', ')}`,
+      permisosFaltantes: faltantes,
+      permisosActuales: req.apiKey.permisos
+    });
   };
 };
 
+// Middleware para operaciones de la cuenta del usuario (perfil, contraseña) y
+// gestión de API Keys: solo con sesión, no con API Key
+const requiereSesion = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'Acceso denegado. Esta operación requiere iniciar sesión (no disponible con API Key)'
+    });
+  }
+  next();
+};
+
 module.exports = {
   verificarToken,
   verificarAdmin,
-  verificarPermiso
+  requierePermiso,
+  requiereSesion,
+  tienePermiso
 };
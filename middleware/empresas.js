@@ -0,0 +1,92 @@
+/**
+ * Middleware de alcance por empresa (multi-empresa)
+ *
+ * Resuelve las empresas que puede tocar cada solicitud autenticada y las deja
+ * en req.empresaIds:
+ * - API Key asociada a una empresa (apiKey.empresaId): solo esa empresa
+ * - Usuario (JWT o API Key sin empresa): las empresas a las que está asignado
+ *   (Empresa.usuarios), con cualquier rol
+ *
+ * Todas las consultas de facturas, eventos, logs, etc. se filtran con
+ * filtroEmpresas(req), de modo que la key de una empresa nunca lee, reintenta
+ * ni elimina documentos de otra.
+ *
+ * Debe usarse después de verificarToken.
+ */
+
+const mongoose = require('mongoose');
+const Empresa = require('../models/Empresa');
+const Invoice = require('../models/Invoice');
+
+/**
+ * Empresas que puede tocar un usuario (o su API Key)
+ * @param {Object} usuario - Documento User
+ * @param {Object} apiKey - Documento ApiKey (opcional)
+ * @returns {Promise<Array>} _id de las empresas
+ */
+async function empresasPermitidas(usuario, apiKey = null) {
+  const filtro = { usuarios: usuario._id };
+  // Una key asociada a una empresa solo la alcanza si el usuario sigue asignado
+  if (apiKey?.empresaId) filtro._id = apiKey.empresaId;
+
+  const empresas = await Empresa.find(filtro).select('_id');
+  return empresas.map(empresa => empresa._id);
+}
+
+const resolverEmpresas = async (req, res, next) => {
+  // Ya resuelto por un middleware anterior (router montado antes)
+  if (req.empresaIds) return next();
+
+  try {
+    req.empresaIds = await empresasPermitidas(req.usuario, req.apiKey);
+    next();
+  } catch (error) {
+    console.error('Error resolviendo empresas del usuario:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al verificar autenticación'
+    });
+  }
+};
+
+/**
+ * Filtro de consulta por las empresas permitidas
+ * @param {Object} req - Request con req.empresaIds
+ * @param {string} campo - Campo con el _id de la empresa (empresaId por defecto, _id para Empresa)
+ * @returns {Object} { [campo]: { $in: empresaIds } }
+ */
+function filtroEmpresas(req, campo = 'empresaId') {
+  if (!req.empresaIds) {
+    throw new Error('filtroEmpresas requiere el middleware resolverEmpresas');
+  }
+  return { [campo]: { $in: req.empresaIds } };
+}
+
+/**
+ * Filtro de logs de operaciones por las empresas permitidas
+ * (OperationLog no guarda la empresa: se filtra por las facturas de esas empresas)
+ * @param {Object} req - Request con req.empresaIds
+ * @returns {Promise<Object>} { invoiceId: { $in: [...] } }
+ */
+async function filtroLogsEmpresas(req) {
+  const invoiceIds = await Invoice.find(filtroEmpresas(req)).distinct('_id');
+  return { invoiceId: { $in: invoiceIds } };
+}
+
+/**
+ * Indica si la solicitud puede tocar una empresa
+ * @param {Object} req - Request con req.empresaIds
+ * @param {string|Object} empresaId
+ */
+function empresaPermitida(req, empresaId) {
+  if (!empresaId || !mongoose.isValidObjectId(empresaId)) return false;
+  return req.empresaIds.some(id => id.equals(empresaId));
+}
+
+module.exports = {
+  resolverEmpresas,
+  empresasPermitidas,
+  filtroEmpresas,
+  filtroLogsEmpresas,
+  empresaPermitida
+};
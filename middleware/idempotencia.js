@@ -0,0 +1,158 @@
+/**
+ * Middleware de idempotencia (cabecera Idempotency-Key)
+ *
+ * - Primera solicitud con una clave: se procesa normalmente y, si la respuesta
+ *   es 2xx, se guarda junto con la huella del body.
+ * - Reintento con la misma clave y el mismo body: se devuelve la respuesta
+ *   original tal cual (con la cabecera Idempotent-Replayed: true).
+ * - Misma clave con otro body: 422.
+ * - Misma clave mientras la original sigue en proceso: 409. Si lleva más de
+ *   IDEMPOTENCY_ABANDONO_SEGUNDOS en proceso (caída o timeout del servidor) se
+ *   considera abandonada y el reintento la toma y se procesa.
+ *
+ * Si la solicitud original termina con error (4xx/5xx) la clave se libera
+ * para que el cliente pueda reintentar con ella.
+ */
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Tiempo que se conserva cada clave (horas)
+const TTL_HORAS = parseInt(process.env.IDEMPOTENCY_TTL_HORAS, 10) || 24;
+
+// Segundos tras los cuales una clave 'en_proceso' se considera abandonada
+const ABANDONO_SEGUNDOS = parseInt(process.env.IDEMPOTENCY_ABANDONO_SEGUNDOS, 10) || 120;
+
+// Longitud máxima aceptada para la clave
+const MAX_LONGITUD_CLAVE = 255;
+
+/**
+ * Serializa un valor con las claves de los objetos ordenadas, para que
+ * el mismo contenido produzca siempre la misma huella
+ */
+function serializarCanonico(valor) {
+  if (Array.isArray(valor)) {
+    return `[${valor.map(serializarCanonico).join(',')}]`;
+  }
+  if (valor && typeof valor === 'object') {
+    const claves = Object.keys(valor).sort();
+    return `{${claves.map(clave => `${JSON.stringify(clave)}:${serializarCanonico(valor[clave])}`).join(',')}}`;
+  }
+  return JSON.stringify(valor);
+}
+
+/**
+ * Calcula la huella SHA-256 del body de la solicitud
+ */
+function calcularHuella(body) {
+  return crypto.createHash('sha256').update(serializarCanonico(body || {})).digest('hex');
+}
+
+const idempotencia = async (req, res, next) => {
+  const clave = req.get('Idempotency-Key');
+
+  if (clave === undefined) {
+    return next();
+  }
+
+  if (!clave.trim() || clave.length > MAX_LONGITUD_CLAVE) {
+    return res.status(400).json({
+      success: false,
+      error: 'Idempotency-Key inválida',
+      mensaje: `La cabecera Idempotency-Key debe tener entre 1 y ${MAX_LONGITUD_CLAVE} caracteres`
+    });
+  }
+
+  try {
+    const propietario = req.apiKey ? `apikey:${req.apiKey._id}` : `usuario:${req.usuario._id}`;
+    const ruta = `${req.method} ${req.baseUrl}${req.path}`;
+    // Se calcula antes de que la ruta normalice o modifique el body
+    const huella = calcularHuella(req.body);
+
+    let registro;
+    try {
+      registro = await IdempotencyKey.create({
+        clave,
+        propietario,
+        ruta,
+        huella,
+        fechaInicio: new Date(),
+        fechaExpiracion: new Date(Date.now() + TTL_HORAS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // La clave ya fue usada por este cliente en esta ruta
+      const existente = await IdempotencyKey.findOne({ clave, propietario, ruta });
+
+      if (!existente) {
+        // Expiró o se liberó entre ambas consultas
+        return idempotencia(req, res, next);
+      }
+
+      if (existente.huella !== huella) {
+        return res.status(422).json({
+          success: false,
+          error: 'Conflicto de Idempotency-Key',
+          mensaje: 'La Idempotency-Key ya fue utilizada con un contenido diferente. Use una clave nueva para una solicitud distinta.'
+        });
+      }
+
+      if (existente.estado === 'en_proceso') {
+        // Solo una solicitud toma la clave abandonada (se compara la fechaInicio leída)
+        const fechaInicio = existente.fechaInicio || existente.createdAt;
+        const abandonada = fechaInicio <= new Date(Date.now() - ABANDONO_SEGUNDOS * 1000);
+        registro = abandonada
+          ? await IdempotencyKey.findOneAndUpdate(
+            { _id: existente._id, estado: 'en_proceso', fechaInicio: existente.fechaInicio ?? null },
+            { fechaInicio: new Date(), fechaExpiracion: new Date(Date.now() + TTL_HORAS * 60 * 60 * 1000) },
+            { new: true }
+          )
+          : null;
+
+        if (!registro) {
+          return res.status(409).json({
+            success: false,
+            error: 'Solicitud en proceso',
+            mensaje: 'Una solicitud con esta Idempotency-Key todavía se está procesando. Reintente en unos segundos.'
+          });
+        }
+        console.log(`♻️ Idempotency-Key abandonada en proceso desde ${fechaInicio.toISOString()}, se procesa nuevamente`);
+      } else {
+        console.log(`🔁 Idempotency-Key repetida, devolviendo respuesta original (${existente.codigoHttp})`);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existente.codigoHttp).json(existente.respuesta);
+      }
+    }
+
+    // Interceptar la respuesta para guardarla (o liberar la clave si falló)
+    // Si la clave fue tomada por un reintento (abandonada), esta solicitud ya no la modifica
+    const propia = { _id: registro._id, fechaInicio: registro.fechaInicio };
+    const jsonOriginal = res.json.bind(res);
+    res.json = (cuerpo) => {
+      const actualizacion = res.statusCode >= 200 && res.statusCode < 300
+        ? IdempotencyKey.updateOne(
+          propia,
+          { estado: 'completada', codigoHttp: res.statusCode, respuesta: JSON.parse(JSON.stringify(cuerpo)) }
+        )
+        : IdempotencyKey.deleteOne(propia);
+
+      actualizacion.catch(err => console.error('❌ Error guardando Idempotency-Key:', err.message));
+      return jsonOriginal(cuerpo);
+    };
+
+    next();
+  } catch (error) {
+    console.error('❌ Error procesando Idempotency-Key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al procesar Idempotency-Key',
+      mensaje: error.message
+    });
+  }
+};
+
+module.exports = {
+  idempotencia,
+  calcularHuella
+};
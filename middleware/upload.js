@@ -1,6 +1,7 @@
 /**
  * Middleware para manejo de archivos subidos (multer)
- * Específicamente para certificados digitales .p12
+ * - Certificados digitales .p12
+ * - XML de documentos recibidos de proveedores
  */
 
 const multer = require('multer');
@@ -29,6 +30,21 @@ const upload = multer({
   }
 });
 
+// Upload de XML de documentos electrónicos recibidos
+const uploadXml = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.xml') {
+      cb(null, true);
+    } else {
+      cb(new Error('Solo se permiten archivos .xml (documentos electrónicos)'), false);
+    }
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5 MB máximo
+  }
+});
+
 // Middleware para manejar errores de multer
 const manejarErrorUpload = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -56,5 +72,6 @@ const manejarErrorUpload = (err, req, res, next) => {
 
 module.exports = {
   upload,
+  uploadXml,
   manejarErrorUpload
 };
@@ -0,0 +1,68 @@
+/**
+ * Modelo para Alertas de Vencimiento de Certificados
+ *
+ * El job periódico de certificados (ver alertaCertificadoService) registra una
+ * alerta por empresa y certificado al alcanzar cada umbral (30, 15 y 7 días
+ * antes del vencimiento) y otra al vencer (umbralDias 0).
+ * Se exponen en GET /api/empresas/certificados/alertas.
+ */
+
+const mongoose = require('mongoose');
+
+const alertaCertificadoSchema = new mongoose.Schema({
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  ruc: {
+    type: String,
+    required: true
+  },
+  tipo: {
+    type: String,
+    enum: ['por_vencer', 'vencido'],
+    required: true
+  },
+  // Umbral alcanzado (días antes del vencimiento; 0 = vencido)
+  umbralDias: {
+    type: Number,
+    required: true
+  },
+  // Identifica el certificado: al cargar uno nuevo las alertas vuelven a generarse
+  numeroSerie: {
+    type: String,
+    default: null
+  },
+  fechaVencimiento: {
+    type: Date,
+    required: true
+  },
+  diasParaVencer: {
+    type: Number
+  },
+  descripcion: {
+    type: String,
+    required: true
+  },
+  estado: {
+    type: String,
+    enum: ['warning', 'error'],
+    default: 'warning'
+  },
+  fecha: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Una sola alerta por empresa, certificado y umbral
+alertaCertificadoSchema.index(
+  { empresaId: 1, numeroSerie: 1, fechaVencimiento: 1, umbralDias: 1 },
+  { unique: true }
+);
+
+module.exports = mongoose.model('AlertaCertificado', alertaCertificadoSchema);
@@ -1,6 +1,23 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+// Permisos (scopes) de una API Key; 'admin' incluye todos
+// Se verifican por ruta con requierePermiso (middleware/auth.js)
+const PERMISOS_API_KEY = [
+  'facturas:crear',
+  'facturas:leer',
+  'facturas:eliminar',
+  'stats:leer',
+  'eventos:enviar',
+  'empresas:gestionar',
+  'certificados:gestionar',
+  'queue:admin',
+  'admin'
+];
+
+// Permisos de una key creada sin indicarlos
+const PERMISOS_POR_DEFECTO = ['facturas:crear', 'facturas:leer', 'stats:leer'];
+
 const apiKeySchema = new mongoose.Schema({
   key: {
     type: String,
@@ -41,8 +58,8 @@ const apiKeySchema = new mongoose.Schema({
   },
   permisos: {
     type: [String],
-    enum: ['facturas:crear', 'facturas:leer', 'facturas:eliminar', 'stats:leer', 'admin'],
-    default: ['facturas:crear', 'facturas:leer', 'stats:leer']
+    enum: PERMISOS_API_KEY,
+    default: PERMISOS_POR_DEFECTO
   },
   activa: {
     type: Boolean,
@@ -92,4 +109,12 @@ apiKeySchema.pre('save', function(next) {
   next();
 });
 
+// Método para verificar si la API key tiene un permiso
+apiKeySchema.methods.tienePermiso = function(permiso) {
+  return this.permisos.includes(permiso) || this.permisos.includes('admin');
+};
+
+apiKeySchema.statics.PERMISOS_API_KEY = PERMISOS_API_KEY;
+apiKeySchema.statics.PERMISOS_POR_DEFECTO = PERMISOS_POR_DEFECTO;
+
 module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -1,6 +1,25 @@
 const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs');
+const secretos = require('../services/secretosService');
+
+// Datos de un certificado digital (el activo y cada versión del historial)
+const camposCertificado = {
+  version: Number,  // Versión en historialCertificados (vacía en certificados cargados antes del historial)
+  archivo: String,  // Archivo dentro de certificados/:ruc (certificado.p12 si no tiene versión)
+  nombreArchivo: String,
+  contrasena: String,  // Cifrada (ver secretosService)
+  fechaVencimiento: Date,
+  fechaCarga: Date,
+  // Datos extraídos del .p12 al cargarlo (ver certificadoService.inspeccionarCertificado)
+  sujeto: String,
+  emisor: String,
+  numeroSerie: String,
+  rucTitular: String,
+  fechaInicioVigencia: Date,
+  huella: String,  // SHA-256 del certificado (DER)
+  cadenaCompleta: Boolean
+};
 
 const empresaSchema = new mongoose.Schema({
   // Identidad tributaria (LO MÁS IMPORTANTE)
@@ -48,11 +67,16 @@ const empresaSchema = new mongoose.Schema({
       default: '0001',
       maxlength: 4
     },
+    // Se guarda cifrado (ver secretosService); leerlo con empresa.obtenerCSC()
     csc: {
       type: String,
       required: true,
-      maxlength: 32,
-      minlength: 32
+      validate: {
+        validator: function(v) {
+          return secretos.esSobre(v) || v.length === 32;
+        },
+        message: 'CSC inválido. Debe tener 32 caracteres'
+      }
     },
     // Modo de operación
     modo: {
@@ -64,28 +88,71 @@ const empresaSchema = new mongoose.Schema({
     urlLogo: {
       type: String,
       default: 'https://lrtv.jaranetwork.com/sites/default/files/styles/poster/public/logos/hit.png?itok=UHWpjKPdd'
+    },
+    // Numeración administrada por el servidor: el número del documento lo asigna
+    // el backend (colección Numeracion) y se rechazan los documentos que traen "numero"
+    numeracionAutomatica: {
+      type: Boolean,
+      default: false
     }
   },
   
-  // Certificado digital (solo metadatos, archivo en filesystem)
+  // Certificado digital activo (solo metadatos, archivo en filesystem)
+  // certificado.version apunta a la versión vigente de historialCertificados
   certificado: {
-    nombreArchivo: String,
-    contrasena: String,  // Cifrada con AES-256
-    fechaVencimiento: Date,
-    fechaCarga: Date,
+    ...camposCertificado,
     activo: {
       type: Boolean,
       default: false
     }
   },
+
+  // Todas las versiones cargadas (los archivos se conservan para poder volver atrás)
+  historialCertificados: [new mongoose.Schema({
+    ...camposCertificado,
+    fechaBaja: Date  // Cuándo dejó de ser el certificado activo
+  }, { _id: false })],
+  
+  // Contingencia (tipoEmision 2): los DE se firman sin enviarse a la SET y quedan
+  // en 'pendiente_envio' hasta que vuelva la conexión (ver contingenciaService)
+  contingencia: {
+    activa: {
+      type: Boolean,
+      default: false
+    },
+    // Activar automáticamente tras CONTINGENCIA_UMBRAL_FALLOS fallos de conexión consecutivos
+    automatica: {
+      type: Boolean,
+      default: false
+    },
+    origen: {
+      type: String,
+      enum: ['manual', 'automatica']
+    },
+    motivo: String,
+    fechaActivacion: Date,
+    fechaDesactivacion: Date,
+    fallosConsecutivos: {
+      type: Number,
+      default: 0
+    }
+  },
   
-  // Relación con el usuario admin (dueño)
+  // Usuario que creó la empresa
   usuarioId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true,
     index: true
   },
+
+  // Usuarios asignados (cualquier rol): definen qué empresas alcanza cada usuario
+  // (ver middleware/empresas.js)
+  usuarios: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  }],
   
   // Datos de contacto
   direccion: String,
@@ -109,16 +176,28 @@ const empresaSchema = new mongoose.Schema({
 empresaSchema.methods.obtenerRutaCertificado = function() {
   const basePath = process.env.CERTIFICADOS_PATH || 
     path.join(__dirname, '../certificados');
-  return path.join(basePath, this.ruc, 'certificado.p12');
+  return path.join(basePath, this.ruc, this.certificado?.archivo || 'certificado.p12');
+};
+
+// Método: Verificar si el certificado está vencido (según la vigencia leída del .p12)
+empresaSchema.methods.certificadoVencido = function(ahora = new Date()) {
+  const fechaVencimiento = this.certificado?.fechaVencimiento;
+  return Boolean(fechaVencimiento && fechaVencimiento <= ahora);
 };
 
 // Método: Verificar si tiene certificado válido
 empresaSchema.methods.tieneCertificadoValido = function() {
   if (!this.certificado?.activo) return false;
-  const ruta = this.obtenerRutaCertificado();
-  const existe = require('fs').existsSync(ruta);
-  // La fecha de vencimiento es opcional, solo verificamos que el archivo exista
-  return existe;
+  // Un certificado vencido produce documentos que la SET rechaza
+  if (this.certificadoVencido()) return false;
+  // La fecha de vencimiento es opcional (certificados cargados antes de leerla del .p12)
+  return require('../services/certificadoService').existeCertificado(this.ruc, this.certificado.archivo || 'certificado.p12');
+};
+
+// Método: CSC en texto plano (se guarda cifrado)
+empresaSchema.methods.obtenerCSC = function() {
+  const csc = this.configuracionSifen?.csc;
+  return secretos.esSobre(csc) ? secretos.descifrar(csc) : csc;
 };
 
 // Método estático: Buscar por RUC
@@ -143,6 +222,23 @@ empresaSchema.pre('save', function(next) {
   next();
 });
 
+// Middleware: Cifrar el CSC al guardarlo (se valida en claro antes de cifrarlo)
+empresaSchema.pre('save', function(next) {
+  const csc = this.configuracionSifen?.csc;
+  if (csc && this.isModified('configuracionSifen.csc') && !secretos.esSobre(csc)) {
+    this.configuracionSifen.csc = secretos.cifrar(csc);
+  }
+  next();
+});
+
+// Middleware: El usuario que crea la empresa queda asignado a ella
+empresaSchema.pre('save', function(next) {
+  if (this.isNew && !this.usuarios.some(id => id.equals(this.usuarioId))) {
+    this.usuarios.push(this.usuarioId);
+  }
+  next();
+});
+
 // Middleware: Crear carpeta RUC al crear empresa
 empresaSchema.pre('save', async function(next) {
   if (this.isNew) {
@@ -11,20 +11,38 @@ const eventoSchema = new mongoose.Schema({
   // ========================================
   // DATOS DEL DOCUMENTO ASOCIADO
   // ========================================
+  // No aplica a la inutilización (se refiere a un rango de números, no a un DE)
+  // ni a los eventos del receptor sobre documentos recibidos
   invoiceId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Invoice',
-    required: true,
+    required: function() { return this.tipoEvento !== 'inutilizacion' && !this.documentoRecibidoId; },
+    index: true
+  },
+  // Documento recibido de un proveedor (eventos del receptor)
+  documentoRecibidoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReceivedDocument',
     index: true
   },
   cdc: {
     type: String,
-    required: true,
+    required: function() { return this.tipoEvento !== 'inutilizacion'; },
     index: true
   },
   correlativo: {
     type: String,
-    required: true
+    required: function() { return this.tipoEvento !== 'inutilizacion'; }
+  },
+
+  // Rango de numeración inutilizado (solo tipoEvento = 'inutilizacion')
+  inutilizacion: {
+    timbrado: String,
+    establecimiento: String,
+    punto: String,
+    tipoDocumento: Number,
+    desde: Number,
+    hasta: Number
   },
 
   // ========================================
@@ -36,6 +54,7 @@ const eventoSchema = new mongoose.Schema({
     enum: [
       // Eventos del Emisor
       'cancelacion',           // Cancelación de DTE (48hs)
+      'inutilizacion',         // Inutilización de un rango de numeración
       'devolucion_ajuste',     // Devolución y Ajuste (por NC/ND)
       
       // Eventos del Receptor
@@ -64,7 +83,8 @@ const eventoSchema = new mongoose.Schema({
   },
   xmlFirmado: {
     type: String,
-    required: true
+    // Un evento con error puede no haber llegado a firmarse
+    required: function() { return this.estadoEvento !== 'error'; }
   },
 
   // ========================================
@@ -118,5 +138,6 @@ const eventoSchema = new mongoose.Schema({
 eventoSchema.index({ cdc: 1, tipoEvento: 1 });
 eventoSchema.index({ invoiceId: 1, createdAt: -1 });
 eventoSchema.index({ rucEmpresa: 1, createdAt: -1 });
+eventoSchema.index({ empresaId: 1, tipoEvento: 1, 'inutilizacion.timbrado': 1 });
 
 module.exports = mongoose.model('Evento', eventoSchema);
@@ -0,0 +1,56 @@
+/**
+ * Modelo para Claves de Idempotencia
+ *
+ * Guarda la respuesta original de una solicitud enviada con la cabecera
+ * Idempotency-Key, junto con la huella (SHA-256) del body. Un reintento con
+ * la misma clave y el mismo body recibe la respuesta original; con otro body
+ * recibe 422. Los registros expiran automáticamente (índice TTL).
+ */
+
+const mongoose = require('mongoose');
+
+const idempotencyKeySchema = new mongoose.Schema({
+  clave: {
+    type: String,
+    required: true
+  },
+  // Usuario o API Key que envió la solicitud (las claves no se comparten entre clientes)
+  propietario: {
+    type: String,
+    required: true
+  },
+  ruta: {
+    type: String,
+    required: true
+  },
+  huella: {
+    type: String,  // SHA-256 del body canónico
+    required: true
+  },
+  estado: {
+    type: String,
+    enum: ['en_proceso', 'completada'],
+    default: 'en_proceso'
+  },
+  // Inicio del procesamiento: una clave 'en_proceso' muy antigua se considera abandonada
+  fechaInicio: {
+    type: Date
+  },
+  codigoHttp: {
+    type: Number
+  },
+  respuesta: {
+    type: Object
+  },
+  fechaExpiracion: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ clave: 1, propietario: 1, ruta: 1 }, { unique: true });
+idempotencyKeySchema.index({ fechaExpiracion: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,100 @@
+/**
+ * Modelo para Invitaciones de usuarios
+ *
+ * Un admin invita a un usuario indicando email, rol y empresas asignadas.
+ * El token de la invitación se devuelve una sola vez al admin (no se envían
+ * emails): el invitado lo usa en POST /api/auth/registrar para crear su
+ * cuenta. Solo se guarda el hash (SHA-256) del token.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Vigencia de una invitación (horas)
+const VIGENCIA_HORAS = parseInt(process.env.INVITACION_VIGENCIA_HORAS, 10) || 72;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const invitacionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true
+  },
+  rol: {
+    type: String,
+    enum: ['admin', 'usuario', 'contador'],
+    default: 'usuario'
+  },
+  // Empresas a las que queda asignado el usuario al registrarse
+  empresaIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa'
+  }],
+  creadaPor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  estado: {
+    type: String,
+    enum: ['pendiente', 'aceptada', 'revocada'],
+    default: 'pendiente',
+    index: true
+  },
+  usuarioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fechaExpiracion: {
+    type: Date,
+    required: true
+  },
+  fechaAceptacion: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Método estático para crear una invitación
+// Retorna { invitacion, token } (el token en claro solo existe en esta respuesta)
+invitacionSchema.statics.crear = async function(datos) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const invitacion = await this.create({
+    ...datos,
+    tokenHash: hashToken(token),
+    fechaExpiracion: new Date(Date.now() + VIGENCIA_HORAS * 60 * 60 * 1000)
+  });
+  return { invitacion, token };
+};
+
+// Método estático para encontrar una invitación pendiente y vigente por el token en claro
+invitacionSchema.statics.encontrarPorToken = async function(token) {
+  return this.findOne({ tokenHash: hashToken(token), estado: 'pendiente', fechaExpiracion: { $gt: new Date() } });
+};
+
+// Método para marcar la invitación como aceptada por un usuario
+// Retorna false si otra solicitud la usó antes (un token se usa una sola vez)
+invitacionSchema.methods.aceptar = async function(usuarioId) {
+  const resultado = await this.constructor.updateOne(
+    { _id: this._id, estado: 'pendiente' },
+    { estado: 'aceptada', usuarioId, fechaAceptacion: new Date() }
+  );
+  return resultado.modifiedCount === 1;
+};
+
+// Método para ocultar el hash del token
+invitacionSchema.methods.toJSON = function() {
+  const invitacion = this.toObject();
+  delete invitacion.tokenHash;
+  return invitacion;
+};
+
+module.exports = mongoose.model('Invitacion', invitacionSchema);
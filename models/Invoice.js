@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { TIPOS_DOCUMENTO } = require('../utils/tipoDocumento');
+
+// Estados en los que una nota de crédito/débito no cuenta para el saldo del documento asociado
+const ESTADOS_NOTA_ANULADA = ['rechazado', 'error'];
+
+// Duración máxima del bloqueo de notas de crédito de un documento (milisegundos)
+const BLOQUEO_NOTAS_MS = 30000;
 
 const invoiceSchema = new mongoose.Schema({
   // ========================================
@@ -20,12 +27,25 @@ const invoiceSchema = new mongoose.Schema({
   // ========================================
   // CAMPOS EXISTENTES
   // ========================================
+  tipoDocumento: {
+    type: Number,
+    enum: Object.keys(TIPOS_DOCUMENTO).map(Number),
+    default: 1,  // Factura electrónica
+    index: true
+  },
   correlativo: {
     type: String,
     required: true
     // Quitamos unique: true - El correlativo puede repetirse si hay errores de carga
     // El hash es lo que realmente debe ser único
   },
+  // Serie de numeración del documento (para detectar huecos, ver models/Numeracion.js)
+  numeracion: {
+    timbrado: String,
+    establecimiento: String,
+    punto: String,
+    numero: Number
+  },
   cliente: {
     type: Object,
     default: {}
@@ -40,7 +60,7 @@ const invoiceSchema = new mongoose.Schema({
   },
   estadoSifen: {
     type: String,
-    enum: ['recibido', 'procesando', 'enviado', 'aceptado', 'rechazado', 'error', 'encolado', 'observado'],
+    enum: ['recibido', 'procesando', 'enviado', 'aceptado', 'rechazado', 'error', 'encolado', 'observado', 'cancelado', 'pendiente_envio'],
     default: 'recibido'
   },
   fechaEnvio: {
@@ -61,6 +81,14 @@ const invoiceSchema = new mongoose.Schema({
   digestValue: {
     type: String  // DigestValue de la firma digital
   },
+  // Certificado con que se firmó el DE (número de serie y versión en el historial de la empresa)
+  certificadoSerie: {
+    type: String,
+    index: true
+  },
+  certificadoVersion: {
+    type: Number
+  },
   codigoRetorno: {
     type: String  // Código de retorno de SIFEN (4 dígitos) - Legacy
   },
@@ -92,12 +120,75 @@ const invoiceSchema = new mongoose.Schema({
   // Estado visual para el frontend (según código de retorno)
   estadoVisual: {
     type: String,
-    enum: ['aceptado', 'observado', 'rechazado'],
+    enum: ['aceptado', 'observado', 'rechazado', 'cancelado', 'pendiente'],
     default: 'rechazado'
   },
+  // Tipo de emisión del DE: 1 = normal, 2 = contingencia (estadoSifen = 'pendiente_envio'
+  // hasta que se transmite a la SET, como máximo en fechaLimiteEnvio)
+  tipoEmision: {
+    type: Number,
+    enum: [1, 2],
+    default: 1
+  },
+  fechaLimiteEnvio: {
+    type: Date
+  },
+  // Cancelación registrada en la SET (estadoSifen = 'cancelado')
+  fechaCancelacion: {
+    type: Date
+  },
+  eventoCancelacionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Evento'
+  },
   kudePath: {
     type: String  // Ruta del archivo PDF KUDE generado
   },
+  // Lote asíncrono en el que se envió el DE (null si se envió por recepción síncrona)
+  loteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lote',
+    default: null,
+    index: true
+  },
+  // ========================================
+  // DOCUMENTOS ASOCIADOS (NOTAS DE CRÉDITO / DÉBITO)
+  // ========================================
+  // En una NC/ND: documento electrónico al que hace referencia
+  documentoAsociado: {
+    invoiceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+      index: true
+    },
+    cdc: String,
+    correlativo: String
+  },
+  // En el documento original: NC/ND emitidas que lo referencian
+  notasAsociadas: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  }],
+  // Registro de una NC en curso: el saldo se verifica y la nota se guarda con el documento bloqueado
+  bloqueoNotasHasta: {
+    type: Date
+  },
+  // ========================================
+  // DATOS ESPECÍFICOS POR TIPO DE DOCUMENTO
+  // ========================================
+  // Autofactura (tipo 4): vendedor no contribuyente al que se le compra
+  autoFactura: {
+    tipoVendedor: Number,     // 1 = No contribuyente, 2 = Extranjero
+    documentoTipo: Number,
+    documentoNumero: String,
+    nombre: String
+  },
+  // Nota de remisión (tipo 7): traslado de mercaderías (sin montos)
+  remision: {
+    motivo: Number,           // 1 = Traslado por venta, 7 = Traslado entre locales, ...
+    tipoResponsable: Number,  // 1 = Emisor, 2 = Poseedor, ...
+    kms: Number
+  },
   datosFactura: {
     type: Object,
     default: {}
@@ -117,6 +208,71 @@ invoiceSchema.index({ facturaHash: 1 }, { unique: true });
 // Índice compuesto para búsquedas rápidas por empresa
 invoiceSchema.index({ rucEmpresa: 1, fechaCreacion: -1 });
 
+// Índice para la detección de huecos por serie de numeración
+invoiceSchema.index({
+  empresaId: 1,
+  tipoDocumento: 1,
+  'numeracion.timbrado': 1,
+  'numeracion.establecimiento': 1,
+  'numeracion.punto': 1,
+  'numeracion.numero': 1
+});
+
+// ========================================
+// MÉTODOS ESTÁTICOS
+// ========================================
+/**
+ * Calcula los montos de las notas de crédito y débito emitidas sobre un documento
+ * (excluye las notas rechazadas o con error)
+ * @param {Object} invoice - Documento original
+ * @returns {Promise<{ montoAcreditado: number, montoDebitado: number, saldo: number }>}
+ */
+invoiceSchema.statics.calcularMontosNotas = async function(invoice) {
+  const notas = await this.find({
+    'documentoAsociado.invoiceId': invoice._id,
+    estadoSifen: { $nin: ESTADOS_NOTA_ANULADA }
+  }).select('tipoDocumento total');
+
+  const sumar = (tipo) => notas
+    .filter(nota => nota.tipoDocumento === tipo)
+    .reduce((suma, nota) => suma + (nota.total || 0), 0);
+
+  const montoAcreditado = sumar(5);
+  const montoDebitado = sumar(6);
+
+  return {
+    montoAcreditado,
+    montoDebitado,
+    saldo: (invoice.total || 0) - montoAcreditado + montoDebitado
+  };
+};
+
+/**
+ * Bloquea el registro de notas de crédito sobre un documento
+ * Sin el bloqueo, dos NC concurrentes leen el mismo saldo y juntas pueden superar el total.
+ * Vence solo (BLOQUEO_NOTAS_MS) si el proceso se cae antes de liberarlo.
+ * @param {Object} invoiceId - Documento original
+ * @returns {Promise<Date|null>} Vencimiento del bloqueo (para liberarlo) o null si otro registro lo tiene
+ */
+invoiceSchema.statics.bloquearNotas = async function(invoiceId) {
+  const ahora = new Date();
+  const hasta = new Date(ahora.getTime() + BLOQUEO_NOTAS_MS);
+  const resultado = await this.updateOne(
+    { _id: invoiceId, $or: [{ bloqueoNotasHasta: null }, { bloqueoNotasHasta: { $lte: ahora } }] },
+    { $set: { bloqueoNotasHasta: hasta } }
+  );
+  return resultado.modifiedCount === 1 ? hasta : null;
+};
+
+/**
+ * Libera el bloqueo de notas tomado con bloquearNotas (si sigue siendo el mismo)
+ */
+invoiceSchema.statics.liberarNotas = async function(invoiceId, hasta) {
+  await this.updateOne({ _id: invoiceId, bloqueoNotasHasta: hasta }, { $unset: { bloqueoNotasHasta: 1 } });
+};
+
+invoiceSchema.statics.TIPOS_DOCUMENTO = TIPOS_DOCUMENTO;
+
 // ========================================
 // PROPIEDADES VIRTUALES
 // ========================================
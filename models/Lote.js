@@ -0,0 +1,95 @@
+/**
+ * Modelo para Lotes de Documentos Electrónicos
+ *
+ * Agrupa hasta 50 DE de una misma empresa que se envían juntos a la SET
+ * mediante la recepción asíncrona (siRecepLoteDE) y se consultan luego
+ * con el número de protocolo devuelto (dProtConsLote).
+ * Según Manual Técnico v150 - Sección 9.2: Recepción de Lote de DE
+ */
+
+const mongoose = require('mongoose');
+
+// Máximo de DE por lote según Manual Técnico v150
+const MAX_DOCUMENTOS_POR_LOTE = 50;
+
+const loteSchema = new mongoose.Schema({
+  // ========================================
+  // EMPRESA EMISORA
+  // ========================================
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  rucEmpresa: {
+    type: String,
+    required: true
+  },
+
+  // ========================================
+  // DOCUMENTOS DEL LOTE
+  // ========================================
+  invoiceIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice'
+    }],
+    validate: {
+      validator: function(v) {
+        return v.length > 0 && v.length <= MAX_DOCUMENTOS_POR_LOTE;
+      },
+      message: `Un lote debe contener entre 1 y ${MAX_DOCUMENTOS_POR_LOTE} documentos`
+    }
+  },
+
+  // ========================================
+  // ESTADO DEL LOTE
+  // ========================================
+  // encolado   → creado, esperando que el worker firme y envíe
+  // enviado    → recibido por la SET, esperando resultado (dProtConsLote asignado)
+  // concluido  → la SET terminó de procesar el lote (0362)
+  // rechazado  → la SET no encoló el lote (0301) o el número no existe (0360)
+  // error      → error de conexión o consulta extemporánea (0364)
+  estado: {
+    type: String,
+    enum: ['encolado', 'enviado', 'concluido', 'rechazado', 'error'],
+    default: 'encolado',
+    index: true
+  },
+
+  // ========================================
+  // RESPUESTA DE LA SET
+  // ========================================
+  protocolo: {
+    type: String,  // dProtConsLote - Número de lote para consultar el resultado
+    index: true
+  },
+  codigoRetorno: {
+    type: String  // dCodRes (recepción) o dCodResLot (consulta)
+  },
+  mensajeRetorno: {
+    type: String  // dMsgRes (recepción) o dMsgResLot (consulta)
+  },
+  fechaEnvio: {
+    type: Date
+  },
+  fechaConclusion: {
+    type: Date
+  },
+  intentosConsulta: {
+    type: Number,
+    default: 0
+  },
+  ultimaConsulta: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+loteSchema.index({ empresaId: 1, createdAt: -1 });
+
+loteSchema.statics.MAX_DOCUMENTOS_POR_LOTE = MAX_DOCUMENTOS_POR_LOTE;
+
+module.exports = mongoose.model('Lote', loteSchema);
@@ -0,0 +1,100 @@
+/**
+ * Modelo para Numeración de Documentos Electrónicos
+ *
+ * Contador de la serie de numeración administrada por el servidor.
+ * Cada serie es única por empresa + timbrado + establecimiento + punto de
+ * expedición + tipo de documento (Manual Técnico v150: dNumDoc es correlativo
+ * dentro de cada combinación de timbrado, dEst, dPunExp e iTiDE).
+ */
+
+const mongoose = require('mongoose');
+
+// dNumDoc tiene 7 dígitos
+const NUMERO_MAXIMO = 9999999;
+
+/**
+ * Error de numeración (se responde con 400 al cliente)
+ */
+class ErrorNumeracion extends Error {
+  constructor(mensaje) {
+    super(mensaje);
+    this.name = 'ErrorNumeracion';
+    this.codigo = 'NUMERACION_INVALIDA';
+  }
+}
+
+const numeracionSchema = new mongoose.Schema({
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  timbrado: {
+    type: String,
+    required: true
+  },
+  establecimiento: {
+    type: String,  // 3 dígitos (001)
+    required: true
+  },
+  punto: {
+    type: String,  // 3 dígitos (001)
+    required: true
+  },
+  tipoDocumento: {
+    type: Number,
+    required: true
+  },
+  // Último número asignado (0 = la serie todavía no emitió documentos)
+  ultimoNumero: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: NUMERO_MAXIMO
+  },
+  fechaUltimaAsignacion: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+numeracionSchema.index(
+  { empresaId: 1, timbrado: 1, establecimiento: 1, punto: 1, tipoDocumento: 1 },
+  { unique: true }
+);
+
+/**
+ * Asigna atómicamente el siguiente número de una serie (la crea si no existe)
+ * @param {Object} serie - { empresaId, timbrado, establecimiento, punto, tipoDocumento }
+ * @returns {Promise<number>} Número asignado
+ * @throws {ErrorNumeracion} Si la serie alcanzó NUMERO_MAXIMO
+ */
+numeracionSchema.statics.asignarSiguiente = async function(serie) {
+  try {
+    const numeracion = await this.findOneAndUpdate(
+      serie,
+      { $inc: { ultimoNumero: 1 }, $set: { fechaUltimaAsignacion: new Date() } },
+      { new: true, upsert: true }
+    );
+
+    if (numeracion.ultimoNumero > NUMERO_MAXIMO) {
+      await this.updateOne({ _id: numeracion._id }, { $inc: { ultimoNumero: -1 } });
+      throw new ErrorNumeracion(`La serie ${serie.establecimiento}-${serie.punto} (tipo ${serie.tipoDocumento}) alcanzó el número máximo ${NUMERO_MAXIMO}`);
+    }
+
+    return numeracion.ultimoNumero;
+  } catch (error) {
+    // Dos solicitudes crearon la serie al mismo tiempo: reintentar sobre la existente
+    if (error.code === 11000) {
+      return this.asignarSiguiente(serie);
+    }
+    throw error;
+  }
+};
+
+numeracionSchema.statics.NUMERO_MAXIMO = NUMERO_MAXIMO;
+numeracionSchema.statics.ErrorNumeracion = ErrorNumeracion;
+
+module.exports = mongoose.model('Numeracion', numeracionSchema);
@@ -9,7 +9,7 @@ const operationLogSchema = new mongoose.Schema({
   tipoOperacion: {
     type: String,
     required: true,
-    enum: ['inicio_proceso', 'generacion_xml', 'firma_xml', 'envio_sifen', 'respuesta_sifen', 'error', 'envio_exitoso', 'reintento', 'reintento_respuesta', 'actualizacion_estado', 'consulta_estado', 'error_consulta_estado', 'error_respuesta_set']
+    enum: ['inicio_proceso', 'generacion_xml', 'firma_xml', 'envio_sifen', 'respuesta_sifen', 'error', 'envio_exitoso', 'reintento', 'reintento_respuesta', 'actualizacion_estado', 'consulta_estado', 'error_consulta_estado', 'error_respuesta_set', 'envio_lote', 'consulta_lote', 'validacion_xml', 'cancelacion', 'contingencia']
   },
   descripcion: {
     type: String,
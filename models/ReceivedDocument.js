@@ -0,0 +1,143 @@
+/**
+ * Modelo para Documentos Recibidos
+ *
+ * Documentos Electrónicos emitidos por proveedores a nuestras empresas
+ * (la empresa es el receptor del DE). Se importan por CDC (consulta a la SET)
+ * o subiendo el XML, se verifica su firma y QR, y sobre ellos se envían los
+ * eventos del receptor (conformidad, disconformidad, desconocimiento,
+ * notificación de recepción). Manual Técnico v150 - Sección 11.
+ */
+
+const mongoose = require('mongoose');
+
+const receivedDocumentSchema = new mongoose.Schema({
+  // ========================================
+  // EMPRESA RECEPTORA
+  // ========================================
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  rucEmpresa: {
+    type: String,
+    required: true
+  },
+
+  // ========================================
+  // DATOS DEL DOCUMENTO
+  // ========================================
+  cdc: {
+    type: String,
+    required: true
+  },
+  tipoDocumento: {
+    type: Number  // iTiDE
+  },
+  descripcionTipo: {
+    type: String  // dDesTiDE
+  },
+  timbrado: String,
+  establecimiento: String,
+  punto: String,
+  numero: String,
+  fechaEmision: {
+    type: String  // dFeEmiDE tal como figura en el XML
+  },
+  emisor: {
+    ruc: String,
+    dv: String,
+    nombre: String
+  },
+  receptor: {
+    ruc: String,
+    dv: String,
+    numeroDocumento: String,
+    nombre: String
+  },
+  moneda: {
+    type: String,
+    default: 'PYG'
+  },
+  total: {
+    type: Number,
+    default: 0
+  },
+  totalIVA: {
+    type: Number,
+    default: 0
+  },
+  cantidadItems: {
+    type: Number,
+    default: 0
+  },
+  digestValue: {
+    type: String
+  },
+  qrCode: {
+    type: String
+  },
+  xml: {
+    type: String,
+    required: true
+  },
+
+  // ========================================
+  // IMPORTACIÓN Y VERIFICACIÓN
+  // ========================================
+  origen: {
+    type: String,
+    enum: ['cdc', 'xml'],
+    required: true
+  },
+  fechaRecepcion: {
+    type: Date,
+    default: Date.now
+  },
+  verificacion: {
+    firmaValida: Boolean,
+    mensajeFirma: String,
+    certificado: {
+      subject: String,
+      issuer: String,
+      serialNumber: String,
+      validoDesde: Date,
+      validoHasta: Date,
+      ruc: String,
+      // Encadena a una CA confiable (CA_CONFIABLES_DIR)
+      confiable: Boolean
+    },
+    // El certificado de la firma pertenece al RUC emisor del DE
+    firmanteCoincide: Boolean,
+    qrValido: Boolean,
+    erroresQR: [String],
+    fechaVerificacion: Date
+  },
+  // Estado informado por la SET en la consulta por CDC (solo origen 'cdc')
+  estadoSET: {
+    type: String
+  },
+
+  // ========================================
+  // EVENTOS DEL RECEPTOR
+  // ========================================
+  // Último evento del receptor registrado en la SET
+  estadoReceptor: {
+    type: String,
+    enum: ['pendiente', 'notificacion_recepcion', 'conformidad', 'disconformidad', 'desconocimiento'],
+    default: 'pendiente'
+  },
+  fechaEstadoReceptor: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Un mismo CDC se importa una sola vez por empresa
+receivedDocumentSchema.index({ empresaId: 1, cdc: 1 }, { unique: true });
+receivedDocumentSchema.index({ empresaId: 1, fechaRecepcion: -1 });
+receivedDocumentSchema.index({ 'emisor.ruc': 1 });
+
+module.exports = mongoose.model('ReceivedDocument', receivedDocumentSchema);
@@ -0,0 +1,76 @@
+/**
+ * Modelo para Ejecuciones de la Reconciliación de Estados
+ *
+ * Cada ejecución del job periódico que consulta a la SET las facturas en
+ * estados no finales (encolado, procesando, enviado) guarda aquí su resumen,
+ * que se expone en GET /api/reconciliacion.
+ */
+
+const mongoose = require('mongoose');
+
+const reconciliacionSchema = new mongoose.Schema({
+  estado: {
+    type: String,
+    enum: ['en_curso', 'completada', 'error'],
+    default: 'en_curso',
+    index: true
+  },
+  origen: {
+    type: String,
+    enum: ['programada', 'manual'],
+    default: 'programada'
+  },
+  fechaInicio: {
+    type: Date,
+    default: Date.now
+  },
+  fechaFin: {
+    type: Date
+  },
+  duracionMs: {
+    type: Number
+  },
+
+  // ========================================
+  // TOTALES
+  // ========================================
+  revisadas: {
+    type: Number,
+    default: 0
+  },
+  actualizadas: {
+    type: Number,
+    default: 0
+  },
+  sinCambios: {
+    type: Number,
+    default: 0
+  },
+  errores: {
+    type: Number,
+    default: 0
+  },
+
+  // ========================================
+  // DETALLE POR EMPRESA
+  // ========================================
+  empresas: [{
+    empresaId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Empresa'
+    },
+    ruc: String,
+    revisadas: { type: Number, default: 0 },
+    actualizadas: { type: Number, default: 0 },
+    errores: { type: Number, default: 0 },
+    omitida: String  // Motivo si no se pudo consultar (ej: sin certificado)
+  }],
+
+  error: {
+    type: String  // Error que interrumpió la ejecución
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Reconciliacion', reconciliacionSchema);
@@ -0,0 +1,75 @@
+/**
+ * Modelo para Sesiones de usuario (refresh tokens)
+ *
+ * Cada login abre una sesión por dispositivo. El refresh token tiene la forma
+ * `<sesionId>.<secreto>` y solo se guarda el hash del secreto vigente: cada
+ * renovación lo rota, y presentar un refresh token ya rotado revoca la sesión
+ * (posible robo del token). Las sesiones vencidas se eliminan solas (índice TTL).
+ */
+
+const mongoose = require('mongoose');
+
+const sesionSchema = new mongoose.Schema({
+  usuarioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,  // SHA-256 del secreto del refresh token vigente
+    required: true
+  },
+  // jti del último access token emitido (se agrega a la denylist al revocar)
+  accessJti: {
+    type: String
+  },
+  accessExpiracion: {
+    type: Date
+  },
+  // Dispositivo que abrió la sesión
+  dispositivo: {
+    type: String,
+    trim: true
+  },
+  ip: {
+    type: String
+  },
+  ultimoUso: {
+    type: Date,
+    default: Date.now
+  },
+  renovaciones: {
+    type: Number,
+    default: 0
+  },
+  revocada: {
+    type: Boolean,
+    default: false
+  },
+  fechaRevocacion: {
+    type: Date
+  },
+  motivoRevocacion: {
+    type: String,
+    enum: ['logout', 'revocada_por_usuario', 'reuso_refresh_token', 'cambio_password', 'usuario_desactivado']
+  },
+  fechaExpiracion: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+sesionSchema.index({ fechaExpiracion: 1 }, { expireAfterSeconds: 0 });
+
+// Método para ocultar el hash del refresh token
+sesionSchema.methods.toJSON = function() {
+  const sesion = this.toObject();
+  delete sesion.refreshTokenHash;
+  delete sesion.accessJti;
+  return sesion;
+};
+
+module.exports = mongoose.model('Sesion', sesionSchema);
@@ -0,0 +1,31 @@
+/**
+ * Modelo para la Denylist de access tokens (JWT)
+ *
+ * Un JWT no se puede invalidar: al cerrar o revocar una sesión se agrega el
+ * jti de su access token vigente y verificarToken lo rechaza. Cada registro se
+ * elimina solo cuando el token hubiera vencido igual (índice TTL).
+ */
+
+const mongoose = require('mongoose');
+
+const tokenRevocadoSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usuarioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fechaExpiracion: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+tokenRevocadoSchema.index({ fechaExpiracion: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TokenRevocado', tokenRevocadoSchema);
@@ -1,5 +1,26 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// Bloqueo de la cuenta tras intentos de login fallidos consecutivos
+const MAX_INTENTOS_LOGIN = parseInt(process.env.LOGIN_MAX_INTENTOS, 10) || 5;
+const BLOQUEO_MINUTOS = parseInt(process.env.LOGIN_BLOQUEO_MINUTOS, 10) || 15;
+
+// Vigencia de un token de restablecimiento de contraseña (minutos)
+const RESET_PASSWORD_MINUTOS = parseInt(process.env.RESET_PASSWORD_VIGENCIA_MINUTOS, 10) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Política de roles: permisos (los mismos scopes de ApiKey) que otorga cada rol
+// - contador: solo lectura de facturas, eventos, reportes y descargas
+// - usuario: además emite documentos y envía eventos
+// - admin: todo (empresas, certificados, API Keys, colas)
+// Una API Key nunca supera los permisos del rol de su usuario
+const PERMISOS_POR_ROL = {
+  contador: ['facturas:leer', 'stats:leer'],
+  usuario: ['facturas:leer', 'stats:leer', 'facturas:crear', 'eventos:enviar'],
+  admin: ['admin']
+};
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -45,6 +66,19 @@ const userSchema = new mongoose.Schema({
   ultimoAcceso: {
     type: Date
   },
+  // Intentos de login fallidos consecutivos y bloqueo temporal
+  intentosFallidos: {
+    type: Number,
+    default: 0
+  },
+  bloqueadoHasta: {
+    type: Date
+  },
+  // Restablecimiento de contraseña (solo el hash del token)
+  resetPassword: {
+    tokenHash: { type: String, index: true },
+    fechaExpiracion: Date
+  },
   fechaCreacion: {
     type: Date,
     default: Date.now
@@ -73,11 +107,90 @@ userSchema.methods.compararPassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
+// Método para verificar si la cuenta está bloqueada por intentos fallidos
+userSchema.methods.estaBloqueado = function(ahora = new Date()) {
+  return Boolean(this.bloqueadoHasta && this.bloqueadoHasta > ahora);
+};
+
+// Método para registrar un login fallido (bloquea la cuenta al llegar al máximo)
+// El contador se incrementa en la base ($inc): con save() los logins fallidos
+// concurrentes leerían el mismo valor y el bloqueo se podría evitar
+userSchema.methods.registrarIntentoFallido = async function() {
+  const actualizado = await this.constructor.findOneAndUpdate(
+    { _id: this._id },
+    { $inc: { intentosFallidos: 1 } },
+    { new: true, projection: { intentosFallidos: 1, bloqueadoHasta: 1 } }
+  );
+  if (!actualizado) return;
+
+  if (actualizado.intentosFallidos >= MAX_INTENTOS_LOGIN) {
+    const bloqueadoHasta = new Date(Date.now() + BLOQUEO_MINUTOS * 60 * 1000);
+    // Entre las solicitudes concurrentes que llegan al máximo, solo una bloquea y reinicia el contador
+    await this.constructor.updateOne(
+      { _id: this._id, intentosFallidos: { $gte: MAX_INTENTOS_LOGIN } },
+      { $set: { bloqueadoHasta, intentosFallidos: 0 } }
+    );
+    this.$set({ bloqueadoHasta, intentosFallidos: 0 });
+  } else {
+    this.$set({ intentosFallidos: actualizado.intentosFallidos, bloqueadoHasta: actualizado.bloqueadoHasta });
+  }
+};
+
+// Método para registrar un login exitoso: reinicia los intentos fallidos y el último acceso
+// Retorna false si otra solicitud bloqueó la cuenta mientras se verificaba el password
+userSchema.methods.registrarLoginExitoso = async function() {
+  const ahora = new Date();
+  const resultado = await this.constructor.updateOne(
+    { _id: this._id, $or: [{ bloqueadoHasta: null }, { bloqueadoHasta: { $lte: ahora } }] },
+    { $set: { intentosFallidos: 0, ultimoAcceso: ahora }, $unset: { bloqueadoHasta: 1 } }
+  );
+  if (resultado.matchedCount !== 1) return false;
+
+  this.$set({ intentosFallidos: 0, ultimoAcceso: ahora, bloqueadoHasta: undefined });
+  return true;
+};
+
+// Método para quitar el bloqueo y reiniciar los intentos fallidos
+userSchema.methods.desbloquear = function() {
+  this.intentosFallidos = 0;
+  this.bloqueadoHasta = undefined;
+};
+
+// Método para generar un token de restablecimiento de contraseña
+// Retorna el token en claro (solo se guarda su hash); no guarda el usuario
+userSchema.methods.generarTokenResetPassword = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.resetPassword = {
+    tokenHash: hashToken(token),
+    fechaExpiracion: new Date(Date.now() + RESET_PASSWORD_MINUTOS * 60 * 1000)
+  };
+  return token;
+};
+
+// Método estático para encontrar un usuario activo por un token de restablecimiento vigente
+userSchema.statics.encontrarPorTokenReset = async function(token) {
+  return this.findOne({
+    'resetPassword.tokenHash': hashToken(token),
+    'resetPassword.fechaExpiracion': { $gt: new Date() },
+    activo: true
+  });
+};
+
+// Método para verificar si el rol del usuario otorga un permiso
+userSchema.methods.tienePermiso = function(permiso) {
+  const permisos = PERMISOS_POR_ROL[this.rol] || [];
+  return permisos.includes(permiso) || permisos.includes('admin');
+};
+
 // Método para obtener datos públicos del usuario (sin password)
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.resetPassword;
   return user;
 };
 
+userSchema.statics.PERMISOS_POR_ROL = PERMISOS_POR_ROL;
+userSchema.statics.ROLES = Object.keys(PERMISOS_POR_ROL);
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,80 @@
+/**
+ * Modelo para Suscripciones de Webhooks
+ *
+ * Cada empresa puede registrar URLs que reciben notificaciones (POST firmado
+ * con HMAC-SHA256) cuando cambia el estado de sus facturas, se genera el KUDE
+ * o se registra un evento en la SET.
+ */
+
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Eventos que pueden notificarse por webhook
+ */
+const EVENTOS_WEBHOOK = [
+  'factura.aceptado',
+  'factura.rechazado',
+  'factura.observado',
+  'factura.error',
+  'factura.cancelado',
+  'kude.generado',
+  'evento.registrado'
+];
+
+const webhookSchema = new mongoose.Schema({
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true,
+    trim: true,
+    validate: {
+      validator: function(v) {
+        return /^https?:\/\/.+/i.test(v);
+      },
+      message: 'URL inválida. Debe comenzar con http:// o https://'
+    }
+  },
+  // Secreto compartido para firmar las entregas (HMAC-SHA256)
+  secret: {
+    type: String,
+    required: true,
+    default: function() {
+      return crypto.randomBytes(32).toString('hex');
+    }
+  },
+  // Filtro de eventos (vacío = todos los eventos)
+  eventos: {
+    type: [String],
+    enum: EVENTOS_WEBHOOK,
+    default: []
+  },
+  descripcion: {
+    type: String,
+    trim: true
+  },
+  activo: {
+    type: Boolean,
+    default: true
+  },
+  usuario: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Método: Verificar si la suscripción recibe un evento
+webhookSchema.methods.escucha = function(evento) {
+  return this.activo && (this.eventos.length === 0 || this.eventos.includes(evento));
+};
+
+webhookSchema.statics.EVENTOS_WEBHOOK = EVENTOS_WEBHOOK;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
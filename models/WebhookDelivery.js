@@ -0,0 +1,71 @@
+/**
+ * Modelo para el Registro de Entregas de Webhooks
+ *
+ * Cada notificación genera una entrega que se procesa en la cola "webhooks"
+ * con reintentos. Se guarda el resultado de cada intento para poder auditar
+ * y reenviar manualmente.
+ */
+
+const mongoose = require('mongoose');
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhookId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true,
+    index: true
+  },
+  empresaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Empresa',
+    required: true,
+    index: true
+  },
+  evento: {
+    type: String,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: Object,
+    default: {}
+  },
+
+  // ========================================
+  // RESULTADO DE LA ENTREGA
+  // ========================================
+  estado: {
+    type: String,
+    enum: ['pendiente', 'entregado', 'fallido'],
+    default: 'pendiente',
+    index: true
+  },
+  intentos: {
+    type: Number,
+    default: 0
+  },
+  codigoHttp: {
+    type: Number  // Código HTTP del último intento
+  },
+  respuesta: {
+    type: String  // Cuerpo de la respuesta del último intento (truncado)
+  },
+  error: {
+    type: String  // Error del último intento
+  },
+  duracionMs: {
+    type: Number
+  },
+  fechaEntrega: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
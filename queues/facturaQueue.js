@@ -51,6 +51,69 @@ const kudeQueue = new Queue('kude', {
   }
 });
 
+// Cola de envío asíncrono por lotes (recibeLote + consultaLote)
+const loteQueue = new Queue('lotes', {
+  redis: redisConfig,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000
+    },
+    removeOnComplete: 100,
+    removeOnFail: 1000,
+    timeout: 600000  // 10 minutos (firma de hasta 50 DE)
+  }
+});
+
+// Cola de entrega de webhooks (notificaciones salientes firmadas)
+const webhookQueue = new Queue('webhooks', {
+  redis: redisConfig,
+  defaultJobOptions: {
+    attempts: parseInt(process.env.WEBHOOK_MAX_INTENTOS, 10) || 6,
+    backoff: {
+      type: 'exponential',
+      delay: 10000  // 10s, 20s, 40s, 80s, 160s entre reintentos
+    },
+    removeOnComplete: 100,
+    removeOnFail: 1000,
+    timeout: 30000
+  }
+});
+
+// Cola de reconciliación periódica de estados (job repetible)
+const reconciliacionQueue = new Queue('reconciliacion', {
+  redis: redisConfig,
+  defaultJobOptions: {
+    attempts: 1,  // La siguiente ejecución programada hace de reintento
+    removeOnComplete: 50,
+    removeOnFail: 100,
+    timeout: 1800000  // 30 minutos
+  }
+});
+
+// Cola de envío de DE emitidos en contingencia (job repetible + envíos manuales)
+const contingenciaQueue = new Queue('contingencia', {
+  redis: redisConfig,
+  defaultJobOptions: {
+    attempts: 1,  // La siguiente ejecución programada hace de reintento
+    removeOnComplete: 50,
+    removeOnFail: 100,
+    timeout: 1800000  // 30 minutos
+  }
+});
+
+// Cola de revisión de vencimiento de certificados (job repetible)
+const certificadoQueue = new Queue('certificados', {
+  redis: redisConfig,
+  defaultJobOptions: {
+    attempts: 1,  // La siguiente ejecución programada hace de reintento
+    removeOnComplete: 50,
+    removeOnFail: 100,
+    timeout: 300000  // 5 minutos
+  }
+});
+
 // ========================================
 // EVENTOS DE MONITOREO
 // ========================================
@@ -100,6 +163,39 @@ kudeQueue.on('failed', (job, err) => {
   console.error(`❌ [KUDE] Job ${job.id} falló: ${err.message}`);
 });
 
+// Eventos de webhooks
+webhookQueue.on('failed', (job, err) => {
+  console.error(`❌ [WEBHOOK] Job ${job.id} falló (intento ${job.attemptsMade}): ${err.message}`);
+});
+
+// Eventos de reconciliación
+reconciliacionQueue.on('completed', (job, result) => {
+  console.log(`✅ [RECONCILIACION] Job ${job.id} completado - Actualizadas: ${result?.actualizadas ?? 'N/A'}`);
+});
+
+reconciliacionQueue.on('failed', (job, err) => {
+  console.error(`❌ [RECONCILIACION] Job ${job.id} falló: ${err.message}`);
+});
+
+// Eventos de contingencia
+contingenciaQueue.on('failed', (job, err) => {
+  console.error(`❌ [CONTINGENCIA] Job ${job.id} falló: ${err.message}`);
+});
+
+// Eventos de certificados
+certificadoQueue.on('failed', (job, err) => {
+  console.error(`❌ [CERTIFICADOS] Job ${job.id} falló: ${err.message}`);
+});
+
+// Eventos de lotes
+loteQueue.on('completed', (job, result) => {
+  console.log(`✅ [LOTE] Job ${job.id} completado - Estado: ${result?.estado || 'N/A'}`);
+});
+
+loteQueue.on('failed', (job, err) => {
+  console.error(`❌ [LOTE] Job ${job.id} falló: ${err.message}`);
+});
+
 // ========================================
 // FUNCIONES UTILITARIAS
 // ========================================
@@ -122,6 +218,22 @@ async function getQueueStats() {
     kudeQueue.getFailedCount()
   ]);
 
+  const [loteWaiting, loteActive, loteCompleted, loteFailed, loteDelayed] = await Promise.all([
+    loteQueue.getWaitingCount(),
+    loteQueue.getActiveCount(),
+    loteQueue.getCompletedCount(),
+    loteQueue.getFailedCount(),
+    loteQueue.getDelayedCount()
+  ]);
+
+  const [webhookWaiting, webhookActive, webhookCompleted, webhookFailed, webhookDelayed] = await Promise.all([
+    webhookQueue.getWaitingCount(),
+    webhookQueue.getActiveCount(),
+    webhookQueue.getCompletedCount(),
+    webhookQueue.getFailedCount(),
+    webhookQueue.getDelayedCount()
+  ]);
+
   return {
     facturacion: {
       waiting: facturacionWaiting,
@@ -134,6 +246,20 @@ async function getQueueStats() {
       active: kudeActive,
       completed: kudeCompleted,
       failed: kudeFailed
+    },
+    lotes: {
+      waiting: loteWaiting,
+      active: loteActive,
+      completed: loteCompleted,
+      failed: loteFailed,
+      delayed: loteDelayed
+    },
+    webhooks: {
+      waiting: webhookWaiting,
+      active: webhookActive,
+      completed: webhookCompleted,
+      failed: webhookFailed,
+      delayed: webhookDelayed
     }
   };
 }
@@ -180,8 +306,10 @@ async function cleanAllJobs(queue) {
 
 /**
  * Obtener jobs recientes de las colas
+ * @param {number} limit - Cantidad máxima de jobs
+ * @param {Object} opciones - { empresaIds: solo jobs de esas empresas (ver middleware/empresas) }
  */
-async function getRecentJobs(limit = 20) {
+async function getRecentJobs(limit = 20, { empresaIds } = {}) {
   const [completed, failed, active, waiting] = await Promise.all([
     facturaQueue.getCompleted(0, limit - 1),
     facturaQueue.getFailed(0, limit - 1),
@@ -219,12 +347,16 @@ async function getRecentJobs(limit = 20) {
     };
   };
 
+  // Jobs de las empresas permitidas (el job guarda el empresaId de la factura)
+  const permitidas = empresaIds ? empresaIds.map(id => id.toString()) : null;
+  const delAlcance = job => !permitidas || permitidas.includes(String(job.data?.empresaId));
+
   // Combinar y ordenar por fecha (más reciente primero)
   const allJobs = [
-    ...completed.map(job => formatJob(job, 'facturacion')),
-    ...failed.map(job => formatJob(job, 'facturacion')),
-    ...active.map(job => formatJob(job, 'facturacion')),
-    ...waiting.map(job => formatJob(job, 'facturacion'))
+    ...completed.filter(delAlcance).map(job => formatJob(job, 'facturacion')),
+    ...failed.filter(delAlcance).map(job => formatJob(job, 'facturacion')),
+    ...active.filter(delAlcance).map(job => formatJob(job, 'facturacion')),
+    ...waiting.filter(delAlcance).map(job => formatJob(job, 'facturacion'))
   ];
 
   // Ordenar por timestamp descendente
@@ -256,6 +388,11 @@ async function retryFailedJobs(queue, limit = 10) {
 module.exports = {
   facturaQueue,
   kudeQueue,
+  loteQueue,
+  webhookQueue,
+  reconciliacionQueue,
+  contingenciaQueue,
+  certificadoQueue,
   getQueueStats,
   getRecentJobs,
   cleanCompletedJobs,
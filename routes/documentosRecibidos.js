@@ -0,0 +1,423 @@
+/**
+ * Rutas para Documentos Recibidos (bandeja del receptor)
+ *
+ * DE emitidos por proveedores a nuestras empresas:
+ * - Importación por CDC (consulta a la SET) o subiendo el XML
+ * - Verificación de firma digital y QR
+ * - Eventos del receptor: notificación de recepción, conformidad,
+ *   disconformidad y desconocimiento (Manual Técnico v150 - Sección 11.3)
+ */
+
+const express = require('express');
+const router = express.Router();
+const Empresa = require('../models/Empresa');
+const Evento = require('../models/Evento');
+const ReceivedDocument = require('../models/ReceivedDocument');
+const documentoRecibidoService = require('../services/documentoRecibidoService');
+const eventoService = require('../services/eventoService');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { resolverEmpresas, filtroEmpresas, empresaPermitida } = require('../middleware/empresas');
+const { uploadXml, manejarErrorUpload } = require('../middleware/upload');
+
+// Todas las rutas requieren autenticación y se limitan a las empresas permitidas
+router.use(verificarToken, resolverEmpresas);
+
+const EVENTOS_RECEPTOR = ['notificacion_recepcion', 'conformidad', 'disconformidad', 'desconocimiento'];
+
+// Eventos que se pueden enviar sobre un documento sin firma confiable del emisor
+const EVENTOS_SIN_FIRMA_VALIDA = ['desconocimiento'];
+
+// Campos del listado (el XML se descarga aparte)
+const CAMPOS_SIN_XML = '-xml';
+
+/**
+ * Busca la empresa receptora entre las permitidas por "empresaId" o "ruc"
+ */
+async function buscarEmpresaUsuario({ empresaId, ruc }, req) {
+  if (empresaId) {
+    return empresaPermitida(req, empresaId) ? Empresa.findById(empresaId) : null;
+  }
+  return Empresa.findOne({ ruc: String(ruc).trim(), ...filtroEmpresas(req, '_id') });
+}
+
+/**
+ * Busca un documento recibido que pertenezca a una empresa permitida
+ */
+async function buscarDocumentoUsuario(id, req, campos) {
+  const query = ReceivedDocument.findOne({ _id: id, ...filtroEmpresas(req) });
+  return campos ? query.select(campos) : query;
+}
+
+/**
+ * @route   POST /api/documentos-recibidos/importar
+ * @desc    Importar un DE recibido por CDC o subiendo el XML
+ * @access  Privada
+ *
+ * JSON:
+ * {
+ *   "ruc": "80012345-6",        // o "empresaId" (empresa receptora)
+ *   "cdc": "0180099999...",      // importar consultando la SET
+ *   "xml": "<rDE>...</rDE>"      // o el XML del documento
+ * }
+ *
+ * Multipart: campo "xml" (archivo .xml) + "ruc" o "empresaId"
+ */
+router.post('/importar', requierePermiso('facturas:crear'), uploadXml.single('xml'), manejarErrorUpload, async (req, res) => {
+  try {
+    const { ruc, empresaId, cdc } = req.body;
+    const xml = req.file ? req.file.buffer.toString('utf8') : req.body.xml;
+
+    if (!ruc && !empresaId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Empresa requerida',
+        mensaje: 'Indique "ruc" o "empresaId" de la empresa receptora'
+      });
+    }
+
+    if (!cdc && !xml) {
+      return res.status(400).json({
+        success: false,
+        error: 'Documento requerido',
+        mensaje: 'Indique el "cdc" a consultar en la SET o envíe el "xml" del documento'
+      });
+    }
+
+    const empresa = await buscarEmpresaUsuario({ empresaId, ruc }, req);
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    const { documento, creado } = await documentoRecibidoService.importarDocumento(empresa, {
+      xml,
+      cdc: cdc ? String(cdc).trim() : undefined
+    });
+
+    const datos = documento.toObject();
+    delete datos.xml;
+
+    res.status(creado ? 201 : 200).json({
+      success: true,
+      message: creado ? 'Documento importado' : 'El documento ya estaba importado',
+      data: datos
+    });
+
+  } catch (error) {
+    console.error('❌ Error importando documento recibido:', error);
+
+    if (error.codigo === 'CREDENCIALES_NO_DISPONIBLES') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Certificado de la empresa no disponible',
+        mensaje: error.message
+      });
+    }
+
+    if (error.codigo === 'IMPORTACION_INVALIDA') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'No se pudo importar el documento',
+        mensaje: error.message,
+        ...error.detalle
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Error al importar documento',
+      mensaje: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documentos-recibidos
+ * @desc    Listar documentos recibidos de las empresas del usuario
+ * @access  Privada
+ *
+ * Query: empresaId, emisor (RUC), estadoReceptor, page, limit
+ */
+router.get('/', requierePermiso('facturas:leer'), async (req, res) => {
+  try {
+    const { page = 1, limit = 10, empresaId, emisor, estadoReceptor } = req.query;
+
+    const empresaIds = req.empresaIds.map(id => id.toString());
+
+    const query = { empresaId: { $in: empresaIds } };
+    if (empresaId) {
+      query.empresaId = empresaIds.includes(empresaId) ? empresaId : null;
+    }
+    if (emisor) {
+      query['emisor.ruc'] = String(emisor).split('-')[0];
+    }
+    if (estadoReceptor) {
+      query.estadoReceptor = estadoReceptor;
+    }
+
+    const documentos = await ReceivedDocument.find(query)
+      .select(CAMPOS_SIN_XML)
+      .sort({ fechaRecepcion: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await ReceivedDocument.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: documentos,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('❌ Error listando documentos recibidos:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al listar documentos recibidos',
+      mensaje: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documentos-recibidos/:id
+ * @desc    Obtener un documento recibido (sin el XML)
+ * @access  Privada
+ */
+router.get('/:id', requierePermiso('facturas:leer'), async (req, res) => {
+  try {
+    const documento = await buscarDocumentoUsuario(req.params.id, req, CAMPOS_SIN_XML);
+
+    if (!documento) {
+      return res.status(404).json({
+        success: false,
+        error: 'Documento no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: documento
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener documento',
+      mensaje: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documentos-recibidos/:id/xml
+ * @desc    Descargar el XML del documento recibido
+ * @access  Privada
+ */
+router.get('/:id/xml', requierePermiso('facturas:leer'), async (req, res) => {
+  try {
+    const documento = await buscarDocumentoUsuario(req.params.id, req);
+
+    if (!documento) {
+      return res.status(404).json({ message: 'Documento no encontrado' });
+    }
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Disposition', `attachment; filename="recibido_${documento.cdc}.xml"`);
+    res.send(documento.xml);
+  } catch (error) {
+    console.error('Error descargando XML recibido:', error);
+    res.status(500).json({ message: 'Error al descargar XML' });
+  }
+});
+
+/**
+ * @route   POST /api/documentos-recibidos/:id/verificar
+ * @desc    Volver a verificar la firma y el QR del documento
+ * @access  Privada
+ */
+router.post('/:id/verificar', requierePermiso('facturas:leer'), async (req, res) => {
+  try {
+    const documento = await buscarDocumentoUsuario(req.params.id, req);
+
+    if (!documento) {
+      return res.status(404).json({
+        success: false,
+        error: 'Documento no encontrado'
+      });
+    }
+
+    await documentoRecibidoService.reverificarDocumento(documento);
+
+    res.json({
+      success: true,
+      data: {
+        documentoId: documento._id,
+        cdc: documento.cdc,
+        verificacion: documento.verificacion
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error verificando documento recibido:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al verificar documento',
+      mensaje: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/documentos-recibidos/:id/eventos
+ * @desc    Enviar un evento del receptor a la SET
+ * @access  Privada
+ *
+ * Body:
+ * {
+ *   "tipoEvento": "notificacion_recepcion" | "conformidad" | "disconformidad" | "desconocimiento",
+ *   "motivo": "Mercadería no recibida",   // disconformidad y desconocimiento (5-500 caracteres)
+ *   "tipoConformidad": 1,                // conformidad: 1 = total, 2 = parcial
+ *   "fechaRecepcion": "2026-10-19T10:00:00"  // opcional (por defecto la fecha de importación)
+ * }
+ */
+router.post('/:id/eventos', requierePermiso('eventos:enviar'), async (req, res) => {
+  try {
+    const { tipoEvento, motivo, fechaRecepcion, usuario } = req.body;
+    const tipoConformidad = parseInt(req.body.tipoConformidad || 1, 10);
+
+    if (!EVENTOS_RECEPTOR.includes(tipoEvento)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tipo de evento no válido',
+        tiposValidos: EVENTOS_RECEPTOR
+      });
+    }
+
+    if (['disconformidad', 'desconocimiento'].includes(tipoEvento) &&
+        (!motivo || motivo.trim().length < 5 || motivo.trim().length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: 'El motivo debe tener entre 5 y 500 caracteres'
+      });
+    }
+
+    if (tipoEvento === 'conformidad' && ![1, 2].includes(tipoConformidad)) {
+      return res.status(400).json({
+        success: false,
+        error: 'tipoConformidad debe ser 1 (total) o 2 (parcial)'
+      });
+    }
+
+    const documento = await buscarDocumentoUsuario(req.params.id, req, CAMPOS_SIN_XML);
+    if (!documento) {
+      return res.status(404).json({
+        success: false,
+        error: 'Documento no encontrado'
+      });
+    }
+
+    // Solo se desconoce un documento cuya firma no prueba que lo emitió el proveedor
+    const firmaConfiable = documento.verificacion?.firmaValida && documento.verificacion?.firmanteCoincide;
+    if (!firmaConfiable && !EVENTOS_SIN_FIRMA_VALIDA.includes(tipoEvento)) {
+      return res.status(400).json({
+        success: false,
+        error: 'La firma del documento no es válida o no pertenece al emisor: solo se puede enviar desconocimiento',
+        verificacion: documento.verificacion
+      });
+    }
+
+    const eventoPrevio = await Evento.findOne({
+      documentoRecibidoId: documento._id,
+      tipoEvento,
+      estadoEvento: 'registrado'
+    });
+    if (eventoPrevio) {
+      return res.status(409).json({
+        success: false,
+        error: `El evento "${tipoEvento}" ya fue registrado para este documento`,
+        eventoId: eventoPrevio._id
+      });
+    }
+
+    const resultado = await eventoService.enviarEventoReceptor({
+      documentoId: documento._id,
+      tipoEvento,
+      motivo: motivo ? motivo.trim() : undefined,
+      tipoConformidad,
+      fechaRecepcion,
+      usuario: usuario || {
+        documentoNumero: '0',
+        nombre: req.usuario.nombre || req.usuario.username || 'Sistema'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Evento enviado a SET correctamente',
+      data: resultado
+    });
+
+  } catch (error) {
+    console.error('❌ Error enviando evento del receptor:', error);
+
+    if (error.codigo === 'CREDENCIALES_NO_DISPONIBLES') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Certificado de la empresa no disponible',
+        mensaje: error.message
+      });
+    }
+
+    if (error.codigo === 'XSD_INVALIDO') {
+      return res.status(422).json({
+        success: false,
+        error: 'XML del evento inválido según el esquema SIFEN',
+        mensaje: error.message,
+        esquema: error.esquema,
+        errores: error.errores
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Error al enviar evento',
+      mensaje: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/documentos-recibidos/:id/eventos
+ * @desc    Listar los eventos del receptor enviados sobre el documento
+ * @access  Privada
+ */
+router.get('/:id/eventos', requierePermiso('facturas:leer'), async (req, res) => {
+  try {
+    const documento = await buscarDocumentoUsuario(req.params.id, req, '_id');
+    if (!documento) {
+      return res.status(404).json({
+        success: false,
+        error: 'Documento no encontrado'
+      });
+    }
+
+    const eventos = await Evento.find({ documentoRecibidoId: documento._id })
+      .select('-xmlEvento -xmlFirmado')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: eventos
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener eventos',
+      mensaje: error.message
+    });
+  }
+});
+
+module.exports = router;
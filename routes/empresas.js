@@ -5,47 +5,55 @@
 
 const express = require('express');
 const router = express.Router();
-const { verificarToken } = require('../middleware/auth');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { resolverEmpresas } = require('../middleware/empresas');
 const { upload, manejarErrorUpload } = require('../middleware/upload');
 const empresaController = require('../controllers/empresaController');
 
-// Todas las rutas requieren autenticación
-router.use(verificarToken);
+// Todas las rutas requieren autenticación y se limitan a las empresas permitidas
+router.use(verificarToken, resolverEmpresas);
 
 /**
  * @route   GET /api/empresas
  * @desc    Listar todas las empresas del usuario
  * @access  Privada (requiere JWT o API Key)
  */
-router.get('/', empresaController.listar);
+router.get('/', requierePermiso('facturas:leer'), empresaController.listar);
 
 /**
  * @route   POST /api/empresas
  * @desc    Crear una nueva empresa
  * @access  Privada (requiere JWT o API Key)
  */
-router.post('/', empresaController.crear);
+router.post('/', requierePermiso('empresas:gestionar'), empresaController.crear);
+
+/**
+ * @route   GET /api/empresas/certificados/alertas
+ * @desc    Alertas de vencimiento de certificados (30/15/7 días y vencidos)
+ * @access  Privada (requiere JWT o API Key)
+ */
+router.get('/certificados/alertas', requierePermiso('certificados:gestionar'), empresaController.obtenerAlertasCertificado);
 
 /**
  * @route   GET /api/empresas/:id
  * @desc    Obtener detalles de una empresa
  * @access  Privada (requiere JWT o API Key)
  */
-router.get('/:id', empresaController.obtener);
+router.get('/:id', requierePermiso('facturas:leer'), empresaController.obtener);
 
 /**
  * @route   PUT /api/empresas/:id
  * @desc    Actualizar empresa existente
  * @access  Privada (requiere JWT o API Key)
  */
-router.put('/:id', empresaController.actualizar);
+router.put('/:id', requierePermiso('empresas:gestionar'), empresaController.actualizar);
 
 /**
  * @route   DELETE /api/empresas/:id
  * @desc    Eliminar empresa
  * @access  Privada (requiere JWT o API Key)
  */
-router.delete('/:id', empresaController.eliminar);
+router.delete('/:id', requierePermiso('empresas:gestionar'), empresaController.eliminar);
 
 /**
  * @route   POST /api/empresas/:id/certificado
@@ -54,23 +62,84 @@ router.delete('/:id', empresaController.eliminar);
  */
 router.post(
   '/:id/certificado',
+  requierePermiso('certificados:gestionar'),
   upload.single('certificado'),
   manejarErrorUpload,
   empresaController.subirCertificado
 );
 
+/**
+ * @route   GET /api/empresas/:id/certificados
+ * @desc    Historial de versiones del certificado digital
+ * @access  Privada (requiere JWT o API Key)
+ */
+router.get('/:id/certificados', requierePermiso('certificados:gestionar'), empresaController.listarHistorialCertificados);
+
+/**
+ * @route   POST /api/empresas/:id/certificados/:version/activar
+ * @desc    Volver a activar una versión anterior del certificado
+ * @access  Privada (requiere JWT o API Key)
+ */
+router.post('/:id/certificados/:version/activar', requierePermiso('certificados:gestionar'), empresaController.activarVersionCertificado);
+
 /**
  * @route   GET /api/empresas/:id/validar-certificado
  * @desc    Validar certificado de una empresa
  * @access  Privada (requiere JWT o API Key)
  */
-router.get('/:id/validar-certificado', empresaController.validarCertificado);
+router.get('/:id/validar-certificado', requierePermiso('certificados:gestionar'), empresaController.validarCertificado);
 
 /**
  * @route   GET /api/empresas/:id/stats
  * @desc    Obtener estadísticas de una empresa
  * @access  Privada (requiere JWT o API Key)
  */
-router.get('/:id/stats', empresaController.obtenerStats);
+router.get('/:id/stats', requierePermiso('stats:leer'), empresaController.obtenerStats);
+
+/**
+ * @route   GET /api/empresas/:id/numeracion
+ * @desc    Contadores de numeración por timbrado/establecimiento/punto/tipo y huecos detectados
+ * @access  Privada (requiere JWT o API Key)
+ */
+router.get('/:id/numeracion', requierePermiso('empresas:gestionar'), empresaController.obtenerNumeracion);
+
+/**
+ * @route   GET /api/empresas/:id/contingencia
+ * @desc    Estado de contingencia y DE pendientes de envío (con plazo de 72 horas)
+ * @access  Privada (requiere JWT o API Key)
+ */
+router.get('/:id/contingencia', requierePermiso('empresas:gestionar'), empresaController.obtenerContingencia);
+
+/**
+ * @route   PUT /api/empresas/:id/contingencia
+ * @desc    Activar/desactivar la contingencia manual y configurar la automática
+ * @access  Privada (requiere JWT o API Key)
+ *
+ * Body: { "activa": true, "motivo": "Sin conexión a internet", "automatica": true }
+ */
+router.put('/:id/contingencia', requierePermiso('empresas:gestionar'), empresaController.actualizarContingencia);
+
+/**
+ * @route   GET /api/empresas/:id/usuarios
+ * @desc    Usuarios asignados a la empresa
+ * @access  Privada (requiere JWT o API Key)
+ */
+router.get('/:id/usuarios', requierePermiso('empresas:gestionar'), empresaController.listarUsuarios);
+
+/**
+ * @route   POST /api/empresas/:id/usuarios
+ * @desc    Asignar un usuario a la empresa
+ * @access  Privada (requiere JWT o API Key)
+ *
+ * Body: { "usuarioId": "..." }
+ */
+router.post('/:id/usuarios', requierePermiso('empresas:gestionar'), empresaController.asignarUsuario);
+
+/**
+ * @route   DELETE /api/empresas/:id/usuarios/:usuarioId
+ * @desc    Quitar un usuario de la empresa
+ * @access  Privada (requiere JWT o API Key)
+ */
+router.delete('/:id/usuarios/:usuarioId', requierePermiso('empresas:gestionar'), empresaController.quitarUsuario);
 
 module.exports = router;
@@ -4,7 +4,7 @@
  * Manual Técnico v150 - Sección 11: Gestión de Eventos
  * 
  * Tipos de eventos:
- * - Emisor: Cancelación, Devolución/Ajuste
+ * - Emisor: Cancelación, Inutilización, Devolución/Ajuste
  * - Receptor: Conformidad, Disconformidad, Desconocimiento, Notificación
  */
 
@@ -12,11 +12,21 @@ const express = require('express');
 const router = express.Router();
 const Evento = require('../models/Evento');
 const Invoice = require('../models/Invoice');
+const Empresa = require('../models/Empresa');
+const Numeracion = require('../models/Numeracion');
 const eventoService = require('../services/eventoService');
-const { verificarToken } = require('../middleware/auth');
+const { TIPOS_DOCUMENTO } = require('../utils/tipoDocumento');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { resolverEmpresas, filtroEmpresas, empresaPermitida } = require('../middleware/empresas');
 
-// Todas las rutas requieren autenticación
-router.use(verificarToken);
+// Todas las rutas requieren autenticación y se limitan a las empresas permitidas
+router.use(verificarToken, resolverEmpresas);
+
+// Usuario del evento por defecto: el usuario autenticado
+const usuarioEvento = (req) => ({
+  documentoNumero: '0',
+  nombre: [req.usuario?.nombre, req.usuario?.apellido].filter(Boolean).join(' ') || 'Sistema'
+});
 
 /**
  * @route   POST /api/eventos/enviar
@@ -34,7 +44,7 @@ router.use(verificarToken);
  *   }
  * }
  */
-router.post('/enviar', async (req, res) => {
+router.post('/enviar', requierePermiso('eventos:enviar'), async (req, res) => {
   try {
     const { invoiceId, tipoEvento, descripcion, usuario } = req.body;
 
@@ -78,8 +88,8 @@ router.post('/enviar', async (req, res) => {
       });
     }
 
-    // Verificar que la factura existe
-    const invoice = await Invoice.findById(invoiceId);
+    // Verificar que la factura existe (y es de una empresa permitida)
+    const invoice = await Invoice.findOne({ _id: invoiceId, ...filtroEmpresas(req) });
     
     if (!invoice) {
       return res.status(404).json({
@@ -90,14 +100,33 @@ router.post('/enviar', async (req, res) => {
 
     // Validaciones específicas por tipo de evento
     if (tipoEvento === 'cancelacion') {
-      // La cancelación solo puede hacerla el emisor y dentro de las 48hs
-      // Por ahora solo validamos que esté aprobada
+      // La cancelación solo puede hacerla el emisor, sobre un DTE aprobado
+      // y dentro del plazo del tipo de documento (48hs para la FE)
+      if (invoice.estadoSifen === 'cancelado') {
+        return res.status(400).json({
+          success: false,
+          error: 'La factura ya fue cancelada',
+          fechaCancelacion: invoice.fechaCancelacion
+        });
+      }
+
       if (invoice.estadoSifen !== 'aceptado') {
         return res.status(400).json({
           success: false,
           error: 'Solo se puede cancelar facturas aprobadas por SET'
         });
       }
+
+      const plazo = eventoService.verificarPlazoCancelacion(invoice);
+      if (!plazo.permitido) {
+        return res.status(400).json({
+          success: false,
+          error: 'Plazo de cancelación vencido',
+          mensaje: plazo.motivo,
+          plazoHoras: plazo.plazoHoras,
+          fechaLimite: plazo.fechaLimite
+        });
+      }
     }
 
     // Enviar evento
@@ -105,10 +134,7 @@ router.post('/enviar', async (req, res) => {
       invoiceId,
       tipoEvento,
       descripcion,
-      usuario: usuario || {
-        documentoNumero: req.user?.documento || '0',
-        nombre: req.user?.nombre || 'Sistema'
-      }
+      usuario: usuario || usuarioEvento(req)
     });
 
     res.status(200).json({
@@ -119,6 +145,34 @@ router.post('/enviar', async (req, res) => {
 
   } catch (error) {
     console.error('❌ Error enviando evento:', error);
+
+    if (error.codigo === 'CREDENCIALES_NO_DISPONIBLES') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Certificado de la empresa no disponible',
+        mensaje: error.message
+      });
+    }
+
+    if (error.codigo === 'PLAZO_CANCELACION_VENCIDO') {
+      return res.status(400).json({
+        success: false,
+        error: 'Plazo de cancelación vencido',
+        mensaje: error.message,
+        plazoHoras: error.plazoHoras,
+        fechaLimite: error.fechaLimite
+      });
+    }
+
+    if (error.codigo === 'XSD_INVALIDO') {
+      return res.status(422).json({
+        success: false,
+        error: 'XML del evento inválido según el esquema SIFEN',
+        mensaje: error.message,
+        esquema: error.esquema,
+        errores: error.errores
+      });
+    }
     
     res.status(500).json({
       success: false,
@@ -128,16 +182,167 @@ router.post('/enviar', async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /api/eventos/inutilizar
+ * @desc    Inutilizar un rango de numeración ante la SET (evento rGeVeInu)
+ * @access  Privada
+ *
+ * Body:
+ * {
+ *   "ruc": "80012345-6",              // o "empresaId"
+ *   "timbrado": "12345678",           // opcional (por defecto el de la empresa)
+ *   "establecimiento": "001",
+ *   "punto": "001",
+ *   "tipoDocumento": 1,
+ *   "desde": 15,
+ *   "hasta": 17,
+ *   "motivo": "Números salteados por error del ERP"
+ * }
+ */
+router.post('/inutilizar', requierePermiso('eventos:enviar'), async (req, res) => {
+  try {
+    const { ruc, empresaId, establecimiento, punto, motivo, usuario } = req.body;
+    const tipoDocumento = parseInt(req.body.tipoDocumento, 10);
+    const desde = parseInt(req.body.desde, 10);
+    const hasta = parseInt(req.body.hasta, 10);
+
+    // ========================================
+    // EMPRESA EMISORA
+    // ========================================
+    if (!ruc && !empresaId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Empresa requerida',
+        mensaje: 'Indique "ruc" o "empresaId" de la empresa emisora'
+      });
+    }
+
+    const empresa = empresaId
+      ? await Empresa.findById(empresaId)
+      : await Empresa.findByRuc(ruc.trim());
+
+    if (!empresa || !empresaPermitida(req, empresa._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    if (!empresa.activo) {
+      return res.status(400).json({
+        success: false,
+        error: 'Empresa inactiva',
+        mensaje: `La empresa "${empresa.nombreFantasia}" está inactiva`
+      });
+    }
+
+    if (!empresa.tieneCertificadoValido()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Certificado inválido',
+        mensaje: 'La empresa no tiene un certificado digital válido cargado'
+      });
+    }
+
+    // ========================================
+    // VALIDAR RANGO (Manual Técnico v150 - rGeVeInu)
+    // ========================================
+    const timbrado = String(req.body.timbrado || empresa.configuracionSifen.timbrado);
+    const errores = [];
+
+    if (!/^\d{8}$/.test(timbrado)) {
+      errores.push('El timbrado debe tener 8 dígitos');
+    }
+    if (!/^\d{1,3}$/.test(String(establecimiento || ''))) {
+      errores.push('El establecimiento debe tener hasta 3 dígitos');
+    }
+    if (!/^\d{1,3}$/.test(String(punto || ''))) {
+      errores.push('El punto de expedición debe tener hasta 3 dígitos');
+    }
+    if (!TIPOS_DOCUMENTO[tipoDocumento]) {
+      errores.push(`Tipo de documento no soportado. Valores: ${Object.keys(TIPOS_DOCUMENTO).join(', ')}`);
+    }
+    if (!(desde >= 1 && hasta <= Numeracion.NUMERO_MAXIMO && desde <= hasta)) {
+      errores.push(`El rango debe cumplir 1 <= desde <= hasta <= ${Numeracion.NUMERO_MAXIMO}`);
+    }
+    if (!motivo || motivo.trim().length < 5 || motivo.trim().length > 500) {
+      errores.push('El motivo debe tener entre 5 y 500 caracteres');
+    }
+
+    if (errores.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Datos de inutilización inválidos',
+        errores
+      });
+    }
+
+    const resultado = await eventoService.inutilizarNumeracion({
+      empresa,
+      timbrado,
+      establecimiento: String(establecimiento).padStart(3, '0'),
+      punto: String(punto).padStart(3, '0'),
+      tipoDocumento,
+      desde,
+      hasta,
+      motivo: motivo.trim(),
+      usuario: usuario || usuarioEvento(req)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Evento de inutilización enviado a SET correctamente',
+      data: resultado
+    });
+
+  } catch (error) {
+    console.error('❌ Error enviando inutilización:', error);
+
+    if (error.codigo === 'CREDENCIALES_NO_DISPONIBLES') {
+      return res.status(error.status).json({
+        success: false,
+        error: 'Certificado de la empresa no disponible',
+        mensaje: error.message
+      });
+    }
+
+    if (error.codigo === 'RANGO_NO_DISPONIBLE') {
+      return res.status(409).json({
+        success: false,
+        error: 'Rango no disponible para inutilizar',
+        mensaje: error.message,
+        documentos: error.documentos
+      });
+    }
+
+    if (error.codigo === 'XSD_INVALIDO') {
+      return res.status(422).json({
+        success: false,
+        error: 'XML del evento inválido según el esquema SIFEN',
+        mensaje: error.message,
+        esquema: error.esquema,
+        errores: error.errores
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Error al enviar inutilización',
+      mensaje: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/eventos/factura/:invoiceId
  * @desc    Obtener eventos de una factura
  * @access  Privada
  */
-router.get('/factura/:invoiceId', async (req, res) => {
+router.get('/factura/:invoiceId', requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { invoiceId } = req.params;
 
-    const eventos = await eventoService.obtenerEventos(invoiceId);
+    const eventos = await eventoService.obtenerEventos(invoiceId, filtroEmpresas(req));
 
     res.status(200).json({
       success: true,
@@ -161,11 +366,11 @@ router.get('/factura/:invoiceId', async (req, res) => {
  * @desc    Obtener eventos por CDC
  * @access  Privada
  */
-router.get('/cdc/:cdc', async (req, res) => {
+router.get('/cdc/:cdc', requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { cdc } = req.params;
 
-    const eventos = await eventoService.obtenerEventosPorCDC(cdc);
+    const eventos = await eventoService.obtenerEventosPorCDC(cdc, filtroEmpresas(req));
 
     res.status(200).json({
       success: true,
@@ -189,11 +394,11 @@ router.get('/cdc/:cdc', async (req, res) => {
  * @desc    Obtener detalle de un evento
  * @access  Privada
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const evento = await Evento.findById(id)
+    const evento = await Evento.findOne({ _id: id, ...filtroEmpresas(req) })
       .populate('invoiceId', 'correlativo cdc estadoSifen')
       .populate('empresaId', 'ruc nombreFantasia');
 
@@ -225,11 +430,11 @@ router.get('/:id', async (req, res) => {
  * @desc    Listar eventos (con filtros)
  * @access  Privada
  */
-router.get('/', async (req, res) => {
+router.get('/', requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { tipoEvento, estadoEvento, cdc, page = 1, limit = 10 } = req.query;
 
-    const filtro = {};
+    const filtro = filtroEmpresas(req);
     if (tipoEvento) filtro.tipoEvento = tipoEvento;
     if (estadoEvento) filtro.estadoEvento = estadoEvento;
     if (cdc) filtro.cdc = cdc;
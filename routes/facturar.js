@@ -8,11 +8,22 @@ const router = express.Router();
 const Invoice = require('../models/Invoice');
 const Empresa = require('../models/Empresa');
 const { facturaQueue } = require('../queues/facturaQueue');
-const { verificarToken } = require('../middleware/auth');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { resolverEmpresas, filtroEmpresas } = require('../middleware/empresas');
+const { idempotencia } = require('../middleware/idempotencia');
 const { normalizarFechasEnObjeto, normalizarDatetime } = require('../utils/fechaUtils');
-
-// Todas las rutas requieren autenticación
-router.use(verificarToken);
+const {
+  TIPOS_DOCUMENTO,
+  TIPOS_NOTA,
+  TIPOS_ASOCIABLES,
+  obtenerTipoDocumento,
+  validarCamposRequeridos
+} = require('../utils/tipoDocumento');
+const { validarFactura } = require('../services/procesarFacturaService');
+const numeracionService = require('../services/numeracionService');
+
+// Todas las rutas requieren autenticación y se limitan a las empresas permitidas
+router.use(verificarToken, resolverEmpresas);
 
 // Generar hash para detectar duplicados
 // Soporta estructura plana y estructura param/data
@@ -23,12 +34,230 @@ function generarFacturaHash(datosFactura) {
   const ruc = datosFactura.param?.ruc || datosFactura.ruc?.replace(/[^0-9]/g, '') || '';
   const establecimiento = datosFactura.data?.establecimiento || datosFactura.establecimiento || '001';
   const numero = datosFactura.data?.numero || datosFactura.numero || '';
+  const tipoDocumento = obtenerTipoDocumento(datosFactura);
 
-  // Hash único por RUC + Establecimiento + Número
-  const cadena = `${ruc}|${establecimiento}|${numero}`;
+  // Hash único por RUC + Establecimiento + Número (+ Tipo de documento si no es factura,
+  // ya que cada tipo de documento tiene su propia numeración)
+  let cadena = `${ruc}|${establecimiento}|${numero}`;
+  if (tipoDocumento !== 1) {
+    cadena += `|${tipoDocumento}`;
+  }
   return crypto.createHash('sha256').update(cadena).digest('hex');
 }
 
+// Valida el tipo de documento y sus campos requeridos para /crear y /lote
+// Las NC/ND tienen endpoints propios porque requieren un documento asociado
+// Retorna null si es válido, o { error, mensaje, errores? }
+function validarTipoDocumentoFactura(datosFactura) {
+  const tipoDocumento = obtenerTipoDocumento(datosFactura);
+
+  if (TIPOS_NOTA.includes(tipoDocumento)) {
+    const endpoint = tipoDocumento === 5 ? 'nota-credito' : 'nota-debito';
+    return {
+      error: 'Tipo de documento no permitido',
+      mensaje: `Las notas de ${tipoDocumento === 5 ? 'crédito' : 'débito'} se emiten con POST /api/facturar/${endpoint}`
+    };
+  }
+
+  if (!TIPOS_DOCUMENTO[tipoDocumento]) {
+    return {
+      error: 'Tipo de documento no soportado',
+      mensaje: `El tipo de documento ${tipoDocumento} no está soportado`
+    };
+  }
+
+  const errores = validarCamposRequeridos(datosFactura.data || datosFactura, tipoDocumento);
+  if (errores.length > 0) {
+    return {
+      error: 'Campos requeridos faltantes',
+      mensaje: errores.map(error => error.mensaje).join('; '),
+      errores
+    };
+  }
+
+  return null;
+}
+
+// Buscar empresa por RUC (acepta RUC con o sin guión del DV)
+// Solo entre las empresas permitidas de la solicitud: otra empresa se informa como no encontrada
+async function buscarEmpresaPorRuc(rucEmpresa, req) {
+  const permitidas = filtroEmpresas(req, '_id');
+  let empresa = await Empresa.findOne({ ruc: rucEmpresa, ...permitidas });
+
+  // Búsquedas alternativas con/sin guión
+  if (!empresa && rucEmpresa.includes('-')) {
+    const rucSinGuiones = rucEmpresa.replace(/[^0-9]/g, '');
+    empresa = await Empresa.findOne({ ruc: rucSinGuiones, ...permitidas });
+  }
+  if (!empresa && !rucEmpresa.includes('-')) {
+    const rucSinGuiones = rucEmpresa.replace(/[^0-9]/g, '');
+    if (rucSinGuiones.length >= 7 && rucSinGuiones.length <= 9) {
+      const parteNumerica = rucSinGuiones.slice(0, -1);
+      const dv = rucSinGuiones.slice(-1);
+      const rucConGuion = `${parteNumerica}-${dv}`;
+      empresa = await Empresa.findOne({ ruc: rucConGuion, ...permitidas });
+    }
+  }
+
+  return empresa;
+}
+
+// Validar que la empresa pueda emitir documentos
+// Retorna null si es válida, o { status, error, mensaje } para responder al cliente
+function validarEmpresaEmisora(empresa, rucEmpresa) {
+  if (!empresa) {
+    return {
+      status: 404,
+      error: 'Empresa no encontrada',
+      mensaje: `No se encontró una empresa con RUC ${rucEmpresa}`
+    };
+  }
+
+  if (!empresa.activo) {
+    return {
+      status: 400,
+      error: 'Empresa inactiva',
+      mensaje: `La empresa "${empresa.nombreFantasia}" está inactiva`
+    };
+  }
+
+  if (empresa.certificado?.activo && empresa.certificadoVencido()) {
+    return {
+      status: 400,
+      error: 'Certificado vencido',
+      mensaje: `El certificado digital de la empresa venció el ${empresa.certificado.fechaVencimiento.toISOString()}. Cargue un certificado vigente para emitir documentos`
+    };
+  }
+
+  if (!empresa.tieneCertificadoValido()) {
+    return {
+      status: 400,
+      error: 'Certificado inválido',
+      mensaje: 'La empresa no tiene un certificado digital válido cargado'
+    };
+  }
+
+  return null;
+}
+
+// Asignar el número del documento si la numeración la administra el servidor
+// Retorna { numeroAsignado } o { error, mensaje } si el número no es aceptable
+async function asignarNumeracion(datosFactura, empresa, opciones) {
+  try {
+    return { numeroAsignado: await numeracionService.asignarNumero(datosFactura, empresa, opciones) };
+  } catch (error) {
+    if (error instanceof numeracionService.ErrorNumeracion) {
+      return { error: 'Numeración inválida', mensaje: error.message };
+    }
+    throw error;
+  }
+}
+
+// Formato SIFEN: 001-001-0000003 (establecimiento-punto-numero)
+function construirCorrelativo(datosFactura) {
+  return `${String(datosFactura.data?.establecimiento || datosFactura.establecimiento || '001').padStart(3, '0')}-${String(datosFactura.data?.punto || datosFactura.punto || '001').padStart(3, '0')}-${String(datosFactura.data?.numero || datosFactura.numero || '0000001').padStart(7, '0')}`;
+}
+
+// Construir el registro de factura (estado: encolado) a partir del JSON recibido
+function construirFactura(datosFactura, empresa, facturaHash) {
+  const correlativoCompleto = construirCorrelativo(datosFactura);
+  const tipoDocumento = obtenerTipoDocumento(datosFactura);
+  const data = datosFactura.data || datosFactura;
+
+  // La nota de remisión no tiene montos (no incluye gTotSub)
+  const totalFactura = tipoDocumento === 7 ? 0 :
+                       datosFactura.data?.totalPago || datosFactura.data?.total || datosFactura.totalPago || datosFactura.total ||
+                       (datosFactura.data?.items?.reduce((sum, item) => sum + (item.precioTotal || item.precioUnitario * item.cantidad || 0), 0) || 0);
+
+  // Obtener datos del cliente (soportar ambas estructuras: param/data y plana)
+  const cliente = datosFactura.data?.cliente || datosFactura.cliente || {};
+
+  // Datos específicos del tipo de documento
+  const especificos = {};
+  if (tipoDocumento === 4 && data.autoFactura) {
+    especificos.autoFactura = {
+      tipoVendedor: data.autoFactura.tipoVendedor,
+      documentoTipo: data.autoFactura.documentoTipo,
+      documentoNumero: data.autoFactura.documentoNumero,
+      nombre: data.autoFactura.nombre
+    };
+  }
+  if (tipoDocumento === 7 && data.remision) {
+    especificos.remision = {
+      motivo: data.remision.motivo,
+      tipoResponsable: data.remision.tipoResponsable,
+      kms: data.remision.kms
+    };
+  }
+
+  const serie = numeracionService.obtenerSerie(datosFactura, empresa);
+
+  return new Invoice({
+    empresaId: empresa._id,
+    rucEmpresa: empresa.ruc,
+    tipoDocumento: tipoDocumento,
+    correlativo: correlativoCompleto,
+    numeracion: {
+      timbrado: serie.timbrado,
+      establecimiento: serie.establecimiento,
+      punto: serie.punto,
+      numero: parseInt(data.numero, 10) || undefined
+    },
+    cliente: {
+      ruc: cliente.ruc || cliente.documentoNumero || 'N/A',
+      nombre: cliente.razonSocial || cliente.nombreFantasia || cliente.nombre || 'N/A',
+      razonSocial: cliente.razonSocial,
+      nombreFantasia: cliente.nombreFantasia,
+      direccion: cliente.direccion,
+      telefono: cliente.telefono,
+      email: cliente.email,
+      documentoTipo: cliente.documentoTipo,
+      documentoNumero: cliente.documentoNumero
+    },
+    total: totalFactura,
+    fechaCreacion: new Date(),
+    estadoSifen: 'encolado',
+    ...especificos,
+    datosFactura: datosFactura,
+    facturaHash: facturaHash
+  });
+}
+
+// Encolar el procesamiento asíncrono (generar, firmar y enviar) de un documento ya guardado
+async function encolarFactura(invoice, datosFactura, empresa) {
+  return facturaQueue.add('generar-factura', {
+    facturaId: invoice._id.toString(),
+    datosFactura: datosFactura,
+    empresaId: empresa._id.toString()
+  }, {
+    priority: 0,
+    jobId: `factura-${invoice._id}`,
+    timeout: 300000  // 5 minutos
+  });
+}
+
+// Datos de la respuesta 202 de un documento encolado
+function construirRespuestaEncolada(req, invoice, job) {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+  return {
+    facturaId: invoice._id,
+    tipoDocumento: invoice.tipoDocumento,
+    correlativo: invoice.correlativo,
+    estado: 'encolado',
+    jobId: job.id,
+    // Campos que se completarán después del procesamiento
+    cdc: null,  // Se genera cuando SET aprueba la factura
+    // URLs de descarga (disponibles cuando se generen los archivos)
+    xmlLink: `${baseUrl}/api/invoices/${invoice._id}/download-xml`,
+    kudeLink: `${baseUrl}/api/invoices/${invoice._id}/download-pdf`,
+    urls: {
+      estado: `/api/factura/estado/${invoice._id}`,
+      consulta: `/api/invoices/${invoice._id}`
+    }
+  };
+}
+
 /**
  * @route   POST /api/facturar/crear
  * @desc    Crear factura electrónica y encolar para procesamiento
@@ -42,8 +271,13 @@ function generarFacturaHash(datosFactura) {
  *   "items": [ ... ],               // Items de la factura
  *   ...                            // Resto de datos opcionales
  * }
+ *
+ * Header opcional:
+ *   Idempotency-Key: <clave única por solicitud>
+ *   Un reintento con la misma clave y el mismo body devuelve la respuesta 202 original;
+ *   la misma clave con otro body devuelve 422.
  */
-router.post('/crear', async (req, res) => {
+router.post('/crear', requierePermiso('facturas:crear'), idempotencia, async (req, res) => {
   try {
     let datosFactura = req.body;
 
@@ -74,49 +308,41 @@ router.post('/crear', async (req, res) => {
     }
 
     // Buscar empresa en BD
-    let empresa = await Empresa.findOne({ ruc: rucEmpresa });
+    const empresa = await buscarEmpresaPorRuc(rucEmpresa, req);
 
-    // Búsquedas alternativas con/sin guión
-    if (!empresa && rucEmpresa.includes('-')) {
-      const rucSinGuiones = rucEmpresa.replace(/[^0-9]/g, '');
-      empresa = await Empresa.findOne({ ruc: rucSinGuiones });
-    }
-    if (!empresa && !rucEmpresa.includes('-')) {
-      const rucSinGuiones = rucEmpresa.replace(/[^0-9]/g, '');
-      if (rucSinGuiones.length >= 7 && rucSinGuiones.length <= 9) {
-        const parteNumerica = rucSinGuiones.slice(0, -1);
-        const dv = rucSinGuiones.slice(-1);
-        const rucConGuion = `${parteNumerica}-${dv}`;
-        empresa = await Empresa.findOne({ ruc: rucConGuion });
-      }
-    }
-
-    if (!empresa) {
-      return res.status(404).json({
+    const errorEmpresa = validarEmpresaEmisora(empresa, rucEmpresa);
+    if (errorEmpresa) {
+      return res.status(errorEmpresa.status).json({
         success: false,
-        error: 'Empresa no encontrada',
-        mensaje: `No se encontró una empresa con RUC ${rucEmpresa}`
+        error: errorEmpresa.error,
+        mensaje: errorEmpresa.mensaje
       });
     }
 
-    if (!empresa.activo) {
+    console.log(`✅ Empresa encontrada: ${empresa.nombreFantasia} (RUC: ${empresa.ruc})`);
+
+    const errorTipo = validarTipoDocumentoFactura(datosFactura);
+    if (errorTipo) {
       return res.status(400).json({
         success: false,
-        error: 'Empresa inactiva',
-        mensaje: `La empresa "${empresa.nombreFantasia}" está inactiva`
+        error: errorTipo.error,
+        mensaje: errorTipo.mensaje,
+        errores: errorTipo.errores
       });
     }
 
-    if (!empresa.tieneCertificadoValido()) {
+    // ========================================
+    // NUMERACIÓN (si la administra el servidor)
+    // ========================================
+    const numeracion = await asignarNumeracion(datosFactura, empresa);
+    if (numeracion.error) {
       return res.status(400).json({
         success: false,
-        error: 'Certificado inválido',
-        mensaje: 'La empresa no tiene un certificado digital válido cargado'
+        error: numeracion.error,
+        mensaje: numeracion.mensaje
       });
     }
 
-    console.log(`✅ Empresa encontrada: ${empresa.nombreFantasia} (RUC: ${empresa.ruc})`);
-
     // ========================================
     // VERIFICAR DUPLICADOS
     // ========================================
@@ -141,36 +367,7 @@ router.post('/crear', async (req, res) => {
     // ========================================
     // CREAR REGISTRO EN BD (ESTADO: ENCOLADO)
     // ========================================
-    // Formato SIFEN: 001-001-0000003 (establecimiento-punto-numero)
-    const correlativoCompleto = `${String(datosFactura.data?.establecimiento || datosFactura.establecimiento || '001').padStart(3, '0')}-${String(datosFactura.data?.punto || datosFactura.punto || '001').padStart(3, '0')}-${String(datosFactura.data?.numero || datosFactura.numero || '0000001').padStart(7, '0')}`;
-
-    const totalFactura = datosFactura.data?.totalPago || datosFactura.data?.total || datosFactura.totalPago || datosFactura.total ||
-                         (datosFactura.data?.items?.reduce((sum, item) => sum + (item.precioTotal || item.precioUnitario * item.cantidad || 0), 0) || 0);
-
-    // Obtener datos del cliente (soportar ambas estructuras: param/data y plana)
-    const cliente = datosFactura.data?.cliente || datosFactura.cliente || {};
-
-    const invoice = new Invoice({
-      empresaId: empresa._id,
-      rucEmpresa: empresa.ruc,
-      correlativo: correlativoCompleto,
-      cliente: {
-        ruc: cliente.ruc || cliente.documentoNumero || 'N/A',
-        nombre: cliente.razonSocial || cliente.nombreFantasia || cliente.nombre || 'N/A',
-        razonSocial: cliente.razonSocial,
-        nombreFantasia: cliente.nombreFantasia,
-        direccion: cliente.direccion,
-        telefono: cliente.telefono,
-        email: cliente.email,
-        documentoTipo: cliente.documentoTipo,
-        documentoNumero: cliente.documentoNumero
-      },
-      total: totalFactura,
-      fechaCreacion: new Date(),
-      estadoSifen: 'encolado',
-      datosFactura: datosFactura,
-      facturaHash: facturaHash
-    });
+    const invoice = construirFactura(datosFactura, empresa, facturaHash);
 
     await invoice.save();
     console.log(`📦 Factura creada en BD: ${invoice._id} (estado: encolado)`);
@@ -178,41 +375,17 @@ router.post('/crear', async (req, res) => {
     // ========================================
     // ENCOLAR TRABAJO PARA PROCESAMIENTO ASÍNCRONO
     // ========================================
-    const job = await facturaQueue.add('generar-factura', {
-      facturaId: invoice._id.toString(),
-      datosFactura: datosFactura,
-      empresaId: empresa._id.toString()
-    }, {
-      priority: 0,
-      jobId: `factura-${invoice._id}`,
-      timeout: 300000  // 5 minutos
-    });
+    const job = await encolarFactura(invoice, datosFactura, empresa);
 
     console.log(`📋 Job ${job.id} encolado para procesamiento`);
 
     // ========================================
     // RESPONDER INMEDIATAMENTE (NO BLOQUEANTE)
     // ========================================
-    const baseUrl = `${req.protocol}://${req.get('host')}`;
-    
     res.status(202).json({
       success: true,
       message: 'Factura encolada para procesamiento asíncrono',
-      data: {
-        facturaId: invoice._id,
-        correlativo: correlativoCompleto,
-        estado: 'encolado',
-        jobId: job.id,
-        // Campos que se completarán después del procesamiento
-        cdc: null,  // Se genera cuando SET aprueba la factura
-        // URLs de descarga (disponibles cuando se generen los archivos)
-        xmlLink: `${baseUrl}/api/invoices/${invoice._id}/download-xml`,
-        kudeLink: `${baseUrl}/api/invoices/${invoice._id}/download-pdf`,
-        urls: {
-          estado: `/api/factura/estado/${invoice._id}`,
-          consulta: `/api/invoices/${invoice._id}`
-        }
-      }
+      data: construirRespuestaEncolada(req, invoice, job)
     });
 
   } catch (error) {
@@ -227,12 +400,564 @@ router.post('/crear', async (req, res) => {
   }
 });
 
+/**
+ * Crea el handler de emisión de una nota de crédito (5) o débito (6)
+ * La nota referencia un documento aceptado por la SET mediante su CDC
+ * @param {number} tipoDocumento - 5 = Nota de crédito, 6 = Nota de débito
+ */
+function crearNota(tipoDocumento) {
+  const nombreNota = tipoDocumento === 5 ? 'Nota de crédito' : 'Nota de débito';
+
+  return async (req, res) => {
+    try {
+      const datosFactura = req.body;
+      const data = datosFactura.data || datosFactura;
+      normalizarFechasEnObjeto(data);
+
+      // ========================================
+      // EMPRESA EMISORA
+      // ========================================
+      const rucEmpresa = datosFactura.param?.ruc || datosFactura.ruc?.trim();
+
+      if (!rucEmpresa) {
+        return res.status(400).json({
+          success: false,
+          error: 'RUC de empresa requerido',
+          mensaje: 'El campo "param.ruc" es requerido para identificar la empresa emisora'
+        });
+      }
+
+      const empresa = await buscarEmpresaPorRuc(rucEmpresa, req);
+
+      const errorEmpresa = validarEmpresaEmisora(empresa, rucEmpresa);
+      if (errorEmpresa) {
+        return res.status(errorEmpresa.status).json({
+          success: false,
+          error: errorEmpresa.error,
+          mensaje: errorEmpresa.mensaje
+        });
+      }
+
+      // ========================================
+      // DOCUMENTO ASOCIADO (debe estar aceptado por la SET)
+      // ========================================
+      const cdcAsociado = data.documentoAsociado?.cdc || datosFactura.cdcAsociado;
+
+      if (!cdcAsociado) {
+        return res.status(400).json({
+          success: false,
+          error: 'Documento asociado requerido',
+          mensaje: 'Indique el CDC del documento asociado en "data.documentoAsociado.cdc"'
+        });
+      }
+
+      if (!data.notaCreditoDebito?.motivo) {
+        return res.status(400).json({
+          success: false,
+          error: 'Motivo requerido',
+          mensaje: 'Indique el motivo de emisión en "data.notaCreditoDebito.motivo"'
+        });
+      }
+
+      const original = await Invoice.findOne({ cdc: cdcAsociado, empresaId: empresa._id });
+
+      if (!original) {
+        return res.status(404).json({
+          success: false,
+          error: 'Documento asociado no encontrado',
+          mensaje: `No existe un documento con CDC ${cdcAsociado} emitido por la empresa ${empresa.ruc}`
+        });
+      }
+
+      if (original.estadoSifen !== 'aceptado') {
+        return res.status(400).json({
+          success: false,
+          error: 'Documento asociado no aceptado',
+          mensaje: `El documento ${original.correlativo} está en estado "${original.estadoSifen}". Debe estar "aceptado" por la SET.`
+        });
+      }
+
+      if (!TIPOS_ASOCIABLES.includes(original.tipoDocumento)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Documento asociado inválido',
+          mensaje: `No se puede emitir una ${nombreNota.toLowerCase()} sobre una ${TIPOS_DOCUMENTO[original.tipoDocumento].toLowerCase()}`
+        });
+      }
+
+      // El JSON para xmlgen lleva el tipo y el documento asociado en formato electrónico
+      data.tipoDocumento = tipoDocumento;
+      data.documentoAsociado = {
+        ...data.documentoAsociado,
+        formato: 1,  // 1 = Electrónico (referencia por CDC)
+        cdc: cdcAsociado
+      };
+
+      const errores = validarCamposRequeridos(data, tipoDocumento);
+      if (errores.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Campos requeridos faltantes',
+          mensaje: errores.map(error => error.mensaje).join('; '),
+          errores
+        });
+      }
+
+      // Registro preliminar para calcular el total (se reconstruye con el número asignado)
+      let invoice = construirFactura(datosFactura, empresa, null);
+
+      // ========================================
+      // SALDO DEL DOCUMENTO ORIGINAL (solo NC)
+      // ========================================
+      // El documento queda bloqueado hasta responder: la NC se guarda antes de liberarlo
+      if (tipoDocumento === 5) {
+        const bloqueo = await Invoice.bloquearNotas(original._id);
+        if (!bloqueo) {
+          return res.status(409).json({
+            success: false,
+            error: 'Nota de crédito en proceso',
+            mensaje: `Se está registrando otra nota de crédito sobre el documento ${original.correlativo}. Reintente en unos segundos.`
+          });
+        }
+        res.once('finish', () => {
+          Invoice.liberarNotas(original._id, bloqueo)
+            .catch(err => console.error('❌ Error liberando bloqueo de notas:', err.message));
+        });
+      }
+
+      const montos = await Invoice.calcularMontosNotas(original);
+
+      if (tipoDocumento === 5 && montos.montoAcreditado + invoice.total > original.total) {
+        return res.status(400).json({
+          success: false,
+          error: 'Monto excede el saldo del documento',
+          mensaje: `La nota de crédito (${invoice.total}) supera el saldo disponible del documento ${original.correlativo}`,
+          detalles: {
+            totalDocumento: original.total,
+            montoAcreditado: montos.montoAcreditado,
+            disponible: original.total - montos.montoAcreditado
+          }
+        });
+      }
+
+      // ========================================
+      // NUMERACIÓN (después de validar el saldo, para no dejar huecos)
+      // ========================================
+      const numeracion = await asignarNumeracion(datosFactura, empresa);
+      if (numeracion.error) {
+        return res.status(400).json({
+          success: false,
+          error: numeracion.error,
+          mensaje: numeracion.mensaje
+        });
+      }
+      invoice = construirFactura(datosFactura, empresa, generarFacturaHash(datosFactura));
+
+      // ========================================
+      // VERIFICAR DUPLICADOS
+      // ========================================
+      const notaExistente = await Invoice.findOne({ facturaHash: invoice.facturaHash });
+
+      if (notaExistente) {
+        return res.status(409).json({
+          success: false,
+          error: `${nombreNota} duplicada`,
+          mensaje: `La ${nombreNota.toLowerCase()} con estos datos ya ha sido registrada previamente`,
+          facturaId: notaExistente._id
+        });
+      }
+
+      // ========================================
+      // GUARDAR Y VINCULAR EN AMBOS SENTIDOS
+      // ========================================
+      invoice.documentoAsociado = {
+        invoiceId: original._id,
+        cdc: original.cdc,
+        correlativo: original.correlativo
+      };
+      await invoice.save();
+
+      await Invoice.updateOne(
+        { _id: original._id },
+        { $addToSet: { notasAsociadas: invoice._id } }
+      );
+
+      console.log(`📦 ${nombreNota} creada en BD: ${invoice._id} (asociada a ${original.correlativo})`);
+
+      const job = await encolarFactura(invoice, datosFactura, empresa);
+      console.log(`📋 Job ${job.id} encolado para procesamiento`);
+
+      res.status(202).json({
+        success: true,
+        message: `${nombreNota} encolada para procesamiento asíncrono`,
+        data: {
+          ...construirRespuestaEncolada(req, invoice, job),
+          documentoAsociado: {
+            facturaId: original._id,
+            cdc: original.cdc,
+            correlativo: original.correlativo,
+            total: original.total,
+            montoAcreditado: montos.montoAcreditado + (tipoDocumento === 5 ? invoice.total : 0),
+            montoDebitado: montos.montoDebitado + (tipoDocumento === 6 ? invoice.total : 0)
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error(`❌ Error creando ${nombreNota.toLowerCase()}:`, error);
+
+      res.status(500).json({
+        success: false,
+        error: `Error al crear ${nombreNota.toLowerCase()} electrónica`,
+        mensaje: error.message
+      });
+    }
+  };
+}
+
+/**
+ * @route   POST /api/facturar/nota-credito
+ * @desc    Emitir una Nota de Crédito electrónica (tipo 5) sobre un documento aceptado
+ * @access  Privada (requiere API Key o JWT)
+ *
+ * Body: misma estructura que /crear, más:
+ * {
+ *   "data": {
+ *     "documentoAsociado": { "cdc": "0180..." },         // CDC del documento aceptado
+ *     "notaCreditoDebito": { "motivo": 2 },              // 1=Devolución y Ajuste de precios, 2=Devolución, 3=Descuento, ...
+ *     ...
+ *   }
+ * }
+ *
+ * El total acumulado de las notas de crédito no puede superar el total del documento.
+ */
+router.post('/nota-credito', requierePermiso('facturas:crear'), idempotencia, crearNota(5));
+
+/**
+ * @route   POST /api/facturar/nota-debito
+ * @desc    Emitir una Nota de Débito electrónica (tipo 6) sobre un documento aceptado
+ * @access  Privada (requiere API Key o JWT)
+ *
+ * Body: misma estructura que /nota-credito
+ */
+router.post('/nota-debito', requierePermiso('facturas:crear'), idempotencia, crearNota(6));
+
+/**
+ * @route   POST /api/facturar/validar
+ * @desc    Validar una factura sin crearla (dry-run de la generación del XML)
+ * @access  Privada (requiere API Key o JWT)
+ *
+ * Ejecuta la misma preparación que el worker (param/data, conversión de fechas
+ * y generación del XML) sin firmar, sin enviar a la SET y sin guardar en BD.
+ *
+ * Body: misma estructura que /crear
+ *
+ * Respuesta:
+ * - 200 { valido: true, data: { cdc, correlativo, ... } }
+ * - 422 { valido: false, errores: [{ campo, mensaje }] }
+ */
+router.post('/validar', requierePermiso('facturas:crear'), async (req, res) => {
+  try {
+    const datosFactura = req.body;
+
+    // Misma normalización de fechas de ERPNext que /crear
+    normalizarFechasEnObjeto(datosFactura.data || datosFactura);
+
+    const rucEmpresa = datosFactura.param?.ruc || datosFactura.ruc?.trim();
+
+    if (!rucEmpresa) {
+      return res.status(400).json({
+        success: false,
+        error: 'RUC de empresa requerido',
+        mensaje: 'El campo "param.ruc" es requerido para identificar la empresa emisora'
+      });
+    }
+
+    const empresa = await buscarEmpresaPorRuc(rucEmpresa, req);
+
+    const errorEmpresa = validarEmpresaEmisora(empresa, rucEmpresa);
+    if (errorEmpresa) {
+      return res.status(errorEmpresa.status).json({
+        success: false,
+        error: errorEmpresa.error,
+        mensaje: errorEmpresa.mensaje
+      });
+    }
+
+    // Con numeración del servidor se valida con el próximo número de la serie (sin asignarlo)
+    const numeracion = await asignarNumeracion(datosFactura, empresa, { reservar: false });
+    if (numeracion.error) {
+      return res.status(400).json({
+        success: false,
+        error: numeracion.error,
+        mensaje: numeracion.mensaje
+      });
+    }
+
+    const resultado = await validarFactura(datosFactura, empresa);
+
+    if (!resultado.valido) {
+      return res.status(422).json({
+        success: false,
+        valido: false,
+        error: 'La factura tiene errores',
+        errores: resultado.errores
+      });
+    }
+
+    // Advertir si la factura ya fue registrada (en /crear respondería 409)
+    const advertencias = [];
+    const facturaExistente = await Invoice.findOne({ facturaHash: generarFacturaHash(datosFactura) });
+    if (facturaExistente) {
+      advertencias.push(`Ya existe una factura registrada con este número (${facturaExistente.correlativo})`);
+    }
+
+    res.json({
+      success: true,
+      valido: true,
+      message: 'La factura es válida',
+      data: {
+        cdc: resultado.cdc,
+        correlativo: construirCorrelativo(datosFactura),
+        // Próximo número de la serie (puede cambiar si se emite otro documento antes)
+        numeroPrevisto: numeracion.numeroAsignado || undefined,
+        empresa: {
+          ruc: empresa.ruc,
+          nombreFantasia: empresa.nombreFantasia
+        },
+        advertencias,
+        xml: req.query.incluirXml === 'true' ? resultado.xml : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error validando factura:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Error al validar factura',
+      mensaje: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/facturar/lote
+ * @desc    Crear varias facturas y enviarlas a la SET por lotes asíncronos (recibeLote)
+ * @access  Privada (requiere API Key o JWT)
+ *
+ * Las facturas se agrupan por empresa en lotes de hasta 50 DE. El worker de lotes
+ * las firma, envía cada lote y consulta su resultado hasta obtener el estado final.
+ *
+ * Body:
+ * {
+ *   "facturas": [
+ *     { "param": { ... }, "data": { ... } },   // Misma estructura que /crear
+ *     ...
+ *   ]
+ * }
+ */
+router.post('/lote', requierePermiso('facturas:crear'), async (req, res) => {
+  try {
+    const { facturas } = req.body;
+
+    if (!Array.isArray(facturas) || facturas.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Facturas requeridas',
+        mensaje: 'El campo "facturas" debe ser un array con al menos una factura'
+      });
+    }
+
+    // ========================================
+    // VALIDAR Y REGISTRAR CADA FACTURA
+    // ========================================
+    // Las facturas inválidas se informan en "rechazadas" sin bloquear al resto
+    const rechazadas = [];
+    const facturasPorEmpresa = new Map();
+    const empresasPorRuc = new Map();
+
+    for (const [indice, datosFactura] of facturas.entries()) {
+      const data = datosFactura.data || datosFactura;
+      normalizarFechasEnObjeto(data);
+
+      const rucEmpresa = datosFactura.param?.ruc || datosFactura.ruc?.trim();
+      if (!rucEmpresa) {
+        rechazadas.push({
+          indice,
+          error: 'RUC de empresa requerido',
+          mensaje: 'El campo "param.ruc" es requerido para identificar la empresa emisora'
+        });
+        continue;
+      }
+
+      if (!empresasPorRuc.has(rucEmpresa)) {
+        empresasPorRuc.set(rucEmpresa, await buscarEmpresaPorRuc(rucEmpresa, req));
+      }
+      const empresa = empresasPorRuc.get(rucEmpresa);
+
+      const errorEmpresa = validarEmpresaEmisora(empresa, rucEmpresa);
+      if (errorEmpresa) {
+        rechazadas.push({ indice, error: errorEmpresa.error, mensaje: errorEmpresa.mensaje });
+        continue;
+      }
+
+      const errorTipo = validarTipoDocumentoFactura(datosFactura);
+      if (errorTipo) {
+        rechazadas.push({ indice, error: errorTipo.error, mensaje: errorTipo.mensaje, errores: errorTipo.errores });
+        continue;
+      }
+
+      const numeracion = await asignarNumeracion(datosFactura, empresa);
+      if (numeracion.error) {
+        rechazadas.push({ indice, error: numeracion.error, mensaje: numeracion.mensaje });
+        continue;
+      }
+
+      const facturaHash = generarFacturaHash(datosFactura);
+      const facturaExistente = await Invoice.findOne({ facturaHash });
+      if (facturaExistente) {
+        rechazadas.push({
+          indice,
+          error: 'Factura duplicada',
+          mensaje: 'La factura con estos datos ya ha sido registrada previamente',
+          facturaId: facturaExistente._id
+        });
+        continue;
+      }
+
+      const invoice = construirFactura(datosFactura, empresa, facturaHash);
+      try {
+        await invoice.save();
+      } catch (saveError) {
+        // Duplicado dentro del mismo request (índice único de facturaHash)
+        rechazadas.push({ indice, error: 'Factura duplicada', mensaje: saveError.message });
+        continue;
+      }
+
+      const clave = empresa._id.toString();
+      if (!facturasPorEmpresa.has(clave)) {
+        facturasPorEmpresa.set(clave, { empresa, invoices: [] });
+      }
+      facturasPorEmpresa.get(clave).invoices.push(invoice);
+    }
+
+    // ========================================
+    // AGRUPAR EN LOTES Y ENCOLAR
+    // ========================================
+    const loteService = require('../services/loteService');
+    const lotes = [];
+
+    for (const { empresa, invoices } of facturasPorEmpresa.values()) {
+      const lotesEmpresa = await loteService.crearLotes(empresa, invoices);
+
+      for (const lote of lotesEmpresa) {
+        lotes.push({
+          loteId: lote._id,
+          ruc: empresa.ruc,
+          estado: lote.estado,
+          cantidad: lote.invoiceIds.length,
+          facturas: invoices
+            .filter(invoice => lote.invoiceIds.some(id => id.equals(invoice._id)))
+            .map(invoice => ({
+              facturaId: invoice._id,
+              correlativo: invoice.correlativo
+            })),
+          urls: {
+            estado: `/api/facturar/lote/${lote._id}`
+          }
+        });
+      }
+    }
+
+    console.log(`📦 ${lotes.length} lote(s) encolados, ${rechazadas.length} factura(s) rechazadas`);
+
+    res.status(lotes.length > 0 ? 202 : 400).json({
+      success: lotes.length > 0,
+      message: lotes.length > 0
+        ? 'Facturas encoladas para envío por lotes'
+        : 'Ninguna factura pudo ser encolada',
+      data: {
+        totalRecibidas: facturas.length,
+        totalEncoladas: facturas.length - rechazadas.length,
+        lotes,
+        rechazadas
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error creando lote:', error);
+
+    res.status(500).json({
+      success: false,
+      error: 'Error al crear lote de facturas',
+      mensaje: error.message,
+      stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * @route   GET /api/facturar/lote/:id
+ * @desc    Consultar el estado de un lote y de cada factura contenida
+ * @access  Privada (requiere API Key o JWT)
+ */
+router.get('/lote/:id', requierePermiso('facturas:leer'), async (req, res) => {
+  try {
+    const Lote = require('../models/Lote');
+    const lote = await Lote.findOne({ _id: req.params.id, ...filtroEmpresas(req) });
+
+    if (!lote) {
+      return res.status(404).json({
+        success: false,
+        error: 'Lote no encontrado'
+      });
+    }
+
+    const invoices = await Invoice.find({ _id: { $in: lote.invoiceIds } })
+      .select('correlativo cdc estadoSifen estadoVisual codigoRetorno mensajeRetorno fechaProceso')
+      .sort({ correlativo: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        loteId: lote._id,
+        ruc: lote.rucEmpresa,
+        estado: lote.estado,
+        protocolo: lote.protocolo || null,
+        codigoRetorno: lote.codigoRetorno,
+        mensajeRetorno: lote.mensajeRetorno,
+        fechaEnvio: lote.fechaEnvio,
+        fechaConclusion: lote.fechaConclusion,
+        intentosConsulta: lote.intentosConsulta,
+        facturas: invoices.map(invoice => ({
+          facturaId: invoice._id,
+          correlativo: invoice.correlativo,
+          cdc: invoice.cdc || null,
+          estado: invoice.estadoSifen,
+          estadoVisual: invoice.estadoVisual,
+          codigoRetorno: invoice.codigoRetorno,
+          mensajeRetorno: invoice.mensajeRetorno
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error consultando lote:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al consultar lote',
+      mensaje: error.message
+    });
+  }
+});
+
 /**
  * @route   GET /api/facturar/empresa/:ruc
  * @desc    Obtener información de empresa por RUC (para verificar antes de enviar)
  * @access  Privada (requiere API Key o JWT)
  */
-router.get('/empresa/:ruc', async (req, res) => {
+router.get('/empresa/:ruc', requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const ruc = req.params.ruc?.trim();
 
@@ -243,7 +968,7 @@ router.get('/empresa/:ruc', async (req, res) => {
       });
     }
 
-    const empresa = await Empresa.findOne({ ruc });
+    const empresa = await buscarEmpresaPorRuc(ruc, req);
 
     if (!empresa) {
       return res.status(404).json({
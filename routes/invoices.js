@@ -4,22 +4,33 @@ const fs = require('fs');
 const path = require('path');
 const Invoice = require('../models/Invoice');
 const OperationLog = require('../models/OperationLog');
-const { verificarToken } = require('../middleware/auth');
+const Empresa = require('../models/Empresa');
+const kudeService = require('../services/kudeService');
+const xmlVerificacionService = require('../services/xmlVerificacionService');
+const { resolverCredenciales, ErrorCredenciales } = require('../services/credencialesService');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { resolverEmpresas, filtroEmpresas, filtroLogsEmpresas } = require('../middleware/empresas');
+const { PREFIJOS_ARCHIVO, TIPOS_ASOCIABLES } = require('../utils/tipoDocumento');
 const {
   extraerCodigoRetorno,
   extraerMensajeRetorno,
   extraerEstadoResultado
 } = require('../utils/estadoSifen');
 
-// Todas las rutas requieren autenticación
-router.use(verificarToken);
+// Todas las rutas requieren autenticación y solo alcanzan las empresas del usuario / API Key
+router.use(verificarToken, resolverEmpresas);
+
+// Busca una factura de las empresas permitidas
+function buscarFactura(req) {
+  return Invoice.findOne({ _id: req.params.id, ...filtroEmpresas(req) });
+}
 
 // Obtener todas las facturas
-router.get('/', async (req, res) => {
+router.get('/', requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { page = 1, limit = 10, estado } = req.query;
 
-    const query = {};
+    const query = filtroEmpresas(req);
     if (estado) {
       query.estadoSifen = estado;
     }
@@ -55,9 +66,9 @@ router.get('/', async (req, res) => {
 });
 
 // Obtener una factura específica
-router.get('/:id', async (req, res) => {
+router.get('/:id', requierePermiso('facturas:leer'), async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id);
+    const invoice = await buscarFactura(req);
 
     if (!invoice) {
       return res.status(404).json({ message: 'Factura no encontrada' });
@@ -70,16 +81,22 @@ router.get('/:id', async (req, res) => {
 
     // Determinar si el estado es final (no necesita refresh)
     // Según Manual Técnico v150, estados finales no cambian, pero pueden tener eventos
-    const estadosFinales = ['aceptado', 'rechazado', 'error', 'observado'];
+    const estadosFinales = ['aceptado', 'rechazado', 'error', 'observado', 'cancelado'];
     const esEstadoFinal = estadosFinales.includes(invoice.estadoSifen);
 
     // Recomendar refresh solo si no es estado final y tiene CDC
     const recomendarRefresh = !esEstadoFinal && invoice.cdc;
 
+    // Montos de notas de crédito/débito (solo documentos que pueden tener notas)
+    const montosNotas = TIPOS_ASOCIABLES.includes(invoice.tipoDocumento)
+      ? await Invoice.calcularMontosNotas(invoice)
+      : null;
+
     res.json({
       success: true,
       data: {
         facturaId: invoice._id,
+        tipoDocumento: invoice.tipoDocumento,
         correlativo: invoice.correlativo,
         cdc: invoice.cdc || null,
         estado: invoice.estadoSifen,
@@ -99,6 +116,13 @@ router.get('/:id', async (req, res) => {
         mensajeRetorno: invoice.mensajeRetorno,
         digestValue: invoice.digestValue,
         qrCode: invoice.qrCode,
+        autoFactura: invoice.tipoDocumento === 4 ? invoice.autoFactura : undefined,
+        remision: invoice.tipoDocumento === 7 ? invoice.remision : undefined,
+        documentoAsociado: invoice.documentoAsociado?.invoiceId ? invoice.documentoAsociado : null,
+        notasAsociadas: invoice.notasAsociadas || [],
+        montoAcreditado: montosNotas ? montosNotas.montoAcreditado : undefined,
+        montoDebitado: montosNotas ? montosNotas.montoDebitado : undefined,
+        saldo: montosNotas ? montosNotas.saldo : undefined,
         datosFactura: invoice.datosFactura || null
       }
     });
@@ -111,9 +135,14 @@ router.get('/:id', async (req, res) => {
 });
 
 // Obtener logs de una factura
-router.get('/:id/logs', async (req, res) => {
+router.get('/:id/logs', requierePermiso('facturas:leer'), async (req, res) => {
   try {
-    const logs = await OperationLog.find({ invoiceId: req.params.id })
+    const invoice = await buscarFactura(req).select('_id');
+    if (!invoice) {
+      return res.status(404).json({ message: 'Factura no encontrada' });
+    }
+
+    const logs = await OperationLog.find({ invoiceId: invoice._id })
       .sort({ createdAt: -1 });
 
     res.json(logs);
@@ -123,10 +152,10 @@ router.get('/:id/logs', async (req, res) => {
 });
 
 // Obtener eventos de una factura
-router.get('/:id/eventos', async (req, res) => {
+router.get('/:id/eventos', requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const Evento = require('../models/Evento');
-    const eventos = await Evento.find({ invoiceId: req.params.id })
+    const eventos = await Evento.find({ invoiceId: req.params.id, ...filtroEmpresas(req) })
       .sort({ createdAt: -1 });
 
     res.json({
@@ -143,11 +172,11 @@ router.get('/:id/eventos', async (req, res) => {
 });
 
 // Obtener todos los logs del sistema
-router.get('/logs', async (req, res) => {
+router.get('/logs', requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { page = 1, limit = 10, tipo, estado } = req.query;
     
-    const query = {};
+    const query = await filtroLogsEmpresas(req);
     if (tipo) {
       query.tipoOperacion = tipo;
     }
@@ -175,14 +204,21 @@ router.get('/logs', async (req, res) => {
 });
 
 // Reintentar envío de factura
-router.post('/:id/retry', async (req, res) => {
+router.post('/:id/retry', requierePermiso('facturas:crear'), async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id);
+    const invoice = await buscarFactura(req);
 
     if (!invoice) {
       return res.status(404).json({ message: 'Factura no encontrada' });
     }
 
+    if (invoice.estadoSifen === 'cancelado') {
+      return res.status(400).json({
+        message: 'No se puede reenviar: la factura fue cancelada',
+        detalle: 'El evento de cancelación ya fue registrado en la SET'
+      });
+    }
+
     // Registrar intento de reenvío
     const retryLog = new OperationLog({
       invoiceId: invoice._id,
@@ -230,6 +266,9 @@ router.post('/:id/retry', async (req, res) => {
       });
     }
 
+    // Credenciales de la empresa emisora (certificado para la conexión con la SET)
+    const credenciales = await resolverCredenciales({ empresaId: invoice.empresaId });
+
     // Actualizar estado a procesando
     invoice.estadoSifen = 'procesando';
     await invoice.save();
@@ -239,13 +278,11 @@ router.post('/:id/retry', async (req, res) => {
       // Importar wrapper de SET API (soporta Mock y Producción)
       const setApi = require('../services/setapi-wrapper');
       const idDocumento = 'retry-' + Date.now();
-      const ambiente = process.env.AMBIENTE_SET || 'test';
 
       console.log(`🔄 Reenviando factura CDC ${cdc} a la SET...`);
 
       // Enviar el XML firmado (ya tiene el QR incrustado)
-      // Nota: El certificado no es necesario porque el XML ya está firmado
-      const soapResponse = await setApi.recibe(idDocumento, xmlOriginal, ambiente);
+      const soapResponse = await setApi.recibe(idDocumento, xmlOriginal, credenciales.ambiente, credenciales.rutaCertificado, credenciales.contrasena);
 
       console.log('📄 Respuesta SOAP recibida en reenvío:');
       console.log(soapResponse.substring(0, 500) + '...');
@@ -343,14 +380,17 @@ router.post('/:id/retry', async (req, res) => {
     }
 
   } catch (error) {
+    if (error instanceof ErrorCredenciales) {
+      return res.status(error.status).json({ message: error.message, codigo: error.codigo });
+    }
     res.status(500).json({ message: error.message });
   }
 });
 
 // Descargar XML de una factura
-router.get('/:id/download-xml', async (req, res) => {
+router.get('/:id/download-xml', requierePermiso('facturas:leer'), async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id);
+    const invoice = await buscarFactura(req);
 
     if (!invoice) {
       return res.status(404).json({ message: 'Factura no encontrada' });
@@ -379,7 +419,7 @@ router.get('/:id/download-xml', async (req, res) => {
     }
 
     // Configurar headers para descarga
-    const fileName = `factura_${invoice.correlativo}.xml`;
+    const fileName = `${PREFIJOS_ARCHIVO[invoice.tipoDocumento] || 'factura'}_${invoice.correlativo}.xml`;
     res.setHeader('Content-Type', 'application/xml');
     res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
 
@@ -397,10 +437,56 @@ router.get('/:id/download-xml', async (req, res) => {
   }
 });
 
+// Verificar el XML firmado de una factura: firma, DigestValue, CDC y QR
+router.get('/:id/verificar', requierePermiso('facturas:leer'), async (req, res) => {
+  try {
+    const invoice = await buscarFactura(req);
+
+    if (!invoice) {
+      return res.status(404).json({ message: 'Factura no encontrada' });
+    }
+
+    const xmlPath = invoice.xmlPath ? path.join(__dirname, '../de_output', invoice.xmlPath) : null;
+    if (!xmlPath || !fs.existsSync(xmlPath)) {
+      return res.status(404).json({
+        message: 'XML no disponible',
+        detalle: 'La factura no tiene un archivo XML firmado en el servidor'
+      });
+    }
+
+    // El CSC de la empresa emisora permite recalcular el cHashQR
+    const empresa = await Empresa.findById(invoice.empresaId);
+
+    const reporte = await xmlVerificacionService.verificarDocumentoEmitido(fs.readFileSync(xmlPath, 'utf8'), {
+      cdc: invoice.cdc,
+      digestValue: invoice.digestValue,
+      idCSC: empresa?.configuracionSifen?.idCSC,
+      csc: empresa?.obtenerCSC()
+    });
+
+    console.log(`${reporte.valido ? '✅' : '⚠️'} Verificación de XML - Factura ${invoice.correlativo}: ${reporte.valido ? 'válido' : 'con errores'}`);
+
+    res.json({
+      success: true,
+      data: {
+        facturaId: invoice._id,
+        correlativo: invoice.correlativo,
+        ...reporte
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error verificando XML de factura:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
 // Descargar PDF de una factura (KUDE)
-router.get('/:id/download-pdf', async (req, res) => {
+router.get('/:id/download-pdf', requierePermiso('facturas:leer'), async (req, res) => {
   try {
-    const invoice = await Invoice.findById(req.params.id);
+    const invoice = await buscarFactura(req);
 
     if (!invoice) {
       return res.status(404).json({ message: 'Factura no encontrada' });
@@ -440,6 +526,15 @@ router.get('/:id/download-pdf', async (req, res) => {
     res.setHeader('Content-Type', 'application/pdf');
     // RFC 5987: codificar caracteres especiales en filename
     res.setHeader('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+    res.setHeader('X-Estado-Documento', invoice.estadoSifen);
+
+    // Documento cancelado: enviar una copia con la marca de agua
+    if (invoice.estadoSifen === 'cancelado') {
+      const pdfMarcado = await kudeService.marcarKudeCancelado(pdfPath, {
+        fechaCancelacion: invoice.fechaCancelacion
+      });
+      return res.send(pdfMarcado);
+    }
 
     // Enviar el archivo
     const fileStream = fs.createReadStream(pdfPath);
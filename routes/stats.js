@@ -1,31 +1,40 @@
 const express = require('express');
 const router = express.Router();
 const Invoice = require('../models/Invoice');
-// No requerir autenticación para stats (usado para verificar conexión)
-// const { verificarToken } = require('../middleware/auth');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { resolverEmpresas, filtroEmpresas } = require('../middleware/empresas');
 
-// Ruta pública para verificar estado del servidor
-router.get('/', async (req, res) => {
+// Los documentos cancelados no suman en los totales (se informan aparte)
+const EXCLUIR_CANCELADOS = { estadoSifen: { $ne: 'cancelado' } };
+
+// Estadísticas de las empresas permitidas (requiere autenticación)
+router.get('/', verificarToken, resolverEmpresas, requierePermiso('stats:leer'), async (req, res) => {
   try {
-    const totalFacturas = await Invoice.countDocuments();
+    const empresas = filtroEmpresas(req);
+
+    const totalFacturas = await Invoice.countDocuments({ ...empresas, ...EXCLUIR_CANCELADOS });
     const facturasPorEstado = await Invoice.aggregate([
+      { $match: empresas },
       { $group: { _id: '$estadoSifen', count: { $sum: 1 } } }
     ]);
     
-    const facturasProcesando = await Invoice.countDocuments({ estadoSifen: 'procesando' });
-    const facturasEnviadas = await Invoice.countDocuments({ estadoSifen: 'enviado' });
-    const facturasError = await Invoice.countDocuments({ estadoSifen: 'error' });
-    const facturasRechazadas = await Invoice.countDocuments({ estadoSifen: 'rechazado' });
-    const facturasAceptadas = await Invoice.countDocuments({ estadoSifen: 'aceptado' });
+    const facturasProcesando = await Invoice.countDocuments({ ...empresas, estadoSifen: 'procesando' });
+    const facturasEnviadas = await Invoice.countDocuments({ ...empresas, estadoSifen: 'enviado' });
+    const facturasError = await Invoice.countDocuments({ ...empresas, estadoSifen: 'error' });
+    const facturasRechazadas = await Invoice.countDocuments({ ...empresas, estadoSifen: 'rechazado' });
+    const facturasAceptadas = await Invoice.countDocuments({ ...empresas, estadoSifen: 'aceptado' });
+    const facturasCanceladas = await Invoice.countDocuments({ ...empresas, estadoSifen: 'cancelado' });
 
     const facturasHoy = await Invoice.countDocuments({
+      ...empresas,
+      ...EXCLUIR_CANCELADOS,
       fechaCreacion: {
         $gte: new Date(new Date().setHours(0, 0, 0, 0)),
         $lt: new Date()
       }
     });
 
-    const ultimasFacturas = await Invoice.find()
+    const ultimasFacturas = await Invoice.find(empresas)
       .sort({ fechaCreacion: -1 })
       .limit(10)
       .select('correlativo cdc estadoSifen fechaCreacion total');
@@ -37,7 +46,9 @@ router.get('/', async (req, res) => {
     const tendenciasPorDia = await Invoice.aggregate([
       {
         $match: {
-          fechaCreacion: { $gte: hace7Dias }
+          ...empresas,
+          fechaCreacion: { $gte: hace7Dias },
+          ...EXCLUIR_CANCELADOS
         }
       },
       {
@@ -62,6 +73,7 @@ router.get('/', async (req, res) => {
       facturasError,
       facturasRechazadas,
       facturasAceptadas,
+      facturasCanceladas,
       facturasHoy,
       ultimasFacturas,
       tendenciasPorDia,
@@ -77,6 +89,7 @@ router.get('/', async (req, res) => {
       facturasError: 0,
       facturasRechazadas: 0,
       facturasAceptadas: 0,
+      facturasCanceladas: 0,
       facturasHoy: 0,
       ultimasFacturas: [],
       fechaUltimaConsulta: new Date()
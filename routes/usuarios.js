@@ -0,0 +1,83 @@
+/**
+ * Rutas para gestión de usuarios
+ * Todas las rutas requieren sesión de usuario (no API Key) con rol admin
+ */
+
+const express = require('express');
+const router = express.Router();
+const { verificarToken, verificarAdmin, requierePermiso, requiereSesion } = require('../middleware/auth');
+const { resolverEmpresas } = require('../middleware/empresas');
+const usuarioController = require('../controllers/usuarioController');
+
+// Todas las rutas requieren sesión de un admin: con una API Key (aun con permiso admin)
+// se podrían promover usuarios o generar tokens de restablecimiento de otras cuentas
+router.use(verificarToken, requiereSesion, verificarAdmin, resolverEmpresas, requierePermiso('admin'));
+
+/**
+ * @route   GET /api/usuarios
+ * @desc    Listar usuarios (filtros: rol, activo)
+ * @access  Privada (admin)
+ */
+router.get('/', usuarioController.listar);
+
+/**
+ * @route   POST /api/usuarios/invitaciones
+ * @desc    Invitar a un usuario (devuelve el token de la invitación)
+ * @access  Privada (admin)
+ *
+ * Body: { "email": "contador@empresa.com.py", "rol": "contador", "empresaIds": ["..."] }
+ */
+router.post('/invitaciones', usuarioController.invitar);
+
+/**
+ * @route   GET /api/usuarios/invitaciones
+ * @desc    Listar invitaciones (filtro: estado)
+ * @access  Privada (admin)
+ */
+router.get('/invitaciones', usuarioController.listarInvitaciones);
+
+/**
+ * @route   DELETE /api/usuarios/invitaciones/:id
+ * @desc    Revocar una invitación pendiente
+ * @access  Privada (admin)
+ */
+router.delete('/invitaciones/:id', usuarioController.revocarInvitacion);
+
+/**
+ * @route   PUT /api/usuarios/:id/rol
+ * @desc    Cambiar el rol de un usuario
+ * @access  Privada (admin)
+ *
+ * Body: { "rol": "admin" | "usuario" | "contador" }
+ */
+router.put('/:id/rol', usuarioController.cambiarRol);
+
+/**
+ * @route   PUT /api/usuarios/:id/activar
+ * @desc    Activar un usuario (también quita el bloqueo por intentos fallidos)
+ * @access  Privada (admin)
+ */
+router.put('/:id/activar', usuarioController.activar);
+
+/**
+ * @route   PUT /api/usuarios/:id/desactivar
+ * @desc    Desactivar un usuario
+ * @access  Privada (admin)
+ */
+router.put('/:id/desactivar', usuarioController.desactivar);
+
+/**
+ * @route   POST /api/usuarios/:id/reset-password
+ * @desc    Generar un token de restablecimiento de password (se devuelve al admin)
+ * @access  Privada (admin)
+ */
+router.post('/:id/reset-password', usuarioController.generarResetPassword);
+
+/**
+ * @route   POST /api/usuarios/:id/desbloquear
+ * @desc    Quitar el bloqueo por intentos de login fallidos
+ * @access  Privada (admin)
+ */
+router.post('/:id/desbloquear', usuarioController.desbloquear);
+
+module.exports = router;
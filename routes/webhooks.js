@@ -0,0 +1,384 @@
+/**
+ * Rutas para Suscripciones de Webhooks
+ *
+ * Cada empresa puede registrar URLs que reciben un POST firmado cuando:
+ * - Una factura pasa a aceptado, rechazado, observado o error
+ * - Se genera el KUDE de una factura
+ * - Se registra un evento en la SET
+ *
+ * Cabeceras de cada entrega:
+ *   X-Webhook-Id, X-Webhook-Event, X-Webhook-Timestamp,
+ *   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${timestamp}.${body}`)
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const Empresa = require('../models/Empresa');
+const webhookService = require('../services/webhookService');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { resolverEmpresas, filtroEmpresas, empresaPermitida } = require('../middleware/empresas');
+
+// Todas las rutas requieren autenticación y se limitan a las empresas permitidas
+router.use(verificarToken, resolverEmpresas);
+
+/**
+ * Busca una suscripción que pertenezca a una empresa permitida
+ */
+async function buscarWebhookUsuario(id, req) {
+  return Webhook.findOne({ _id: id, ...filtroEmpresas(req) });
+}
+
+/**
+ * Valida la lista de eventos recibida
+ * @returns {Array<string>} Eventos no válidos
+ */
+function eventosInvalidos(eventos) {
+  return (eventos || []).filter(evento => !Webhook.EVENTOS_WEBHOOK.includes(evento));
+}
+
+/**
+ * @route   POST /api/webhooks
+ * @desc    Registrar una suscripción de webhook para una empresa
+ * @access  Privada
+ *
+ * Body:
+ * {
+ *   "empresaId": "67f8a9b2c3d4e5f6a7b8c9d0",
+ *   "url": "https://mi-sistema.com/webhooks/sifen",
+ *   "eventos": ["factura.aceptado", "factura.rechazado"],  // opcional (vacío = todos)
+ *   "descripcion": "ERP principal"                          // opcional
+ * }
+ *
+ * El secreto de firma solo se devuelve en esta respuesta.
+ */
+router.post('/', requierePermiso('empresas:gestionar'), async (req, res) => {
+  try {
+    const { empresaId, url, eventos = [], descripcion } = req.body;
+
+    if (!empresaId || !url) {
+      return res.status(400).json({
+        success: false,
+        error: 'empresaId y url son requeridos'
+      });
+    }
+
+    const invalidos = eventosInvalidos(eventos);
+    if (invalidos.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Eventos no válidos: ${invalidos.join(', ')}`,
+        eventosValidos: Webhook.EVENTOS_WEBHOOK
+      });
+    }
+
+    const empresa = empresaPermitida(req, empresaId) ? await Empresa.findById(empresaId) : null;
+    if (!empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    const webhook = await Webhook.create({
+      empresaId: empresa._id,
+      url,
+      eventos,
+      descripcion,
+      usuario: req.usuario._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook registrado exitosamente',
+      data: {
+        ...webhook.toObject(),
+        secret: webhook.secret
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Datos de webhook inválidos',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error registrando webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al registrar webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks
+ * @desc    Listar suscripciones de las empresas del usuario
+ * @access  Privada
+ *
+ * Query: ?empresaId=...
+ */
+router.get('/', requierePermiso('empresas:gestionar'), async (req, res) => {
+  try {
+    const empresaIds = req.empresaIds;
+    const filtro = { empresaId: { $in: empresaIds } };
+
+    if (req.query.empresaId) {
+      filtro.empresaId = empresaIds.find(id => id.toString() === req.query.empresaId) || null;
+    }
+
+    const webhooks = await Webhook.find(filtro)
+      .select('-secret')
+      .populate('empresaId', 'ruc nombreFantasia')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: webhooks,
+      eventosDisponibles: Webhook.EVENTOS_WEBHOOK
+    });
+  } catch (error) {
+    console.error('❌ Error listando webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al listar webhooks',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id
+ * @desc    Obtener detalle de una suscripción
+ * @access  Privada
+ */
+router.get('/:id', requierePermiso('empresas:gestionar'), async (req, res) => {
+  try {
+    const webhook = await buscarWebhookUsuario(req.params.id, req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook no encontrado'
+      });
+    }
+
+    const webhookObj = webhook.toObject();
+    delete webhookObj.secret;
+
+    res.json({
+      success: true,
+      data: webhookObj
+    });
+  } catch (error) {
+    console.error('❌ Error obteniendo webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/webhooks/:id
+ * @desc    Actualizar URL, eventos, descripción o estado de una suscripción
+ * @access  Privada
+ *
+ * Body: { "url", "eventos", "descripcion", "activo", "regenerarSecret": true }
+ */
+router.put('/:id', requierePermiso('empresas:gestionar'), async (req, res) => {
+  try {
+    const webhook = await buscarWebhookUsuario(req.params.id, req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook no encontrado'
+      });
+    }
+
+    const { url, eventos, descripcion, activo, regenerarSecret } = req.body;
+
+    if (eventos !== undefined) {
+      const invalidos = eventosInvalidos(eventos);
+      if (invalidos.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Eventos no válidos: ${invalidos.join(', ')}`,
+          eventosValidos: Webhook.EVENTOS_WEBHOOK
+        });
+      }
+      webhook.eventos = eventos;
+    }
+
+    if (url !== undefined) webhook.url = url;
+    if (descripcion !== undefined) webhook.descripcion = descripcion;
+    if (activo !== undefined) webhook.activo = activo;
+    if (regenerarSecret) {
+      webhook.secret = crypto.randomBytes(32).toString('hex');
+    }
+
+    await webhook.save();
+
+    const webhookObj = webhook.toObject();
+    if (!regenerarSecret) {
+      delete webhookObj.secret;
+    }
+
+    res.json({
+      success: true,
+      message: 'Webhook actualizado exitosamente',
+      data: webhookObj
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: 'Datos de webhook inválidos',
+        message: error.message
+      });
+    }
+
+    console.error('❌ Error actualizando webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al actualizar webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/webhooks/:id
+ * @desc    Eliminar una suscripción
+ * @access  Privada
+ */
+router.delete('/:id', requierePermiso('empresas:gestionar'), async (req, res) => {
+  try {
+    const webhook = await buscarWebhookUsuario(req.params.id, req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook no encontrado'
+      });
+    }
+
+    await Webhook.deleteOne({ _id: webhook._id });
+
+    res.json({
+      success: true,
+      message: 'Webhook eliminado exitosamente'
+    });
+  } catch (error) {
+    console.error('❌ Error eliminando webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al eliminar webhook',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/webhooks/:id/entregas
+ * @desc    Registro de entregas de una suscripción (paginado)
+ * @access  Privada
+ *
+ * Query: ?estado=pendiente|entregado|fallido&page=1&limit=20
+ */
+router.get('/:id/entregas', requierePermiso('empresas:gestionar'), async (req, res) => {
+  try {
+    const webhook = await buscarWebhookUsuario(req.params.id, req);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        error: 'Webhook no encontrado'
+      });
+    }
+
+    const { estado, page = 1, limit = 20 } = req.query;
+    const filtro = { webhookId: webhook._id };
+    if (estado) filtro.estado = estado;
+
+    const entregas = await WebhookDelivery.find(filtro)
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit) * 1)
+      .skip((parseInt(page) - 1) * parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(filtro);
+
+    res.json({
+      success: true,
+      entregas,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+  } catch (error) {
+    console.error('❌ Error listando entregas de webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al listar entregas',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/webhooks/entregas/:deliveryId/reenviar
+ * @desc    Reenviar manualmente una entrega (inicia un nuevo ciclo de reintentos)
+ * @access  Privada
+ */
+router.post('/entregas/:deliveryId/reenviar', requierePermiso('empresas:gestionar'), async (req, res) => {
+  try {
+    const empresaIds = req.empresaIds;
+    const delivery = await WebhookDelivery.findOne({
+      _id: req.params.deliveryId,
+      empresaId: { $in: empresaIds }
+    });
+
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entrega no encontrada'
+      });
+    }
+
+    const webhook = await Webhook.findById(delivery.webhookId);
+    if (!webhook || !webhook.activo) {
+      return res.status(400).json({
+        success: false,
+        error: 'La suscripción fue eliminada o está inactiva'
+      });
+    }
+
+    await webhookService.reenviar(delivery);
+
+    res.status(202).json({
+      success: true,
+      message: 'Entrega encolada para reenvío',
+      data: {
+        deliveryId: delivery._id,
+        evento: delivery.evento,
+        estado: delivery.estado
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error reenviando entrega de webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al reenviar entrega',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
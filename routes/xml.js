@@ -0,0 +1,121 @@
+/**
+ * Rutas para verificación de XML de Documentos Electrónicos
+ *
+ * Recibe un rDE firmado y controla, por separado:
+ * - Firma XMLDSig
+ * - DigestValue recalculado (y el registrado en la factura, si existe)
+ * - Dígito verificador del CDC
+ * - cHashQR recalculado con el CSC de la empresa emisora
+ */
+
+const express = require('express');
+const router = express.Router();
+const Empresa = require('../models/Empresa');
+const Invoice = require('../models/Invoice');
+const xmlVerificacionService = require('../services/xmlVerificacionService');
+const { verificarToken, requierePermiso } = require('../middleware/auth');
+const { resolverEmpresas, filtroEmpresas, empresaPermitida } = require('../middleware/empresas');
+const { uploadXml, manejarErrorUpload } = require('../middleware/upload');
+
+// Todas las rutas requieren autenticación y se limitan a las empresas permitidas
+router.use(verificarToken, resolverEmpresas);
+
+/**
+ * Busca la empresa emisora entre las empresas permitidas
+ * Por "empresaId", "ruc" o, si no se indica, por el RUC emisor del XML
+ */
+async function buscarEmpresaEmisora({ empresaId, ruc }, rucEmisor, req) {
+  if (empresaId) {
+    return empresaPermitida(req, empresaId) ? Empresa.findById(empresaId) : null;
+  }
+  const permitidas = filtroEmpresas(req, '_id');
+  if (ruc) {
+    return Empresa.findOne({ ruc: String(ruc).trim(), ...permitidas });
+  }
+
+  // dRucEm viene del XML subido: se compara exacto con el RUC sin dígito verificador
+  const rucBase = String(rucEmisor || '').trim();
+  if (!/^\d+$/.test(rucBase)) return null;
+
+  const empresas = await Empresa.find(permitidas);
+  return empresas.find(empresa => empresa.ruc.split('-')[0] === rucBase) || null;
+}
+
+/**
+ * @route   POST /api/xml/verificar
+ * @desc    Verificar firma, DigestValue, CDC y QR de un XML firmado
+ * @access  Privada
+ *
+ * JSON:
+ * {
+ *   "xml": "<rDE>...</rDE>",
+ *   "ruc": "80012345-6"          // opcional, o "empresaId" (empresa emisora)
+ * }
+ *
+ * Multipart: campo "xml" (archivo .xml) + "ruc" o "empresaId" opcionales
+ *
+ * Cada verificación devuelve valido = true | false | null (omitida por falta de datos)
+ */
+router.post('/verificar', requierePermiso('facturas:leer'), uploadXml.single('xml'), manejarErrorUpload, async (req, res) => {
+  try {
+    const { ruc, empresaId } = req.body;
+    const xml = req.file ? req.file.buffer.toString('utf8') : req.body.xml;
+
+    if (!xml) {
+      return res.status(400).json({
+        success: false,
+        error: 'XML requerido',
+        mensaje: 'Envíe el "xml" del documento firmado'
+      });
+    }
+
+    let datos;
+    try {
+      datos = await xmlVerificacionService.extraerDatosDE(xml);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'XML inválido',
+        mensaje: error.message
+      });
+    }
+
+    const empresa = await buscarEmpresaEmisora({ empresaId, ruc }, datos.emisor.ruc, req);
+    if ((empresaId || ruc) && !empresa) {
+      return res.status(404).json({
+        success: false,
+        error: 'Empresa no encontrada'
+      });
+    }
+
+    // Factura emitida por la empresa con ese CDC (para comparar el DigestValue registrado)
+    const invoice = empresa && datos.cdc
+      ? await Invoice.findOne({ empresaId: empresa._id, cdc: datos.cdc }).select('_id cdc digestValue')
+      : null;
+
+    const reporte = await xmlVerificacionService.verificarDocumentoEmitido(xml, {
+      digestValue: invoice?.digestValue,
+      idCSC: empresa?.configuracionSifen?.idCSC,
+      csc: empresa?.obtenerCSC()
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...reporte,
+        empresaId: empresa?._id || null,
+        facturaId: invoice?._id || null
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error verificando XML:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error al verificar XML',
+      mensaje: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+/**
+ * Script de asignación de dueños a empresas con varios usuarios
+ *
+ * Las empresas se asignan a usuarios en Empresa.usuarios (muchos a muchos).
+ * Las empresas creadas antes solo tienen el dueño en Empresa.usuarioId: este
+ * script lo agrega a Empresa.usuarios para que conserve el acceso.
+ *
+ * Uso:
+ *   npm run asignar-duenos-empresas
+ *   node scripts/asignar-duenos-empresas.js --dry-run   (solo informa lo que cambiaría)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Empresa = require('../models/Empresa');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sifen_db';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function asignarDuenosEmpresas() {
+  try {
+    console.log(`👥 Asignando el dueño de cada empresa a Empresa.usuarios${DRY_RUN ? ' [DRY RUN]' : ''}\n`);
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Conectado a MongoDB\n');
+
+    // Empresas cuyo dueño todavía no está entre los usuarios asignados
+    const empresas = await Empresa.find({
+      usuarioId: { $ne: null },
+      $expr: { $not: { $in: ['$usuarioId', { $ifNull: ['$usuarios', []] }] } }
+    }).select('ruc nombreFantasia usuarioId');
+
+    console.log(`📋 Se encontraron ${empresas.length} empresas para migrar\n`);
+
+    for (const empresa of empresas) {
+      if (!DRY_RUN) {
+        await Empresa.updateOne({ _id: empresa._id }, { $addToSet: { usuarios: empresa.usuarioId } });
+      }
+      console.log(`  ✅ ${empresa.nombreFantasia} (RUC ${empresa.ruc}) → usuario ${empresa.usuarioId}`);
+    }
+
+    console.log(`\n✅ ${DRY_RUN ? 'Se migrarían' : 'Se migraron'} ${empresas.length} empresa(s)`);
+    console.log('🎉 Proceso completado\n');
+
+    await mongoose.disconnect();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error en el script:', error);
+    process.exit(1);
+  }
+}
+
+asignarDuenosEmpresas();
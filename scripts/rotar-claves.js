@@ -0,0 +1,146 @@
+/**
+ * Script de rotación de claves de secretos
+ *
+ * Vuelve a cifrar con la clave activa (SECRETOS_CLAVES / SECRETOS_CLAVE_ACTIVA)
+ * todos los secretos de las empresas:
+ * - Contraseñas de los certificados (activo e historial)
+ * - CSC (configuracionSifen.csc)
+ * - Archivos .p12: los que estaban en claro pasan a .p12.enc
+ *
+ * Para rotar: agregar la versión nueva a SECRETOS_CLAVES manteniendo la anterior,
+ * ejecutar este script y, cuando no queden secretos pendientes, quitar la anterior.
+ *
+ * Uso:
+ *   npm run rotar-claves
+ *   node scripts/rotar-claves.js --dry-run   (solo informa lo que cambiaría)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Empresa = require('../models/Empresa');
+const certificadoService = require('../services/certificadoService');
+const secretos = require('../services/secretosService');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sifen_db';
+const DRY_RUN = process.argv.includes('--dry-run');
+
+/**
+ * Recifra los archivos .p12 de una empresa
+ * @returns {{ renombrados: Map<string, string>, archivos: number }} Archivos en claro reemplazados por .enc
+ */
+function rotarArchivos(empresa, entradas) {
+  const renombrados = new Map();
+  let archivos = 0;
+
+  const nombres = new Set(entradas.map(entrada => entrada.archivo || certificadoService.ARCHIVO_SIN_VERSION));
+  for (const archivo of nombres) {
+    if (!certificadoService.existeCertificado(empresa.ruc, archivo)) {
+      console.log(`  ⚠️ ${archivo}: archivo no encontrado`);
+      continue;
+    }
+
+    if (!certificadoService.esArchivoCifrado(archivo)) {
+      const cifrado = `${archivo}.enc`;
+      if (!DRY_RUN) {
+        certificadoService.guardarCertificado(empresa.ruc, certificadoService.leerCertificado(empresa.ruc, archivo), cifrado);
+      }
+      renombrados.set(archivo, cifrado);
+      archivos++;
+      console.log(`  🔒 ${archivo} → ${cifrado}`);
+      continue;
+    }
+
+    const sobre = secretos.leerArchivoCifrado(`${empresa.ruc}/${archivo}`);
+    if (secretos.requiereRecifrado(sobre)) {
+      if (!DRY_RUN) {
+        certificadoService.guardarCertificado(empresa.ruc, certificadoService.leerCertificado(empresa.ruc, archivo), archivo);
+      }
+      archivos++;
+      console.log(`  🔁 ${archivo}: clave v${secretos.versionDe(sobre)} → v${secretos.versionActiva()}`);
+    }
+  }
+
+  return { renombrados, archivos };
+}
+
+/**
+ * Recifra los secretos de una empresa (no la guarda)
+ * @returns {{ contrasenas: number, csc: number, archivos: number, eliminar: Array<string> }}
+ */
+function rotarEmpresa(empresa) {
+  const entradas = [...empresa.historialCertificados];
+  if (empresa.certificado?.contrasena) entradas.push(empresa.certificado);
+
+  const { renombrados, archivos } = rotarArchivos(empresa, entradas);
+
+  let contrasenas = 0;
+  for (const entrada of entradas) {
+    const archivo = entrada.archivo || certificadoService.ARCHIVO_SIN_VERSION;
+    if (renombrados.has(archivo)) entrada.archivo = renombrados.get(archivo);
+
+    if (secretos.requiereRecifrado(entrada.contrasena)) {
+      entrada.contrasena = secretos.recifrar(entrada.contrasena);
+      contrasenas++;
+    }
+  }
+
+  let csc = 0;
+  if (secretos.requiereRecifrado(empresa.configuracionSifen?.csc)) {
+    empresa.configuracionSifen.csc = secretos.recifrar(empresa.configuracionSifen.csc);
+    csc++;
+  }
+
+  return { contrasenas, csc, archivos, eliminar: [...renombrados.keys()] };
+}
+
+async function rotarClaves() {
+  try {
+    const { activa, versiones } = secretos.verificarConfiguracion();
+    console.log(`🔐 Rotación de secretos a la clave versión ${activa} (disponibles: ${versiones.join(', ')})${DRY_RUN ? ' [DRY RUN]' : ''}\n`);
+
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Conectado a MongoDB\n');
+
+    const empresas = await Empresa.find({});
+    console.log(`📋 Se encontraron ${empresas.length} empresas\n`);
+
+    const totales = { contrasenas: 0, csc: 0, archivos: 0, errores: 0 };
+    for (const empresa of empresas) {
+      console.log(`🏢 ${empresa.nombreFantasia} (RUC ${empresa.ruc})`);
+      try {
+        const resultado = rotarEmpresa(empresa);
+
+        if (!DRY_RUN) {
+          await empresa.save();
+          // Los .p12 en claro se borran recién cuando la empresa apunta a los cifrados
+          for (const archivo of resultado.eliminar) {
+            fs.rmSync(certificadoService.obtenerRutaCertificado(empresa.ruc, archivo), { force: true });
+          }
+        }
+
+        totales.contrasenas += resultado.contrasenas;
+        totales.csc += resultado.csc;
+        totales.archivos += resultado.archivos;
+        console.log(`  ✅ ${resultado.contrasenas} contraseña(s), ${resultado.csc} CSC, ${resultado.archivos} archivo(s)`);
+      } catch (error) {
+        totales.errores++;
+        console.log(`  ❌ Error rotando secretos: ${error.message}`);
+      }
+    }
+
+    console.log(`\n✅ ${DRY_RUN ? 'Se recifrarían' : 'Se recifraron'} ${totales.contrasenas} contraseña(s), ${totales.csc} CSC y ${totales.archivos} archivo(s)`);
+    if (totales.errores > 0) {
+      console.log(`⚠️ ${totales.errores} empresa(s) con errores: no quite claves anteriores de SECRETOS_CLAVES`);
+    }
+    console.log('🎉 Proceso completado\n');
+
+    await mongoose.disconnect();
+    process.exit(totales.errores > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Error en el script:', error);
+    process.exit(1);
+  }
+}
+
+rotarClaves();
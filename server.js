@@ -31,16 +31,22 @@ const Invoice = require('./models/Invoice');
 const OperationLog = require('./models/OperationLog');
 
 // Importar utilitarios SIFEN
-const { determinarEstadoSegunCodigo, determinarEstadoVisual, extraerEstadoDocumento } = require('./utils/estadoSifen');
+const { determinarEstadoSegunCodigo, determinarEstadoVisual, extraerEstadoDocumento, determinarEstadoConsulta } = require('./utils/estadoSifen');
 
 // Importar wrapper de SET API (soporta Mock y Producción)
 const setApi = require('./services/setapi-wrapper');
+const { decodificarCDC, LONGITUD_CDC } = require('./utils/cdcUtils');
+const { resolverCredenciales, ErrorCredenciales } = require('./services/credencialesService');
+const secretosService = require('./services/secretosService');
+const sesionService = require('./services/sesionService');
+const xsdValidacionService = require('./services/xsdValidacionService');
 
 // Configurar Express
 const app = express();
 
 // Middleware para parsear JSON
-app.use(express.json());
+// El límite se amplía para permitir el envío de facturas por lote (POST /api/facturar/lote)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Importar rutas
@@ -48,12 +54,20 @@ const statsRoutes = require('./routes/stats');
 const invoiceRoutes = require('./routes/invoices');
 const authController = require('./controllers/authController');
 const apiKeyController = require('./controllers/apiKeyController');
-const { verificarToken, verificarAdmin } = require('./middleware/auth');
+const { verificarToken, verificarAdmin, requierePermiso, requiereSesion } = require('./middleware/auth');
+const { resolverEmpresas, filtroEmpresas, filtroLogsEmpresas } = require('./middleware/empresas');
+
+// Autenticación + empresas que puede tocar la solicitud (ver middleware/empresas.js)
+const autenticado = [verificarToken, resolverEmpresas];
 
 // Rutas de empresas y facturación
 const empresaRoutes = require('./routes/empresas');
 const facturarRoutes = require('./routes/facturar');
 const eventosRoutes = require('./routes/eventos');
+const webhookRoutes = require('./routes/webhooks');
+const documentosRecibidosRoutes = require('./routes/documentosRecibidos');
+const xmlRoutes = require('./routes/xml');
+const usuarioRoutes = require('./routes/usuarios');
 
 // Usar rutas
 app.use('/api/stats', statsRoutes);
@@ -61,21 +75,42 @@ app.use('/api/invoices', invoiceRoutes);
 app.use('/api/empresas', empresaRoutes);
 app.use('/api/facturar', facturarRoutes);
 app.use('/api/eventos', eventosRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/documentos-recibidos', documentosRecibidosRoutes);
+app.use('/api/xml', xmlRoutes);
+app.use('/api/usuarios', usuarioRoutes);
+
+// Ruta pública para verificar la conexión (no expone datos de las empresas)
+app.get('/api/salud', (req, res) => {
+  res.json({
+    success: true,
+    status: 'ok',
+    baseDatos: mongoose.connection.readyState === 1 ? 'conectada' : 'desconectada',
+    timestamp: new Date().toISOString()
+  });
+});
 
 // Rutas de autenticación (públicas)
 app.post('/api/auth/login', authController.login);
+app.post('/api/auth/registrar', authController.registrar);  // Requiere token de invitación
+app.post('/api/auth/restablecer-password', authController.restablecerPassword);  // Requiere token de restablecimiento
+app.post('/api/auth/refresh', authController.refrescar);  // Requiere refresh token
 // Rutas de autenticación (protegidas)
 app.get('/api/auth/perfil', verificarToken, authController.getPerfil);
-app.put('/api/auth/perfil', verificarToken, authController.actualizarPerfil);
-app.post('/api/auth/cambiar-password', verificarToken, authController.cambiarPassword);
-app.post('/api/auth/logout', verificarToken, authController.logout);
-
-// Rutas de API Keys (protegidas, solo admin)
-app.post('/api/api-keys', verificarToken, apiKeyController.crearApiKey);
-app.get('/api/api-keys', verificarToken, apiKeyController.listarApiKeys);
-app.get('/api/api-keys/:id', verificarToken, apiKeyController.obtenerApiKey);
-app.put('/api/api-keys/:id/renew', verificarToken, apiKeyController.renovarApiKey);
-app.delete('/api/api-keys/:id', verificarToken, apiKeyController.revocarApiKey);
+app.put('/api/auth/perfil', verificarToken, requiereSesion, authController.actualizarPerfil);
+app.post('/api/auth/cambiar-password', verificarToken, requiereSesion, authController.cambiarPassword);
+app.post('/api/auth/logout', verificarToken, requiereSesion, authController.logout);
+// Sesiones del usuario (una por dispositivo)
+app.get('/api/auth/sesiones', verificarToken, requiereSesion, authController.listarSesiones);
+app.delete('/api/auth/sesiones', verificarToken, requiereSesion, authController.revocarOtrasSesiones);
+app.delete('/api/auth/sesiones/:id', verificarToken, requiereSesion, authController.revocarSesion);
+
+// Rutas de API Keys (solo sesión de admin: una API Key no gestiona API Keys)
+app.post('/api/api-keys', verificarToken, requiereSesion, verificarAdmin, resolverEmpresas, apiKeyController.crearApiKey);
+app.get('/api/api-keys', verificarToken, requiereSesion, verificarAdmin, apiKeyController.listarApiKeys);
+app.get('/api/api-keys/:id', verificarToken, requiereSesion, verificarAdmin, apiKeyController.obtenerApiKey);
+app.put('/api/api-keys/:id/renew', verificarToken, requiereSesion, verificarAdmin, apiKeyController.renovarApiKey);
+app.delete('/api/api-keys/:id', verificarToken, requiereSesion, verificarAdmin, apiKeyController.revocarApiKey);
 
 
 // Conectar a MongoDB
@@ -101,6 +136,7 @@ app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Estado-Documento');
 
   if (req.method === 'OPTIONS') {
     res.writeHead(200);
@@ -114,7 +150,7 @@ app.use((req, res, next) => {
 // Las rutas se definen después de las funciones auxiliares (ver línea ~1300)
 
 // Endpoint para consultar una factura por CDC (consulta en SIFEN a través del backend)
-app.get('/api/invoices/cdc/:cdc', async (req, res) => {
+app.get('/api/invoices/cdc/:cdc', autenticado, requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const cdc = req.params.cdc;
 
@@ -123,8 +159,19 @@ app.get('/api/invoices/cdc/:cdc', async (req, res) => {
       return;
     }
 
-    // Primero buscar en la base de datos local
-    const invoiceRecord = await Invoice.findOne({ cdc });
+    // Rechazar CDC mal formados antes de consultar BD/SIFEN
+    const decodificado = decodificarCDC(cdc);
+    if (!decodificado || !decodificado.valido) {
+      res.status(400).json({
+        error: 'CDC inválido',
+        cdc: cdc,
+        errores: decodificado ? decodificado.errores : [`El CDC debe tener ${LONGITUD_CDC} dígitos numéricos`]
+      });
+      return;
+    }
+
+    // Primero buscar en la base de datos local (facturas de las empresas permitidas)
+    const invoiceRecord = await Invoice.findOne({ cdc, ...filtroEmpresas(req) });
     
     if (invoiceRecord) {
       res.status(200).json({
@@ -147,14 +194,14 @@ app.get('/api/invoices/cdc/:cdc', async (req, res) => {
       return;
     }
 
-    // Si no está en BD local, consultar a SIFEN
+    // Si no está en BD local, consultar a SIFEN con el certificado de la empresa
+    // (la del usuario o la indicada en ?empresaId=)
+    const credenciales = await resolverCredenciales({ empresaId: req.query.empresaId, empresaIds: req.empresaIds });
+
     try {
       const idConsulta = crypto.randomBytes(16).toString('hex');
-      const ambiente = "test";
-      const certificateP12Path = path.join(__dirname, '../certificados', 'p12', 'certificado.p12');
-      const certificatePassword = '123456';
 
-      const respuesta = await setApi.consulta(idConsulta, cdc, ambiente, certificateP12Path, certificatePassword);
+      const respuesta = await setApi.consulta(idConsulta, cdc, credenciales.ambiente, credenciales.rutaCertificado, credenciales.contrasena);
 
       res.status(200).json({
         encontrado: true,
@@ -169,18 +216,41 @@ app.get('/api/invoices/cdc/:cdc', async (req, res) => {
       });
     }
   } catch (error) {
+    if (error instanceof ErrorCredenciales) {
+      res.status(error.status).json({ error: error.message, codigo: error.codigo });
+      return;
+    }
     console.error('Error al consultar por CDC:', error);
     res.status(500).json({ error: 'Error al consultar por CDC' });
   }
 });
 
+// Endpoint para decodificar un CDC (valida el dígito verificador y separa sus campos)
+app.get('/api/cdc/:cdc/decode', (req, res) => {
+  const decodificado = decodificarCDC(req.params.cdc);
+
+  if (!decodificado) {
+    res.status(400).json({
+      success: false,
+      error: 'CDC inválido',
+      mensaje: `El CDC debe tener ${LONGITUD_CDC} dígitos numéricos`
+    });
+    return;
+  }
+
+  res.status(200).json({
+    success: true,
+    data: decodificado
+  });
+});
+
 // Endpoint para listar todas las facturas (con filtros opcionales)
-app.get('/api/invoices', async (req, res) => {
+app.get('/api/invoices', autenticado, requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { estado, cdc, correlativo, cliente, limit, skip } = req.query;
 
     // Construir filtro
-    const filtro = {};
+    const filtro = filtroEmpresas(req);
     if (estado) filtro.estadoSifen = estado;
     if (cdc) filtro.cdc = new RegExp(cdc, 'i');
     if (correlativo) filtro.correlativo = new RegExp(correlativo, 'i');
@@ -216,7 +286,8 @@ app.get('/api/invoices', async (req, res) => {
 });
 
 // Endpoint para consultar RUC a través del backend
-app.get('/api/ruc/:ruc', async (req, res) => {
+// Usa el certificado de la empresa del usuario (o la indicada en ?empresaId=)
+app.get('/api/ruc/:ruc', autenticado, requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const ruc = req.params.ruc;
 
@@ -225,14 +296,13 @@ app.get('/api/ruc/:ruc', async (req, res) => {
       return;
     }
 
+    const credenciales = await resolverCredenciales({ empresaId: req.query.empresaId, empresaIds: req.empresaIds });
+
     // Consultar a SIFEN a través del backend
     try {
       const idConsulta = crypto.randomBytes(16).toString('hex');
-      const ambiente = "test";
-      const certificateP12Path = path.join(__dirname, '../certificados', 'p12', 'certificado.p12');
-      const certificatePassword = '123456';
 
-      const respuesta = await setApi.consultaRuc(idConsulta, ruc, ambiente, certificateP12Path, certificatePassword);
+      const respuesta = await setApi.consultaRUC(idConsulta, ruc, credenciales.ambiente, credenciales.rutaCertificado, credenciales.contrasena);
 
       res.status(200).json({
         ruc: ruc,
@@ -247,33 +317,45 @@ app.get('/api/ruc/:ruc', async (req, res) => {
       });
     }
   } catch (error) {
+    if (error instanceof ErrorCredenciales) {
+      res.status(error.status).json({ error: error.message, codigo: error.codigo });
+      return;
+    }
     console.error('Error al consultar RUC:', error);
     res.status(500).json({ error: 'Error al consultar RUC' });
   }
 });
 
 // Endpoint para obtener estadísticas del sistema
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', autenticado, requierePermiso('stats:leer'), async (req, res) => {
   try {
-    const totalFacturas = await Invoice.countDocuments();
+    const empresas = filtroEmpresas(req);
+
+    // Los documentos cancelados no suman en los totales
+    const totalFacturas = await Invoice.countDocuments({ ...empresas, estadoSifen: { $ne: 'cancelado' } });
+    const facturasCanceladas = await Invoice.countDocuments({ ...empresas, estadoSifen: 'cancelado' });
     const facturasPorEstado = await Invoice.aggregate([
+      { $match: empresas },
       { $group: { _id: '$estadoSifen', count: { $sum: 1 } } }
     ]);
 
     const facturasHoy = await Invoice.countDocuments({
+      ...empresas,
+      estadoSifen: { $ne: 'cancelado' },
       fechaCreacion: {
         $gte: new Date(new Date().setHours(0, 0, 0, 0)),
         $lt: new Date()
       }
     });
 
-    const ultimasFacturas = await Invoice.find()
+    const ultimasFacturas = await Invoice.find(empresas)
       .sort({ fechaCreacion: -1 })
       .limit(10)
       .select('correlativo cdc estadoSifen fechaCreacion total');
 
     res.status(200).json({
       totalFacturas,
+      facturasCanceladas,
       facturasPorEstado,
       facturasHoy,
       ultimasFacturas,
@@ -289,12 +371,12 @@ app.get('/api/stats', async (req, res) => {
 // ========================================
 // ENDPOINT: CONSULTAR ESTADO DE FACTURA (CON COLA)
 // ========================================
-app.get('/api/factura/estado/:id', async (req, res) => {
+app.get('/api/factura/estado/:id', autenticado, requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Buscar factura en BD
-    const invoice = await Invoice.findById(id);
+    const invoice = await Invoice.findOne({ _id: id, ...filtroEmpresas(req) });
     if (!invoice) {
       return res.status(404).json({
         success: false,
@@ -357,7 +439,8 @@ app.get('/api/factura/estado/:id', async (req, res) => {
 // ========================================
 // ENDPOINT: ESTADÍSTICAS DE LA COLA
 // ========================================
-app.get('/api/queue/stats', async (req, res) => {
+// Contadores globales de las colas (todas las empresas): solo admin
+app.get('/api/queue/stats', verificarToken, verificarAdmin, requierePermiso('queue:admin'), async (req, res) => {
   try {
     const { getQueueStats } = require('./queues/facturaQueue');
     const stats = await getQueueStats();
@@ -376,11 +459,11 @@ app.get('/api/queue/stats', async (req, res) => {
 
 // ENDPOINT: JOBS RECIENTES DE LA COLA
 // ========================================
-app.get('/api/queue/jobs', async (req, res) => {
+app.get('/api/queue/jobs', autenticado, requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { limit = 20 } = req.query;
     const { getRecentJobs } = require('./queues/facturaQueue');
-    const jobs = await getRecentJobs(parseInt(limit));
+    const jobs = await getRecentJobs(parseInt(limit), { empresaIds: req.empresaIds });
 
     res.json({
       success: true,
@@ -394,9 +477,64 @@ app.get('/api/queue/jobs', async (req, res) => {
   }
 });
 
+// ENDPOINT: RECONCILIACIÓN DE ESTADOS (ADMIN)
+// ========================================
+app.get('/api/reconciliacion', verificarToken, verificarAdmin, requierePermiso('queue:admin'), async (req, res) => {
+  try {
+    const { reconciliacionQueue } = require('./queues/facturaQueue');
+    const { obtenerUltimaEjecucion, ESTADOS_NO_FINALES, INTERVALO } = require('./services/reconciliacionService');
+
+    const [ultimaEjecucion, repetibles, pendientes] = await Promise.all([
+      obtenerUltimaEjecucion(),
+      reconciliacionQueue.getRepeatableJobs(),
+      Invoice.countDocuments({ estadoSifen: { $in: ESTADOS_NO_FINALES } })
+    ]);
+
+    const programacion = repetibles.find(r => r.name === 'reconciliar-estados');
+
+    res.json({
+      success: true,
+      data: {
+        ultimaEjecucion,
+        programada: !!programacion,
+        intervaloMs: programacion ? Number(programacion.every) : INTERVALO,
+        proximaEjecucion: programacion?.next ? new Date(programacion.next) : null,
+        facturasNoFinales: pendientes
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error obteniendo estado de reconciliación:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// ENDPOINT: EJECUTAR RECONCILIACIÓN INMEDIATA (ADMIN)
+// ========================================
+app.post('/api/reconciliacion/ejecutar', verificarToken, verificarAdmin, requierePermiso('queue:admin'), async (req, res) => {
+  try {
+    const { reconciliacionQueue } = require('./queues/facturaQueue');
+    const job = await reconciliacionQueue.add('reconciliar-estados', { origen: 'manual' });
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliación encolada',
+      data: { jobId: job.id }
+    });
+  } catch (error) {
+    console.error('❌ Error encolando reconciliación:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ENDPOINT: LIMPIAR JOBS COMPLETADOS
 // ========================================
-app.post('/api/queue/clear', async (req, res) => {
+app.post('/api/queue/clear', verificarToken, verificarAdmin, requierePermiso('queue:admin'), async (req, res) => {
   try {
     const { queue = 'facturacion', keep = 0 } = req.body;
     const { facturaQueue, kudeQueue, cleanCompletedJobs } = require('./queues/facturaQueue');
@@ -419,7 +557,7 @@ app.post('/api/queue/clear', async (req, res) => {
 
 // ENDPOINT: LIMPIAR JOBS FALLIDOS
 // ========================================
-app.post('/api/queue/clear-failed', async (req, res) => {
+app.post('/api/queue/clear-failed', verificarToken, verificarAdmin, requierePermiso('queue:admin'), async (req, res) => {
   try {
     const { queue = 'facturacion' } = req.body;
     const { facturaQueue, kudeQueue, cleanFailedJobs } = require('./queues/facturaQueue');
@@ -442,7 +580,7 @@ app.post('/api/queue/clear-failed', async (req, res) => {
 
 // ENDPOINT: LIMPIAR TODOS LOS JOBS
 // ========================================
-app.post('/api/queue/clear-all', async (req, res) => {
+app.post('/api/queue/clear-all', verificarToken, verificarAdmin, requierePermiso('queue:admin'), async (req, res) => {
   try {
     const { queue = 'facturacion' } = req.body;
     const { facturaQueue, kudeQueue, cleanAllJobs } = require('./queues/facturaQueue');
@@ -465,7 +603,7 @@ app.post('/api/queue/clear-all', async (req, res) => {
 
 // ENDPOINT: LIMPIAR JOBS COMPLETADOS (alias)
 // ========================================
-app.post('/api/queue/clear-completed', async (req, res) => {
+app.post('/api/queue/clear-completed', verificarToken, verificarAdmin, requierePermiso('queue:admin'), async (req, res) => {
   try {
     const { queue = 'facturacion', keep = 0 } = req.body;
     const { facturaQueue, kudeQueue, cleanCompletedJobs } = require('./queues/facturaQueue');
@@ -487,7 +625,7 @@ app.post('/api/queue/clear-completed', async (req, res) => {
 });
 
 // Endpoint para obtener logs de operaciones
-app.get('/api/logs', async (req, res) => {
+app.get('/api/logs', autenticado, requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { page = 1, limit = 15, estado, tipoOperacion, invoiceId } = req.query;
     
@@ -497,8 +635,8 @@ app.get('/api/logs', async (req, res) => {
       sort: { fecha: -1 }
     };
     
-    // Construir filtro
-    const filtro = {};
+    // Construir filtro (logs de las facturas de las empresas permitidas)
+    const filtro = await filtroLogsEmpresas(req);
     if (estado && estado !== 'all') {
       filtro.estado = estado;
     }
@@ -506,7 +644,7 @@ app.get('/api/logs', async (req, res) => {
       filtro.tipoOperacion = tipoOperacion;
     }
     if (invoiceId) {
-      filtro.invoiceId = invoiceId;
+      filtro.invoiceId.$eq = invoiceId;
     }
     
     const logs = await OperationLog.find(filtro)
@@ -544,11 +682,12 @@ app.get('/api/logs', async (req, res) => {
 });
 
 // Endpoint para limpiar registros de logs
-app.delete('/api/logs/clear', async (req, res) => {
+app.delete('/api/logs/clear', autenticado, requierePermiso('facturas:eliminar'), async (req, res) => {
   try {
     const { tipo } = req.query; // 'all', 'error', 'success', 'warning'
     
-    let filtro = {};
+    // Solo logs de las facturas de las empresas permitidas
+    const filtro = await filtroLogsEmpresas(req);
     if (tipo && tipo !== 'all') {
       filtro.estado = tipo;
     }
@@ -573,7 +712,7 @@ app.delete('/api/logs/clear', async (req, res) => {
 });
 
 // Endpoint para verificar el estado actual de una factura (incluyendo cambios de estado)
-app.get('/api/invoices/estado/:cdc', async (req, res) => {
+app.get('/api/invoices/estado/:cdc', autenticado, requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const cdc = req.params.cdc;
 
@@ -582,8 +721,8 @@ app.get('/api/invoices/estado/:cdc', async (req, res) => {
       return;
     }
 
-    // Primero buscar en la base de datos local
-    const invoiceRecord = await Invoice.findOne({ cdc });
+    // Primero buscar en la base de datos local (facturas de las empresas permitidas)
+    const invoiceRecord = await Invoice.findOne({ cdc, ...filtroEmpresas(req) });
     
     if (!invoiceRecord) {
       res.status(404).json({
@@ -599,31 +738,12 @@ app.get('/api/invoices/estado/:cdc', async (req, res) => {
     let estadoSET = null;
 
     try {
-      // Obtener configuración de la empresa
-      const Empresa = require('./models/Empresa');
-      const empresa = await Empresa.findById(invoiceRecord.empresaId);
-      
-      if (!empresa) {
-        console.log('⚠️ No se encontró la empresa, usando configuración por defecto');
-      }
+      // Credenciales de la empresa emisora de la factura
+      const credenciales = await resolverCredenciales({ empresaId: invoiceRecord.empresaId });
 
       const idConsulta = crypto.randomBytes(16).toString('hex');
-      const ambiente = empresa?.configuracionSifen?.modo || 'test';
-      
-      // Obtener ruta y contraseña del certificado de la empresa
-      let certificateP12Path = path.join(__dirname, '../certificados', 'p12', 'certificado.p12');
-      let certificatePassword = '123456';
-      
-      if (empresa?.certificado?.nombreArchivo) {
-        const certificadoService = require('./services/certificadoService');
-        certificateP12Path = path.join(__dirname, '../certificados', 'p12', empresa.certificado.nombreArchivo);
-        certificatePassword = certificadoService.descifrarContrasena(empresa.certificado.contrasena);
-        console.log(`🔑 Usando certificado de la empresa: ${empresa.certificado.nombreArchivo}`);
-      } else {
-        console.log('⚠️ Empresa no tiene certificado configurado, usando certificado por defecto');
-      }
 
-      const respuesta = await setApi.consulta(idConsulta, cdc, ambiente, certificateP12Path, certificatePassword);
+      const respuesta = await setApi.consulta(idConsulta, cdc, credenciales.ambiente, credenciales.rutaCertificado, credenciales.contrasena);
 
       // Extraer campos de la respuesta SOAP (soporta formatos SIFEN v150 con namespace y genéricos)
       const codigoRetornoMatch =
@@ -644,38 +764,13 @@ app.get('/api/invoices/estado/:cdc', async (req, res) => {
       console.log(`📥 Consulta SET - CDC: ${cdc}, dCodRes: ${codigoRetorno}, estado: ${estadoSET}`);
 
       // Si hay respuesta de la SET, actualizar estado y estadoVisual
-      if (codigoRetorno && estadoSET) {
-        let nuevoEstadoSifen = invoiceRecord.estadoSifen;
-        let nuevoEstadoVisual = invoiceRecord.estadoVisual;
-
-        // Determinar estado según respuesta de consulta
-        if (codigoRetorno === '0421') {
-          // CDC encontrado - el estado real está en <estado>
-          if (estadoSET === 'Aprobado' || estadoSET === 'aprobado') {
-            nuevoEstadoSifen = 'aceptado';
-            nuevoEstadoVisual = 'aceptado';
-          } else if (estadoSET === 'Rechazado' || estadoSET === 'rechazado') {
-            nuevoEstadoSifen = 'rechazado';
-            nuevoEstadoVisual = 'rechazado';
-          } else if (estadoSET === 'Aprobado con observación' || estadoSET === 'observado') {
-            // Transmisión extemporánea (código 1005)
-            nuevoEstadoSifen = 'observado';
-            nuevoEstadoVisual = 'observado';
-          } else {
-            // Pendiente
-            nuevoEstadoSifen = 'procesando';
-            nuevoEstadoVisual = 'observado';
-          }
-        } else if (codigoRetorno === '0420') {
-          // CDC inexistente
-          nuevoEstadoSifen = 'rechazado';
-          nuevoEstadoVisual = 'rechazado';
-        } else if (codigoRetorno === '1005') {
-          // Transmisión extemporánea - ÚNICO CASO donde estado = 'observado'
-          nuevoEstadoSifen = 'observado';
-          nuevoEstadoVisual = 'observado';
-        }
-
+      // (mismo mapeo que refresh-status; con 0421 manda el estado del documento;
+      // una factura cancelada por evento no vuelve a un estado anterior)
+      const nuevoEstado = codigoRetorno && invoiceRecord.estadoSifen !== 'cancelado'
+        ? determinarEstadoConsulta(codigoRetorno, estadoSET)
+        : null;
+      if (nuevoEstado) {
+        const { estadoSifen: nuevoEstadoSifen, estadoVisual: nuevoEstadoVisual } = nuevoEstado;
         // Actualizar si hubo cambios
         if (nuevoEstadoSifen !== invoiceRecord.estadoSifen || nuevoEstadoVisual !== invoiceRecord.estadoVisual) {
           invoiceRecord.estadoSifen = nuevoEstadoSifen;
@@ -687,7 +782,7 @@ app.get('/api/invoices/estado/:cdc', async (req, res) => {
       }
     } catch (error) {
       // Si no se puede consultar a la SET, usar el estado local
-      console.log('⚠️ No se pudo consultar el estado a la SET, usando estado local');
+      console.log(`⚠️ No se pudo consultar el estado a la SET, usando estado local: ${error.message}`);
     }
 
     res.status(200).json({
@@ -713,14 +808,16 @@ app.get('/api/invoices/estado/:cdc', async (req, res) => {
   }
 });
 
-// Endpoint para limpiar/eliminar todas las facturas de la base de datos
-app.delete('/api/invoices/clear', async (req, res) => {
+// Endpoint para eliminar todas las facturas de las empresas permitidas
+app.delete('/api/invoices/clear', autenticado, requierePermiso('facturas:eliminar'), async (req, res) => {
   try {
-    // Eliminar todos los documentos de la colección Invoice
-    const result = await Invoice.deleteMany({});
+    const invoiceIds = await Invoice.find(filtroEmpresas(req)).distinct('_id');
+
+    // Eliminar las facturas de las empresas del usuario / API Key
+    const result = await Invoice.deleteMany({ _id: { $in: invoiceIds } });
     
-    // Eliminar todos los registros de operaciones
-    const logsResult = await OperationLog.deleteMany({});
+    // Eliminar los registros de operaciones de esas facturas
+    const logsResult = await OperationLog.deleteMany({ invoiceId: { $in: invoiceIds } });
     
     console.log(`🗑️ Base de datos limpiada: ${result.deletedCount} facturas, ${logsResult.deletedCount} registros eliminados`);
     
@@ -741,11 +838,11 @@ app.delete('/api/invoices/clear', async (req, res) => {
 });
 
 // Endpoint para eliminar una factura específica por ID
-app.delete('/api/invoices/:id', async (req, res) => {
+app.delete('/api/invoices/:id', autenticado, requierePermiso('facturas:eliminar'), async (req, res) => {
   try {
     const { id } = req.params;
     
-    const result = await Invoice.findByIdAndDelete(id);
+    const result = await Invoice.findOneAndDelete({ _id: id, ...filtroEmpresas(req) });
     
     if (!result) {
       return res.status(404).json({
@@ -775,14 +872,14 @@ app.delete('/api/invoices/:id', async (req, res) => {
 });
 
 // Endpoint para consultar y actualizar el estado desde la SET
-app.post('/api/invoices/:id/refresh-status', async (req, res) => {
+app.post('/api/invoices/:id/refresh-status', autenticado, requierePermiso('facturas:leer'), async (req, res) => {
   try {
     const { id } = req.params;
 
     console.log(`🔄 Consultando estado para factura ID: ${id}`);
 
-    // Buscar la factura en la base de datos
-    const invoiceRecord = await Invoice.findById(id);
+    // Buscar la factura en la base de datos (empresas permitidas)
+    const invoiceRecord = await Invoice.findOne({ _id: id, ...filtroEmpresas(req) });
 
     if (!invoiceRecord) {
       console.log(`❌ Factura no encontrada: ${id}`);
@@ -806,7 +903,7 @@ app.post('/api/invoices/:id/refresh-status', async (req, res) => {
     // OPTIMIZACIÓN: No consultar a SET si el estado ya es final
     // Según Manual Técnico v150, estados finales no cambian
     // ========================================
-    const estadosFinales = ['aceptado', 'rechazado', 'error', 'observado'];
+    const estadosFinales = ['aceptado', 'rechazado', 'error', 'observado', 'cancelado'];
     const esEstadoFinal = estadosFinales.includes(invoiceRecord.estadoSifen);
 
     if (esEstadoFinal) {
@@ -834,34 +931,17 @@ app.post('/api/invoices/:id/refresh-status', async (req, res) => {
     // ========================================
     // ESTADO NO FINAL: Consultar a SET para obtener el estado actual
     // ========================================
-    try {
-      // Obtener configuración de la empresa
-      const Empresa = require('./models/Empresa');
-      const empresa = await Empresa.findById(invoiceRecord.empresaId);
 
-      if (!empresa) {
-        console.log('⚠️ No se encontró la empresa, usando configuración por defecto');
-      }
+    // Credenciales de la empresa emisora (si no hay certificado utilizable
+    // se responde sin tocar el estado de la factura)
+    const credenciales = await resolverCredenciales({ empresaId: invoiceRecord.empresaId });
 
+    try {
       const idConsulta = crypto.randomBytes(16).toString('hex');
-      const ambiente = empresa?.configuracionSifen?.modo || 'test';
-
-      // Obtener ruta y contraseña del certificado de la empresa
-      let certificateP12Path = path.join(__dirname, '../certificados', 'p12', 'certificado.p12');
-      let certificatePassword = '123456';
-
-      if (empresa?.certificado?.nombreArchivo) {
-        const certificadoService = require('./services/certificadoService');
-        certificateP12Path = path.join(__dirname, '../certificados', 'p12', empresa.certificado.nombreArchivo);
-        certificatePassword = certificadoService.descifrarContrasena(empresa.certificado.contrasena);
-        console.log(`🔑 Usando certificado de la empresa: ${empresa.certificado.nombreArchivo}`);
-      } else {
-        console.log('⚠️ Empresa no tiene certificado configurado, usando certificado por defecto');
-      }
 
       console.log('📤 Enviando consulta a la SET...');
 
-      const respuesta = await setApi.consulta(idConsulta, invoiceRecord.cdc, ambiente, certificateP12Path, certificatePassword);
+      const respuesta = await setApi.consulta(idConsulta, invoiceRecord.cdc, credenciales.ambiente, credenciales.rutaCertificado, credenciales.contrasena);
 
       console.log('📥 Respuesta recibida de la SET');
       console.log('Respuesta:', respuesta.substring(0, 500));
@@ -950,40 +1030,13 @@ app.post('/api/invoices/:id/refresh-status', async (req, res) => {
       // en el mock-set vía REST API.
       //
       // NOTA: El código 0000 NO es oficial. Se usaba anteriormente para "En procesamiento".
-      let estadoVisual = 'rechazado';
-      let estadoSifen = 'rechazado';
-
-      if (codigoRetorno === '0260') {
-        // Recepción: Autorización satisfactoria (DTE aprobado)
-        estadoVisual = 'aceptado';
-        estadoSifen = 'aceptado';
-        console.log('  ✅ Código 0260: Autorización satisfactoria');
-      } else if (codigoRetorno === '1005') {
-        // Recepción: Transmisión extemporánea - ÚNICO CASO donde estado = 'observado'
-        estadoVisual = 'observado';
-        estadoSifen = 'observado';
-        console.log('  ⚠️ Código 1005: Transmisión extemporánea');
-      } else if (['1000', '1001', '1002', '1003', '1004'].includes(codigoRetorno)) {
-        // Recepción: Errores de validación - Rechazado
-        estadoVisual = 'rechazado';
-        estadoSifen = 'rechazado';
-        console.log('  ❌ Código', codigoRetorno, ': Error de validación - Rechazado');
-      } else if (codigoRetorno === '0420') {
-        // Consulta: CDC inexistente - La factura no está en la SET
-        estadoVisual = 'error';
-        estadoSifen = 'error';
-        console.log('  ❌ Código 0420: CDC inexistente - Factura no encontrada en SET');
-      } else if (codigoRetorno === '0421') {
-        // Consulta: RUC Certificado sin permiso - Error de autenticación
-        estadoVisual = 'rechazado';
-        estadoSifen = 'rechazado';
-        console.log('  ❌ Código 0421: RUC Certificado sin permiso para consultar');
-      } else if (codigoRetorno === '0422') {
-        // Consulta: CDC encontrado - Documento APROBADO
-        estadoVisual = 'aceptado';
-        estadoSifen = 'aceptado';
-        console.log('  ✅ Código 0422: CDC encontrado - Documento APROBADO');
-      }
+      //
+      // El mapeo es compartido con la reconciliación periódica (services/reconciliacionService.js).
+      // Códigos no reconocidos se consideran rechazados.
+      const { estadoSifen, estadoVisual } = determinarEstadoConsulta(codigoRetorno) || {
+        estadoSifen: 'rechazado',
+        estadoVisual: 'rechazado'
+      };
 
       console.log('  Estado visual:', estadoVisual, '(desde código:', codigoRetorno + ')');
       console.log('  Estado SIFEN:', estadoSifen);
@@ -1053,6 +1106,10 @@ app.post('/api/invoices/:id/refresh-status', async (req, res) => {
 
         await invoiceRecord.save();
 
+        if (estadoCambio) {
+          await require('./services/webhookService').notificarEstadoFactura(invoiceRecord);
+        }
+
         if (logEstado === 'error') {
           console.log(`❌ Factura rechazada para factura ${id}: ${descripcion}`);
         } else if (logEstado === 'warning') {
@@ -1129,6 +1186,13 @@ app.post('/api/invoices/:id/refresh-status', async (req, res) => {
       });
     }
   } catch (error) {
+    if (error instanceof ErrorCredenciales) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        codigo: error.codigo
+      });
+    }
     console.error('❌ Error al actualizar estado:', error);
     res.status(500).json({ 
       success: false,
@@ -1146,16 +1210,32 @@ app.post('/api/invoices/:id/refresh-status', async (req, res) => {
 const PORT = process.env.PORT || 8081;
 
 const iniciarServidor = async () => {
+  // No iniciar en producción con la clave de secretos por defecto
+  secretosService.verificarAlIniciar();
+  sesionService.verificarAlIniciar();
+  // Advierte si faltan los XSD (no inicia si la validación es obligatoria)
+  xsdValidacionService.verificarAlIniciar();
+
   await connectDB();
 
   app.listen(PORT, () => {
     console.log(`🚀 Servidor de facturación electrónica iniciado en http://localhost:${PORT}`);
     console.log(`📋 Endpoints disponibles:`);
     console.log(`   POST /api/facturar/crear - Genera factura electrónica (con cola asíncrona)`);
-    console.log(`   GET  /api/stats - Estadísticas del sistema`);
+    console.log(`   POST /api/facturar/validar - Valida una factura sin crearla (dry-run)`);
+    console.log(`   POST /api/facturar/nota-credito - Emite una nota de crédito sobre un documento aceptado`);
+    console.log(`   POST /api/facturar/nota-debito - Emite una nota de débito sobre un documento aceptado`);
+    console.log(`   POST /api/facturar/lote - Envía facturas por lotes asíncronos (recibeLote)`);
+    console.log(`   /api/webhooks - Suscripciones de webhooks por empresa`);
+    console.log(`   /api/documentos-recibidos - Documentos recibidos de proveedores y eventos del receptor`);
+    console.log(`   /api/xml/verificar - Verificación de firma, DigestValue, CDC y QR`);
+    console.log(`   GET  /api/cdc/:cdc/decode - Decodifica y valida un CDC`);
+    console.log(`   GET  /api/salud - Verificación de conexión (pública)`);
+    console.log(`   GET  /api/stats - Estadísticas de las empresas permitidas`);
     console.log(`   GET  /api/invoices - Lista de facturas`);
     console.log(`   GET  /api/factura/estado/:id - Estado de factura (cola)`);
     console.log(`   GET  /api/queue/stats - Estadísticas de la cola`);
+    console.log(`   GET  /api/reconciliacion - Última reconciliación de estados (admin)`);
   });
 };
 
@@ -0,0 +1,156 @@
+/**
+ * Servicio de Alertas de Vencimiento de Certificados
+ * Revisa periódicamente la vigencia de los certificados digitales de las
+ * empresas (leída del .p12 al cargarlo) y registra una alerta al alcanzar cada
+ * umbral antes del vencimiento (30, 15 y 7 días) y otra al vencer.
+ *
+ * Un certificado vencido bloquea la emisión (Empresa.tieneCertificadoValido).
+ */
+
+const Empresa = require('../models/Empresa');
+const AlertaCertificado = require('../models/AlertaCertificado');
+
+const DIA_MS = 24 * 60 * 60 * 1000;
+
+// Días antes del vencimiento en que se alerta (de mayor a menor)
+const UMBRALES_DIAS = (process.env.CERTIFICADO_ALERTA_DIAS || '30,15,7')
+  .split(',')
+  .map(dias => parseInt(dias, 10))
+  .filter(dias => dias > 0)
+  .sort((a, b) => b - a);
+
+// Intervalo entre revisiones del job repetible (milisegundos)
+const INTERVALO = parseInt(process.env.CERTIFICADO_ALERTA_INTERVALO, 10) || 21600000;  // 6 horas
+
+/**
+ * Días que faltan para el vencimiento (0 o negativo si ya venció)
+ */
+function diasParaVencer(fechaVencimiento, ahora = new Date()) {
+  return Math.ceil((fechaVencimiento - ahora) / DIA_MS);
+}
+
+/**
+ * Umbral alcanzado: el menor umbral que cubre los días restantes,
+ * 0 si el certificado ya venció o null si todavía no corresponde alertar
+ */
+function umbralAlcanzado(dias) {
+  if (dias <= 0) return 0;
+  const alcanzados = UMBRALES_DIAS.filter(umbral => dias <= umbral);
+  return alcanzados.length > 0 ? Math.min(...alcanzados) : null;
+}
+
+/**
+ * Estado de vigencia del certificado de una empresa
+ * @param {Object} empresa - Documento Empresa
+ * @returns {Object} { empresaId, ruc, nombreFantasia, numeroSerie, fechaVencimiento, diasParaVencer, vencido, umbralDias }
+ */
+function estadoCertificado(empresa, ahora = new Date()) {
+  const fechaVencimiento = empresa.certificado?.activo ? empresa.certificado.fechaVencimiento : null;
+  const dias = fechaVencimiento ? diasParaVencer(fechaVencimiento, ahora) : null;
+
+  return {
+    empresaId: empresa._id,
+    ruc: empresa.ruc,
+    nombreFantasia: empresa.nombreFantasia,
+    numeroSerie: empresa.certificado?.numeroSerie || null,
+    fechaVencimiento: fechaVencimiento || null,
+    diasParaVencer: dias,
+    vencido: fechaVencimiento ? empresa.certificadoVencido(ahora) : false,
+    umbralDias: dias === null ? null : umbralAlcanzado(dias)
+  };
+}
+
+/**
+ * Registra la alerta del umbral alcanzado por el certificado de una empresa
+ * (una sola vez por certificado y umbral)
+ * @param {Object} empresa - Documento Empresa
+ * @returns {Promise<Object|null>} Alerta creada o null si no corresponde / ya existía
+ */
+async function revisarEmpresa(empresa, ahora = new Date()) {
+  const estado = estadoCertificado(empresa, ahora);
+  if (estado.umbralDias === null) return null;
+
+  const vencido = estado.umbralDias === 0;
+  const fecha = estado.fechaVencimiento.toISOString().slice(0, 10);
+  const descripcion = vencido
+    ? `El certificado digital de ${empresa.nombreFantasia} (RUC ${empresa.ruc}) venció el ${fecha}. No se pueden emitir documentos hasta cargar uno vigente`
+    : `El certificado digital de ${empresa.nombreFantasia} (RUC ${empresa.ruc}) vence en ${estado.diasParaVencer} día(s), el ${fecha}`;
+
+  const filtro = {
+    empresaId: empresa._id,
+    numeroSerie: estado.numeroSerie,
+    fechaVencimiento: estado.fechaVencimiento,
+    umbralDias: estado.umbralDias
+  };
+
+  try {
+    const resultado = await AlertaCertificado.updateOne(filtro, {
+      $setOnInsert: {
+        ruc: empresa.ruc,
+        tipo: vencido ? 'vencido' : 'por_vencer',
+        diasParaVencer: estado.diasParaVencer,
+        descripcion,
+        estado: vencido ? 'error' : 'warning',
+        fecha: ahora
+      }
+    }, { upsert: true });
+
+    if (!resultado.upsertedCount) return null;
+  } catch (error) {
+    // Otra revisión concurrente ya registró la misma alerta
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  console.warn(`${vencido ? '❌' : '⚠️'} [CERTIFICADOS] ${descripcion}`);
+  return AlertaCertificado.findOne(filtro);
+}
+
+/**
+ * Revisa los certificados de todas las empresas activas
+ * @returns {Promise<Object>} { revisadas, alertas }
+ */
+async function revisarCertificados({ ahora = new Date() } = {}) {
+  const empresas = await Empresa.find({
+    activo: true,
+    'certificado.activo': true,
+    'certificado.fechaVencimiento': { $ne: null }
+  });
+
+  const alertas = [];
+  for (const empresa of empresas) {
+    try {
+      const alerta = await revisarEmpresa(empresa, ahora);
+      if (alerta) alertas.push(alerta);
+    } catch (error) {
+      console.error(`❌ [CERTIFICADOS] Error revisando empresa ${empresa.ruc}:`, error.message);
+    }
+  }
+
+  return { revisadas: empresas.length, alertas };
+}
+
+/**
+ * Lista las alertas de un conjunto de empresas (más recientes primero)
+ * @param {Array} empresaIds - IDs de las empresas
+ * @param {Object} opciones - { tipo, limite }
+ */
+async function listarAlertas(empresaIds, { tipo, limite = 50 } = {}) {
+  const filtro = { empresaId: { $in: empresaIds } };
+  if (tipo) filtro.tipo = tipo;
+
+  return AlertaCertificado.find(filtro)
+    .sort({ fecha: -1 })
+    .limit(limite);
+}
+
+module.exports = {
+  diasParaVencer,
+  umbralAlcanzado,
+  estadoCertificado,
+  revisarEmpresa,
+  revisarCertificados,
+  listarAlertas,
+  UMBRALES_DIAS,
+  INTERVALO
+};
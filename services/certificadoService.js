@@ -1,11 +1,21 @@
 /**
  * Servicio para gestión de certificados digitales
  * Maneja el almacenamiento y cifrado de certificados .p12 por RUC
+ *
+ * Cada certificado cargado se guarda como una versión nueva
+ * (certificados/:ruc/certificado-v<N>.p12.enc) sin sobrescribir las anteriores,
+ * para saber con qué certificado se firmó cada documento y poder volver atrás.
+ *
+ * Los .p12 y sus contraseñas se guardan cifrados (ver secretosService); los
+ * certificado*.p12 en claro de versiones anteriores se siguen leyendo hasta
+ * ejecutar `npm run rotar-claves`.
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const forge = require('node-forge');
+const secretos = require('./secretosService');
 
 // Ruta base de certificados (desde variables de entorno o default)
 const CERTIFICADOS_BASE_PATH = process.env.CERTIFICADOS_PATH || 
@@ -25,103 +35,140 @@ function crearCarpetaRuc(ruc) {
   return carpeta;
 }
 
+// Archivo de certificados cargados antes del historial de versiones
+const ARCHIVO_SIN_VERSION = 'certificado.p12';
+
+/**
+ * Nombre del archivo de una versión del certificado
+ * @param {number} version - Versión en el historial de la empresa
+ * @returns {string} Nombre del archivo (certificado-v<N>.p12.enc)
+ */
+function archivoVersion(version) {
+  return `certificado-v${version}.p12.enc`;
+}
+
+// Los archivos .enc están cifrados (secretosService); el resto son .p12 en claro anteriores
+function esArchivoCifrado(archivo) {
+  return archivo.endsWith('.enc');
+}
+
+// Identificador del archivo en el backend de secretos
+function claveArchivo(ruc, archivo) {
+  return `${ruc}/${archivo}`;
+}
+
 /**
  * Obtiene ruta del certificado para un RUC
  * @param {string} ruc - RUC de la empresa
+ * @param {string} archivo - Archivo de la versión (por defecto certificado.p12)
  * @returns {string} Ruta completa al archivo .p12
  */
-function obtenerRutaCertificado(ruc) {
-  return path.join(CERTIFICADOS_BASE_PATH, ruc, 'certificado.p12');
+function obtenerRutaCertificado(ruc, archivo = ARCHIVO_SIN_VERSION) {
+  return path.join(CERTIFICADOS_BASE_PATH, ruc, archivo);
 }
 
 /**
- * Guarda certificado .p12 en el filesystem
+ * Guarda certificado .p12 (cifrado si el archivo es .enc)
  * @param {string} ruc - RUC de la empresa
  * @param {Buffer} buffer - Contenido del archivo .p12
+ * @param {string} archivo - Archivo de la versión (por defecto certificado.p12)
  * @returns {string} Ruta donde se guardó el archivo
  */
-function guardarCertificado(ruc, buffer) {
-  // Crear directorio si no existe
-  const carpeta = path.join(CERTIFICADOS_BASE_PATH, ruc);
-  if (!fs.existsSync(carpeta)) {
-    fs.mkdirSync(carpeta, { recursive: true });
-    console.log(`📁 Carpeta creada para RUC ${ruc}: ${carpeta}`);
+function guardarCertificado(ruc, buffer, archivo = ARCHIVO_SIN_VERSION) {
+  const ruta = obtenerRutaCertificado(ruc, archivo);
+
+  if (esArchivoCifrado(archivo)) {
+    secretos.guardarArchivo(claveArchivo(ruc, archivo), buffer);
+  } else {
+    crearCarpetaRuc(ruc);
+    fs.writeFileSync(ruta, buffer);
   }
-  
-  const ruta = obtenerRutaCertificado(ruc);
-  fs.writeFileSync(ruta, buffer);
+
   console.log(`✅ Certificado guardado para RUC ${ruc}: ${ruta}`);
   return ruta;
 }
 
+/**
+ * Lee el contenido en claro de un certificado .p12
+ * @param {string} ruc - RUC de la empresa
+ * @param {string} archivo - Archivo de la versión (por defecto certificado.p12)
+ * @returns {Buffer|null} Contenido del .p12 o null si no existe
+ */
+function leerCertificado(ruc, archivo = ARCHIVO_SIN_VERSION) {
+  if (esArchivoCifrado(archivo)) {
+    return secretos.leerArchivo(claveArchivo(ruc, archivo));
+  }
+  const ruta = obtenerRutaCertificado(ruc, archivo);
+  return fs.existsSync(ruta) ? fs.readFileSync(ruta) : null;
+}
+
+/**
+ * Ruta de un .p12 en claro para las librerías que firman o envían a la SET
+ * (los cifrados se descifran a un archivo temporal del proceso)
+ * @param {string} ruc - RUC de la empresa
+ * @param {string} archivo - Archivo de la versión (por defecto certificado.p12)
+ * @returns {string|null} Ruta o null si no existe
+ */
+function rutaParaFirma(ruc, archivo = ARCHIVO_SIN_VERSION) {
+  if (esArchivoCifrado(archivo)) {
+    return secretos.materializarArchivo(claveArchivo(ruc, archivo));
+  }
+  const ruta = obtenerRutaCertificado(ruc, archivo);
+  return fs.existsSync(ruta) ? ruta : null;
+}
+
 /**
  * Elimina certificado y carpeta de un RUC
  * @param {string} ruc - RUC de la empresa
  */
 function eliminarCertificado(ruc) {
   const carpeta = path.join(CERTIFICADOS_BASE_PATH, ruc);
+  secretos.eliminarArchivo(ruc);
   if (fs.existsSync(carpeta)) {
     fs.rmSync(carpeta, { recursive: true, force: true });
-    console.log(`🗑️ Certificado eliminado para RUC ${ruc}`);
   }
+  console.log(`🗑️ Certificado eliminado para RUC ${ruc}`);
 }
 
 /**
- * Cifra contraseña con AES-256-CBC
+ * Cifra contraseña (AES-256-GCM con la clave de secretos activa)
  * @param {string} contrasena - Contraseña a cifrar
- * @returns {string} Contraseña cifrada en formato hex:iv
+ * @returns {string} Contraseña cifrada (ver secretosService)
  */
 function cifrarContrasena(contrasena) {
-  const masterKey = Buffer.from(
-    (process.env.CERTIFICADO_MASTER_KEY || 'default-key-32-chars!!').padEnd(32, '0').slice(0, 32),
-    'utf8'
-  );
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv('aes-256-cbc', masterKey, iv);
-  
-  let encrypted = cipher.update(contrasena, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  
-  return iv.toString('hex') + ':' + encrypted;
+  return secretos.cifrar(contrasena);
 }
 
 /**
- * Descifra contraseña cifrada con AES-256-CBC
- * @param {string} encrypted - Contraseña cifrada en formato hex:iv
+ * Descifra contraseña (acepta también el formato AES-256-CBC anterior)
+ * @param {string} encrypted - Contraseña cifrada
  * @returns {string} Contraseña descifrada en texto plano
  */
 function descifrarContrasena(encrypted) {
-  const masterKey = Buffer.from(
-    (process.env.CERTIFICADO_MASTER_KEY || 'default-key-32-chars!!').padEnd(32, '0').slice(0, 32),
-    'utf8'
-  );
-  const [ivHex, encryptedHex] = encrypted.split(':');
-  
-  const iv = Buffer.from(ivHex, 'hex');
-  const decipher = crypto.createDecipheriv('aes-256-cbc', masterKey, iv);
-  
-  let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
-  decrypted += decipher.final('utf8');
-  
-  return decrypted;
+  return secretos.descifrar(encrypted);
 }
 
 /**
  * Verifica si existe certificado para un RUC
  * @param {string} ruc - RUC de la empresa
+ * @param {string} archivo - Archivo de la versión (por defecto certificado.p12)
  * @returns {boolean} true si existe el certificado
  */
-function existeCertificado(ruc) {
-  return fs.existsSync(obtenerRutaCertificado(ruc));
+function existeCertificado(ruc, archivo = ARCHIVO_SIN_VERSION) {
+  if (esArchivoCifrado(archivo)) {
+    return secretos.existeArchivo(claveArchivo(ruc, archivo));
+  }
+  return fs.existsSync(obtenerRutaCertificado(ruc, archivo));
 }
 
 /**
  * Obtiene información del certificado (sin el archivo)
  * @param {string} ruc - RUC de la empresa
+ * @param {string} archivo - Archivo de la versión (por defecto certificado.p12)
  * @returns {Object|null} Información del certificado o null si no existe
  */
-function obtenerInfoCertificado(ruc) {
-  const ruta = obtenerRutaCertificado(ruc);
+function obtenerInfoCertificado(ruc, archivo = ARCHIVO_SIN_VERSION) {
+  const ruta = obtenerRutaCertificado(ruc, archivo);
   if (!fs.existsSync(ruta)) {
     return null;
   }
@@ -136,6 +183,153 @@ function obtenerInfoCertificado(ruc) {
   };
 }
 
+/**
+ * Error de certificado inválido (contraseña, vigencia o RUC del titular)
+ */
+class ErrorCertificado extends Error {
+  constructor(mensaje, status = 400) {
+    super(mensaje);
+    this.name = 'ErrorCertificado';
+    this.codigo = 'CERTIFICADO_INVALIDO';
+    this.status = status;
+  }
+}
+
+// RUC sin dígito verificador (80012345-6 → 80012345)
+function rucSinDV(ruc) {
+  return String(ruc || '').split('-')[0].replace(/[^0-9]/g, '');
+}
+
+/**
+ * Nombre distinguido (subject/issuer) como texto: "CN=..., serialNumber=..."
+ */
+function nombreDistinguido(nombre) {
+  return nombre.attributes
+    .map(atributo => `${atributo.shortName || atributo.name || atributo.type}=${atributo.value}`)
+    .join(', ');
+}
+
+/**
+ * Extrae el RUC del titular del certificado
+ * Los certificados paraguayos lo llevan en el serialNumber del subject
+ * ("RUC80069563-1" para personas jurídicas, "CI1234567" para personas físicas)
+ * @param {Object} certificado - Certificado de node-forge
+ * @returns {string|null} RUC (con DV si el certificado lo incluye) o null
+ */
+function extraerRucTitular(certificado) {
+  const valores = [
+    certificado.subject.getField({ name: 'serialNumber' })?.value,
+    certificado.subject.getField('CN')?.value
+  ];
+
+  for (const valor of valores) {
+    const coincidencia = /(?:RUC|CI)\s*[:-]?\s*(\d{5,9}(?:-\d)?)/i.exec(valor || '');
+    if (coincidencia) return coincidencia[1];
+  }
+  return null;
+}
+
+/**
+ * Verifica que un certificado esté firmado por el emisor indicado
+ */
+function firmadoPor(certificado, emisor) {
+  try {
+    return emisor.issued(certificado) && emisor.verify(certificado);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Abre un .p12 con su contraseña y extrae los datos del certificado del titular
+ * (el que corresponde a la clave privada) y de su cadena
+ * @param {Buffer} buffer - Contenido del archivo .p12
+ * @param {string} contrasena - Contraseña del .p12
+ * @param {Object} opciones - { ruc } para validar el RUC del titular
+ * @returns {Object} { sujeto, emisor, numeroSerie, rucTitular, fechaInicioVigencia, fechaVencimiento, huella, cadena, cadenaCompleta }
+ * @throws {ErrorCertificado} Contraseña incorrecta, archivo inválido, certificado fuera de vigencia o de otro RUC
+ */
+function inspeccionarCertificado(buffer, contrasena, { ruc } = {}) {
+  let p12;
+  try {
+    const asn1 = forge.asn1.fromDer(buffer.toString('binary'));
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1, contrasena);
+  } catch (error) {
+    if (/password|MAC/i.test(error.message)) {
+      throw new ErrorCertificado('La contraseña del certificado es incorrecta');
+    }
+    throw new ErrorCertificado(`El archivo no es un certificado PKCS#12 (.p12) válido: ${error.message}`);
+  }
+
+  const bolsasClave = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || [])
+  ];
+  const certificados = (p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [])
+    .map(bolsa => bolsa.cert)
+    .filter(Boolean);
+
+  const clavePrivada = bolsasClave.find(bolsa => bolsa.key)?.key;
+  if (!clavePrivada || certificados.length === 0) {
+    throw new ErrorCertificado('El .p12 debe contener la clave privada y el certificado del titular');
+  }
+
+  // El certificado del titular es el que corresponde a la clave privada
+  const titular = certificados.find(certificado =>
+    certificado.publicKey.n && certificado.publicKey.n.equals(clavePrivada.n)
+  );
+  if (!titular) {
+    throw new ErrorCertificado('Ningún certificado del .p12 corresponde a su clave privada');
+  }
+
+  const ahora = new Date();
+  if (titular.validity.notAfter < ahora) {
+    throw new ErrorCertificado(`El certificado está vencido desde ${titular.validity.notAfter.toISOString()}`);
+  }
+  if (titular.validity.notBefore > ahora) {
+    throw new ErrorCertificado(`El certificado recién es válido desde ${titular.validity.notBefore.toISOString()}`);
+  }
+
+  const rucTitular = extraerRucTitular(titular);
+  if (ruc) {
+    if (!rucTitular) {
+      throw new ErrorCertificado('El certificado no indica el RUC del titular');
+    }
+    // El DV se deriva del número, basta comparar el RUC sin DV
+    if (rucSinDV(rucTitular) !== rucSinDV(ruc)) {
+      throw new ErrorCertificado(`El certificado pertenece al RUC ${rucTitular} y no al de la empresa (${ruc})`);
+    }
+  }
+
+  // Cadena: desde el titular, siguiendo los emisores incluidos en el .p12
+  const cadena = [];
+  let actual = titular;
+  let cadenaCompleta = false;
+  while (actual && cadena.length < certificados.length) {
+    cadena.push({ sujeto: nombreDistinguido(actual.subject), emisor: nombreDistinguido(actual.issuer) });
+
+    if (firmadoPor(actual, actual)) {
+      cadenaCompleta = true;  // Llegó a la raíz (autofirmado)
+      break;
+    }
+    actual = certificados.find(candidato => candidato !== actual && firmadoPor(actual, candidato));
+  }
+
+  const der = forge.asn1.toDer(forge.pki.certificateToAsn1(titular)).getBytes();
+
+  return {
+    sujeto: nombreDistinguido(titular.subject),
+    emisor: nombreDistinguido(titular.issuer),
+    numeroSerie: titular.serialNumber.toUpperCase(),
+    rucTitular,
+    fechaInicioVigencia: titular.validity.notBefore,
+    fechaVencimiento: titular.validity.notAfter,
+    huella: crypto.createHash('sha256').update(Buffer.from(der, 'binary')).digest('hex'),
+    cadena,
+    cadenaCompleta
+  };
+}
+
 /**
  * Lista todos los certificados existentes
  * @returns {Array<string>} Array de RUCs con certificados
@@ -148,19 +342,144 @@ function listarCertificados() {
   const items = fs.readdirSync(CERTIFICADOS_BASE_PATH);
   return items.filter(item => {
     const ruta = path.join(CERTIFICADOS_BASE_PATH, item);
-    return fs.statSync(ruta).isDirectory() && existeCertificado(item);
+    return fs.statSync(ruta).isDirectory() &&
+      fs.readdirSync(ruta).some(archivo => /\.p12(\.enc)?$/.test(archivo));
+  });
+}
+
+// ========================================
+// HISTORIAL DE VERSIONES
+// ========================================
+
+// Campos de una versión copiados entre empresa.certificado y el historial
+const CAMPOS_VERSION = [
+  'version', 'archivo', 'nombreArchivo', 'contrasena', 'fechaVencimiento', 'fechaCarga',
+  'sujeto', 'emisor', 'numeroSerie', 'rucTitular', 'fechaInicioVigencia', 'huella', 'cadenaCompleta'
+];
+
+function copiarCamposVersion(origen) {
+  const copia = {};
+  for (const campo of CAMPOS_VERSION) {
+    if (origen[campo] !== undefined) copia[campo] = origen[campo];
+  }
+  return copia;
+}
+
+/**
+ * Incorpora al historial el certificado cargado antes de existir las versiones
+ * (certificado.p12), para no perderlo al cargar uno nuevo
+ * @param {Object} empresa - Documento Empresa
+ */
+function migrarCertificadoSinVersion(empresa) {
+  const actual = empresa.certificado;
+  if (!actual?.contrasena || actual.version) return;
+
+  const version = Math.max(0, ...empresa.historialCertificados.map(entrada => entrada.version || 0)) + 1;
+  empresa.historialCertificados.push({
+    ...copiarCamposVersion(actual.toObject ? actual.toObject() : actual),
+    version,
+    archivo: actual.archivo || ARCHIVO_SIN_VERSION
   });
+  empresa.certificado.version = version;
+  empresa.certificado.archivo = actual.archivo || ARCHIVO_SIN_VERSION;
+}
+
+/**
+ * Guarda un certificado nuevo como la siguiente versión y lo deja activo
+ * (no guarda la empresa)
+ * @param {Object} empresa - Documento Empresa
+ * @param {Object} datos - { buffer, nombreArchivo, contrasena (texto plano), info (de inspeccionarCertificado) }
+ * @returns {Object} Versión creada
+ */
+function agregarVersion(empresa, { buffer, nombreArchivo, contrasena, info }) {
+  migrarCertificadoSinVersion(empresa);
+
+  const version = Math.max(0, ...empresa.historialCertificados.map(entrada => entrada.version || 0)) + 1;
+  const archivo = archivoVersion(version);
+  guardarCertificado(empresa.ruc, buffer, archivo);
+
+  const nueva = {
+    version,
+    archivo,
+    nombreArchivo,
+    contrasena: cifrarContrasena(contrasena),
+    fechaVencimiento: info.fechaVencimiento,
+    fechaCarga: new Date(),
+    sujeto: info.sujeto,
+    emisor: info.emisor,
+    numeroSerie: info.numeroSerie,
+    rucTitular: info.rucTitular,
+    fechaInicioVigencia: info.fechaInicioVigencia,
+    huella: info.huella,
+    cadenaCompleta: info.cadenaCompleta
+  };
+
+  activarEntrada(empresa, nueva);
+  empresa.historialCertificados.push(nueva);
+  return nueva;
+}
+
+/**
+ * Vuelve a activar una versión anterior del certificado (no guarda la empresa)
+ * El .p12 se vuelve a abrir para rechazar versiones vencidas o ilegibles
+ * @param {Object} empresa - Documento Empresa
+ * @param {number} version - Versión del historial
+ * @returns {Object} Versión activada
+ * @throws {ErrorCertificado} Versión inexistente, archivo faltante o certificado no utilizable
+ */
+function activarVersion(empresa, version) {
+  migrarCertificadoSinVersion(empresa);
+
+  const entrada = empresa.historialCertificados.find(item => item.version === Number(version));
+  if (!entrada) {
+    throw new ErrorCertificado(`La versión ${version} del certificado no existe`, 404);
+  }
+
+  const buffer = leerCertificado(empresa.ruc, entrada.archivo);
+  if (!buffer) {
+    throw new ErrorCertificado(`No se encontró el archivo de la versión ${version} del certificado`, 404);
+  }
+
+  inspeccionarCertificado(buffer, descifrarContrasena(entrada.contrasena), { ruc: empresa.ruc });
+
+  activarEntrada(empresa, entrada);
+  return entrada;
+}
+
+// Deja activa una entrada del historial y registra la baja de la anterior
+function activarEntrada(empresa, entrada) {
+  const anterior = empresa.certificado?.version;
+  const ahora = new Date();
+
+  for (const item of empresa.historialCertificados) {
+    if (item.version === anterior && item.version !== entrada.version) item.fechaBaja = ahora;
+  }
+  entrada.fechaBaja = undefined;
+
+  empresa.certificado = {
+    ...copiarCamposVersion(entrada.toObject ? entrada.toObject() : entrada),
+    activo: true
+  };
 }
 
 module.exports = {
   crearCarpetaRuc,
   obtenerRutaCertificado,
   guardarCertificado,
+  leerCertificado,
+  rutaParaFirma,
+  esArchivoCifrado,
   eliminarCertificado,
   cifrarContrasena,
   descifrarContrasena,
   existeCertificado,
   obtenerInfoCertificado,
   listarCertificados,
+  inspeccionarCertificado,
+  archivoVersion,
+  ARCHIVO_SIN_VERSION,
+  agregarVersion,
+  activarVersion,
+  ErrorCertificado,
   CERTIFICADOS_BASE_PATH
 };
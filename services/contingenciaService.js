@@ -0,0 +1,328 @@
+/**
+ * Servicio de Contingencia (emisión sin conexión con la SET)
+ *
+ * Con la contingencia activa, los DE se firman con tipoEmision 2 (contingencia),
+ * se entrega el KUDE al cliente y quedan en 'pendiente_envio'. Al volver la
+ * conexión se envían a la SET en el orden de emisión, dentro del plazo de 72
+ * horas desde la firma (Manual Técnico v150).
+ *
+ * La contingencia se activa por empresa:
+ * - Manual: PUT /api/empresas/:id/contingencia (se desactiva de la misma forma)
+ * - Automática: tras CONTINGENCIA_UMBRAL_FALLOS fallos de conexión consecutivos
+ *   (si la empresa la tiene habilitada); se desactiva sola al vaciar la cola
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Invoice = require('../models/Invoice');
+const Empresa = require('../models/Empresa');
+const OperationLog = require('../models/OperationLog');
+const { obtenerCredenciales } = require('./credencialesService');
+const webhookService = require('./webhookService');
+const {
+  extraerCodigoRetorno,
+  extraerMensajeRetorno,
+  extraerFechaProceso,
+  determinarEstadoSegunCodigo,
+  determinarEstadoVisual
+} = require('../utils/estadoSifen');
+
+// Importar wrapper de SET API (soporta Mock y Producción)
+const setApi = require('./setapi-wrapper');
+
+const TIPO_EMISION_NORMAL = 1;
+const TIPO_EMISION_CONTINGENCIA = 2;
+
+// Fallos de conexión consecutivos que activan la contingencia automática
+const UMBRAL_FALLOS = parseInt(process.env.CONTINGENCIA_UMBRAL_FALLOS, 10) || 3;
+
+// Plazo para transmitir un DE emitido en contingencia, desde su firma (horas)
+const PLAZO_TRANSMISION_HORAS = parseInt(process.env.CONTINGENCIA_PLAZO_HORAS, 10) || 72;
+
+// Intervalo entre intentos de envío de los pendientes (milisegundos)
+const INTERVALO = parseInt(process.env.CONTINGENCIA_INTERVALO, 10) || 300000;
+
+/**
+ * Fecha límite para transmitir un DE emitido en contingencia
+ * @param {Date} fechaFirma - Fecha de firma del DE
+ * @returns {Date}
+ */
+function calcularFechaLimite(fechaFirma = new Date()) {
+  return new Date(fechaFirma.getTime() + PLAZO_TRANSMISION_HORAS * 3600000);
+}
+
+/**
+ * Activa la contingencia de una empresa
+ * @param {Object} empresa - Documento Empresa
+ * @param {Object} opciones - { origen: 'manual' | 'automatica', motivo }
+ * @returns {Promise<Object>} Empresa actualizada
+ */
+async function activarContingencia(empresa, { origen = 'manual', motivo } = {}) {
+  empresa.contingencia.activa = true;
+  empresa.contingencia.origen = origen;
+  empresa.contingencia.motivo = motivo;
+  empresa.contingencia.fechaActivacion = new Date();
+  empresa.contingencia.fechaDesactivacion = undefined;
+  await empresa.save();
+
+  console.warn(`🚧 Contingencia ACTIVADA (${origen}) para ${empresa.nombreFantasia} (RUC: ${empresa.ruc})${motivo ? `: ${motivo}` : ''}`);
+  return empresa;
+}
+
+/**
+ * Desactiva la contingencia de una empresa (los pendientes se siguen enviando)
+ * @param {Object} empresa - Documento Empresa
+ * @returns {Promise<Object>} Empresa actualizada
+ */
+async function desactivarContingencia(empresa) {
+  empresa.contingencia.activa = false;
+  empresa.contingencia.fechaDesactivacion = new Date();
+  empresa.contingencia.fallosConsecutivos = 0;
+  await empresa.save();
+
+  console.log(`✅ Contingencia desactivada para ${empresa.nombreFantasia} (RUC: ${empresa.ruc})`);
+  return empresa;
+}
+
+/**
+ * Registra un fallo de conexión con la SET y activa la contingencia
+ * automática al alcanzar el umbral
+ * @param {String} empresaId - ID de la empresa
+ * @param {String} mensaje - Mensaje del error de conexión
+ * @returns {Promise<boolean>} true si se activó la contingencia
+ */
+async function registrarFalloConexion(empresaId, mensaje) {
+  const empresa = await Empresa.findByIdAndUpdate(
+    empresaId,
+    { $inc: { 'contingencia.fallosConsecutivos': 1 } },
+    { new: true }
+  );
+
+  if (!empresa) return false;
+
+  const { activa, automatica, fallosConsecutivos } = empresa.contingencia;
+  console.warn(`⚠️ Fallo de conexión con SET ${fallosConsecutivos}/${UMBRAL_FALLOS} para ${empresa.ruc}`);
+
+  if (activa || !automatica || fallosConsecutivos < UMBRAL_FALLOS) {
+    return false;
+  }
+
+  await activarContingencia(empresa, {
+    origen: 'automatica',
+    motivo: `${fallosConsecutivos} fallos de conexión consecutivos con la SET: ${mensaje}`
+  });
+  return true;
+}
+
+/**
+ * Reinicia el contador de fallos de conexión tras un envío exitoso
+ * @param {String} empresaId - ID de la empresa
+ */
+async function registrarConexionExitosa(empresaId) {
+  await Empresa.updateOne(
+    { _id: empresaId, 'contingencia.fallosConsecutivos': { $gt: 0 } },
+    { $set: { 'contingencia.fallosConsecutivos': 0 } }
+  );
+}
+
+/**
+ * Marca como error un DE cuyo plazo de transmisión venció (no se envía)
+ * @param {Object} invoice - Documento Invoice en 'pendiente_envio'
+ */
+async function marcarPlazoVencido(invoice) {
+  invoice.estadoSifen = 'error';
+  invoice.estadoVisual = 'rechazado';
+  invoice.mensajeRetorno = `Plazo de transmisión en contingencia vencido (${PLAZO_TRANSMISION_HORAS} h desde la firma)`;
+  await invoice.save();
+
+  await OperationLog.create({
+    invoiceId: invoice._id,
+    tipoOperacion: 'contingencia',
+    descripcion: `${invoice.mensajeRetorno} - CDC: ${invoice.cdc}`,
+    estado: 'error',
+    detalle: {
+      cdc: invoice.cdc,
+      correlativo: invoice.correlativo,
+      fechaLimiteEnvio: invoice.fechaLimiteEnvio
+    }
+  });
+
+  await webhookService.notificarEstadoFactura(invoice);
+  console.error(`❌ [CONTINGENCIA] ${invoice.correlativo}: plazo de transmisión vencido, no se envía`);
+}
+
+/**
+ * Envía a la SET un DE emitido en contingencia y actualiza su estado
+ * @param {Object} invoice - Documento Invoice en 'pendiente_envio'
+ * @param {Object} credenciales - { ambiente, rutaCertificado, contrasena }
+ * @returns {Promise<Object>} Invoice actualizada
+ * @throws {Error} Si no hay conexión con la SET (la factura sigue pendiente)
+ */
+async function enviarPendiente(invoice, { ambiente, rutaCertificado, contrasena }) {
+  const rutaXML = path.join(__dirname, '../de_output', invoice.xmlPath || '');
+  if (!invoice.xmlPath || !fs.existsSync(rutaXML)) {
+    throw new Error(`XML no encontrado para la factura ${invoice.correlativo}`);
+  }
+
+  const xml = fs.readFileSync(rutaXML, 'utf8');
+  const respuesta = await setApi.recibe(crypto.randomBytes(16).toString('hex'), xml, ambiente, rutaCertificado, contrasena);
+
+  const codigoRetorno = extraerCodigoRetorno(respuesta);
+  invoice.estadoSifen = determinarEstadoSegunCodigo(codigoRetorno);
+  invoice.estadoVisual = determinarEstadoVisual(codigoRetorno);
+  invoice.codigoRetorno = codigoRetorno;
+  invoice.mensajeRetorno = extraerMensajeRetorno(respuesta);
+  invoice.fechaProceso = extraerFechaProceso(respuesta) || invoice.fechaProceso;
+  invoice.fechaEnvio = new Date();
+  await invoice.save();
+
+  const rechazado = ['rechazado', 'error'].includes(invoice.estadoSifen);
+  await OperationLog.create({
+    invoiceId: invoice._id,
+    tipoOperacion: rechazado ? 'error_respuesta_set' : 'envio_exitoso',
+    descripcion: `Envío de DE emitido en contingencia - CDC: ${invoice.cdc}, Código: ${codigoRetorno}`,
+    estado: rechazado ? 'error' : (invoice.estadoSifen === 'observado' ? 'warning' : 'success'),
+    detalle: {
+      cdc: invoice.cdc,
+      correlativo: invoice.correlativo,
+      codigoRetorno,
+      estadoSifen: invoice.estadoSifen,
+      origen: 'contingencia'
+    }
+  });
+
+  await webhookService.notificarEstadoFactura(invoice);
+
+  console.log(`📤 [CONTINGENCIA] ${invoice.correlativo}: ${invoice.estadoSifen} (${codigoRetorno})`);
+  return invoice;
+}
+
+/**
+ * Envía en orden de emisión los DE pendientes de una empresa
+ * Se detiene en el primer fallo de conexión para no alterar el orden
+ * @param {Object} empresa - Documento Empresa
+ * @returns {Promise<Object>} Resumen { empresaId, ruc, enviados, vencidos, pendientes, omitida? }
+ */
+async function enviarPendientesEmpresa(empresa) {
+  const resumen = { empresaId: empresa._id, ruc: empresa.ruc, enviados: 0, vencidos: 0, pendientes: 0 };
+
+  // En contingencia manual se espera a que el usuario la desactive
+  if (empresa.contingencia?.activa && empresa.contingencia.origen === 'manual') {
+    resumen.omitida = 'Contingencia manual activa';
+    return resumen;
+  }
+
+  let credenciales;
+  try {
+    credenciales = obtenerCredenciales(empresa);
+  } catch (error) {
+    resumen.omitida = error.message;
+    return resumen;
+  }
+
+  const pendientes = await Invoice.find({ empresaId: empresa._id, estadoSifen: 'pendiente_envio' })
+    .sort({ fechaCreacion: 1, _id: 1 });
+
+  for (const invoice of pendientes) {
+    if (invoice.fechaLimiteEnvio && invoice.fechaLimiteEnvio < new Date()) {
+      await marcarPlazoVencido(invoice);
+      resumen.vencidos++;
+      continue;
+    }
+
+    try {
+      await enviarPendiente(invoice, credenciales);
+      resumen.enviados++;
+    } catch (error) {
+      console.warn(`⚠️ [CONTINGENCIA] Sin conexión con SET para ${empresa.ruc}: ${error.message}`);
+      resumen.pendientes = pendientes.length - resumen.enviados - resumen.vencidos;
+      resumen.error = error.message;
+      return resumen;
+    }
+  }
+
+  await registrarConexionExitosa(empresa._id);
+
+  // La contingencia automática termina cuando vuelve la conexión y se vacía la cola
+  if (empresa.contingencia?.activa && resumen.enviados > 0) {
+    await desactivarContingencia(empresa);
+  }
+
+  return resumen;
+}
+
+/**
+ * Envía los pendientes de todas las empresas (o de una sola)
+ * @param {Object} opciones - { empresaId } para limitar a una empresa
+ * @returns {Promise<Array<Object>>} Resumen por empresa
+ */
+async function procesarPendientes({ empresaId } = {}) {
+  const empresaIds = empresaId
+    ? [empresaId]
+    : await Invoice.distinct('empresaId', { estadoSifen: 'pendiente_envio' });
+
+  const resumenes = [];
+  for (const id of empresaIds) {
+    const empresa = await Empresa.findById(id);
+    if (!empresa) continue;
+
+    const resumen = await enviarPendientesEmpresa(empresa);
+    if (resumen.omitida) {
+      console.log(`ℹ️  [CONTINGENCIA] ${empresa.ruc} omitida: ${resumen.omitida}`);
+    }
+    resumenes.push(resumen);
+  }
+
+  return resumenes;
+}
+
+/**
+ * Estado de la contingencia de una empresa y sus DE pendientes de envío
+ * @param {Object} empresa - Documento Empresa
+ * @returns {Promise<Object>}
+ */
+async function obtenerEstado(empresa) {
+  const pendientes = await Invoice.find({ empresaId: empresa._id, estadoSifen: 'pendiente_envio' })
+    .select('correlativo cdc tipoDocumento total fechaCreacion fechaLimiteEnvio')
+    .sort({ fechaCreacion: 1, _id: 1 });
+
+  const ahora = Date.now();
+  const contingencia = empresa.contingencia?.toObject ? empresa.contingencia.toObject() : (empresa.contingencia || {});
+
+  return {
+    ...contingencia,
+    umbralFallos: UMBRAL_FALLOS,
+    plazoTransmisionHoras: PLAZO_TRANSMISION_HORAS,
+    totalPendientes: pendientes.length,
+    proximoVencimiento: pendientes.length > 0 ? pendientes[0].fechaLimiteEnvio : null,
+    pendientes: pendientes.map(invoice => ({
+      facturaId: invoice._id,
+      correlativo: invoice.correlativo,
+      cdc: invoice.cdc,
+      tipoDocumento: invoice.tipoDocumento,
+      total: invoice.total,
+      fechaCreacion: invoice.fechaCreacion,
+      fechaLimiteEnvio: invoice.fechaLimiteEnvio,
+      horasRestantes: invoice.fechaLimiteEnvio
+        ? Math.round((invoice.fechaLimiteEnvio.getTime() - ahora) / 360000) / 10
+        : null
+    }))
+  };
+}
+
+module.exports = {
+  TIPO_EMISION_NORMAL,
+  TIPO_EMISION_CONTINGENCIA,
+  UMBRAL_FALLOS,
+  PLAZO_TRANSMISION_HORAS,
+  INTERVALO,
+  calcularFechaLimite,
+  activarContingencia,
+  desactivarContingencia,
+  registrarFalloConexion,
+  registrarConexionExitosa,
+  enviarPendientesEmpresa,
+  procesarPendientes,
+  obtenerEstado
+};
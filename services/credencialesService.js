@@ -0,0 +1,126 @@
+/**
+ * Servicio de Credenciales SIFEN
+ * Resuelve, para cada llamada a la SET, la empresa y su certificado digital:
+ * ruta del .p12, contraseña descifrada y ambiente (test | produccion).
+ *
+ * Todas las llamadas a setApi obtienen sus credenciales por aquí, para usar
+ * siempre el certificado de la empresa (certificados/:ruc/certificado-v<N>.p12.enc).
+ * Los .p12 cifrados se entregan descifrados en un archivo temporal del proceso.
+ */
+
+const mongoose = require('mongoose');
+const Empresa = require('../models/Empresa');
+const certificadoService = require('./certificadoService');
+
+/**
+ * Error de credenciales (se responde con el status indicado)
+ */
+class ErrorCredenciales extends Error {
+  constructor(mensaje, status = 400) {
+    super(mensaje);
+    this.name = 'ErrorCredenciales';
+    this.codigo = 'CREDENCIALES_NO_DISPONIBLES';
+    this.status = status;
+  }
+}
+
+/**
+ * Obtiene las credenciales de la SET de una empresa
+ * @param {Object} empresa - Documento Empresa
+ * @returns {{ empresa: Object, ambiente: string, rutaCertificado: string, contrasena: string, version: number|null, numeroSerie: string|null }}
+ * @throws {ErrorCredenciales} Si la empresa no tiene un certificado utilizable
+ */
+function obtenerCredenciales(empresa) {
+  if (!empresa) {
+    throw new ErrorCredenciales('Empresa no encontrada', 404);
+  }
+
+  if (!empresa.certificado?.activo || !empresa.certificado?.contrasena) {
+    throw new ErrorCredenciales(`La empresa ${empresa.ruc} no tiene un certificado digital cargado`);
+  }
+
+  if (empresa.certificadoVencido()) {
+    throw new ErrorCredenciales(
+      `El certificado digital de la empresa ${empresa.ruc} venció el ${empresa.certificado.fechaVencimiento.toISOString()}`
+    );
+  }
+
+  let rutaCertificado;
+  let contrasena;
+  try {
+    rutaCertificado = certificadoService.rutaParaFirma(empresa.ruc, empresa.certificado.archivo || 'certificado.p12');
+    contrasena = certificadoService.descifrarContrasena(empresa.certificado.contrasena);
+  } catch (error) {
+    throw new ErrorCredenciales(`No se pudo descifrar el certificado de la empresa ${empresa.ruc}: ${error.message}`);
+  }
+
+  if (!rutaCertificado) {
+    throw new ErrorCredenciales(`No se encontró el archivo del certificado digital de la empresa ${empresa.ruc}`);
+  }
+
+  return {
+    empresa,
+    ambiente: empresa.configuracionSifen?.modo || 'test',
+    rutaCertificado,
+    contrasena,
+    // Versión del historial y serie del certificado (se registran en cada DE firmado)
+    version: empresa.certificado.version || null,
+    numeroSerie: empresa.certificado.numeroSerie || null
+  };
+}
+
+/**
+ * Determina la empresa cuyas credenciales se usan en una llamada a la SET
+ * - Con empresaId: esa empresa (debe estar entre empresaIds, si se indican)
+ * - Sin empresaId: la única empresa activa entre empresaIds
+ * @param {Object} opciones - { empresaId, empresaIds (empresas permitidas, ver middleware/empresas) }
+ * @returns {Promise<Object>} Documento Empresa
+ * @throws {ErrorCredenciales}
+ */
+async function resolverEmpresa({ empresaId, empresaIds } = {}) {
+  if (empresaId) {
+    if (!mongoose.isValidObjectId(empresaId)) {
+      throw new ErrorCredenciales(`empresaId inválido: ${empresaId}`);
+    }
+
+    const permitida = !empresaIds || empresaIds.some(id => id.equals(empresaId));
+    const empresa = permitida ? await Empresa.findById(empresaId) : null;
+    if (!empresa) {
+      throw new ErrorCredenciales('Empresa no encontrada', 404);
+    }
+    return empresa;
+  }
+
+  if (!empresaIds) {
+    throw new ErrorCredenciales('Indique la empresa (empresaId) para consultar la SET');
+  }
+
+  const empresas = await Empresa.find({ _id: { $in: empresaIds }, activo: true });
+  if (empresas.length === 0) {
+    throw new ErrorCredenciales('El usuario no tiene empresas activas para consultar la SET', 404);
+  }
+  if (empresas.length > 1) {
+    throw new ErrorCredenciales(
+      `El usuario tiene ${empresas.length} empresas: indique empresaId (${empresas.map(empresa => `${empresa._id} = ${empresa.ruc}`).join(', ')})`
+    );
+  }
+
+  return empresas[0];
+}
+
+/**
+ * Resuelve la empresa y devuelve sus credenciales de la SET
+ * @param {Object} opciones - { empresaId, empresaIds } (ver resolverEmpresa)
+ * @returns {Promise<Object>} { empresa, ambiente, rutaCertificado, contrasena }
+ * @throws {ErrorCredenciales}
+ */
+async function resolverCredenciales(opciones = {}) {
+  return obtenerCredenciales(await resolverEmpresa(opciones));
+}
+
+module.exports = {
+  obtenerCredenciales,
+  resolverEmpresa,
+  resolverCredenciales,
+  ErrorCredenciales
+};
@@ -0,0 +1,179 @@
+/**
+ * Servicio de Documentos Recibidos
+ * Importa los DE emitidos por proveedores a una empresa (por CDC o XML),
+ * verifica su firma y QR y los guarda en ReceivedDocument.
+ */
+
+const crypto = require('crypto');
+const ReceivedDocument = require('../models/ReceivedDocument');
+const { obtenerCredenciales } = require('./credencialesService');
+const xmlVerificacionService = require('./xmlVerificacionService');
+const setApi = require('./setapi-wrapper');
+const {
+  extraerCodigoRetorno,
+  extraerMensajeRetorno,
+  extraerEstadoDocumento
+} = require('../utils/estadoSifen');
+
+/**
+ * Error de importación (se responde con el status indicado)
+ */
+class ErrorImportacion extends Error {
+  constructor(mensaje, status = 400, detalle = {}) {
+    super(mensaje);
+    this.name = 'ErrorImportacion';
+    this.codigo = 'IMPORTACION_INVALIDA';
+    this.status = status;
+    this.detalle = detalle;
+  }
+}
+
+// RUC sin dígito verificador (80012345-6 → 80012345)
+function rucSinDV(ruc) {
+  return String(ruc || '').split('-')[0].trim();
+}
+
+/**
+ * Verifica firma y QR de un DE y arma el resumen de verificación
+ * @param {string} xml - XML del rDE
+ * @returns {Promise<{ datos: Object, verificacion: Object }>}
+ */
+async function verificarDocumento(xml) {
+  const datos = await xmlVerificacionService.extraerDatosDE(xml);
+  const firma = xmlVerificacionService.verificarFirma(xml, { cdc: datos.cdc, fecha: datos.fechaEmision });
+  const qr = xmlVerificacionService.verificarQR(datos);
+
+  return {
+    datos,
+    verificacion: {
+      firmaValida: firma.valida,
+      mensajeFirma: firma.mensaje,
+      certificado: firma.certificado,
+      // Solo cuenta si el certificado es de una CA confiable (el subject de uno autofirmado dice cualquier cosa)
+      firmanteCoincide: Boolean(firma.certificado?.confiable && firma.certificado.ruc) && firma.certificado.ruc === datos.emisor.ruc,
+      qrValido: qr.valido,
+      erroresQR: qr.errores,
+      fechaVerificacion: new Date()
+    }
+  };
+}
+
+/**
+ * Importa un DE recibido por la empresa
+ * @param {Object} empresa - Empresa receptora
+ * @param {Object} entrada - { xml } o { cdc }
+ * @returns {Promise<{ documento: Object, creado: boolean }>}
+ */
+async function importarDocumento(empresa, { xml, cdc }) {
+  let origen = 'xml';
+  let estadoSET = null;
+
+  if (!xml) {
+    origen = 'cdc';
+    ({ xml, estadoSET } = await consultarDEPorCDC(empresa, cdc));
+  }
+
+  let resultado;
+  try {
+    resultado = await verificarDocumento(xml);
+  } catch (error) {
+    throw new ErrorImportacion(`XML inválido: ${error.message}`);
+  }
+  const { datos, verificacion } = resultado;
+
+  if (!datos.cdc || !/^\d{44}$/.test(datos.cdc)) {
+    throw new ErrorImportacion('El documento no tiene un CDC válido (DE@Id)');
+  }
+
+  if (cdc && datos.cdc !== cdc) {
+    throw new ErrorImportacion(`El XML corresponde al CDC ${datos.cdc}, no a ${cdc}`);
+  }
+
+  // El documento debe estar emitido a la empresa (receptor contribuyente con su RUC)
+  if (rucSinDV(datos.receptor.ruc) !== rucSinDV(empresa.ruc)) {
+    throw new ErrorImportacion(
+      `El documento no fue emitido a la empresa ${empresa.ruc} (receptor: ${datos.receptor.ruc || datos.receptor.numeroDocumento || 'sin RUC'})`
+    );
+  }
+
+  const existente = await ReceivedDocument.findOne({ empresaId: empresa._id, cdc: datos.cdc });
+  if (existente) {
+    return { documento: existente, creado: false };
+  }
+
+  const documento = await ReceivedDocument.create({
+    empresaId: empresa._id,
+    rucEmpresa: empresa.ruc,
+    cdc: datos.cdc,
+    tipoDocumento: datos.tipoDocumento,
+    descripcionTipo: datos.descripcionTipo,
+    timbrado: datos.timbrado,
+    establecimiento: datos.establecimiento,
+    punto: datos.punto,
+    numero: datos.numero,
+    fechaEmision: datos.fechaEmision,
+    emisor: datos.emisor,
+    receptor: datos.receptor,
+    moneda: datos.moneda,
+    total: datos.total,
+    totalIVA: datos.totalIVA,
+    cantidadItems: datos.cantidadItems,
+    digestValue: datos.digestValue,
+    qrCode: datos.qrCode,
+    xml,
+    origen,
+    verificacion,
+    estadoSET
+  });
+
+  const icono = verificacion.firmaValida && verificacion.qrValido ? '✅' : '⚠️';
+  console.log(`${icono} Documento recibido importado: ${datos.cdc} de ${datos.emisor.ruc}-${datos.emisor.dv} (firma: ${verificacion.firmaValida}, QR: ${verificacion.qrValido})`);
+
+  return { documento, creado: true };
+}
+
+/**
+ * Consulta un DE por CDC en la SET (siConsDE) con el certificado de la empresa
+ * @param {Object} empresa - Empresa receptora
+ * @param {string} cdc - CDC de 44 dígitos
+ * @returns {Promise<{ xml: string, estadoSET: string|null }>}
+ */
+async function consultarDEPorCDC(empresa, cdc) {
+  if (!cdc || !/^\d{44}$/.test(cdc)) {
+    throw new ErrorImportacion('El CDC debe tener 44 dígitos');
+  }
+
+  const { ambiente, rutaCertificado, contrasena } = obtenerCredenciales(empresa);
+
+  console.log(`🔍 Consultando DE recibido en SET - CDC: ${cdc}`);
+  const respuesta = await setApi.consulta(crypto.randomBytes(16).toString('hex'), cdc, ambiente, rutaCertificado, contrasena);
+
+  const xml = xmlVerificacionService.extraerDEDeConsulta(respuesta);
+  if (!xml) {
+    throw new ErrorImportacion('La SET no devolvió el documento para el CDC indicado', 404, {
+      codigoRetorno: extraerCodigoRetorno(respuesta),
+      mensajeRetorno: extraerMensajeRetorno(respuesta)
+    });
+  }
+
+  return { xml, estadoSET: extraerEstadoDocumento(respuesta) };
+}
+
+/**
+ * Vuelve a verificar firma y QR de un documento ya importado
+ * @param {Object} documento - ReceivedDocument
+ * @returns {Promise<Object>} Documento actualizado
+ */
+async function reverificarDocumento(documento) {
+  const { verificacion } = await verificarDocumento(documento.xml);
+  documento.verificacion = verificacion;
+  await documento.save();
+  return documento;
+}
+
+module.exports = {
+  importarDocumento,
+  verificarDocumento,
+  reverificarDocumento,
+  ErrorImportacion
+};
@@ -11,10 +11,17 @@
 const Evento = require('../models/Evento');
 const Invoice = require('../models/Invoice');
 const Empresa = require('../models/Empresa');
-const certificadoService = require('./certificadoService');
+const ReceivedDocument = require('../models/ReceivedDocument');
+const OperationLog = require('../models/OperationLog');
+const { obtenerCredenciales } = require('./credencialesService');
+const webhookService = require('./webhookService');
+const xsdValidacionService = require('./xsdValidacionService');
 const path = require('path');
 const crypto = require('crypto');
 const setApi = require('./setapi-wrapper');
+const { ESTADOS_NUMERO_LIBRE } = require('./numeracionService');
+const { PLAZOS_CANCELACION_HORAS } = require('../utils/tipoDocumento');
+const { parsearFechaProceso, normalizarDatetime } = require('../utils/fechaUtils');
 
 // Librería para generar XML de eventos
 const FacturaElectronicaPY = require('facturacionelectronicapy-xmlgen').default;
@@ -26,6 +33,7 @@ const xmlsign = require('facturacionelectronicapy-xmlsign').default;
 const TIPOS_EVENTO = {
   // Eventos del Emisor
   CANCELACION: 'cancelacion',
+  INUTILIZACION: 'inutilizacion',
   DEVOLUCION_AJUSTE: 'devolucion_ajuste',
   
   // Eventos del Receptor
@@ -53,12 +61,6 @@ async function generarXMLEvento(params) {
   // Generar ID único para el evento (numérico, hasta 10 dígitos)
   const idEvento = Math.floor(Math.random() * 1000000000).toString();
 
-  // Fecha del evento (formato SIFEN: YYYY-MM-DDTHH:MM:SS)
-  const fechaEvento = new Date().toISOString().split('.')[0];
-
-  // Versión del formato según Manual Técnico v150
-  const versionFormato = '150';
-
   // Mapear tipo de evento a código numérico según Manual Técnico v150
   // Eventos del Emisor: 1=Cancelación, 2=Inutilización
   // Eventos del Receptor: 10=Acuse, 11=Conformidad, 12=Disconformidad, 13=Desconocimiento
@@ -92,6 +94,26 @@ async function generarXMLEvento(params) {
       break;
   }
 
+  return envolverEvento(idEvento, codigoTipoEvento, `<rGeVeCan>
+              <Id>${cdc}</Id>
+              <mOtEve>${descripcion}</mOtEve>
+            </rGeVeCan>`);
+}
+
+/**
+ * Arma el XML completo de un evento a partir del grupo específico del tipo
+ * @param {string} idEvento - Id del nodo rEve (numérico)
+ * @param {string} codigoTipoEvento - dTiGDE
+ * @param {string} grupoEvento - Contenido de gGroupTiEvt (ej: <rGeVeCan>...</rGeVeCan>)
+ * @returns {string} XML del evento sin firmar
+ */
+function envolverEvento(idEvento, codigoTipoEvento, grupoEvento) {
+  // Fecha del evento (formato SIFEN: YYYY-MM-DDTHH:MM:SS)
+  const fechaEvento = new Date().toISOString().split('.')[0];
+
+  // Versión del formato según Manual Técnico v150
+  const versionFormato = '150';
+
   // Estructura del evento según Manual Técnico v150 - Sección 11.5
   // Schema XML 19: Evento_v150.xsd
   // El XML debe tener la estructura: rEnviEventoDe > dEvReg > gGroupGesEve > rGesEve > rEve
@@ -106,10 +128,7 @@ async function generarXMLEvento(params) {
           <dVerFor>${versionFormato}</dVerFor>
           <dTiGDE>${codigoTipoEvento}</dTiGDE>
           <gGroupTiEvt>
-            <rGeVeCan>
-              <Id>${cdc}</Id>
-              <mOtEve>${descripcion}</mOtEve>
-            </rGeVeCan>
+            ${grupoEvento}
           </gGroupTiEvt>
         </rEve>
       </rGesEve>
@@ -120,6 +139,300 @@ async function generarXMLEvento(params) {
   return xmlEvento;
 }
 
+/**
+ * Genera el XML de un evento de inutilización de numeración (rGeVeInu)
+ * Manual Técnico v150 - Sección 11.2: Evento de Inutilización de número de DE
+ * @param {Object} datos - { timbrado, establecimiento, punto, tipoDocumento, desde, hasta, motivo }
+ * @returns {string} XML del evento sin firmar
+ */
+function generarXMLEventoInutilizacion(datos) {
+  const idEvento = Math.floor(Math.random() * 1000000000).toString();
+
+  return envolverEvento(idEvento, '2', `<rGeVeInu>
+              <dNumTim>${datos.timbrado}</dNumTim>
+              <dEst>${datos.establecimiento}</dEst>
+              <dPunExp>${datos.punto}</dPunExp>
+              <dNumIn>${String(datos.desde).padStart(7, '0')}</dNumIn>
+              <dNumFin>${String(datos.hasta).padStart(7, '0')}</dNumFin>
+              <iTiDE>${datos.tipoDocumento}</iTiDE>
+              <mOtEve>${escaparXML(datos.motivo)}</mOtEve>
+            </rGeVeInu>`);
+}
+
+// Escapa los caracteres especiales de XML en textos libres
+function escaparXML(texto) {
+  return String(texto)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Error de cancelación: venció el plazo desde la aprobación del DTE
+ */
+class ErrorPlazoCancelacion extends Error {
+  constructor(mensaje, plazo) {
+    super(mensaje);
+    this.name = 'ErrorPlazoCancelacion';
+    this.codigo = 'PLAZO_CANCELACION_VENCIDO';
+    this.plazoHoras = plazo.plazoHoras;
+    this.fechaLimite = plazo.fechaLimite;
+  }
+}
+
+/**
+ * Verifica si un DTE todavía se puede cancelar
+ * El plazo se cuenta desde fechaProceso (fecha de aprobación de la SET);
+ * si no se pudo leer se usa la fecha de envío
+ * @param {Object} invoice - Factura
+ * @param {Date} ahora - Fecha de referencia
+ * @returns {{ permitido: boolean, plazoHoras: number, fechaLimite: Date|null, motivo: string|null }}
+ */
+function verificarPlazoCancelacion(invoice, ahora = new Date()) {
+  const plazoHoras = PLAZOS_CANCELACION_HORAS[invoice.tipoDocumento || 1] || PLAZOS_CANCELACION_HORAS[1];
+  const fechaAprobacion = parsearFechaProceso(invoice.fechaProceso) || invoice.fechaEnvio;
+
+  if (!fechaAprobacion) {
+    return {
+      permitido: false,
+      plazoHoras,
+      fechaLimite: null,
+      motivo: 'No se conoce la fecha de aprobación del documento (fechaProceso)'
+    };
+  }
+
+  const fechaLimite = new Date(new Date(fechaAprobacion).getTime() + plazoHoras * 60 * 60 * 1000);
+  const permitido = ahora <= fechaLimite;
+
+  return {
+    permitido,
+    plazoHoras,
+    fechaLimite,
+    motivo: permitido
+      ? null
+      : `Venció el plazo de ${plazoHoras} horas para cancelar el documento (límite: ${fechaLimite.toISOString()})`
+  };
+}
+
+/**
+ * Marca la factura como cancelada cuando la SET registra el evento de cancelación
+ * @param {Object} invoice - Factura
+ * @param {Object} evento - Evento registrado
+ */
+async function marcarFacturaCancelada(invoice, evento) {
+  invoice.estadoSifen = 'cancelado';
+  invoice.estadoVisual = 'cancelado';
+  invoice.fechaCancelacion = new Date();
+  invoice.eventoCancelacionId = evento._id;
+  await invoice.save();
+
+  await OperationLog.create({
+    invoiceId: invoice._id,
+    tipoOperacion: 'cancelacion',
+    descripcion: `Documento cancelado (evento ${evento.idEventoSET || evento._id})`,
+    detalle: {
+      eventoId: evento._id,
+      idEventoSET: evento.idEventoSET,
+      motivo: evento.descripcion,
+      estadoAnterior: 'aceptado',
+      estadoNuevo: 'cancelado'
+    }
+  });
+
+  console.log(`🚫 Factura ${invoice.correlativo} marcada como cancelada`);
+  await webhookService.notificarEstadoFactura(invoice);
+}
+
+// Código dTiGDE de los eventos del receptor (Manual Técnico v150 - Sección 11.3)
+const CODIGOS_EVENTO_RECEPTOR = {
+  notificacion_recepcion: '10',
+  conformidad: '11',
+  disconformidad: '12',
+  desconocimiento: '13'
+};
+
+// Descripción por defecto de los eventos del receptor sin motivo
+const DESCRIPCIONES_EVENTO_RECEPTOR = {
+  notificacion_recepcion: 'Notificación de recepción del DE',
+  conformidad: 'Conformidad del DE'
+};
+
+/**
+ * Genera el XML de un evento del receptor sobre un documento recibido
+ * Grupos: rGeVeNotRec, rGeVeConf, rGeVeDisconf, rGeVeDescon
+ * @param {Object} documento - ReceivedDocument
+ * @param {Object} empresa - Empresa receptora
+ * @param {Object} datos - { tipoEvento, motivo, tipoConformidad, fechaRecepcion }
+ * @returns {string} XML del evento sin firmar
+ */
+function generarXMLEventoReceptor(documento, empresa, datos) {
+  const idEvento = Math.floor(Math.random() * 1000000000).toString();
+  const { tipoEvento, motivo, tipoConformidad } = datos;
+  const fechaRecepcion = normalizarDatetime(datos.fechaRecepcion || documento.fechaRecepcion, true);
+  const [rucReceptor, dvReceptor] = empresa.ruc.split('-');
+
+  // Datos del receptor (la empresa, siempre contribuyente)
+  const receptor = `<dFecEmi>${documento.fechaEmision}</dFecEmi>
+              <dFecRecep>${fechaRecepcion}</dFecRecep>
+              <iTipRec>1</iTipRec>
+              <dNomRec>${escaparXML(empresa.razonSocial)}</dNomRec>
+              <dRucRec>${rucReceptor}</dRucRec>
+              <dDVRec>${dvReceptor}</dDVRec>`;
+
+  let grupoEvento;
+  switch (tipoEvento) {
+    case TIPOS_EVENTO.CONFORMIDAD:
+      grupoEvento = `<rGeVeConf>
+              <Id>${documento.cdc}</Id>
+              <iTipConf>${tipoConformidad}</iTipConf>${tipoConformidad === 2 ? `
+              <dFecRecep>${fechaRecepcion}</dFecRecep>` : ''}
+            </rGeVeConf>`;
+      break;
+    case TIPOS_EVENTO.DISCONFORMIDAD:
+      grupoEvento = `<rGeVeDisconf>
+              <Id>${documento.cdc}</Id>
+              <mOtEve>${escaparXML(motivo)}</mOtEve>
+            </rGeVeDisconf>`;
+      break;
+    case TIPOS_EVENTO.DESCONOCIMIENTO:
+      grupoEvento = `<rGeVeDescon>
+              <Id>${documento.cdc}</Id>
+              ${receptor}
+              <mOtEve>${escaparXML(motivo)}</mOtEve>
+            </rGeVeDescon>`;
+      break;
+    case TIPOS_EVENTO.NOTIFICACION_RECEPCION:
+      grupoEvento = `<rGeVeNotRec>
+              <Id>${documento.cdc}</Id>
+              ${receptor}
+              <dTotalGs>${Math.round(documento.total)}</dTotalGs>
+            </rGeVeNotRec>`;
+      break;
+    default:
+      throw new Error(`"${tipoEvento}" no es un evento del receptor`);
+  }
+
+  return envolverEvento(idEvento, CODIGOS_EVENTO_RECEPTOR[tipoEvento], grupoEvento);
+}
+
+/**
+ * Envía un evento del receptor sobre un documento recibido de un proveedor
+ * @param {Object} params - { documentoId, tipoEvento, motivo, tipoConformidad, fechaRecepcion, usuario }
+ * @returns {Promise<Object>} Resultado del envío
+ */
+async function enviarEventoReceptor(params) {
+  const { documentoId, tipoEvento, usuario } = params;
+  const descripcion = params.motivo || DESCRIPCIONES_EVENTO_RECEPTOR[tipoEvento];
+  let xmlEvento = null;
+  let documento = null;
+  let empresa = null;
+
+  try {
+    documento = await ReceivedDocument.findById(documentoId);
+    if (!documento) {
+      throw new Error('Documento recibido no encontrado');
+    }
+
+    empresa = await Empresa.findById(documento.empresaId);
+    if (!empresa) {
+      throw new Error('Empresa no encontrada');
+    }
+
+    if (!empresa.activo) {
+      throw new Error(`Empresa "${empresa.nombreFantasia}" está inactiva`);
+    }
+
+    console.log(`📋 Enviando evento del receptor "${tipoEvento}" para documento recibido CDC: ${documento.cdc}`);
+
+    xmlEvento = generarXMLEventoReceptor(documento, empresa, params);
+
+    const {
+      xmlFirmado,
+      codigoRetorno,
+      mensajeRetorno,
+      idEventoSET,
+      estadoEvento
+    } = await firmarYEnviarEvento(xmlEvento, empresa);
+
+    const evento = await Evento.create({
+      documentoRecibidoId: documento._id,
+      cdc: documento.cdc,
+      correlativo: `${documento.establecimiento}-${documento.punto}-${documento.numero}`,
+      tipoEvento,
+      descripcion,
+      xmlEvento,
+      xmlFirmado,
+      estadoEvento,
+      codigoRetorno,
+      mensajeRetorno,
+      idEventoSET,
+      empresaId: empresa._id,
+      rucEmpresa: empresa.ruc,
+      rucReceptor: empresa.ruc,
+      usuario: { tipo: 'receptor', ...usuario }
+    });
+    console.log(`✅ Evento del receptor guardado en BD: ${evento._id}`);
+
+    if (estadoEvento === 'registrado') {
+      documento.estadoReceptor = tipoEvento;
+      documento.fechaEstadoReceptor = new Date();
+      await documento.save();
+
+      await webhookService.notificar(empresa._id, 'evento.registrado', {
+        eventoId: evento._id.toString(),
+        tipoEvento,
+        descripcion,
+        idEventoSET,
+        codigoRetorno,
+        documentoRecibidoId: documento._id.toString(),
+        cdc: documento.cdc,
+        emisor: documento.emisor
+      });
+    }
+
+    return {
+      success: true,
+      eventoId: evento._id,
+      idEventoSET,
+      codigoRetorno,
+      mensajeRetorno,
+      estadoEvento,
+      tipoEvento,
+      cdc: documento.cdc,
+      estadoReceptor: documento.estadoReceptor
+    };
+
+  } catch (error) {
+    console.error('❌ Error enviando evento del receptor:', error);
+
+    // Guardar evento fallido (solo si se llegó a generar el XML)
+    if (xmlEvento) {
+      try {
+        await Evento.create({
+          documentoRecibidoId: documento._id,
+          cdc: documento.cdc,
+          correlativo: `${documento.establecimiento}-${documento.punto}-${documento.numero}`,
+          tipoEvento,
+          descripcion,
+          xmlEvento,
+          estadoEvento: 'error',
+          codigoRetorno: '9999',
+          mensajeRetorno: error.message,
+          empresaId: empresa._id,
+          rucEmpresa: empresa.ruc,
+          usuario: { tipo: 'receptor', ...usuario }
+        });
+      } catch (saveError) {
+        console.error('❌ Error guardando evento fallido:', saveError);
+      }
+    }
+
+    throw error;
+  }
+}
+
 /**
  * Envía un evento a la SET
  * @param {Object} params - Parámetros del evento
@@ -153,6 +466,13 @@ async function enviarEvento(params) {
       throw new Error(`No se puede enviar evento: La factura está en estado "${invoice.estadoSifen}". Debe estar "aceptado".`);
     }
 
+    if (tipoEvento === TIPOS_EVENTO.CANCELACION) {
+      const plazo = verificarPlazoCancelacion(invoice);
+      if (!plazo.permitido) {
+        throw new ErrorPlazoCancelacion(plazo.motivo, plazo);
+      }
+    }
+
     const empresa = await Empresa.findById(invoice.empresaId);
     
     if (!empresa) {
@@ -178,67 +498,18 @@ async function enviarEvento(params) {
     });
 
     // ========================================
-    // 3. Firmar XML del evento
-    // ========================================
-    // NOTA: Usar signXMLEvento en lugar de signXML porque busca el tag "rEve" en lugar de "DE"
-    const rutaCertificado = empresa.obtenerRutaCertificado();
-    const contrasena = certificadoService.descifrarContrasena(empresa.certificado.contrasena);
-
-    // 🔧 IMPORTANTE: El 4to parámetro 'true' fuerza a usar Node.js en lugar de Java
-    // Java 21 en Ubuntu 24.04 corrompe el encoding UTF-8
-    // La librería facturacionelectronicapy-xmlsign tiene un método específico para eventos
-    // que busca el nodo "rEve" para firmar (según Manual Técnico v150)
-    const xmlFirmado = await xmlsign.signXMLEvento(xmlEvento, rutaCertificado, contrasena, true);
-    console.log('✅ XML del evento firmado');
-
-    // ========================================
-    // 4. Enviar a SET
+    // 3-5. Firmar, validar, enviar a SET y leer la respuesta
     // ========================================
-    const idDocumento = crypto.randomBytes(16).toString('hex');
-    const ambiente = empresa.configuracionSifen.modo || 'test';
-
-    console.log('📤 Enviando evento a SET...');
-    
-    const respuesta = await setApi.evento(
-      idDocumento,
+    const {
       xmlFirmado,
-      ambiente,
-      rutaCertificado,
-      contrasena
-    );
-
-    console.log('📥 Respuesta de SET recibida');
-
-    // ========================================
-    // 5. Extraer datos de respuesta
-    // ========================================
-    let codigoRetorno = '0000';
-    let mensajeRetorno = 'Evento registrado correctamente';
-    let idEventoSET = null;
-    let estadoEvento = 'registrado';
-
-    try {
-      const xml2js = require('xml2js');
-      const respuestaObj = await xml2js.parseStringPromise(respuesta);
-      
-      // Extraer de la respuesta SOAP
-      const body = respuestaObj['soap:Envelope']?.['soap:Body'];
-      if (body) {
-        const respuestaEvento = body['respuestaEvento'] || body['ns2:respuestaEvento'];
-        if (respuestaEvento) {
-          codigoRetorno = respuestaEvento['codigoRetorno']?.[0] || '0000';
-          mensajeRetorno = respuestaEvento['mensajeRetorno']?.[0] || mensajeRetorno;
-          idEventoSET = respuestaEvento['idEvento']?.[0];
-        }
-      }
-
-      // Determinar estado según código de retorno
-      if (codigoRetorno !== '0000') {
-        estadoEvento = 'rechazado';
-      }
-    } catch (err) {
-      console.warn('⚠️ No se pudo parsear respuesta de SET:', err.message);
-    }
+      codigoRetorno,
+      mensajeRetorno,
+      idEventoSET,
+      estadoEvento
+    } = await firmarYEnviarEvento(xmlEvento, empresa, {
+      invoiceId: invoice._id,
+      detalle: { cdc: invoice.cdc, tipoEvento }
+    });
 
     // ========================================
     // 6. Guardar evento en BD
@@ -264,6 +535,23 @@ async function enviarEvento(params) {
     await evento.save();
     console.log(`✅ Evento guardado en BD: ${evento._id}`);
 
+    if (estadoEvento === 'registrado') {
+      await webhookService.notificar(empresa._id, 'evento.registrado', {
+        eventoId: evento._id.toString(),
+        tipoEvento,
+        descripcion,
+        idEventoSET,
+        codigoRetorno,
+        facturaId: invoice._id.toString(),
+        cdc: invoice.cdc,
+        correlativo: invoice.correlativo
+      });
+
+      if (tipoEvento === TIPOS_EVENTO.CANCELACION) {
+        await marcarFacturaCancelada(invoice, evento);
+      }
+    }
+
     // ========================================
     // 7. Retornar resultado
     // ========================================
@@ -276,11 +564,17 @@ async function enviarEvento(params) {
       estadoEvento,
       tipoEvento,
       cdc: invoice.cdc,
-      correlativo: invoice.correlativo
+      correlativo: invoice.correlativo,
+      estadoFactura: invoice.estadoSifen
     };
 
   } catch (error) {
     console.error('❌ Error enviando evento:', error);
+
+    // Validación previa: no se generó ningún evento
+    if (error.codigo === 'PLAZO_CANCELACION_VENCIDO') {
+      throw error;
+    }
     
     // Guardar evento fallido
     try {
@@ -311,13 +605,267 @@ async function enviarEvento(params) {
   }
 }
 
+/**
+ * Error de inutilización: el rango contiene documentos emitidos o ya fue inutilizado
+ */
+class ErrorRangoNoDisponible extends Error {
+  constructor(mensaje, documentos = []) {
+    super(mensaje);
+    this.name = 'ErrorRangoNoDisponible';
+    this.codigo = 'RANGO_NO_DISPONIBLE';
+    this.documentos = documentos;
+  }
+}
+
+/**
+ * Inutiliza un rango de numeración ante la SET (evento rGeVeInu)
+ * Se usa cuando se saltan números de una serie (huecos) que no se van a emitir
+ * @param {Object} params - { empresa, timbrado, establecimiento, punto, tipoDocumento, desde, hasta, motivo, usuario }
+ * @returns {Promise<Object>} Resultado del envío
+ */
+async function inutilizarNumeracion(params) {
+  const { empresa, timbrado, establecimiento, punto, tipoDocumento, desde, hasta, motivo, usuario } = params;
+  const rango = { timbrado, establecimiento, punto, tipoDocumento, desde, hasta };
+  const descripcionRango = `${establecimiento}-${punto}-${String(desde).padStart(7, '0')} al ${String(hasta).padStart(7, '0')}`;
+  let xmlEvento = null;
+
+  try {
+    // ========================================
+    // 1. Verificar que el rango esté libre
+    // ========================================
+    // Los números con un documento válido (no rechazado) no se pueden inutilizar
+    const documentos = await Invoice.find({
+      empresaId: empresa._id,
+      tipoDocumento,
+      'numeracion.timbrado': timbrado,
+      'numeracion.establecimiento': establecimiento,
+      'numeracion.punto': punto,
+      'numeracion.numero': { $gte: desde, $lte: hasta },
+      estadoSifen: { $nin: ESTADOS_NUMERO_LIBRE }
+    }).select('correlativo estadoSifen cdc').limit(10);
+
+    if (documentos.length > 0) {
+      throw new ErrorRangoNoDisponible(
+        `El rango ${descripcionRango} contiene documentos emitidos (${documentos.map(doc => doc.correlativo).join(', ')})`,
+        documentos
+      );
+    }
+
+    const inutilizacionPrevia = await Evento.findOne({
+      empresaId: empresa._id,
+      tipoEvento: TIPOS_EVENTO.INUTILIZACION,
+      estadoEvento: 'registrado',
+      'inutilizacion.timbrado': timbrado,
+      'inutilizacion.establecimiento': establecimiento,
+      'inutilizacion.punto': punto,
+      'inutilizacion.tipoDocumento': tipoDocumento,
+      'inutilizacion.desde': { $lte: hasta },
+      'inutilizacion.hasta': { $gte: desde }
+    });
+
+    if (inutilizacionPrevia) {
+      throw new ErrorRangoNoDisponible(
+        `El rango ${descripcionRango} se superpone con una inutilización ya registrada ` +
+        `(${inutilizacionPrevia.inutilizacion.desde} al ${inutilizacionPrevia.inutilizacion.hasta})`
+      );
+    }
+
+    console.log(`📋 Inutilizando numeración ${descripcionRango} (tipo ${tipoDocumento}, timbrado ${timbrado})`);
+
+    // ========================================
+    // 2. Generar, firmar y enviar el evento
+    // ========================================
+    xmlEvento = generarXMLEventoInutilizacion({ ...rango, motivo });
+
+    const {
+      xmlFirmado,
+      codigoRetorno,
+      mensajeRetorno,
+      idEventoSET,
+      estadoEvento
+    } = await firmarYEnviarEvento(xmlEvento, empresa);
+
+    // ========================================
+    // 3. Guardar evento en BD (sin documento asociado)
+    // ========================================
+    const evento = new Evento({
+      tipoEvento: TIPOS_EVENTO.INUTILIZACION,
+      descripcion: motivo,
+      inutilizacion: rango,
+      xmlEvento,
+      xmlFirmado,
+      estadoEvento,
+      codigoRetorno,
+      mensajeRetorno,
+      idEventoSET,
+      empresaId: empresa._id,
+      rucEmpresa: empresa.ruc,
+      usuario
+    });
+
+    await evento.save();
+    console.log(`✅ Evento de inutilización guardado en BD: ${evento._id}`);
+
+    if (estadoEvento === 'registrado') {
+      await webhookService.notificar(empresa._id, 'evento.registrado', {
+        eventoId: evento._id.toString(),
+        tipoEvento: TIPOS_EVENTO.INUTILIZACION,
+        descripcion: motivo,
+        idEventoSET,
+        codigoRetorno,
+        inutilizacion: rango
+      });
+    }
+
+    return {
+      success: true,
+      eventoId: evento._id,
+      idEventoSET,
+      codigoRetorno,
+      mensajeRetorno,
+      estadoEvento,
+      tipoEvento: TIPOS_EVENTO.INUTILIZACION,
+      inutilizacion: rango
+    };
+
+  } catch (error) {
+    console.error('❌ Error inutilizando numeración:', error);
+
+    // Guardar evento fallido (las validaciones del rango no llegan a generar el evento)
+    if (xmlEvento) {
+      try {
+        await Evento.create({
+          tipoEvento: TIPOS_EVENTO.INUTILIZACION,
+          descripcion: motivo,
+          inutilizacion: rango,
+          xmlEvento,
+          estadoEvento: 'error',
+          codigoRetorno: '9999',
+          mensajeRetorno: error.message,
+          empresaId: empresa._id,
+          rucEmpresa: empresa.ruc,
+          usuario
+        });
+      } catch (saveError) {
+        console.error('❌ Error guardando evento fallido:', saveError);
+      }
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Firma un evento, lo valida contra el XSD, lo envía a la SET e interpreta la respuesta
+ * @param {string} xmlEvento - XML del evento sin firmar
+ * @param {Object} empresa - Empresa emisora (certificado y ambiente)
+ * @param {Object} contexto - { invoiceId, detalle } para el log de validación XSD
+ * @returns {Promise<Object>} { xmlFirmado, codigoRetorno, mensajeRetorno, idEventoSET, estadoEvento }
+ */
+async function firmarYEnviarEvento(xmlEvento, empresa, contexto = {}) {
+  // ========================================
+  // Firmar XML del evento
+  // ========================================
+  // NOTA: Usar signXMLEvento en lugar de signXML porque busca el tag "rEve" en lugar de "DE"
+  const { ambiente, rutaCertificado, contrasena } = obtenerCredenciales(empresa);
+
+  // 🔧 IMPORTANTE: El 4to parámetro 'true' fuerza a usar Node.js en lugar de Java
+  // Java 21 en Ubuntu 24.04 corrompe el encoding UTF-8
+  // La librería facturacionelectronicapy-xmlsign tiene un método específico para eventos
+  // que busca el nodo "rEve" para firmar (según Manual Técnico v150)
+  const xmlFirmado = await xmlsign.signXMLEvento(xmlEvento, rutaCertificado, contrasena, true);
+  console.log('✅ XML del evento firmado');
+
+  // Validar contra el esquema XSD (Evento_v150) antes de enviar
+  const validacionXSD = await xsdValidacionService.validarEvento(xmlFirmado);
+  if (validacionXSD.omitido) {
+    console.log(`ℹ️  Validación XSD omitida: ${validacionXSD.motivo}`);
+  } else if (!validacionXSD.valido) {
+    const errorXSD = new xsdValidacionService.ErrorValidacionXSD('evento', validacionXSD.errores);
+
+    // OperationLog requiere invoiceId (la inutilización no tiene documento asociado)
+    if (contexto.invoiceId) {
+      await OperationLog.create({
+        invoiceId: contexto.invoiceId,
+        tipoOperacion: 'validacion_xml',
+        descripcion: errorXSD.message,
+        estado: 'error',
+        detalle: {
+          ...contexto.detalle,
+          esquema: errorXSD.esquema,
+          errores: errorXSD.errores
+        }
+      });
+    }
+
+    throw errorXSD;
+  }
+
+  // ========================================
+  // Enviar a SET
+  // ========================================
+  const idDocumento = crypto.randomBytes(16).toString('hex');
+
+  console.log('📤 Enviando evento a SET...');
+  
+  const respuesta = await setApi.evento(
+    idDocumento,
+    xmlFirmado,
+    ambiente,
+    rutaCertificado,
+    contrasena
+  );
+
+  console.log('📥 Respuesta de SET recibida');
+
+  // ========================================
+  // Extraer datos de respuesta
+  // ========================================
+  let codigoRetorno = '0000';
+  let mensajeRetorno = 'Evento registrado correctamente';
+  let idEventoSET = null;
+  let estadoEvento = 'registrado';
+
+  try {
+    const xml2js = require('xml2js');
+    const respuestaObj = await xml2js.parseStringPromise(respuesta);
+    
+    // Extraer de la respuesta SOAP
+    const body = respuestaObj['soap:Envelope']?.['soap:Body'];
+    if (body) {
+      const respuestaEvento = body['respuestaEvento'] || body['ns2:respuestaEvento'];
+      if (respuestaEvento) {
+        codigoRetorno = respuestaEvento['codigoRetorno']?.[0] || '0000';
+        mensajeRetorno = respuestaEvento['mensajeRetorno']?.[0] || mensajeRetorno;
+        idEventoSET = respuestaEvento['idEvento']?.[0];
+      }
+    }
+
+    // Determinar estado según código de retorno
+    if (codigoRetorno !== '0000') {
+      estadoEvento = 'rechazado';
+    }
+  } catch (err) {
+    console.warn('⚠️ No se pudo parsear respuesta de SET:', err.message);
+  }
+
+  return {
+    xmlFirmado,
+    codigoRetorno,
+    mensajeRetorno,
+    idEventoSET,
+    estadoEvento
+  };
+}
+
 /**
  * Obtiene los eventos de una factura
  * @param {String} invoiceId - ID de la factura
+ * @param {Object} filtro - Filtro adicional (ej: empresas permitidas)
  * @returns {Promise<Array>} Lista de eventos
  */
-async function obtenerEventos(invoiceId) {
-  const eventos = await Evento.find({ invoiceId })
+async function obtenerEventos(invoiceId, filtro = {}) {
+  const eventos = await Evento.find({ ...filtro, invoiceId })
     .sort({ createdAt: -1 })
     .populate('empresaId', 'ruc nombreFantasia');
   
@@ -327,10 +875,11 @@ async function obtenerEventos(invoiceId) {
 /**
  * Obtiene eventos por CDC
  * @param {String} cdc - CDC del documento
+ * @param {Object} filtro - Filtro adicional (ej: empresas permitidas)
  * @returns {Promise<Array>} Lista de eventos
  */
-async function obtenerEventosPorCDC(cdc) {
-  const eventos = await Evento.find({ cdc })
+async function obtenerEventosPorCDC(cdc, filtro = {}) {
+  const eventos = await Evento.find({ ...filtro, cdc })
     .sort({ createdAt: -1 })
     .populate('invoiceId', 'correlativo estadoSifen');
   
@@ -339,8 +888,15 @@ async function obtenerEventosPorCDC(cdc) {
 
 module.exports = {
   enviarEvento,
+  inutilizarNumeracion,
+  verificarPlazoCancelacion,
+  ErrorPlazoCancelacion,
+  ErrorRangoNoDisponible,
   obtenerEventos,
   obtenerEventosPorCDC,
+  enviarEventoReceptor,
+  generarXMLEventoReceptor,
   TIPOS_EVENTO,
-  generarXMLEvento
+  generarXMLEvento,
+  generarXMLEventoInutilizacion
 };
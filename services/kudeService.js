@@ -0,0 +1,58 @@
+/**
+ * Servicio de KUDE (representación gráfica del DE)
+ * Marca los PDF de documentos cancelados al momento de la descarga.
+ * El archivo generado por el JAR no se modifica: la marca se agrega sobre
+ * una copia en memoria, así el KUDE original queda como fue emitido.
+ */
+
+const fs = require('fs');
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+
+const TEXTO_MARCA = 'CANCELADO';
+
+/**
+ * Agrega la marca de agua "CANCELADO" en todas las páginas del KUDE
+ * @param {string} pdfPath - Ruta absoluta del PDF original
+ * @param {Object} opciones - { fechaCancelacion }
+ * @returns {Promise<Buffer>} PDF con la marca de agua
+ */
+async function marcarKudeCancelado(pdfPath, { fechaCancelacion } = {}) {
+  const pdf = await PDFDocument.load(fs.readFileSync(pdfPath));
+  const fuente = await pdf.embedFont(StandardFonts.HelveticaBold);
+  const leyenda = fechaCancelacion
+    ? `Documento cancelado el ${new Date(fechaCancelacion).toISOString().substring(0, 10)}`
+    : 'Documento cancelado';
+
+  pdf.getPages().forEach(pagina => {
+    const { width, height } = pagina.getSize();
+
+    // Marca diagonal centrada (el tamaño se ajusta al ancho de la página)
+    const tamano = Math.min(width, height) / 6;
+    const anchoTexto = fuente.widthOfTextAtSize(TEXTO_MARCA, tamano);
+    const angulo = Math.atan2(height, width);
+    pagina.drawText(TEXTO_MARCA, {
+      x: width / 2 - (anchoTexto / 2) * Math.cos(angulo),
+      y: height / 2 - (anchoTexto / 2) * Math.sin(angulo),
+      size: tamano,
+      font: fuente,
+      color: rgb(0.85, 0.1, 0.1),
+      opacity: 0.3,
+      rotate: degrees(angulo * 180 / Math.PI)
+    });
+
+    // Leyenda con la fecha en el margen superior
+    pagina.drawText(leyenda, {
+      x: 20,
+      y: height - 20,
+      size: 10,
+      font: fuente,
+      color: rgb(0.85, 0.1, 0.1)
+    });
+  });
+
+  return Buffer.from(await pdf.save());
+}
+
+module.exports = {
+  marcarKudeCancelado
+};
@@ -0,0 +1,483 @@
+/**
+ * Servicio de Envío por Lotes
+ * Agrupa DE firmados de una misma empresa y los envía a la SET mediante
+ * la recepción asíncrona (siRecepLoteDE), luego consulta el resultado del
+ * lote (siResultLoteDE) hasta que cada DE tenga su estado final.
+ *
+ * Según Manual Técnico v150 - Sección 9.2: Recepción de Lote de DE
+ */
+
+const crypto = require('crypto');
+const Lote = require('../models/Lote');
+const Invoice = require('../models/Invoice');
+const Empresa = require('../models/Empresa');
+const OperationLog = require('../models/OperationLog');
+const { obtenerCredenciales } = require('./credencialesService');
+const webhookService = require('./webhookService');
+const { reconciliarEmpresa } = require('./reconciliacionService');
+const { generarDocumentoFirmado } = require('./procesarFacturaService');
+const {
+  extraerCodigoRetorno,
+  extraerMensajeRetorno,
+  extraerProtocoloLote,
+  extraerCodigoResultadoLote,
+  extraerMensajeResultadoLote,
+  extraerResultadosLote,
+  extraerFechaProceso,
+  determinarEstadoSegunResultado
+} = require('../utils/estadoSifen');
+
+// Importar wrapper de SET API (soporta Mock y Producción)
+const setApi = require('./setapi-wrapper');
+
+/**
+ * Códigos de la SET para lotes (Manual Técnico v150)
+ */
+const CODIGOS_LOTE = {
+  RECIBIDO: '0300',        // Lote recibido con éxito
+  NO_ENCOLADO: '0301',     // Lote no encolado para procesamiento
+  INEXISTENTE: '0360',     // Número de lote inexistente
+  EN_PROCESAMIENTO: '0361',// Lote en procesamiento
+  CONCLUIDO: '0362',       // Procesamiento de lote concluido
+  EXTEMPORANEO: '0364'     // Consulta extemporánea (más de 48 horas)
+};
+
+// Espera entre consultas de un lote en procesamiento (milisegundos)
+const INTERVALO_CONSULTA = parseInt(process.env.LOTE_INTERVALO_CONSULTA, 10) || 120000;
+
+// Cantidad máxima de consultas antes de marcar el lote con error
+const MAX_CONSULTAS = parseInt(process.env.LOTE_MAX_CONSULTAS, 10) || 30;
+
+/**
+ * Divide una lista en grupos de tamaño máximo
+ * @param {Array} items - Lista a dividir
+ * @param {number} tamano - Tamaño máximo de cada grupo
+ * @returns {Array<Array>} Grupos
+ */
+function dividirEnGrupos(items, tamano) {
+  const grupos = [];
+  for (let i = 0; i < items.length; i += tamano) {
+    grupos.push(items.slice(i, i + tamano));
+  }
+  return grupos;
+}
+
+/**
+ * Crea los lotes para un conjunto de facturas de una misma empresa
+ * y los encola para su envío (hasta 50 DE por lote)
+ * @param {Object} empresa - Documento de la empresa emisora
+ * @param {Array<Object>} invoices - Facturas ya guardadas en BD (estado: encolado)
+ * @returns {Promise<Array<Object>>} Lotes creados
+ */
+async function crearLotes(empresa, invoices) {
+  const { loteQueue } = require('../queues/facturaQueue');
+  const grupos = dividirEnGrupos(invoices, Lote.MAX_DOCUMENTOS_POR_LOTE);
+  const lotes = [];
+
+  for (const grupo of grupos) {
+    const lote = await Lote.create({
+      empresaId: empresa._id,
+      rucEmpresa: empresa.ruc,
+      invoiceIds: grupo.map(invoice => invoice._id)
+    });
+
+    await Invoice.updateMany(
+      { _id: { $in: lote.invoiceIds } },
+      { loteId: lote._id }
+    );
+
+    await loteQueue.add('enviar-lote', {
+      loteId: lote._id.toString()
+    }, {
+      jobId: `lote-${lote._id}`
+    });
+
+    console.log(`📦 Lote ${lote._id} creado con ${grupo.length} DE (RUC: ${empresa.ruc})`);
+    lotes.push(lote);
+  }
+
+  return lotes;
+}
+
+/**
+ * Marca las facturas de un lote con un estado y registra el log correspondiente
+ * @param {Array<Object>} invoices - Facturas a actualizar
+ * @param {Object} datos - Campos a actualizar y datos del log
+ */
+async function actualizarFacturasLote(invoices, { estadoSifen, estadoVisual, codigoRetorno, mensajeRetorno, tipoOperacion, estadoLog, descripcion, detalle }) {
+  for (const invoice of invoices) {
+    invoice.estadoSifen = estadoSifen;
+    if (estadoVisual) invoice.estadoVisual = estadoVisual;
+    if (codigoRetorno) invoice.codigoRetorno = codigoRetorno;
+    if (mensajeRetorno) invoice.mensajeRetorno = mensajeRetorno;
+    await invoice.save();
+
+    await OperationLog.create({
+      invoiceId: invoice._id,
+      tipoOperacion,
+      descripcion,
+      estado: estadoLog,
+      detalle: {
+        cdc: invoice.cdc,
+        correlativo: invoice.correlativo,
+        ...detalle
+      }
+    });
+
+    await webhookService.notificarEstadoFactura(invoice);
+  }
+}
+
+/**
+ * Consulta por CDC (siConsDE) los DE que el lote dejó sin resultado
+ * (CDC ausente en gResProcLote, máximo de consultas o consulta extemporánea)
+ * Los que siguen sin estado final quedan en 'enviado' para la reconciliación periódica.
+ * @param {Object} lote - Documento Lote
+ * @param {Array<Object>} invoices - Facturas del lote todavía en 'enviado'
+ * @param {string} motivo - Por qué el lote no dio su resultado
+ * @returns {Promise<Object|null>} Resumen de la reconciliación (null si no había pendientes)
+ */
+async function consultarPendientesPorCDC(lote, invoices, motivo) {
+  if (invoices.length === 0) return null;
+
+  console.log(`🔎 Lote ${lote._id}: ${invoices.length} DE sin resultado (${motivo}), se consultan por CDC`);
+
+  for (const invoice of invoices) {
+    await OperationLog.create({
+      invoiceId: invoice._id,
+      tipoOperacion: 'consulta_lote',
+      descripcion: `Sin resultado en el lote ${lote.protocolo} (${motivo}): se consulta por CDC`,
+      estado: 'warning',
+      detalle: {
+        cdc: invoice.cdc,
+        correlativo: invoice.correlativo,
+        loteId: lote._id,
+        protocolo: lote.protocolo,
+        motivo
+      }
+    });
+  }
+
+  return reconciliarEmpresa(lote.empresaId, invoices);
+}
+
+/**
+ * Firma los DE de un lote y lo envía a la SET (recibeLote)
+ * @param {String} loteId - ID del lote
+ * @param {Object} job - Job de Bull (para reportar progreso)
+ * @returns {Promise<Object>} Resultado del envío
+ */
+async function enviarLote(loteId, job = null) {
+  const lote = await Lote.findById(loteId);
+  if (!lote) {
+    throw new Error(`Lote ${loteId} no encontrado`);
+  }
+
+  const invoices = await Invoice.find({ _id: { $in: lote.invoiceIds } }).sort({ correlativo: 1 });
+  console.log(`📦 Firmando ${invoices.length} DE del lote ${lote._id}...`);
+
+  // ========================================
+  // 1. Generar y firmar cada DE (sin enviar)
+  // ========================================
+  const firmados = [];
+  let credenciales = null;
+
+  for (const [indice, invoice] of invoices.entries()) {
+    try {
+      invoice.estadoSifen = 'procesando';
+      await invoice.save();
+
+      const documento = await generarDocumentoFirmado(invoice.datosFactura, lote.empresaId, null, invoice._id);
+
+      invoice.cdc = documento.cdc;
+      invoice.digestValue = documento.digestValue;
+      invoice.xmlPath = documento.xmlPathRelativo;
+      await invoice.save();
+
+      credenciales = credenciales || {
+        ambiente: documento.ambiente,
+        rutaCertificado: documento.rutaCertificado,
+        contrasena: documento.contrasena
+      };
+      firmados.push({ invoice, documento });
+    } catch (error) {
+      console.error(`❌ [LOTE] Error generando DE ${invoice.correlativo}:`, error.message);
+      await actualizarFacturasLote([invoice], {
+        estadoSifen: 'error',
+        estadoVisual: 'rechazado',
+        mensajeRetorno: error.message,
+        tipoOperacion: 'error',
+        estadoLog: 'error',
+        descripcion: `Error generando DE para el lote: ${error.message}`,
+        detalle: { loteId: lote._id }
+      });
+    }
+
+    if (job && job.progress) {
+      await job.progress(Math.round(((indice + 1) / invoices.length) * 80));
+    }
+  }
+
+  if (firmados.length === 0) {
+    lote.estado = 'error';
+    lote.mensajeRetorno = 'Ningún DE del lote pudo ser generado';
+    await lote.save();
+    return { estado: lote.estado, enviados: 0 };
+  }
+
+  // ========================================
+  // 2. Enviar lote a SET
+  // ========================================
+  console.log(`📤 Enviando lote ${lote._id} a SET (${firmados.length} DE)...`);
+  const idEnvio = crypto.randomBytes(16).toString('hex');
+  const facturasEnviadas = firmados.map(f => f.invoice);
+
+  let soapResponse = null;
+  try {
+    soapResponse = await setApi.recibeLote(
+      idEnvio,
+      firmados.map(f => f.documento.xmlConQR),
+      credenciales.ambiente,
+      credenciales.rutaCertificado,
+      credenciales.contrasena
+    );
+  } catch (setErr) {
+    // ⚠️ ERROR DE CONEXIÓN: los XML firmados ya están guardados
+    console.warn('⚠️ Error enviando lote a SET:', setErr.message);
+
+    lote.estado = 'error';
+    lote.codigoRetorno = '9999';
+    lote.mensajeRetorno = setErr.message || 'Error de conexión con SET';
+    await lote.save();
+
+    await actualizarFacturasLote(facturasEnviadas, {
+      estadoSifen: 'error',
+      estadoVisual: 'rechazado',
+      codigoRetorno: '9999',
+      mensajeRetorno: lote.mensajeRetorno,
+      tipoOperacion: 'error',
+      estadoLog: 'error',
+      descripcion: `Error de conexión enviando lote a SET: ${lote.mensajeRetorno}`,
+      detalle: { loteId: lote._id }
+    });
+
+    return { estado: lote.estado, enviados: 0 };
+  }
+
+  // ========================================
+  // 3. Interpretar respuesta (dCodRes + dProtConsLote)
+  // ========================================
+  const codigoRetorno = extraerCodigoRetorno(soapResponse);
+  const mensajeRetorno = extraerMensajeRetorno(soapResponse);
+  const protocolo = extraerProtocoloLote(soapResponse);
+
+  lote.codigoRetorno = codigoRetorno;
+  lote.mensajeRetorno = mensajeRetorno;
+  lote.fechaEnvio = new Date();
+
+  if (codigoRetorno === CODIGOS_LOTE.RECIBIDO && protocolo) {
+    lote.estado = 'enviado';
+    lote.protocolo = protocolo;
+    await lote.save();
+
+    for (const invoice of facturasEnviadas) {
+      invoice.fechaEnvio = lote.fechaEnvio;
+    }
+    await actualizarFacturasLote(facturasEnviadas, {
+      estadoSifen: 'enviado',
+      tipoOperacion: 'envio_lote',
+      estadoLog: 'success',
+      descripcion: `DE enviado a SET en lote - Protocolo: ${protocolo}`,
+      detalle: { loteId: lote._id, protocolo, codigoRetorno }
+    });
+
+    console.log(`✅ Lote ${lote._id} recibido por SET - Protocolo: ${protocolo}`);
+  } else {
+    lote.estado = 'rechazado';
+    await lote.save();
+
+    await actualizarFacturasLote(facturasEnviadas, {
+      estadoSifen: 'error',
+      estadoVisual: 'rechazado',
+      codigoRetorno,
+      mensajeRetorno,
+      tipoOperacion: 'error_respuesta_set',
+      estadoLog: 'error',
+      descripcion: `Lote no encolado por SET: ${mensajeRetorno || codigoRetorno}`,
+      detalle: { loteId: lote._id, codigoRetorno }
+    });
+
+    console.log(`❌ Lote ${lote._id} no encolado por SET - Código: ${codigoRetorno}`);
+  }
+
+  return {
+    estado: lote.estado,
+    protocolo: lote.protocolo,
+    codigoRetorno,
+    enviados: facturasEnviadas.length
+  };
+}
+
+/**
+ * Consulta el resultado de un lote en la SET (consultaLote) y aplica
+ * el estado final a cada DE contenido
+ * @param {String} loteId - ID del lote
+ * @returns {Promise<Object>} Resultado de la consulta ({ pendiente: true } si sigue en procesamiento)
+ */
+async function consultarLote(loteId) {
+  const lote = await Lote.findById(loteId);
+  if (!lote) {
+    throw new Error(`Lote ${loteId} no encontrado`);
+  }
+
+  if (lote.estado !== 'enviado') {
+    return { estado: lote.estado, pendiente: false };
+  }
+
+  const { ambiente, rutaCertificado, contrasena } = obtenerCredenciales(await Empresa.findById(lote.empresaId));
+
+  lote.intentosConsulta += 1;
+  lote.ultimaConsulta = new Date();
+
+  let soapResponse = null;
+  try {
+    const idConsulta = crypto.randomBytes(16).toString('hex');
+    soapResponse = await setApi.consultaLote(idConsulta, lote.protocolo, ambiente, rutaCertificado, contrasena);
+  } catch (setErr) {
+    console.warn(`⚠️ Error consultando lote ${lote._id}:`, setErr.message);
+    lote.mensajeRetorno = setErr.message;
+  }
+
+  const codigoLote = soapResponse ? extraerCodigoResultadoLote(soapResponse) : null;
+  const mensajeLote = soapResponse ? extraerMensajeResultadoLote(soapResponse) : null;
+
+  // ========================================
+  // Lote todavía en procesamiento (o sin respuesta)
+  // ========================================
+  if (!codigoLote || codigoLote === CODIGOS_LOTE.EN_PROCESAMIENTO) {
+    if (lote.intentosConsulta >= MAX_CONSULTAS) {
+      lote.estado = 'error';
+      lote.mensajeRetorno = `Se alcanzó el máximo de ${MAX_CONSULTAS} consultas sin resultado final`;
+      await lote.save();
+      console.log(`❌ Lote ${lote._id}: ${lote.mensajeRetorno}`);
+
+      const pendientes = await Invoice.find({ loteId: lote._id, estadoSifen: 'enviado' });
+      const consultaIndividual = await consultarPendientesPorCDC(lote, pendientes, 'máximo de consultas del lote');
+      return { estado: lote.estado, pendiente: false, consultaIndividual };
+    }
+
+    if (codigoLote) {
+      lote.codigoRetorno = codigoLote;
+      lote.mensajeRetorno = mensajeLote;
+    }
+    await lote.save();
+    console.log(`⏳ Lote ${lote._id} en procesamiento (consulta ${lote.intentosConsulta}/${MAX_CONSULTAS})`);
+    return { estado: lote.estado, pendiente: true };
+  }
+
+  lote.codigoRetorno = codigoLote;
+  lote.mensajeRetorno = mensajeLote;
+
+  const invoices = await Invoice.find({ loteId: lote._id, estadoSifen: 'enviado' });
+
+  // ========================================
+  // Lote concluido: aplicar resultado por DE
+  // ========================================
+  if (codigoLote === CODIGOS_LOTE.CONCLUIDO) {
+    const resultados = extraerResultadosLote(soapResponse);
+    const fechaProceso = extraerFechaProceso(soapResponse);
+    const actualizadas = [];
+
+    for (const resultado of resultados) {
+      const invoice = invoices.find(i => i.cdc === resultado.cdc);
+      if (!invoice) {
+        console.warn(`⚠️ CDC ${resultado.cdc} del lote ${lote._id} no encontrado en BD`);
+        continue;
+      }
+
+      const estadoSifen = determinarEstadoSegunResultado(resultado.estadoResultado);
+      const estadoAnterior = invoice.estadoSifen;
+
+      invoice.estadoSifen = estadoSifen;
+      invoice.estadoVisual = estadoSifen;
+      invoice.codigoRetorno = resultado.codigoRetorno;
+      invoice.mensajeRetorno = resultado.mensajeRetorno;
+      invoice.fechaProceso = fechaProceso;
+      invoice.respuestaSifen = {
+        codigo: resultado.codigoRetorno,
+        estado: resultado.estadoResultado,
+        mensaje: resultado.mensajeRetorno,
+        fechaProceso: fechaProceso
+      };
+      await invoice.save();
+
+      await OperationLog.create({
+        invoiceId: invoice._id,
+        tipoOperacion: 'consulta_lote',
+        descripcion: `Resultado del lote ${lote.protocolo}: ${resultado.estadoResultado || estadoSifen}`,
+        estado: estadoSifen === 'aceptado' ? 'success' : estadoSifen === 'observado' ? 'warning' : 'error',
+        detalle: {
+          cdc: invoice.cdc,
+          correlativo: invoice.correlativo,
+          loteId: lote._id,
+          protocolo: lote.protocolo,
+          estadoAnterior,
+          estadoSifen,
+          codigoRetorno: resultado.codigoRetorno,
+          mensajeRetorno: resultado.mensajeRetorno
+        }
+      });
+
+      await webhookService.notificarEstadoFactura(invoice);
+      actualizadas.push(invoice);
+    }
+
+    lote.estado = 'concluido';
+    lote.fechaConclusion = new Date();
+    await lote.save();
+
+    console.log(`✅ Lote ${lote._id} concluido - ${actualizadas.length} DE actualizados`);
+
+    // DE del lote que la SET no incluyó en gResProcLote
+    const sinResultado = invoices.filter(invoice => !actualizadas.includes(invoice));
+    const consultaIndividual = await consultarPendientesPorCDC(lote, sinResultado, 'CDC ausente en el resultado del lote');
+
+    return { estado: lote.estado, pendiente: false, facturas: actualizadas, consultaIndividual };
+  }
+
+  // ========================================
+  // Lote inexistente o consulta extemporánea
+  // ========================================
+  // En 0364 los DE se siguen consultando individualmente por CDC
+  lote.estado = codigoLote === CODIGOS_LOTE.INEXISTENTE ? 'rechazado' : 'error';
+  await lote.save();
+
+  if (codigoLote === CODIGOS_LOTE.INEXISTENTE) {
+    await actualizarFacturasLote(invoices, {
+      estadoSifen: 'error',
+      estadoVisual: 'rechazado',
+      codigoRetorno: codigoLote,
+      mensajeRetorno: mensajeLote,
+      tipoOperacion: 'error_respuesta_set',
+      estadoLog: 'error',
+      descripcion: `Lote inexistente en SET: ${mensajeLote || codigoLote}`,
+      detalle: { loteId: lote._id, protocolo: lote.protocolo }
+    });
+  }
+
+  console.log(`❌ Lote ${lote._id} - Código: ${codigoLote} ${mensajeLote || ''}`);
+
+  const consultaIndividual = codigoLote === CODIGOS_LOTE.INEXISTENTE
+    ? null
+    : await consultarPendientesPorCDC(lote, invoices, `código de lote ${codigoLote}`);
+
+  return { estado: lote.estado, pendiente: false, consultaIndividual };
+}
+
+module.exports = {
+  crearLotes,
+  enviarLote,
+  consultarLote,
+  CODIGOS_LOTE,
+  INTERVALO_CONSULTA
+};
@@ -0,0 +1,270 @@
+/**
+ * Servicio de Numeración de Documentos
+ * Asigna el número de los documentos cuando la numeración la administra el
+ * servidor y detecta huecos en las series (números asignados que no tienen
+ * un documento válido: deben reutilizarse o inutilizarse ante la SET).
+ *
+ * Modos:
+ * - Numeración del cliente (por defecto): el JSON trae data.numero
+ * - Numeración del servidor: el JSON no trae data.numero, o la empresa tiene
+ *   configuracionSifen.numeracionAutomatica = true (en ese caso es obligatoria)
+ *
+ * El contador de una serie arranca en el mayor número ya emitido en ella y no
+ * queda por debajo de los números que sigue enviando el cliente (modos mezclados).
+ * Con el contador creado, el cliente no puede adelantarse a él en más de
+ * NUMERACION_SALTO_MAXIMO números.
+ */
+
+const Numeracion = require('../models/Numeracion');
+const Invoice = require('../models/Invoice');
+const Evento = require('../models/Evento');
+const { obtenerTipoDocumento } = require('../utils/tipoDocumento');
+
+// Estados de documento que no consumen el número (la SET no lo registró)
+const ESTADOS_NUMERO_LIBRE = ['rechazado'];
+
+// Error de numeración (se responde con 400 al cliente)
+const { ErrorNumeracion } = Numeracion;
+
+// Cuánto puede adelantarse un número del cliente al contador del servidor
+// (un número mucho mayor agotaría la serie para la numeración del servidor)
+const SALTO_MAXIMO_CLIENTE = parseInt(process.env.NUMERACION_SALTO_MAXIMO, 10) || 100;
+
+/**
+ * Obtiene la serie de numeración a la que pertenece un documento
+ * @param {Object} datosFactura - JSON recibido (param/data o plano)
+ * @param {Object} empresa - Empresa emisora
+ * @returns {{ empresaId, timbrado, establecimiento, punto, tipoDocumento }}
+ */
+function obtenerSerie(datosFactura, empresa) {
+  const data = datosFactura.data || datosFactura;
+  const param = datosFactura.param || {};
+
+  return {
+    empresaId: empresa._id,
+    // Mismo orden de prioridad que construirParametrosXML
+    timbrado: String(param.timbradoNumero || data.timbrado || empresa.configuracionSifen.timbrado),
+    establecimiento: String(data.establecimiento || '001').padStart(3, '0'),
+    punto: String(data.punto || '001').padStart(3, '0'),
+    tipoDocumento: obtenerTipoDocumento(datosFactura)
+  };
+}
+
+// Filtro de Invoice por los documentos de una serie
+function filtroDocumentosSerie(serie) {
+  return {
+    empresaId: serie.empresaId,
+    tipoDocumento: serie.tipoDocumento,
+    'numeracion.timbrado': serie.timbrado,
+    'numeracion.establecimiento': serie.establecimiento,
+    'numeracion.punto': serie.punto
+  };
+}
+
+/**
+ * Mayor número ya emitido en una serie (por el cliente o el servidor)
+ * @param {Object} serie - Resultado de obtenerSerie
+ * @returns {Promise<number>} 0 si la serie no tiene documentos
+ */
+async function ultimoNumeroEmitido(serie) {
+  const ultimo = await Invoice.findOne({
+    ...filtroDocumentosSerie(serie),
+    'numeracion.numero': { $gte: 1 }
+  })
+    .sort({ 'numeracion.numero': -1 })
+    .select('numeracion.numero');
+
+  return ultimo?.numeracion?.numero || 0;
+}
+
+/**
+ * Crea el contador de la serie (si no existe) a partir del mayor número emitido,
+ * para que la primera asignación del servidor no repita números del cliente
+ * @param {Object} serie - Resultado de obtenerSerie
+ */
+async function inicializarSerie(serie) {
+  if (await Numeracion.exists(serie)) return;
+
+  try {
+    const ultimoNumero = await ultimoNumeroEmitido(serie);
+    await Numeracion.create({ ...serie, ultimoNumero });
+    if (ultimoNumero > 0) {
+      console.log(`🔢 Serie ${serie.establecimiento}-${serie.punto} (tipo ${serie.tipoDocumento}) inicializada en ${ultimoNumero}`);
+    }
+  } catch (error) {
+    // Otra solicitud la creó al mismo tiempo
+    if (error.code !== 11000) throw error;
+  }
+}
+
+/**
+ * Adelanta el contador de la serie (si existe) hasta el número enviado por el cliente
+ * @param {Object} serie - Resultado de obtenerSerie
+ * @param {number} numeroCliente - Número del documento (data.numero)
+ * @param {boolean} reservar - false solo verifica el número (dry-run)
+ * @throws {ErrorNumeracion} Si el número supera al contador en más de SALTO_MAXIMO_CLIENTE
+ */
+async function adelantarContador(serie, numeroCliente, reservar) {
+  const aceptable = { ...serie, ultimoNumero: { $gte: numeroCliente - SALTO_MAXIMO_CLIENTE } };
+  const aceptado = reservar
+    ? (await Numeracion.updateOne(aceptable, { $max: { ultimoNumero: numeroCliente } })).matchedCount > 0
+    : await Numeracion.exists(aceptable);
+
+  if (aceptado) return;
+
+  const numeracion = await Numeracion.findOne(serie);
+  if (numeracion) {
+    throw new ErrorNumeracion(
+      `El número ${numeroCliente} supera en más de ${SALTO_MAXIMO_CLIENTE} al último asignado en la serie ` +
+      `${serie.establecimiento}-${serie.punto} (${numeracion.ultimoNumero}): omita "data.numero" o use un número cercano`
+    );
+  }
+}
+
+/**
+ * Asigna el número del documento si corresponde numeración del servidor
+ * Modifica datosFactura (data.numero) con el número asignado
+ * @param {Object} datosFactura - JSON recibido
+ * @param {Object} empresa - Empresa emisora
+ * @param {Object} opciones - { reservar: false } usa el próximo número sin asignarlo (dry-run)
+ * @returns {Promise<number|null>} Número asignado, o null si lo trajo el cliente
+ */
+async function asignarNumero(datosFactura, empresa, { reservar = true } = {}) {
+  const data = datosFactura.data || datosFactura;
+  const tieneNumero = data.numero !== undefined && data.numero !== null && data.numero !== '';
+
+  if (tieneNumero) {
+    if (empresa.configuracionSifen?.numeracionAutomatica) {
+      throw new ErrorNumeracion(
+        `La empresa ${empresa.ruc} usa numeración automática: omita "data.numero", el servidor asigna el número`
+      );
+    }
+
+    // Numeración mezclada: el contador del servidor (si existe) no queda por debajo del número del cliente
+    const numeroCliente = parseInt(data.numero, 10);
+    if (numeroCliente > 0) {
+      await adelantarContador(obtenerSerie(datosFactura, empresa), numeroCliente, reservar);
+    }
+    return null;
+  }
+
+  if (!reservar) {
+    const numero = await proximoNumero(datosFactura, empresa);
+    data.numero = String(numero).padStart(7, '0');
+    return numero;
+  }
+
+  const serie = obtenerSerie(datosFactura, empresa);
+  await inicializarSerie(serie);
+  const numero = await Numeracion.asignarSiguiente(serie);
+
+  data.numero = String(numero).padStart(7, '0');
+  console.log(`🔢 Número asignado: ${serie.establecimiento}-${serie.punto}-${data.numero} (tipo ${serie.tipoDocumento}, timbrado ${serie.timbrado})`);
+
+  return numero;
+}
+
+/**
+ * Próximo número de la serie sin asignarlo (para validaciones dry-run)
+ * @param {Object} datosFactura - JSON recibido
+ * @param {Object} empresa - Empresa emisora
+ * @returns {Promise<number>}
+ */
+async function proximoNumero(datosFactura, empresa) {
+  const serie = obtenerSerie(datosFactura, empresa);
+  const numeracion = await Numeracion.findOne(serie);
+  return (numeracion ? numeracion.ultimoNumero : await ultimoNumeroEmitido(serie)) + 1;
+}
+
+// Quita de una lista de rangos los números cubiertos por otro rango
+function restarRango(rangos, { desde, hasta }) {
+  return rangos.flatMap(rango => {
+    if (hasta < rango.desde || desde > rango.hasta) return [rango];
+    const resto = [];
+    if (desde > rango.desde) resto.push({ desde: rango.desde, hasta: desde - 1 });
+    if (hasta < rango.hasta) resto.push({ desde: hasta + 1, hasta: rango.hasta });
+    return resto;
+  });
+}
+
+/**
+ * Detecta los huecos de una serie: números entre 1 y el último asignado que no
+ * tienen un documento válido (sin documento, o solo documentos rechazados)
+ * ni fueron inutilizados ante la SET
+ * @param {Object} numeracion - Documento Numeracion
+ * @returns {Promise<{ huecos: Array<{ desde: number, hasta: number }>, totalHuecos: number }>}
+ */
+async function detectarHuecos(numeracion) {
+  const usados = await Invoice.distinct('numeracion.numero', {
+    ...filtroDocumentosSerie(numeracion),
+    'numeracion.numero': { $gte: 1, $lte: numeracion.ultimoNumero },
+    estadoSifen: { $nin: ESTADOS_NUMERO_LIBRE }
+  });
+
+  usados.sort((a, b) => a - b);
+
+  // Recorrer los números usados y agrupar los faltantes en rangos
+  let huecos = [];
+  let esperado = 1;
+  for (const numero of [...usados, numeracion.ultimoNumero + 1]) {
+    if (numero > esperado) {
+      huecos.push({ desde: esperado, hasta: numero - 1 });
+    }
+    esperado = numero + 1;
+  }
+
+  // Los rangos inutilizados (evento registrado en la SET) ya no son huecos
+  const inutilizaciones = await Evento.find({
+    empresaId: numeracion.empresaId,
+    tipoEvento: 'inutilizacion',
+    estadoEvento: 'registrado',
+    'inutilizacion.timbrado': numeracion.timbrado,
+    'inutilizacion.establecimiento': numeracion.establecimiento,
+    'inutilizacion.punto': numeracion.punto,
+    'inutilizacion.tipoDocumento': numeracion.tipoDocumento
+  }).select('inutilizacion');
+
+  inutilizaciones.forEach(evento => {
+    huecos = restarRango(huecos, evento.inutilizacion);
+  });
+
+  return {
+    huecos,
+    totalHuecos: huecos.reduce((suma, hueco) => suma + (hueco.hasta - hueco.desde + 1), 0)
+  };
+}
+
+/**
+ * Resumen de las series de numeración de una empresa con sus huecos
+ * @param {Object} empresa - Empresa
+ * @returns {Promise<Array>}
+ */
+async function obtenerNumeracionEmpresa(empresa) {
+  const series = await Numeracion.find({ empresaId: empresa._id })
+    .sort({ timbrado: 1, tipoDocumento: 1, establecimiento: 1, punto: 1 });
+
+  return Promise.all(series.map(async (numeracion) => {
+    const { huecos, totalHuecos } = await detectarHuecos(numeracion);
+    return {
+      timbrado: numeracion.timbrado,
+      establecimiento: numeracion.establecimiento,
+      punto: numeracion.punto,
+      tipoDocumento: numeracion.tipoDocumento,
+      ultimoNumero: numeracion.ultimoNumero,
+      proximoNumero: numeracion.ultimoNumero + 1,
+      fechaUltimaAsignacion: numeracion.fechaUltimaAsignacion,
+      huecos,
+      totalHuecos
+    };
+  }));
+}
+
+module.exports = {
+  obtenerSerie,
+  asignarNumero,
+  proximoNumero,
+  detectarHuecos,
+  obtenerNumeracionEmpresa,
+  ErrorNumeracion,
+  ESTADOS_NUMERO_LIBRE
+};
@@ -6,12 +6,16 @@
 
 const Invoice = require('../models/Invoice');
 const Empresa = require('../models/Empresa');
-const certificadoService = require('./certificadoService');
+const OperationLog = require('../models/OperationLog');
+const { obtenerCredenciales } = require('./credencialesService');
+const xsdValidacionService = require('./xsdValidacionService');
+const contingenciaService = require('./contingenciaService');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
 const os = require('os');
 const { formatoFechaSIFEN, convertirFechasASIFEN } = require('../utils/fechaUtils');
+const { obtenerTipoDocumento, validarCamposRequeridos, nombreArchivoTipo } = require('../utils/tipoDocumento');
 const {
   extraerCodigoRetorno,
   extraerMensajeRetorno,
@@ -32,227 +36,437 @@ const kude = require('facturacionelectronicapy-kude').default;
 const setApi = require('./setapi-wrapper');
 
 /**
- * Procesa una factura electrónica completa
- * @param {Object} datosFactura - Datos de la factura
- * @param {String} empresaId - ID de la empresa
- * @param {Object} job - Job de Bull (para reportar progreso)
- * @param {String} invoiceId - ID de la factura en BD (para actualizar con DigestValue)
- * @returns {Object} Resultado del procesamiento
+ * Crea la función de reporte de progreso para un job de Bull
+ * @param {Object} job - Job de Bull (puede ser null)
+ * @returns {Function} Función async que recibe el porcentaje de progreso
  */
-async function procesarFactura(datosFactura, empresaId, job = null, invoiceId = null) {
-  const reportarProgreso = async (progress) => {
+function crearReporteProgreso(job) {
+  return async (progress) => {
     if (job && job.progress) {
       await job.progress(progress);
     }
   };
+}
 
-  // Variables para almacenar CDC y DigestValue (extraídos después de firmar)
-  let digestValueFirma = null;
-  let cdcFirma = null;
+/**
+ * Número de serie del certificado incluido en la firma (KeyInfo > X509Data > X509Certificate)
+ * @param {Object} xmlFirmadoObj - XML firmado parseado con xml2js
+ * @returns {string|null} Número de serie en hexadecimal (mayúsculas)
+ */
+function serieCertificadoFirma(xmlFirmadoObj) {
+  const certificado = xmlFirmadoObj?.rDE?.Signature?.[0]?.KeyInfo?.[0]?.X509Data?.[0]?.X509Certificate?.[0];
+  if (!certificado) return null;
 
   try {
-    // ========================================
-    // 1. Buscar empresa y validar
-    // ========================================
-    await reportarProgreso(5);
-    
-    const Empresa = require('../models/Empresa');
-    const empresa = await Empresa.findById(empresaId);
-    if (!empresa) {
-      throw new Error('Empresa no encontrada');
-    }
+    const texto = typeof certificado === 'string' ? certificado : certificado._;
+    return new crypto.X509Certificate(Buffer.from(texto.replace(/\s+/g, ''), 'base64')).serialNumber;
+  } catch (error) {
+    console.warn('⚠️ No se pudo leer el certificado de la firma:', error.message);
+    return null;
+  }
+}
 
-    if (!empresa.activo) {
-      throw new Error(`Empresa "${empresa.nombreFantasia}" está inactiva`);
-    }
+/**
+ * Arma los params y data para xmlgen a partir del JSON recibido (estructura param/data)
+ * @param {Object} datosFactura - Datos de la factura
+ * @param {Object} empresa - Documento de la empresa emisora
+ * @returns {{ params: Object, datosCompletos: Object }}
+ */
+function construirParametrosXML(datosFactura, empresa) {
+  // Usar datos directamente del JSON
+  const datosCompletos = datosFactura.data || datosFactura;
+
+  // NOTA: El CDC se genera automáticamente dentro de generateXMLDE()
+  const param = datosFactura.param || {};
+  const timbrado = param.timbradoNumero || datosCompletos.timbrado || empresa.configuracionSifen.timbrado;
+
+  // Calcular fecha de timbrado (usar la del param o la de la factura)
+  let timbradoFecha;  // Por defecto
+  if (param.timbradoFecha) {
+    timbradoFecha = param.timbradoFecha;
+  } else if (datosCompletos.fecha) {
+    // Extraer solo la fecha (YYYY-MM-DD) sin hora ni microsegundos
+    timbradoFecha = datosCompletos.fecha.split('T')[0];
+  }
 
-    if (!empresa.tieneCertificadoValido()) {
-      throw new Error('La empresa no tiene un certificado digital válido');
-    }
+  const params = {
+    version: param.version || 150,
+    ruc: param.ruc || empresa.ruc,
+    razonSocial: param.razonSocial || empresa.razonSocial || param.nombreFantasia,
+    nombreFantasia: param.nombreFantasia || empresa.nombreFantasia,
+    actividadesEconomicas: param.actividadesEconomicas,
+    timbradoNumero: timbrado,
+    timbradoFecha: timbradoFecha,
+    tipoContribuyente: param.tipoContribuyente,
+    tipoRegimen: param.tipoRegimen,
+    establecimientos: param.establecimientos
+  };
 
-    console.log(`🏢 Procesando factura para: ${empresa.nombreFantasia} (RUC: ${empresa.ruc})`);
-    await reportarProgreso(10);
+  return { params, datosCompletos };
+}
 
-    // ========================================
-    // 2. Usar datos directamente del JSON
-    // ========================================
-    const datosCompletos = datosFactura.data || datosFactura;
-    await reportarProgreso(15);
+/**
+ * Genera el XML del DE sin firmar (conversión de fechas + xmlgen)
+ * @param {Object} datosFactura - Datos de la factura (se modifican las fechas en su lugar)
+ * @param {Object} empresa - Documento de la empresa emisora
+ * @param {Object} config - Configuración adicional para xmlgen
+ * @returns {Promise<Object>} { xml, params, datosCompletos }
+ */
+async function generarXMLSinFirmar(datosFactura, empresa, config = {}) {
+  const { params, datosCompletos } = construirParametrosXML(datosFactura, empresa);
 
-    // ========================================
-    // 3. Generar params para xmlgen (usando estructura unificada param/data)
-    // ========================================
-    // NOTA: El CDC se genera automáticamente dentro de generateXMLDE()
-    const param = datosFactura.param || {};
-    const timbrado = param.timbradoNumero || datosCompletos.timbrado || empresa.configuracionSifen.timbrado;
-
-    // Calcular fecha de timbrado (usar la del param o la de la factura)
-    let timbradoFecha;  // Por defecto
-    if (param.timbradoFecha) {
-      timbradoFecha = param.timbradoFecha;
-    } else if (datosCompletos.fecha) {
-      // Extraer solo la fecha (YYYY-MM-DD) sin hora ni microsegundos
-      timbradoFecha = datosCompletos.fecha.split('T')[0];
-    }
+  console.log('📝 Generando XML...');
+
+  // CRÍTICO: Convertir TODAS las fechas a formato SIFEN antes de pasar a xmlgen
+  // La librería facturacionelectronicapy-xmlgen NO acepta fechas con 'Z' o milisegundos
+  convertirFechasASIFEN(datosCompletos);  // ← Modifica el objeto en su lugar (sin reasignar)
+
+  const xml = await FacturaElectronicaPY.generateXMLDE(params, datosCompletos, config);
+  return { xml, params, datosCompletos };
+}
 
-    const params = {
-      version: param.version || 150,
-      ruc: param.ruc || empresa.ruc,
-      razonSocial: param.razonSocial || empresa.razonSocial || param.nombreFantasia,
-      nombreFantasia: param.nombreFantasia || empresa.nombreFantasia,
-      actividadesEconomicas: param.actividadesEconomicas,
-      timbradoNumero: timbrado,
-      timbradoFecha: timbradoFecha,
-      tipoContribuyente: param.tipoContribuyente,
-      tipoRegimen: param.tipoRegimen,
-      establecimientos: param.establecimientos
+// Separador de errores de xmlgen (permite separarlos en una lista)
+const SEPARADOR_ERRORES = '\n';
+
+/**
+ * Valida una factura generando su XML sin firmar ni enviar (dry-run)
+ * No crea registros en BD: sirve para detectar errores del JSON antes de encolar
+ * @param {Object} datosFactura - Datos de la factura
+ * @param {Object} empresa - Documento de la empresa emisora
+ * @returns {Promise<Object>} { valido, errores: [{ campo, mensaje }], cdc, xml }
+ */
+async function validarFactura(datosFactura, empresa) {
+  // Trabajar sobre una copia: la conversión de fechas modifica el objeto
+  const copia = JSON.parse(JSON.stringify(datosFactura));
+  const data = copia.data || copia;
+
+  // xmlgen falla con TypeError (sin indicar el campo) si faltan los bloques del tipo de documento
+  const faltantes = validarCamposRequeridos(data, obtenerTipoDocumento(copia));
+  if (faltantes.length > 0) {
+    return { valido: false, errores: faltantes, cdc: null, xml: null };
+  }
+
+  try {
+    const { xml } = await generarXMLSinFirmar(copia, empresa, {
+      errorSeparator: SEPARADOR_ERRORES,
+      errorLimit: 100
+    });
+
+    // El CDC está en el atributo Id del elemento DE
+    const cdcMatch = xml.match(/<DE\s+Id="(\d{44})"/);
+
+    return {
+      valido: true,
+      errores: [],
+      cdc: cdcMatch ? cdcMatch[1] : null,
+      xml
     };
+  } catch (error) {
+    const mensajes = [...new Set((error.message || 'Error desconocido generando XML')
+      .split(SEPARADOR_ERRORES)
+      .map(mensaje => mensaje.trim())
+      .filter(Boolean))];
 
-    await reportarProgreso(25);
+    return {
+      valido: false,
+      errores: mensajes.map(mensaje => {
+        // xmlgen nombra el campo en el mensaje (ej: "... en data.cliente.ruc")
+        const campoMatch = mensaje.match(/\b(?:params|param|data)\.[\w.[\]]*\w\]?/);
+        return {
+          campo: campoMatch ? campoMatch[0].replace(/^params\./, 'param.') : null,
+          mensaje
+        };
+      }),
+      cdc: null,
+      xml: null
+    };
+  }
+}
 
-    // ========================================
-    // 4. Generar XML
-    // ========================================
-    console.log('📝 Generando XML...');
+/**
+ * Genera, firma y guarda el XML de un documento electrónico (con QR)
+ * No envía a la SET: lo usan tanto el envío síncrono (procesarFactura)
+ * como el envío asíncrono por lotes (loteService)
+ * @param {Object} datosFactura - Datos de la factura
+ * @param {String} empresaId - ID de la empresa
+ * @param {Object} job - Job de Bull (para reportar progreso)
+ * @param {String} invoiceId - ID de la factura en BD (para actualizar con DigestValue)
+ * @param {Object} opciones - { permitirContingencia }: emitir con tipoEmision 2 si la empresa está en contingencia
+ * @returns {Object} XML firmado con QR, rutas del archivo y credenciales para el envío
+ */
+async function generarDocumentoFirmado(datosFactura, empresaId, job = null, invoiceId = null, opciones = {}) {
+  const reportarProgreso = crearReporteProgreso(job);
 
-    // CRÍTICO: Convertir TODAS las fechas a formato SIFEN antes de pasar a xmlgen
-    // La librería facturacionelectronicapy-xmlgen NO acepta fechas con 'Z' o milisegundos
-    convertirFechasASIFEN(datosCompletos);  // ← Modifica el objeto en su lugar (sin reasignar)
+  // Variables para almacenar CDC y DigestValue (extraídos después de firmar)
+  let digestValueFirma = null;
+  let cdcFirma = null;
 
-    const xmlGenerado = await FacturaElectronicaPY.generateXMLDE(params, datosCompletos, {});
-    await reportarProgreso(35);
+  // ========================================
+  // 1. Buscar empresa y validar
+  // ========================================
+  await reportarProgreso(5);
+  
+  const Empresa = require('../models/Empresa');
+  const empresa = await Empresa.findById(empresaId);
+  if (!empresa) {
+    throw new Error('Empresa no encontrada');
+  }
 
-    // ========================================
-    // 5. Firmar XML y extraer DigestValue + CDC
-    // ========================================
-    console.log('✍️  Firmando XML...');
-    const rutaCertificado = empresa.obtenerRutaCertificado();
-    const contrasena = certificadoService.descifrarContrasena(empresa.certificado.contrasena);
-
-    // 🔧 IMPORTANTE: El 4to parámetro 'true' fuerza a usar Node.js en lugar de Java
-    // Java 21 en Ubuntu 24.04 corrompe el encoding UTF-8
-    const xmlFirmado = await xmlsign.signXML(xmlGenerado, rutaCertificado, contrasena, true);
-    console.log('✅ XML firmado exitosamente');
-    
-    // EXTRAER DigestValue y CDC INMEDIATAMENTE (antes de enviar a SET)
-    try {
-      const xml2js = require('xml2js');
-      const xmlFirmadoObj = await xml2js.parseStringPromise(xmlFirmado);
-
-      // Extraer DigestValue de la firma digital
-      // La estructura es: rDE > Signature > SignedInfo > Reference > DigestValue
-      if (xmlFirmadoObj?.rDE?.Signature?.[0]?.SignedInfo?.[0]?.Reference?.[0]?.DigestValue?.[0]) {
-        digestValueFirma = xmlFirmadoObj.rDE.Signature[0].SignedInfo[0].Reference[0].DigestValue[0];
-      } else {
-        console.warn('⚠️ No se encontró DigestValue en el XML firmado');
-      }
+  if (!empresa.activo) {
+    throw new Error(`Empresa "${empresa.nombreFantasia}" está inactiva`);
+  }
 
-      // Extraer CDC (Código de Control) del atributo Id del elemento DE
-      // Ejemplo: <DE Id="01036040761001001000000322026022719876543220">
-      if (xmlFirmadoObj?.rDE?.DE?.[0]?.$?.Id) {
-        cdcFirma = xmlFirmadoObj.rDE.DE[0].$.Id;
-      } else if (xmlFirmadoObj?.['rDE:DE']?.[0]?.$?.Id) {
-        cdcFirma = xmlFirmadoObj['rDE:DE'][0].$.Id;
-      } else {
-        console.warn('⚠️ No se encontró CDC en el atributo Id del DE');
-      }
+  // Certificado y ambiente de la empresa (falla antes de generar el XML si no son utilizables)
+  const credenciales = obtenerCredenciales(empresa);
+  const { ambiente, rutaCertificado, contrasena } = credenciales;
 
-      // GUARDAR DigestValue y CDC EN BD INMEDIATAMENTE
-      if (invoiceId) {
-        try {
-          const Invoice = require('../models/Invoice');
-          const updateData = {};
-          if (digestValueFirma) updateData.digestValue = digestValueFirma;
-          if (cdcFirma) updateData.cdc = cdcFirma;
-
-          if (Object.keys(updateData).length > 0) {
-            await Invoice.findByIdAndUpdate(invoiceId, {
-              ...updateData,
-              estadoSifen: 'enviado'  // Cambiar a 'enviado' mientras se procesa en SET
-            });
-          } else {
-            console.warn('⚠️ No hay datos para guardar en BD');
-          }
-        } catch (dbErr) {
-          console.warn('⚠️ No se pudo guardar en BD:', dbErr.message);
+  console.log(`🏢 Procesando factura para: ${empresa.nombreFantasia} (RUC: ${empresa.ruc})`);
+  await reportarProgreso(10);
+
+  // Contingencia: el tipo de emisión forma parte del CDC, se define antes de generar el XML
+  const enContingencia = Boolean(opciones.permitirContingencia && empresa.contingencia?.activa);
+  if (enContingencia) {
+    (datosFactura.data || datosFactura).tipoEmision = contingenciaService.TIPO_EMISION_CONTINGENCIA;
+    console.log('🚧 Empresa en contingencia: el DE se emite con tipoEmision 2 y no se envía a la SET');
+  }
+
+  // ========================================
+  // 2-4. Generar XML (sin firmar)
+  // ========================================
+  await reportarProgreso(15);
+  const { xml: xmlGenerado, params, datosCompletos } = await generarXMLSinFirmar(datosFactura, empresa);
+  const timbrado = params.timbradoNumero;
+  await reportarProgreso(35);
+
+  // ========================================
+  // 5. Firmar XML y extraer DigestValue + CDC
+  // ========================================
+  console.log('✍️  Firmando XML...');
+
+  // 🔧 IMPORTANTE: El 4to parámetro 'true' fuerza a usar Node.js en lugar de Java
+  // Java 21 en Ubuntu 24.04 corrompe el encoding UTF-8
+  const xmlFirmado = await xmlsign.signXML(xmlGenerado, rutaCertificado, contrasena, true);
+  console.log('✅ XML firmado exitosamente');
+  
+  // EXTRAER DigestValue y CDC INMEDIATAMENTE (antes de enviar a SET)
+  try {
+    const xml2js = require('xml2js');
+    const xmlFirmadoObj = await xml2js.parseStringPromise(xmlFirmado);
+
+    // Extraer DigestValue de la firma digital
+    // La estructura es: rDE > Signature > SignedInfo > Reference > DigestValue
+    if (xmlFirmadoObj?.rDE?.Signature?.[0]?.SignedInfo?.[0]?.Reference?.[0]?.DigestValue?.[0]) {
+      digestValueFirma = xmlFirmadoObj.rDE.Signature[0].SignedInfo[0].Reference[0].DigestValue[0];
+    } else {
+      console.warn('⚠️ No se encontró DigestValue en el XML firmado');
+    }
+
+    // Extraer CDC (Código de Control) del atributo Id del elemento DE
+    // Ejemplo: <DE Id="01036040761001001000000322026022719876543220">
+    if (xmlFirmadoObj?.rDE?.DE?.[0]?.$?.Id) {
+      cdcFirma = xmlFirmadoObj.rDE.DE[0].$.Id;
+    } else if (xmlFirmadoObj?.['rDE:DE']?.[0]?.$?.Id) {
+      cdcFirma = xmlFirmadoObj['rDE:DE'][0].$.Id;
+    } else {
+      console.warn('⚠️ No se encontró CDC en el atributo Id del DE');
+    }
+
+    // GUARDAR DigestValue y CDC EN BD INMEDIATAMENTE
+    if (invoiceId) {
+      try {
+        const Invoice = require('../models/Invoice');
+        const updateData = {};
+        if (digestValueFirma) updateData.digestValue = digestValueFirma;
+        if (cdcFirma) updateData.cdc = cdcFirma;
+
+        // Certificado con que se firmó (el de KeyInfo; la versión es la activa al firmar)
+        const certificadoSerie = serieCertificadoFirma(xmlFirmadoObj) || credenciales.numeroSerie;
+        if (certificadoSerie) updateData.certificadoSerie = certificadoSerie;
+        if (credenciales.version) updateData.certificadoVersion = credenciales.version;
+
+        if (Object.keys(updateData).length > 0) {
+          await Invoice.findByIdAndUpdate(invoiceId, {
+            ...updateData,
+            // Cambiar a 'enviado' mientras se procesa en SET ('pendiente_envio' en contingencia)
+            estadoSifen: enContingencia ? 'pendiente_envio' : 'enviado'
+          });
+        } else {
+          console.warn('⚠️ No hay datos para guardar en BD');
         }
+      } catch (dbErr) {
+        console.warn('⚠️ No se pudo guardar en BD:', dbErr.message);
       }
-    } catch (err) {
-      console.warn('⚠️ No se pudo extraer datos del XML firmado:', err.message);
-      console.error(err);
     }
-    
-    await reportarProgreso(50);
+  } catch (err) {
+    console.warn('⚠️ No se pudo extraer datos del XML firmado:', err.message);
+    console.error(err);
+  }
+  
+  await reportarProgreso(50);
+
+  // ========================================
+  // 6. Generar y agregar QR
+  // ========================================
+  console.log('📱 Generando QR...');
+  const idCSC = empresa.configuracionSifen.idCSC;
+  const CSC = empresa.obtenerCSC();
+
+  const xmlConQR = await qr.generateQR(xmlFirmado, idCSC, CSC, ambiente);
+  console.log('✅ QR generado e incrustado');
+  await reportarProgreso(60);
+
+  // ========================================
+  // 6b. Validar contra el esquema XSD (siRecepDE_v150)
+  // ========================================
+  // Falla antes de enviar: evita un rechazo de la serie 1000 de la SET
+  const validacionXSD = await xsdValidacionService.validarDE(xmlConQR);
+  if (validacionXSD.omitido) {
+    console.log(`ℹ️  Validación XSD omitida: ${validacionXSD.motivo}`);
+  } else if (!validacionXSD.valido) {
+    const errorXSD = new xsdValidacionService.ErrorValidacionXSD('de', validacionXSD.errores);
+    console.error(`❌ ${errorXSD.message}`);
+
+    if (invoiceId) {
+      await OperationLog.create({
+        invoiceId,
+        tipoOperacion: 'validacion_xml',
+        descripcion: errorXSD.message,
+        estado: 'error',
+        detalle: {
+          cdc: cdcFirma,
+          esquema: errorXSD.esquema,
+          errores: errorXSD.errores
+        }
+      });
+    }
 
-    // ========================================
-    // 6. Generar y agregar QR
-    // ========================================
-    console.log('📱 Generando QR...');
-    const idCSC = empresa.configuracionSifen.idCSC;
-    const CSC = empresa.configuracionSifen.csc;
-    const ambiente = empresa.configuracionSifen.modo;
+    throw errorXSD;
+  } else {
+    console.log('✅ XML válido según siRecepDE_v150.xsd');
+  }
 
-    const xmlConQR = await qr.generateQR(xmlFirmado, idCSC, CSC, ambiente);
-    console.log('✅ QR generado e incrustado');
-    await reportarProgreso(60);
+  // ========================================
+  // 7. GUARDAR XML INMEDIATAMENTE (ANTES DE ENVIAR A SET)
+  // ========================================
+  // CRÍTICO: Guardar el XML firmado ANTES de enviar a SET para no perderlo si falla la conexión
+  const fecha = new Date();
+  const anio = fecha.getFullYear();
+  const mes = String(fecha.getMonth() + 1).padStart(2, '0');
+  const rutaSalida = path.join(__dirname, `../de_output/${empresa.ruc}/${anio}/${mes}`);
+
+  if (!fs.existsSync(rutaSalida)) {
+    fs.mkdirSync(rutaSalida, { recursive: true });
+  }
 
-    // ========================================
-    // 7. GUARDAR XML INMEDIATAMENTE (ANTES DE ENVIAR A SET)
-    // ========================================
-    // CRÍTICO: Guardar el XML firmado ANTES de enviar a SET para no perderlo si falla la conexión
-    const fecha = new Date();
-    const anio = fecha.getFullYear();
-    const mes = String(fecha.getMonth() + 1).padStart(2, '0');
-    const rutaSalida = path.join(__dirname, `../de_output/${empresa.ruc}/${anio}/${mes}`);
-
-    if (!fs.existsSync(rutaSalida)) {
-      fs.mkdirSync(rutaSalida, { recursive: true });
+  const correlativo = datosCompletos.encabezado?.idDoc?.correlativo;
+
+  // Extraer datos del XML para el nombre del archivo
+  let tipoDocumentoDescripcion;
+  let serieDelXML = null;
+
+  try {
+    const xml2js = require('xml2js');
+    const xmlObj = await xml2js.parseStringPromise(xmlConQR);
+    if (xmlObj?.rDE?.DE?.[0]?.gTimb?.[0]?.dDesTiDE?.[0]) {
+      tipoDocumentoDescripcion = xmlObj.rDE.DE[0].gTimb[0].dDesTiDE[0];
     }
+    if (xmlObj?.rDE?.DE?.[0]?.gInfDoc?.[0]?.gSerieNum?.[0]?.dSerieNum?.[0]) {
+      serieDelXML = xmlObj.rDE.DE[0].gInfDoc[0].gSerieNum[0].dSerieNum[0];
+    }
+  } catch (err) {
+    console.warn('⚠️ No se pudo extraer dDesTiDE del XML:', err.message);
+  }
 
-    const correlativo = datosCompletos.encabezado?.idDoc?.correlativo;
+  // Construir nombre del archivo
+  const timbradoStr = datosCompletos.timbrado || datosCompletos.encabezado?.idDoc?.dNumTim || timbrado;
+  const establecimientoStr = (datosCompletos.establecimiento?.toString() || datosCompletos.encabezado?.idDoc?.dEst?.toString() || '001').padStart(3, '0');
+  const puntoStr = (datosCompletos.punto?.toString() || datosCompletos.encabezado?.idDoc?.dPunExp?.toString() || '001').padStart(3, '0');
+  const numeroStr = (datosCompletos.numero?.toString() || datosCompletos.encabezado?.idDoc?.numDoc?.toString() || '').padStart(7, '0');
 
-    // Extraer datos del XML para el nombre del archivo
-    let tipoDocumentoDescripcion;
-    let serieDelXML = null;
+  // Normalizar nombre del archivo (igual que KUDE: sin acentos, espacios por guiones bajos)
+  const tipoDocumentoNormalizado = nombreArchivoTipo(tipoDocumentoDescripcion, obtenerTipoDocumento(datosFactura));
 
-    try {
-      const xml2js = require('xml2js');
-      const xmlObj = await xml2js.parseStringPromise(xmlConQR);
-      if (xmlObj?.rDE?.DE?.[0]?.gTimb?.[0]?.dDesTiDE?.[0]) {
-        tipoDocumentoDescripcion = xmlObj.rDE.DE[0].gTimb[0].dDesTiDE[0];
-      }
-      if (xmlObj?.rDE?.DE?.[0]?.gInfDoc?.[0]?.gSerieNum?.[0]?.dSerieNum?.[0]) {
-        serieDelXML = xmlObj.rDE.DE[0].gInfDoc[0].gSerieNum[0].dSerieNum[0];
-      }
-    } catch (err) {
-      console.warn('⚠️ No se pudo extraer dDesTiDE del XML:', err.message);
-    }
+  let nombreArchivo = `${tipoDocumentoNormalizado}_${timbradoStr}-${establecimientoStr}-${puntoStr}-${numeroStr}`;
+  if (serieDelXML) {
+    nombreArchivo += `-${serieDelXML}`;
+  }
+  nombreArchivo += '.xml';
+
+  const rutaArchivo = path.join(rutaSalida, nombreArchivo);
+  fs.writeFileSync(rutaArchivo, xmlConQR, 'utf8');
+
+  const xmlPathRelativo = `${empresa.ruc}/${anio}/${mes}/${nombreArchivo}`;
+  console.log(`📁 XML guardado: ${rutaArchivo}`);
+  await reportarProgreso(70);
+
+  return {
+    empresa,
+    xmlConQR,
+    rutaArchivo,
+    xmlPathRelativo,
+    cdc: cdcFirma,
+    digestValue: digestValueFirma,
+    correlativo,
+    rutaCertificado,
+    contrasena,
+    ambiente,
+    enContingencia
+  };
+}
 
-    // Construir nombre del archivo
-    const timbradoStr = datosCompletos.timbrado || datosCompletos.encabezado?.idDoc?.dNumTim || timbrado;
-    const establecimientoStr = (datosCompletos.establecimiento?.toString() || datosCompletos.encabezado?.idDoc?.dEst?.toString() || '001').padStart(3, '0');
-    const puntoStr = (datosCompletos.punto?.toString() || datosCompletos.encabezado?.idDoc?.dPunExp?.toString() || '001').padStart(3, '0');
-    const numeroStr = (datosCompletos.numero?.toString() || datosCompletos.encabezado?.idDoc?.numDoc?.toString() || '').padStart(7, '0');
-
-    // Normalizar nombre del archivo (igual que KUDE: sin acentos, espacios por guiones bajos)
-    const tipoDocumentoNormalizado = tipoDocumentoDescripcion
-      .normalize('NFD')                          // Separar caracteres con acentos
-      .replace(/[\u0300-\u036f]/g, '')          // Eliminar acentos
-      .replace(/ñ/gi, 'n')                       // Reemplazar ñ por n
-      .replace(/\s+/g, '_');                     // Reemplazar espacios por guiones bajos
-
-    let nombreArchivo = `${tipoDocumentoNormalizado}_${timbradoStr}-${establecimientoStr}-${puntoStr}-${numeroStr}`;
-    if (serieDelXML) {
-      nombreArchivo += `-${serieDelXML}`;
-    }
-    nombreArchivo += '.xml';
+/**
+ * Procesa una factura electrónica completa
+ * @param {Object} datosFactura - Datos de la factura
+ * @param {String} empresaId - ID de la empresa
+ * @param {Object} job - Job de Bull (para reportar progreso)
+ * @param {String} invoiceId - ID de la factura en BD (para actualizar con DigestValue)
+ * @returns {Object} Resultado del procesamiento
+ */
+async function procesarFactura(datosFactura, empresaId, job = null, invoiceId = null) {
+  const reportarProgreso = crearReporteProgreso(job);
 
-    const rutaArchivo = path.join(rutaSalida, nombreArchivo);
-    fs.writeFileSync(rutaArchivo, xmlConQR, 'utf8');
+  try {
+    // ========================================
+    // 1-7. Generar, firmar y guardar el XML
+    // ========================================
+    const {
+      xmlConQR,
+      rutaArchivo,
+      xmlPathRelativo,
+      cdc: cdcFirma,
+      digestValue: digestValueFirma,
+      correlativo,
+      rutaCertificado,
+      contrasena,
+      ambiente,
+      enContingencia
+    } = await generarDocumentoFirmado(datosFactura, empresaId, job, invoiceId, { permitirContingencia: true });
 
-    const xmlPathRelativo = `${empresa.ruc}/${anio}/${mes}/${nombreArchivo}`;
-    console.log(`📁 XML guardado: ${rutaArchivo}`);
-    await reportarProgreso(70);
+    // ========================================
+    // 8. Contingencia: no se envía, queda pendiente (el KUDE se genera igual)
+    // ========================================
+    if (enContingencia) {
+      const fechaLimiteEnvio = contingenciaService.calcularFechaLimite();
+      console.log(`🚧 DE emitido en contingencia - CDC: ${cdcFirma}, enviar antes de ${fechaLimiteEnvio.toISOString()}`);
+      await reportarProgreso(80);
+
+      return {
+        success: true,
+        cdc: cdcFirma,
+        xmlPath: xmlPathRelativo,
+        xmlContent: xmlConQR,
+        rutaArchivo: rutaArchivo,
+        estado: 'pendiente_envio',
+        estadoVisual: 'pendiente',
+        codigoRetorno: null,
+        mensajeRetorno: 'Emitido en contingencia: pendiente de envío a la SET',
+        digestValue: digestValueFirma,
+        fechaProceso: null,
+        correlativo: correlativo,
+        tipoEmision: contingenciaService.TIPO_EMISION_CONTINGENCIA,
+        fechaLimiteEnvio
+      };
+    }
 
     // ========================================
     // 9. Enviar a SET - AHORA EL XML YA ESTÁ GUARDADO
@@ -282,6 +496,14 @@ async function procesarFactura(datosFactura, empresaId, job = null, invoiceId =
       soapResponse = null;
     }
 
+    // Contador de fallos de conexión para la contingencia automática
+    const empresaIdEnvio = empresaId?._id || empresaId;
+    if (errorEnvio) {
+      await contingenciaService.registrarFalloConexion(empresaIdEnvio, errorEnvio.message);
+    } else {
+      await contingenciaService.registrarConexionExitosa(empresaIdEnvio);
+    }
+
     // ========================================
     // 10. Extraer datos de respuesta (o usar valores por error)
     // ========================================
@@ -329,7 +551,8 @@ async function procesarFactura(datosFactura, empresaId, job = null, invoiceId =
       mensajeRetorno: mensajeRetorno,
       digestValue: digestValueFirma,  // DigestValue extraído después de firmar
       fechaProceso: fechaProceso,
-      correlativo: correlativo
+      correlativo: correlativo,
+      tipoEmision: contingenciaService.TIPO_EMISION_NORMAL
     };
 
   } catch (error) {
@@ -419,11 +642,7 @@ async function generarKUDE(xmlPath, cdc, correlativo, fechaCreacion, datosFactur
     }
 
     // Normalizar tipo de documento (igual que XML: sin acentos, espacios por guiones bajos)
-    const tipoDocumentoNormalizado = tipoDocumentoDescripcion
-      .normalize('NFD')
-      .replace(/[\u0300-\u036f]/g, '')
-      .replace(/ñ/gi, 'n')
-      .replace(/\s+/g, '_');
+    const tipoDocumentoNormalizado = nombreArchivoTipo(tipoDocumentoDescripcion, obtenerTipoDocumento(datosFactura || {}));
 
     // Extraer establecimiento, punto y número DIRECTAMENTE de datosFactura
     // para evitar inconsistencias entre el correlativo y los datos reales del JSON
@@ -470,5 +689,7 @@ async function generarKUDE(xmlPath, cdc, correlativo, fechaCreacion, datosFactur
 
 module.exports = {
   procesarFactura,
+  generarDocumentoFirmado,
+  validarFactura,
   generarKUDE
 };
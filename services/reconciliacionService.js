@@ -0,0 +1,257 @@
+/**
+ * Servicio de Reconciliación de Estados
+ * Consulta periódicamente a la SET (siConsDE) el estado de las facturas que
+ * quedaron en estados no finales (encolado, procesando, enviado) y aplica el
+ * mismo mapeo de estados que POST /api/invoices/:id/refresh-status.
+ *
+ * Las consultas se agrupan por empresa para usar el certificado de cada una.
+ * Las facturas de un lote en curso no se reconcilian: su resultado lo aplica
+ * loteService.consultarLote cuando el lote concluye.
+ */
+
+const crypto = require('crypto');
+const Invoice = require('../models/Invoice');
+const Empresa = require('../models/Empresa');
+const OperationLog = require('../models/OperationLog');
+const Reconciliacion = require('../models/Reconciliacion');
+const Lote = require('../models/Lote');
+const { obtenerCredenciales } = require('./credencialesService');
+const webhookService = require('./webhookService');
+const {
+  extraerCodigoRetorno,
+  extraerMensajeRetorno,
+  extraerEstadoDocumento,
+  extraerFechaProceso,
+  extraerDigestValue,
+  determinarEstadoConsulta
+} = require('../utils/estadoSifen');
+
+// Importar wrapper de SET API (soporta Mock y Producción)
+const setApi = require('./setapi-wrapper');
+
+// Estados que se reconcilian con la SET
+const ESTADOS_NO_FINALES = ['encolado', 'procesando', 'enviado'];
+
+// Estados de un lote que todavía no tiene resultado
+const ESTADOS_LOTE_EN_CURSO = ['encolado', 'enviado'];
+
+// Intervalo entre ejecuciones del job repetible (milisegundos)
+const INTERVALO = parseInt(process.env.RECONCILIACION_INTERVALO, 10) || 600000;
+
+// Antigüedad mínima de la última actualización para reconciliar una factura
+// (evita consultar facturas que el worker todavía está procesando)
+const ANTIGUEDAD_MINIMA = parseInt(process.env.RECONCILIACION_ANTIGUEDAD_MINIMA, 10) || 300000;
+
+// Cantidad máxima de facturas consultadas por ejecución
+const MAX_FACTURAS = parseInt(process.env.RECONCILIACION_MAX_FACTURAS, 10) || 200;
+
+/**
+ * Consulta a la SET una factura y actualiza su estado si cambió
+ * @param {Object} invoice - Documento Invoice
+ * @param {Object} credenciales - { ambiente, rutaCertificado, contrasena }
+ * @returns {Promise<boolean>} true si el estado cambió
+ */
+async function reconciliarFactura(invoice, { ambiente, rutaCertificado, contrasena }) {
+  const idConsulta = crypto.randomBytes(16).toString('hex');
+  const respuesta = await setApi.consulta(idConsulta, invoice.cdc, ambiente, rutaCertificado, contrasena);
+
+  const codigoRetorno = extraerCodigoRetorno(respuesta);
+  const mensajeRetorno = extraerMensajeRetorno(respuesta);
+  const estadoRetorno = extraerEstadoDocumento(respuesta);
+  const nuevoEstado = determinarEstadoConsulta(codigoRetorno);
+  const estadoAnterior = invoice.estadoSifen;
+
+  // Código no reconocido o documento aún en procesamiento: se reintenta en la próxima ejecución
+  if (!nuevoEstado) {
+    await OperationLog.create({
+      invoiceId: invoice._id,
+      tipoOperacion: 'consulta_estado',
+      descripcion: `Reconciliación: sin estado final en SET (código ${codigoRetorno || 'N/A'})`,
+      estado: 'warning',
+      detalle: {
+        cdc: invoice.cdc,
+        correlativo: invoice.correlativo,
+        codigoRetorno,
+        estadoRetorno,
+        mensajeRetorno,
+        origen: 'reconciliacion',
+        huboCambio: false
+      }
+    });
+    return false;
+  }
+
+  const fechaProceso = extraerFechaProceso(respuesta);
+
+  invoice.estadoSifen = nuevoEstado.estadoSifen;
+  invoice.estadoVisual = nuevoEstado.estadoVisual;
+  invoice.codigoRetorno = codigoRetorno;
+  invoice.mensajeRetorno = mensajeRetorno;
+  if (fechaProceso) invoice.fechaProceso = fechaProceso;
+  invoice.respuestaSifen = {
+    codigo: codigoRetorno,
+    estado: estadoRetorno,
+    mensaje: mensajeRetorno,
+    fechaProceso: fechaProceso,
+    digestValue: extraerDigestValue(respuesta) || invoice.digestValue
+  };
+  await invoice.save();
+
+  await OperationLog.create({
+    invoiceId: invoice._id,
+    tipoOperacion: 'consulta_estado',
+    descripcion: `Reconciliación: estado actualizado de ${estadoAnterior} a ${invoice.estadoSifen}`,
+    estado: nuevoEstado.estadoVisual === 'aceptado' ? 'success' : (nuevoEstado.estadoVisual === 'observado' ? 'warning' : 'error'),
+    detalle: {
+      cdc: invoice.cdc,
+      correlativo: invoice.correlativo,
+      codigoRetorno,
+      estadoRetorno,
+      mensajeRetorno,
+      estadoAnterior,
+      estadoNuevo: invoice.estadoSifen,
+      origen: 'reconciliacion',
+      huboCambio: true
+    }
+  });
+
+  await webhookService.notificarEstadoFactura(invoice);
+
+  console.log(`🔄 [RECONCILIACION] ${invoice.correlativo}: ${estadoAnterior} → ${invoice.estadoSifen} (${codigoRetorno})`);
+  return true;
+}
+
+/**
+ * Reconcilia las facturas no finales de una empresa
+ * @param {String} empresaId - ID de la empresa
+ * @param {Array<Object>} invoices - Facturas a consultar
+ * @returns {Promise<Object>} Resumen de la empresa
+ */
+async function reconciliarEmpresa(empresaId, invoices) {
+  const empresa = await Empresa.findById(empresaId);
+  const resumen = {
+    empresaId,
+    ruc: empresa?.ruc,
+    revisadas: 0,
+    actualizadas: 0,
+    errores: 0
+  };
+
+  if (!empresa) {
+    resumen.omitida = 'Empresa no encontrada';
+    return resumen;
+  }
+
+  let credenciales;
+  try {
+    credenciales = obtenerCredenciales(empresa);
+  } catch (error) {
+    resumen.omitida = error.message;
+    return resumen;
+  }
+
+  for (const invoice of invoices) {
+    resumen.revisadas++;
+    try {
+      if (await reconciliarFactura(invoice, credenciales)) {
+        resumen.actualizadas++;
+      }
+    } catch (error) {
+      resumen.errores++;
+      console.warn(`⚠️ [RECONCILIACION] Error consultando ${invoice.correlativo}:`, error.message);
+
+      await OperationLog.create({
+        invoiceId: invoice._id,
+        tipoOperacion: 'error_consulta_estado',
+        descripcion: `Reconciliación: error consultando estado en SET: ${error.message}`,
+        estado: 'error',
+        detalle: {
+          cdc: invoice.cdc,
+          correlativo: invoice.correlativo,
+          origen: 'reconciliacion',
+          error: error.message
+        }
+      });
+    }
+  }
+
+  return resumen;
+}
+
+/**
+ * Ejecuta una reconciliación completa y guarda su resumen
+ * @param {Object} opciones - { origen: 'programada' | 'manual' }
+ * @returns {Promise<Object>} Documento Reconciliacion con el resumen
+ */
+async function ejecutarReconciliacion({ origen = 'programada' } = {}) {
+  const ejecucion = await Reconciliacion.create({ origen });
+  const inicio = Date.now();
+
+  try {
+    // Una consulta individual (ej: 0420 mientras el lote se procesa) pisaría el resultado del lote
+    const lotesEnCurso = await Lote.distinct('_id', { estado: { $in: ESTADOS_LOTE_EN_CURSO } });
+
+    const invoices = await Invoice.find({
+      estadoSifen: { $in: ESTADOS_NO_FINALES },
+      cdc: { $exists: true, $ne: null },
+      loteId: { $nin: lotesEnCurso },
+      updatedAt: { $lte: new Date(Date.now() - ANTIGUEDAD_MINIMA) }
+    })
+      .sort({ updatedAt: 1 })
+      .limit(MAX_FACTURAS);
+
+    console.log(`🔎 [RECONCILIACION] ${invoices.length} factura(s) en estado no final`);
+
+    // Agrupar por empresa
+    const porEmpresa = new Map();
+    for (const invoice of invoices) {
+      const clave = invoice.empresaId?.toString() || 'sin-empresa';
+      if (!porEmpresa.has(clave)) porEmpresa.set(clave, []);
+      porEmpresa.get(clave).push(invoice);
+    }
+
+    for (const [empresaId, facturasEmpresa] of porEmpresa) {
+      const resumen = empresaId === 'sin-empresa'
+        ? { revisadas: 0, actualizadas: 0, errores: 0, omitida: 'Facturas sin empresa asociada' }
+        : await reconciliarEmpresa(empresaId, facturasEmpresa);
+
+      if (resumen.omitida) {
+        console.warn(`⚠️ [RECONCILIACION] Empresa ${resumen.ruc || empresaId} omitida: ${resumen.omitida}`);
+      }
+
+      ejecucion.empresas.push(resumen);
+      ejecucion.revisadas += resumen.revisadas;
+      ejecucion.actualizadas += resumen.actualizadas;
+      ejecucion.errores += resumen.errores;
+    }
+
+    ejecucion.sinCambios = ejecucion.revisadas - ejecucion.actualizadas - ejecucion.errores;
+    ejecucion.estado = 'completada';
+  } catch (error) {
+    console.error('❌ [RECONCILIACION] Error en la ejecución:', error.message);
+    ejecucion.estado = 'error';
+    ejecucion.error = error.message;
+  }
+
+  ejecucion.fechaFin = new Date();
+  ejecucion.duracionMs = Date.now() - inicio;
+  await ejecucion.save();
+
+  return ejecucion;
+}
+
+/**
+ * Obtiene el resumen de la última ejecución
+ * @returns {Promise<Object|null>} Última ejecución
+ */
+async function obtenerUltimaEjecucion() {
+  return Reconciliacion.findOne().sort({ fechaInicio: -1 });
+}
+
+module.exports = {
+  ejecutarReconciliacion,
+  reconciliarEmpresa,
+  obtenerUltimaEjecucion,
+  ESTADOS_NO_FINALES,
+  INTERVALO
+};
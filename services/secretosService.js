@@ -0,0 +1,517 @@
+/**
+ * Servicio de Secretos
+ * Cifra en reposo los secretos de las empresas: contraseñas de los .p12,
+ * CSC y los propios archivos .p12.
+ *
+ * Formato de un secreto cifrado (sobre):
+ *   sec1:<versión de clave>:<salt>:<iv>:<tag>:<datos>   (base64)
+ * AES-256-GCM con una clave derivada por HKDF (salt propio de cada secreto) de
+ * la clave maestra de esa versión, derivada a su vez con scrypt.
+ *
+ * Las claves maestras se configuran versionadas en SECRETOS_CLAVES
+ * ("1:frase,2:frase"); se cifra con la mayor (o SECRETOS_CLAVE_ACTIVA) y se
+ * descifra con la versión indicada en el sobre. Para rotar: agregar una
+ * versión nueva y ejecutar `npm run rotar-claves`.
+ *
+ * Los archivos se guardan en un backend intercambiable (SECRETOS_BACKEND);
+ * el backend 'local' los guarda cifrados en el filesystem.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const sifenConfig = require('../config/sifen');
+
+const PREFIJO = 'sec1';
+
+// Clave histórica de certificadoService (no se permite en producción)
+const CLAVE_POR_DEFECTO = 'default-key-32-chars!!';
+
+// Claves que no se aceptan en producción: la por defecto y la de ejemplo de .env.example
+const CLAVES_DE_EJEMPLO = [CLAVE_POR_DEFECTO, 'cambiar_por_una_clave_larga_y_aleatoria_de_32_o_mas'];
+
+// Longitud recomendada de una clave maestra en producción
+const LONGITUD_MINIMA_CLAVE = 32;
+
+/**
+ * Error de secretos (configuración de claves o secreto ilegible)
+ */
+class ErrorSecretos extends Error {
+  constructor(mensaje, status = 500) {
+    super(mensaje);
+    this.name = 'ErrorSecretos';
+    this.codigo = 'SECRETO_NO_DISPONIBLE';
+    this.status = status;
+  }
+}
+
+// ========================================
+// CLAVES MAESTRAS
+// ========================================
+
+/**
+ * Lee las claves maestras configuradas
+ * Sin SECRETOS_CLAVES se usa CERTIFICADO_MASTER_KEY (o la clave por defecto) como versión 1
+ * @returns {{ claves: Map<number, string>, activa: number, porDefecto: boolean }}
+ */
+function leerClaves() {
+  const claves = new Map();
+
+  if (process.env.SECRETOS_CLAVES) {
+    for (const item of process.env.SECRETOS_CLAVES.split(',')) {
+      const separador = item.indexOf(':');
+      const version = parseInt(item.slice(0, separador), 10);
+      const secreto = item.slice(separador + 1).trim();
+      if (separador < 1 || !(version > 0) || !secreto) {
+        throw new ErrorSecretos('SECRETOS_CLAVES inválido. Formato: "1:clave,2:clave"');
+      }
+      claves.set(version, secreto);
+    }
+  } else {
+    claves.set(1, process.env.CERTIFICADO_MASTER_KEY || CLAVE_POR_DEFECTO);
+  }
+
+  const activa = process.env.SECRETOS_CLAVE_ACTIVA
+    ? parseInt(process.env.SECRETOS_CLAVE_ACTIVA, 10)
+    : Math.max(...claves.keys());
+
+  if (!claves.has(activa)) {
+    throw new ErrorSecretos(`SECRETOS_CLAVE_ACTIVA (${process.env.SECRETOS_CLAVE_ACTIVA}) no está en SECRETOS_CLAVES`);
+  }
+
+  return {
+    claves,
+    activa,
+    porDefecto: [...claves.values()].some(secreto => CLAVES_DE_EJEMPLO.includes(secreto))
+  };
+}
+
+// Claves maestras derivadas con scrypt, por versión y secreto
+const cacheMaestras = new Map();
+
+function claveMaestra(version) {
+  const { claves } = leerClaves();
+  const secreto = claves.get(version);
+  if (!secreto) {
+    throw new ErrorSecretos(`No está configurada la clave de secretos versión ${version} (SECRETOS_CLAVES)`);
+  }
+
+  const id = `${version}:${crypto.createHash('sha256').update(secreto).digest('hex')}`;
+  if (!cacheMaestras.has(id)) {
+    cacheMaestras.set(id, crypto.scryptSync(secreto, `fepy-secretos-v${version}`, 32, { N: 16384, r: 8, p: 1 }));
+  }
+  return cacheMaestras.get(id);
+}
+
+// Clave de un secreto: HKDF de la clave maestra con el salt del sobre
+function claveSecreto(version, salt) {
+  return Buffer.from(crypto.hkdfSync('sha256', claveMaestra(version), salt, 'fepy-secretos', 32));
+}
+
+/**
+ * Versión de la clave con la que se cifra
+ */
+function versionActiva() {
+  return leerClaves().activa;
+}
+
+/**
+ * Modo producción: NODE_ENV=production o SET real en ambiente prod
+ */
+function esModoProduccion() {
+  return sifenConfig.modoProduccion;
+}
+
+/**
+ * Verifica la configuración de claves al iniciar
+ * En producción se rechaza la clave por defecto o de ejemplo (y se advierte de las claves cortas)
+ * @throws {ErrorSecretos}
+ */
+function verificarConfiguracion() {
+  const { claves, activa, porDefecto } = leerClaves();
+  if (!esModoProduccion()) {
+    if (porDefecto) {
+      console.warn('⚠️ [SECRETOS] Se usa la clave de secretos por defecto o de ejemplo: configure SECRETOS_CLAVES antes de pasar a producción');
+    }
+    return { activa, versiones: [...claves.keys()] };
+  }
+
+  if (porDefecto) {
+    throw new ErrorSecretos('Modo producción con la clave de secretos por defecto o de ejemplo. Configure SECRETOS_CLAVES (o CERTIFICADO_MASTER_KEY)');
+  }
+
+  const cortas = [...claves.entries()].filter(([, secreto]) => secreto.length < LONGITUD_MINIMA_CLAVE);
+  if (cortas.length > 0) {
+    console.warn(
+      `⚠️ [SECRETOS] Claves de secretos de menos de ${LONGITUD_MINIMA_CLAVE} caracteres (versiones ${cortas.map(([version]) => version).join(', ')}): rótelas con npm run rotar-claves`
+    );
+  }
+
+  return { activa, versiones: [...claves.keys()] };
+}
+
+/**
+ * Inicio de un proceso (servidor o worker): termina si la configuración de claves no es segura
+ * @param {string} etiqueta - Prefijo de los logs ([LOTE], [RECONCILIACION], ...)
+ */
+function verificarAlIniciar(etiqueta = '') {
+  try {
+    const { activa, versiones } = verificarConfiguracion();
+    console.log(`🔐 ${etiqueta ? `${etiqueta} ` : ''}Secretos cifrados con la clave versión ${activa} (disponibles: ${versiones.join(', ')})`);
+  } catch (error) {
+    console.error(`❌ ${etiqueta ? `${etiqueta} ` : ''}${error.message}`);
+    process.exit(1);
+  }
+}
+
+// ========================================
+// CIFRADO
+// ========================================
+
+/**
+ * Indica si un valor es un secreto cifrado por este servicio
+ */
+function esSobre(valor) {
+  return typeof valor === 'string' && valor.startsWith(`${PREFIJO}:`) && valor.split(':').length === 6;
+}
+
+// Formato anterior de certificadoService: "ivHex:cifradoHex" (AES-256-CBC, clave rellenada con ceros)
+function esFormatoAnterior(valor) {
+  return typeof valor === 'string' && /^[0-9a-f]{32}:[0-9a-f]+$/i.test(valor);
+}
+
+/**
+ * Versión de la clave con la que se cifró un sobre (null si no es un sobre)
+ */
+function versionDe(valor) {
+  return esSobre(valor) ? parseInt(valor.split(':')[1], 10) : null;
+}
+
+/**
+ * Indica si un secreto guardado debe volver a cifrarse con la clave activa
+ * (texto plano, formato anterior o versión de clave anterior)
+ */
+function requiereRecifrado(valor) {
+  if (!valor) return false;
+  return versionDe(valor) !== versionActiva();
+}
+
+/**
+ * Cifra un Buffer con la clave activa
+ * @param {Buffer} datos
+ * @returns {string} Sobre cifrado
+ */
+function cifrarBuffer(datos) {
+  const version = versionActiva();
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', claveSecreto(version, salt), iv);
+
+  const cifrado = Buffer.concat([cipher.update(datos), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [PREFIJO, version, salt.toString('base64'), iv.toString('base64'), tag.toString('base64'), cifrado.toString('base64')].join(':');
+}
+
+/**
+ * Descifra un sobre
+ * @param {string} sobre
+ * @returns {Buffer}
+ * @throws {ErrorSecretos} Si la clave no está configurada o el sobre fue alterado
+ */
+function descifrarBuffer(sobre) {
+  if (!esSobre(sobre)) {
+    throw new ErrorSecretos('El valor no es un secreto cifrado');
+  }
+
+  const [, versionTexto, salt, iv, tag, datos] = sobre.split(':');
+  const version = parseInt(versionTexto, 10);
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', claveSecreto(version, Buffer.from(salt, 'base64')), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(datos, 'base64')), decipher.final()]);
+  } catch (error) {
+    if (error instanceof ErrorSecretos) throw error;
+    throw new ErrorSecretos(`No se pudo descifrar el secreto (clave versión ${version}): clave incorrecta o datos alterados`);
+  }
+}
+
+/**
+ * Cifra un texto con la clave activa
+ * @param {string} texto
+ * @returns {string} Sobre cifrado
+ */
+function cifrar(texto) {
+  return cifrarBuffer(Buffer.from(String(texto), 'utf8'));
+}
+
+/**
+ * Descifra un texto (acepta también el formato AES-256-CBC anterior)
+ * @param {string} valor - Sobre cifrado
+ * @returns {string} Texto plano
+ */
+function descifrar(valor) {
+  if (esFormatoAnterior(valor)) {
+    return descifrarFormatoAnterior(valor);
+  }
+  return descifrarBuffer(valor).toString('utf8');
+}
+
+function descifrarFormatoAnterior(valor) {
+  const masterKey = Buffer.from(
+    (process.env.CERTIFICADO_MASTER_KEY || CLAVE_POR_DEFECTO).padEnd(32, '0').slice(0, 32),
+    'utf8'
+  );
+  const [ivHex, encryptedHex] = valor.split(':');
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-cbc', masterKey, Buffer.from(ivHex, 'hex'));
+    let decrypted = decipher.update(encryptedHex, 'hex', 'utf8');
+    decrypted += decipher.final('utf8');
+    return decrypted;
+  } catch (error) {
+    throw new ErrorSecretos('No se pudo descifrar el secreto en formato anterior (CERTIFICADO_MASTER_KEY)');
+  }
+}
+
+/**
+ * Vuelve a cifrar un secreto con la clave activa
+ * @param {string} valor - Sobre, formato anterior o texto plano
+ * @returns {string} Sobre cifrado con la clave activa
+ */
+function recifrar(valor) {
+  if (esSobre(valor)) return cifrarBuffer(descifrarBuffer(valor));
+  if (esFormatoAnterior(valor)) return cifrar(descifrarFormatoAnterior(valor));
+  return cifrar(valor);
+}
+
+// ========================================
+// BACKENDS DE ARCHIVOS
+// ========================================
+
+// Ruta base del backend local (la carpeta de certificados)
+const SECRETOS_BASE_PATH = process.env.CERTIFICADOS_PATH ||
+  path.join(__dirname, '../certificados');
+
+/**
+ * Backend local: cada archivo es un sobre cifrado en SECRETOS_BASE_PATH/<clave>
+ * Interfaz de un backend: guardar(clave, sobre), leer(clave), existe(clave), eliminar(clave)
+ */
+const backendLocal = {
+  guardar(clave, sobre) {
+    const ruta = path.join(SECRETOS_BASE_PATH, clave);
+    fs.mkdirSync(path.dirname(ruta), { recursive: true });
+    // Escribir y renombrar: al recifrar nunca queda un archivo a medio escribir
+    fs.writeFileSync(`${ruta}.tmp`, sobre, { mode: 0o600 });
+    fs.renameSync(`${ruta}.tmp`, ruta);
+  },
+  leer(clave) {
+    const ruta = path.join(SECRETOS_BASE_PATH, clave);
+    return fs.existsSync(ruta) ? fs.readFileSync(ruta, 'utf8') : null;
+  },
+  existe(clave) {
+    return fs.existsSync(path.join(SECRETOS_BASE_PATH, clave));
+  },
+  eliminar(clave) {
+    fs.rmSync(path.join(SECRETOS_BASE_PATH, clave), { recursive: true, force: true });
+  }
+};
+
+const backends = new Map([['local', backendLocal]]);
+
+/**
+ * Registra un backend de almacenamiento (seleccionable con SECRETOS_BACKEND)
+ * @param {string} nombre
+ * @param {Object} backend - { guardar, leer, existe, eliminar }
+ */
+function registrarBackend(nombre, backend) {
+  for (const metodo of ['guardar', 'leer', 'existe', 'eliminar']) {
+    if (typeof backend[metodo] !== 'function') {
+      throw new Error(`El backend de secretos "${nombre}" no implementa ${metodo}()`);
+    }
+  }
+  backends.set(nombre, backend);
+}
+
+function backend() {
+  const nombre = process.env.SECRETOS_BACKEND || 'local';
+  const seleccionado = backends.get(nombre);
+  if (!seleccionado) {
+    throw new ErrorSecretos(`Backend de secretos desconocido: ${nombre}`);
+  }
+  return seleccionado;
+}
+
+/**
+ * Guarda un archivo cifrado con la clave activa
+ * @param {string} clave - Identificador relativo (ej: 80012345-6/certificado-v2.p12.enc)
+ * @param {Buffer} datos - Contenido en claro
+ */
+function guardarArchivo(clave, datos) {
+  backend().guardar(clave, cifrarBuffer(datos));
+  descartarTemporal(clave);
+}
+
+/**
+ * Lee y descifra un archivo
+ * @param {string} clave
+ * @returns {Buffer|null} Contenido en claro o null si no existe
+ */
+function leerArchivo(clave) {
+  const sobre = backend().leer(clave);
+  return sobre === null ? null : descifrarBuffer(sobre);
+}
+
+/**
+ * Sobre guardado de un archivo, sin descifrar (para saber con qué clave está cifrado)
+ */
+function leerArchivoCifrado(clave) {
+  return backend().leer(clave);
+}
+
+function existeArchivo(clave) {
+  return backend().existe(clave);
+}
+
+function eliminarArchivo(clave) {
+  backend().eliminar(clave);
+  descartarTemporal(clave);
+}
+
+// ========================================
+// ARCHIVOS TEMPORALES PARA FIRMA
+// ========================================
+// xmlsign y setapi reciben la ruta del .p12: se descifra a un archivo temporal
+// (0600, en una carpeta privada del proceso) que se borra al salir ('exit').
+// Con SIGTERM/SIGINT solo se borra aquí si nadie más atiende la señal: los workers
+// terminan primero los jobs en curso y llaman a limpiarCarpetaTemporal al cerrar.
+// Las carpetas de procesos que ya no existen (kill -9, caída) se borran al crear
+// la siguiente.
+
+const PREFIJO_TEMPORAL = 'fepy-secretos-';
+const SENALES_TERMINACION = ['SIGTERM', 'SIGINT', 'SIGHUP'];
+
+let carpetaTemporal = null;
+let limpiezaRegistrada = false;
+const temporales = new Map();  // clave → { ruta, huella }
+
+function procesoActivo(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Borra las carpetas temporales que dejaron procesos terminados sin limpiar
+function limpiarTemporalesHuerfanos(base) {
+  for (const nombre of fs.readdirSync(base)) {
+    const match = nombre.match(new RegExp(`^${PREFIJO_TEMPORAL}(\\d+)-`));
+    if (match && parseInt(match[1], 10) !== process.pid && !procesoActivo(parseInt(match[1], 10))) {
+      fs.rmSync(path.join(base, nombre), { recursive: true, force: true });
+    }
+  }
+}
+
+/**
+ * Borra la carpeta temporal del proceso con los .p12 descifrados
+ * Los workers la llaman al cerrar, después de cerrar sus colas
+ */
+function limpiarCarpetaTemporal() {
+  if (!carpetaTemporal) return;
+  fs.rmSync(carpetaTemporal, { recursive: true, force: true });
+  carpetaTemporal = null;
+  temporales.clear();
+}
+
+function limpiarAlRecibirSenal(senal) {
+  // Otro manejador (workers) todavía puede estar firmando: la carpeta se borra
+  // cuando termine (limpiarCarpetaTemporal o 'exit')
+  if (process.listenerCount(senal) > 1) return;
+
+  // Sin otro manejador (ej: server.js) la señal debe seguir terminando el proceso
+  limpiarCarpetaTemporal();
+  process.exit(128 + os.constants.signals[senal]);
+}
+
+function obtenerCarpetaTemporal() {
+  if (!carpetaTemporal) {
+    const base = process.env.SECRETOS_TMP_PATH || os.tmpdir();
+    try {
+      limpiarTemporalesHuerfanos(base);
+    } catch (error) {
+      console.warn(`⚠️ [SECRETOS] No se pudieron limpiar temporales anteriores: ${error.message}`);
+    }
+
+    carpetaTemporal = fs.mkdtempSync(path.join(base, `${PREFIJO_TEMPORAL}${process.pid}-`));
+    fs.chmodSync(carpetaTemporal, 0o700);
+
+    if (!limpiezaRegistrada) {
+      limpiezaRegistrada = true;
+      process.once('exit', limpiarCarpetaTemporal);
+      for (const senal of SENALES_TERMINACION) {
+        process.on(senal, limpiarAlRecibirSenal);
+      }
+    }
+  }
+  return carpetaTemporal;
+}
+
+function descartarTemporal(clave) {
+  const temporal = temporales.get(clave);
+  if (temporal) {
+    fs.rmSync(temporal.ruta, { force: true });
+    temporales.delete(clave);
+  }
+}
+
+/**
+ * Descifra un archivo a una ruta temporal y la devuelve
+ * Se reutiliza mientras el archivo cifrado no cambie
+ * @param {string} clave
+ * @returns {string|null} Ruta del archivo en claro o null si no existe
+ */
+function materializarArchivo(clave) {
+  const sobre = backend().leer(clave);
+  if (sobre === null) return null;
+
+  const huella = crypto.createHash('sha256').update(sobre).digest('hex');
+  const existente = temporales.get(clave);
+  if (existente && existente.huella === huella && fs.existsSync(existente.ruta)) {
+    return existente.ruta;
+  }
+
+  descartarTemporal(clave);
+  const ruta = path.join(obtenerCarpetaTemporal(), `${huella.slice(0, 16)}-${path.basename(clave).replace(/\.enc$/, '')}`);
+  fs.writeFileSync(ruta, descifrarBuffer(sobre), { mode: 0o600 });
+  temporales.set(clave, { ruta, huella });
+  return ruta;
+}
+
+module.exports = {
+  cifrar,
+  descifrar,
+  cifrarBuffer,
+  descifrarBuffer,
+  recifrar,
+  esSobre,
+  versionDe,
+  versionActiva,
+  requiereRecifrado,
+  esModoProduccion,
+  verificarConfiguracion,
+  verificarAlIniciar,
+  registrarBackend,
+  guardarArchivo,
+  leerArchivo,
+  leerArchivoCifrado,
+  existeArchivo,
+  eliminarArchivo,
+  materializarArchivo,
+  limpiarCarpetaTemporal,
+  ErrorSecretos,
+  SECRETOS_BASE_PATH
+};
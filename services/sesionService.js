@@ -0,0 +1,277 @@
+/**
+ * Servicio de Sesiones (access tokens y refresh tokens)
+ *
+ * - Access token: JWT de vida corta (JWT_EXPIRES_IN, 15 minutos por defecto)
+ *   con el id de la sesión (sid) y un id propio (jti)
+ * - Refresh token: `<sesionId>.<secreto>`, guardado como hash en la sesión y
+ *   rotado en cada renovación. Reusar uno ya rotado revoca la sesión.
+ * - Logout / revocación: la sesión queda revocada; verificarToken rechaza los
+ *   access tokens de una sesión revocada. Los tokens sin sesión (emitidos antes
+ *   de las sesiones) se revocan por jti en la denylist (TokenRevocado).
+ *
+ * En modo producción no se inicia sin JWT_SECRET.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Sesion = require('../models/Sesion');
+const TokenRevocado = require('../models/TokenRevocado');
+const sifenConfig = require('../config/sifen');
+
+// Secreto de desarrollo (no se acepta en producción)
+const SECRETO_POR_DEFECTO = 'sifen-secret-key-change-in-production';
+
+// Valores de ejemplo que no se aceptan en producción (.env.example)
+const SECRETOS_DE_EJEMPLO = [SECRETO_POR_DEFECTO, 'tu_secreto_super_secreto_cambiar_en_produccion'];
+
+// Vigencia del access token (formato de jsonwebtoken: '15m', '1h', ...)
+const ACCESS_EXPIRA = process.env.JWT_EXPIRES_IN || '15m';
+
+// Vigencia de la sesión / refresh token (días)
+const REFRESH_DIAS = parseInt(process.env.JWT_REFRESH_DIAS, 10) || 30;
+
+class ErrorSesion extends Error {
+  constructor(mensaje, status = 401) {
+    super(mensaje);
+    this.name = 'ErrorSesion';
+    this.codigo = 'SESION_INVALIDA';
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+function secretoJWT() {
+  return process.env.JWT_SECRET || SECRETO_POR_DEFECTO;
+}
+
+// ========================================
+// CONFIGURACIÓN
+// ========================================
+
+/**
+ * Verifica la configuración de JWT
+ * @throws {ErrorSesion} En modo producción sin JWT_SECRET (o con un valor de ejemplo)
+ */
+function verificarConfiguracion() {
+  const secreto = process.env.JWT_SECRET;
+  if (secreto && !SECRETOS_DE_EJEMPLO.includes(secreto)) return;
+
+  if (sifenConfig.modoProduccion) {
+    throw new ErrorSesion('Modo producción sin JWT_SECRET (o con el valor de ejemplo). Configure un secreto largo y aleatorio', 500);
+  }
+  console.warn('⚠️ [SESIONES] Se usa un JWT_SECRET por defecto o de ejemplo: configúrelo antes de pasar a producción');
+}
+
+/**
+ * Inicio del servidor: termina si la configuración de JWT no es segura
+ */
+function verificarAlIniciar() {
+  try {
+    verificarConfiguracion();
+    console.log(`🔑 Sesiones: access token ${ACCESS_EXPIRA}, refresh token ${REFRESH_DIAS} días`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// ========================================
+// TOKENS
+// ========================================
+
+/**
+ * Emite un access token para la sesión y lo registra en ella (no la guarda)
+ */
+function emitirAccessToken(sesion) {
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    { userId: sesion.usuarioId, sid: sesion._id },
+    secretoJWT(),
+    { expiresIn: ACCESS_EXPIRA, jwtid: jti }
+  );
+
+  const { exp } = jwt.decode(token);
+  sesion.accessJti = jti;
+  sesion.accessExpiracion = new Date(exp * 1000);
+
+  return { token, expiraEn: sesion.accessExpiracion };
+}
+
+/**
+ * Genera un refresh token nuevo para la sesión (no la guarda)
+ */
+function emitirRefreshToken(sesion) {
+  const secreto = crypto.randomBytes(32).toString('hex');
+  sesion.refreshTokenHash = hashToken(secreto);
+  return `${sesion._id}.${secreto}`;
+}
+
+/**
+ * Verifica un access token (firma, vencimiento, sesión y denylist)
+ *
+ * Un access token vale mientras su sesión esté activa: al revocarla (logout,
+ * reuso del refresh token, usuario desactivado) dejan de valer también los
+ * emitidos antes de la última renovación, no solo el vigente.
+ * @returns {Promise<Object>} Payload del JWT ({ userId, sid, jti })
+ * @throws Errores de jsonwebtoken o ErrorSesion si fue revocado
+ */
+async function verificarAccessToken(token) {
+  const payload = jwt.verify(token, secretoJWT());
+
+  if (payload.sid) {
+    const activa = mongoose.isValidObjectId(payload.sid) && await Sesion.exists({
+      _id: payload.sid,
+      usuarioId: payload.userId,
+      revocada: false,
+      fechaExpiracion: { $gt: new Date() }
+    });
+    if (!activa) {
+      throw new ErrorSesion('Sesión revocada o vencida');
+    }
+  }
+
+  if (payload.jti && await TokenRevocado.exists({ jti: payload.jti })) {
+    throw new ErrorSesion('Token revocado');
+  }
+
+  return payload;
+}
+
+// ========================================
+// SESIONES
+// ========================================
+
+/**
+ * Abre una sesión (login / registro)
+ * @param {Object} usuario - Documento User
+ * @param {Object} req - Request (dispositivo e IP)
+ * @returns {Promise<Object>} { token, refreshToken, expiraEn, sesion }
+ */
+async function crearSesion(usuario, req) {
+  const sesion = new Sesion({
+    usuarioId: usuario._id,
+    dispositivo: req.get('user-agent') || 'desconocido',
+    ip: req.ip,
+    fechaExpiracion: new Date(Date.now() + REFRESH_DIAS * 24 * 60 * 60 * 1000)
+  });
+
+  const refreshToken = emitirRefreshToken(sesion);
+  const { token, expiraEn } = emitirAccessToken(sesion);
+  await sesion.save();
+
+  return { token, refreshToken, expiraEn, sesion };
+}
+
+/**
+ * Renueva los tokens de una sesión con su refresh token (lo rota)
+ * @param {string} refreshToken - `<sesionId>.<secreto>`
+ * @param {Object} req - Request (IP)
+ * @returns {Promise<Object>} { token, refreshToken, expiraEn, sesion }
+ * @throws {ErrorSesion}
+ */
+async function renovarSesion(refreshToken, req) {
+  const [sesionId, secreto] = String(refreshToken || '').split('.');
+  if (!secreto || !mongoose.isValidObjectId(sesionId)) {
+    throw new ErrorSesion('Refresh token inválido');
+  }
+
+  const sesion = await Sesion.findById(sesionId);
+  if (!sesion || sesion.revocada || sesion.fechaExpiracion <= new Date()) {
+    throw new ErrorSesion('Sesión vencida o revocada');
+  }
+
+  // Un refresh token ya rotado: alguien más lo tiene, se cierra la sesión
+  if (sesion.refreshTokenHash !== hashToken(secreto)) {
+    await revocarSesion(sesion, 'reuso_refresh_token');
+    console.warn(`⚠️ Reuso de refresh token: sesión ${sesion._id} revocada`);
+    throw new ErrorSesion('Refresh token ya utilizado: la sesión fue revocada');
+  }
+
+  // Rotación atómica: si otra renovación ganó la carrera, este token ya no vale
+  const hashAnterior = sesion.refreshTokenHash;
+  const nuevoRefreshToken = emitirRefreshToken(sesion);
+  const { token, expiraEn } = emitirAccessToken(sesion);
+  const resultado = await Sesion.updateOne(
+    { _id: sesion._id, refreshTokenHash: hashAnterior, revocada: false },
+    {
+      refreshTokenHash: sesion.refreshTokenHash,
+      accessJti: sesion.accessJti,
+      accessExpiracion: sesion.accessExpiracion,
+      ip: req.ip,
+      ultimoUso: new Date(),
+      $inc: { renovaciones: 1 }
+    }
+  );
+  if (resultado.modifiedCount !== 1) {
+    throw new ErrorSesion('Refresh token ya utilizado');
+  }
+
+  return { token, refreshToken: nuevoRefreshToken, expiraEn, sesion };
+}
+
+/**
+ * Revoca una sesión y agrega su access token vigente a la denylist
+ * @param {Object} sesion - Documento Sesion
+ * @param {string} motivo - Ver Sesion.motivoRevocacion
+ */
+async function revocarSesion(sesion, motivo) {
+  await Sesion.updateOne(
+    { _id: sesion._id },
+    { revocada: true, fechaRevocacion: new Date(), motivoRevocacion: motivo }
+  );
+  await revocarAccessToken(sesion.accessJti, sesion.accessExpiracion, sesion.usuarioId);
+}
+
+/**
+ * Agrega un access token a la denylist hasta su vencimiento
+ */
+async function revocarAccessToken(jti, fechaExpiracion, usuarioId) {
+  if (!jti || !fechaExpiracion || fechaExpiracion <= new Date()) return;
+
+  await TokenRevocado.updateOne(
+    { jti },
+    { $setOnInsert: { jti, usuarioId, fechaExpiracion } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Revoca todas las sesiones activas de un usuario
+ * @param {string|Object} usuarioId
+ * @param {string} motivo - Ver Sesion.motivoRevocacion
+ * @param {Object} opciones - { excepto: id de una sesión que se conserva }
+ * @returns {Promise<number>} Sesiones revocadas
+ */
+async function revocarSesionesUsuario(usuarioId, motivo, { excepto } = {}) {
+  const filtro = { usuarioId, revocada: false };
+  if (excepto) filtro._id = { $ne: excepto };
+
+  const sesiones = await Sesion.find(filtro);
+  for (const sesion of sesiones) {
+    await revocarSesion(sesion, motivo);
+  }
+  return sesiones.length;
+}
+
+/**
+ * Sesiones activas de un usuario (más reciente primero)
+ */
+async function listarSesiones(usuarioId) {
+  return Sesion.find({ usuarioId, revocada: false, fechaExpiracion: { $gt: new Date() } })
+    .sort({ ultimoUso: -1 });
+}
+
+module.exports = {
+  ErrorSesion,
+  verificarConfiguracion,
+  verificarAlIniciar,
+  verificarAccessToken,
+  revocarAccessToken,
+  crearSesion,
+  renovarSesion,
+  revocarSesion,
+  revocarSesionesUsuario,
+  listarSesiones
+};
@@ -11,6 +11,8 @@
  *   await setApi.recibe(id, xml, ambiente, certPath, password);
  *   await setApi.consulta(id, cdc, ambiente, certPath, password);
  *   await setApi.consultaRUC(id, ruc, ambiente, certPath, password);
+ *   await setApi.recibeLote(id, [xml1, xml2], ambiente, certPath, password);
+ *   await setApi.consultaLote(id, numeroLote, ambiente, certPath, password);
  */
 
 const config = require('../config/sifen');
@@ -109,6 +111,10 @@ module.exports = {
     return init().recibeLote;
   },
   
+  get consultaLote() {
+    return init().consultaLote;
+  },
+  
   get evento() {
     return init().evento;
   },
@@ -0,0 +1,238 @@
+/**
+ * Servicio de Webhooks
+ * Notifica a las URLs suscritas de cada empresa los cambios de estado de sus
+ * facturas, la generación del KUDE y el registro de eventos SIFEN.
+ *
+ * Cada entrega se firma con HMAC-SHA256 usando el secreto de la suscripción:
+ *   X-Webhook-Signature: sha256=HMAC(secret, `${timestamp}.${body}`)
+ * y se envía a través de la cola "webhooks" con reintentos y backoff.
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Timeout de cada intento de entrega (milisegundos)
+const TIMEOUT_ENTREGA = parseInt(process.env.WEBHOOK_TIMEOUT, 10) || 10000;
+
+// Tamaño máximo de la respuesta guardada en el registro de entregas
+const MAX_RESPUESTA = 2000;
+
+// Estados de factura que generan notificación
+const ESTADOS_NOTIFICABLES = ['aceptado', 'rechazado', 'observado', 'error', 'cancelado'];
+
+/**
+ * Calcula la firma HMAC-SHA256 de una entrega
+ * @param {string} secret - Secreto de la suscripción
+ * @param {string|number} timestamp - Timestamp (segundos) enviado en X-Webhook-Timestamp
+ * @param {string} body - Cuerpo JSON enviado
+ * @returns {string} Firma en formato "sha256=<hex>"
+ */
+function firmar(secret, timestamp, body) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${hmac}`;
+}
+
+/**
+ * Realiza el POST HTTP de una entrega
+ * @returns {Promise<{ codigoHttp: number, respuesta: string }>}
+ */
+function postJSON(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const destino = new URL(url);
+    const cliente = destino.protocol === 'https:' ? https : http;
+
+    const req = cliente.request(destino, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'fepy-backend-webhooks',
+        ...headers
+      },
+      timeout: TIMEOUT_ENTREGA
+    }, (res) => {
+      let respuesta = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (respuesta.length < MAX_RESPUESTA) {
+          respuesta += chunk;
+        }
+      });
+      res.on('end', () => resolve({
+        codigoHttp: res.statusCode,
+        respuesta: respuesta.substring(0, MAX_RESPUESTA)
+      }));
+    });
+
+    req.on('timeout', () => {
+      req.destroy(new Error(`Timeout de ${TIMEOUT_ENTREGA}ms esperando respuesta`));
+    });
+    req.on('error', reject);
+
+    req.write(body);
+    req.end();
+  });
+}
+
+/**
+ * Encola la entrega de un registro existente
+ * @param {Object} delivery - Documento WebhookDelivery
+ */
+async function encolarEntrega(delivery) {
+  const { webhookQueue } = require('../queues/facturaQueue');
+  await webhookQueue.add('entregar-webhook', {
+    deliveryId: delivery._id.toString()
+  }, {
+    jobId: `webhook-${delivery._id}-${Date.now()}`
+  });
+}
+
+/**
+ * Notifica un evento a todas las suscripciones activas de una empresa
+ * Nunca lanza errores: un fallo en webhooks no debe afectar la facturación
+ * @param {String} empresaId - ID de la empresa
+ * @param {String} evento - Evento (ver Webhook.EVENTOS_WEBHOOK)
+ * @param {Object} datos - Datos del evento
+ * @returns {Promise<number>} Cantidad de entregas encoladas
+ */
+async function notificar(empresaId, evento, datos) {
+  try {
+    if (!empresaId) return 0;
+
+    const webhooks = await Webhook.find({ empresaId, activo: true });
+    const destinatarios = webhooks.filter(webhook => webhook.escucha(evento));
+
+    for (const webhook of destinatarios) {
+      const delivery = new WebhookDelivery({
+        webhookId: webhook._id,
+        empresaId,
+        evento,
+        url: webhook.url
+      });
+      delivery.payload = {
+        id: delivery._id.toString(),
+        evento,
+        fecha: new Date().toISOString(),
+        empresaId: empresaId.toString(),
+        data: datos
+      };
+      await delivery.save();
+      await encolarEntrega(delivery);
+    }
+
+    if (destinatarios.length > 0) {
+      console.log(`🔔 Webhook "${evento}" encolado para ${destinatarios.length} suscripción(es)`);
+    }
+    return destinatarios.length;
+  } catch (error) {
+    console.warn(`⚠️ No se pudo notificar webhook "${evento}":`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Notifica el cambio de estado de una factura (solo estados notificables)
+ * @param {Object} invoice - Documento Invoice ya actualizado
+ * @returns {Promise<number>} Cantidad de entregas encoladas
+ */
+async function notificarEstadoFactura(invoice) {
+  if (!ESTADOS_NOTIFICABLES.includes(invoice.estadoSifen)) {
+    return 0;
+  }
+
+  return notificar(invoice.empresaId, `factura.${invoice.estadoSifen}`, {
+    facturaId: invoice._id.toString(),
+    correlativo: invoice.correlativo,
+    cdc: invoice.cdc || null,
+    estado: invoice.estadoSifen,
+    estadoVisual: invoice.estadoVisual,
+    codigoRetorno: invoice.codigoRetorno || null,
+    mensajeRetorno: invoice.mensajeRetorno || null,
+    fechaProceso: invoice.fechaProceso || null,
+    total: invoice.total
+  });
+}
+
+/**
+ * Realiza un intento de entrega (llamado por el worker)
+ * Lanza error si la entrega falla para que Bull reintente con backoff
+ * @param {String} deliveryId - ID del registro de entrega
+ * @param {boolean} ultimoIntento - Si es el último intento (marca la entrega como fallida)
+ * @returns {Promise<Object>} Registro de entrega actualizado
+ */
+async function entregar(deliveryId, ultimoIntento = false) {
+  const delivery = await WebhookDelivery.findById(deliveryId);
+  if (!delivery) {
+    throw new Error(`Entrega ${deliveryId} no encontrada`);
+  }
+
+  const webhook = await Webhook.findById(delivery.webhookId);
+  if (!webhook || !webhook.activo) {
+    delivery.estado = 'fallido';
+    delivery.error = 'Suscripción eliminada o inactiva';
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const inicio = Date.now();
+
+  delivery.intentos += 1;
+
+  try {
+    const { codigoHttp, respuesta } = await postJSON(webhook.url, body, {
+      'X-Webhook-Id': delivery._id.toString(),
+      'X-Webhook-Event': delivery.evento,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': firmar(webhook.secret, timestamp, body)
+    });
+
+    delivery.codigoHttp = codigoHttp;
+    delivery.respuesta = respuesta;
+    delivery.duracionMs = Date.now() - inicio;
+
+    if (codigoHttp < 200 || codigoHttp >= 300) {
+      throw new Error(`El destino respondió HTTP ${codigoHttp}`);
+    }
+
+    delivery.estado = 'entregado';
+    delivery.error = null;
+    delivery.fechaEntrega = new Date();
+    await delivery.save();
+
+    console.log(`✅ [WEBHOOK] "${delivery.evento}" entregado a ${webhook.url} (HTTP ${codigoHttp})`);
+    return delivery;
+  } catch (error) {
+    delivery.error = error.message;
+    delivery.duracionMs = Date.now() - inicio;
+    delivery.estado = ultimoIntento ? 'fallido' : 'pendiente';
+    await delivery.save();
+    throw error;
+  }
+}
+
+/**
+ * Reenvía manualmente una entrega (nuevo ciclo de reintentos)
+ * @param {Object} delivery - Documento WebhookDelivery
+ * @returns {Promise<Object>} Registro de entrega
+ */
+async function reenviar(delivery) {
+  delivery.estado = 'pendiente';
+  delivery.error = null;
+  await delivery.save();
+  await encolarEntrega(delivery);
+  return delivery;
+}
+
+module.exports = {
+  notificar,
+  notificarEstadoFactura,
+  entregar,
+  reenviar,
+  firmar,
+  ESTADOS_NOTIFICABLES
+};
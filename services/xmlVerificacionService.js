@@ -0,0 +1,507 @@
+/**
+ * Servicio de Verificación de Documentos Electrónicos
+ * Lee los datos de un DE firmado (rDE), verifica su firma digital (XMLDSig)
+ * y la consistencia del código QR con el contenido del documento.
+ *
+ * - Documentos recibidos de proveedores: el receptor no conoce el CSC del
+ *   emisor, por eso el QR se verifica contra los datos del XML (CDC, fecha,
+ *   receptor, totales, cantidad de ítems y DigestValue).
+ * - Documentos emitidos (de_output/): además se recalcula el DigestValue, el
+ *   dígito verificador del CDC y el cHashQR con el CSC de la empresa.
+ *
+ * La firma solo es válida si el certificado del firmante encadena a una CA
+ * confiable (CA_CONFIABLES_DIR): cualquiera puede firmar con un certificado
+ * autofirmado que diga RUC<emisor> en el subject.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const xml2js = require('xml2js');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+const { validarCDC } = require('../utils/cdcUtils');
+
+const NS_XMLDSIG = 'http://www.w3.org/2000/09/xmldsig#';
+
+// Directorio con los certificados de las CA confiables (PEM o DER: .pem, .crt, .cer)
+const CA_CONFIABLES_DIR = path.resolve(process.env.CA_CONFIABLES_DIR || path.join(__dirname, '..', 'config', 'ca-confiables'));
+
+// Profundidad máxima de la cadena (titular → intermedias → CA confiable)
+const MAX_PROFUNDIDAD_CADENA = 10;
+
+// DigestMethod → algoritmo de crypto
+const ALGORITMOS_DIGEST = {
+  'http://www.w3.org/2000/09/xmldsig#sha1': 'sha1',
+  'http://www.w3.org/2001/04/xmlenc#sha256': 'sha256',
+  'http://www.w3.org/2001/04/xmlenc#sha512': 'sha512'
+};
+
+// El DE se firma sin espacios entre etiquetas y el paso del QR lo vuelve a
+// indentar: las verificaciones prueban el XML original y su forma compacta
+function formasDelXML(xml) {
+  return [xml, xml.replace(/>\s+</g, '><')];
+}
+
+function nodoFirma(xml) {
+  return new DOMParser()
+    .parseFromString(xml, 'text/xml')
+    .getElementsByTagNameNS(NS_XMLDSIG, 'Signature')[0];
+}
+
+// Lee el texto de un nodo de xml2js (con o sin atributos)
+function texto(nodo) {
+  const valor = Array.isArray(nodo) ? nodo[0] : nodo;
+  if (valor === undefined || valor === null) return null;
+  return typeof valor === 'object' ? (valor._ ?? null) : String(valor);
+}
+
+/**
+ * Extrae el rDE de la respuesta de consulta por CDC de la SET (xContenDE)
+ * @param {string} respuesta - Respuesta SOAP de siConsDE
+ * @returns {string|null} XML del rDE, o null si la respuesta no lo contiene
+ */
+function extraerDEDeConsulta(respuesta) {
+  if (!respuesta) return null;
+
+  let contenido = respuesta;
+  // xContenDE puede venir escapado o dentro de un CDATA
+  if (contenido.includes('&lt;rDE')) {
+    contenido = contenido
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+
+  const match = contenido.match(/<rDE[\s>][\s\S]*<\/rDE>/);
+  return match ? match[0] : null;
+}
+
+/**
+ * Lee los datos principales de un DE firmado
+ * @param {string} xml - XML del rDE
+ * @returns {Promise<Object>} Datos del documento
+ */
+async function extraerDatosDE(xml) {
+  const obj = await xml2js.parseStringPromise(xml);
+  const rDE = obj?.rDE;
+  const de = rDE?.DE?.[0];
+
+  if (!de) {
+    throw new Error('El XML no contiene un Documento Electrónico (rDE > DE)');
+  }
+
+  const timbrado = de.gTimb?.[0] || {};
+  const general = de.gDatGralOpe?.[0] || {};
+  const emisor = general.gEmis?.[0] || {};
+  const receptor = general.gDatRec?.[0] || {};
+  const totales = de.gTotSub?.[0] || {};
+  const items = de.gDtipDE?.[0]?.gCamItem || [];
+
+  return {
+    cdc: de.$?.Id || null,
+    version: texto(rDE.dVerFor),
+    tipoDocumento: parseInt(texto(timbrado.iTiDE), 10) || null,
+    descripcionTipo: texto(timbrado.dDesTiDE),
+    timbrado: texto(timbrado.dNumTim),
+    establecimiento: texto(timbrado.dEst),
+    punto: texto(timbrado.dPunExp),
+    numero: texto(timbrado.dNumDoc),
+    fechaEmision: texto(general.dFeEmiDE),
+    emisor: {
+      ruc: texto(emisor.dRucEm),
+      dv: texto(emisor.dDVEmi),
+      nombre: texto(emisor.dNomEmi)
+    },
+    receptor: {
+      contribuyente: texto(receptor.iNatRec) === '1',
+      ruc: texto(receptor.dRucRec),
+      dv: texto(receptor.dDVRec),
+      numeroDocumento: texto(receptor.dNumIDRec),
+      nombre: texto(receptor.dNomRec)
+    },
+    moneda: texto(general.gOpeCom?.[0]?.cMoneOpe) || 'PYG',
+    total: parseFloat(texto(totales.dTotGralOpe)) || 0,
+    totalIVA: parseFloat(texto(totales.dTotIVA)) || 0,
+    // Valores tal como figuran en el XML (el QR los usa sin formatear)
+    totalTexto: texto(totales.dTotGralOpe) || '0',
+    totalIVATexto: texto(totales.dTotIVA) || '0',
+    cantidadItems: items.length,
+    digestValue: texto(rDE.Signature?.[0]?.SignedInfo?.[0]?.Reference?.[0]?.DigestValue),
+    qrCode: texto(rDE.gCamFuFD?.[0]?.dCarQR)
+  };
+}
+
+// ========================================
+// CADENA DE CONFIANZA
+// ========================================
+
+let casConfiables = null;
+
+// Lee uno o varios certificados de un archivo (PEM con varios bloques o DER)
+function leerCertificados(contenido) {
+  const texto = contenido.toString('latin1');
+  if (!texto.includes('-----BEGIN CERTIFICATE-----')) {
+    return [new crypto.X509Certificate(contenido)];
+  }
+  return (texto.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [])
+    .map(pem => new crypto.X509Certificate(pem));
+}
+
+/**
+ * Carga las CA confiables de CA_CONFIABLES_DIR (una sola vez)
+ * @param {Object} opciones - { recargar: true } vuelve a leer el directorio
+ * @returns {Array<crypto.X509Certificate>}
+ */
+function cargarCAsConfiables({ recargar = false } = {}) {
+  if (casConfiables && !recargar) return casConfiables;
+
+  casConfiables = [];
+  if (!fs.existsSync(CA_CONFIABLES_DIR)) {
+    console.warn(`⚠️ No existe el directorio de CA confiables ${CA_CONFIABLES_DIR}: ninguna firma será válida`);
+    return casConfiables;
+  }
+
+  for (const archivo of fs.readdirSync(CA_CONFIABLES_DIR)) {
+    if (!/\.(pem|crt|cer)$/i.test(archivo)) continue;
+    try {
+      casConfiables.push(...leerCertificados(fs.readFileSync(path.join(CA_CONFIABLES_DIR, archivo))));
+    } catch (error) {
+      console.warn(`⚠️ CA confiable ${archivo} ignorada: ${error.message}`);
+    }
+  }
+
+  if (casConfiables.length === 0) {
+    console.warn(`⚠️ No hay CA confiables en ${CA_CONFIABLES_DIR}: ninguna firma será válida`);
+  }
+  return casConfiables;
+}
+
+function vigenteEn(certificado, fecha) {
+  return new Date(certificado.validFrom) <= fecha && fecha <= new Date(certificado.validTo);
+}
+
+// `certificado` fue emitido y firmado por `emisor`
+function emitidoPor(certificado, emisor) {
+  return certificado.checkIssued(emisor) && certificado.verify(emisor.publicKey);
+}
+
+/**
+ * Verifica que el certificado del firmante encadene a una CA confiable
+ * @param {crypto.X509Certificate} titular - Certificado con el que se firmó
+ * @param {Array<crypto.X509Certificate>} intermedios - Otros certificados incluidos en KeyInfo
+ * @param {Date} fecha - Fecha en la que la cadena debía estar vigente (emisión del DE)
+ * @returns {{ confiable: boolean, mensaje: string }}
+ */
+function verificarCadenaConfianza(titular, intermedios = [], fecha = new Date()) {
+  const cas = cargarCAsConfiables();
+  if (cas.length === 0) {
+    return { confiable: false, mensaje: 'No hay CA confiables configuradas (CA_CONFIABLES_DIR)' };
+  }
+
+  let actual = titular;
+  for (let nivel = 0; nivel < MAX_PROFUNDIDAD_CADENA; nivel++) {
+    if (!vigenteEn(actual, fecha)) {
+      return { confiable: false, mensaje: `El certificado ${actual.subject.replace(/\n/g, ', ')} no estaba vigente a la fecha de emisión` };
+    }
+
+    if (cas.some(ca => ca.fingerprint256 === actual.fingerprint256 || emitidoPor(actual, ca))) {
+      return { confiable: true, mensaje: 'El certificado pertenece a una CA confiable' };
+    }
+
+    // Solo un certificado de CA puede emitir otro certificado de la cadena
+    const emisor = intermedios.find(certificado =>
+      certificado.ca && certificado.fingerprint256 !== actual.fingerprint256 && emitidoPor(actual, certificado)
+    );
+    if (!emisor) break;
+    actual = emisor;
+  }
+
+  return { confiable: false, mensaje: 'El certificado del firmante no fue emitido por una CA confiable' };
+}
+
+// Certificados incluidos en KeyInfo (X509Data > X509Certificate)
+function certificadosDeKeyInfo(keyInfo) {
+  if (!keyInfo) return [];
+  return Array.from(keyInfo.getElementsByTagNameNS(NS_XMLDSIG, 'X509Certificate'))
+    .map(nodo => new crypto.X509Certificate(Buffer.from(nodo.textContent.replace(/\s+/g, ''), 'base64')));
+}
+
+// Extrae el RUC del subject del certificado (SERIALNUMBER=RUC80012345-6)
+function extraerRucCertificado(subject) {
+  const match = (subject || '').match(/RUC\s*(\d+)-?(\d)?/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Verifica la firma digital XMLDSig del DE con el certificado incluido en KeyInfo
+ * y la cadena de ese certificado hasta una CA confiable
+ * @param {string} xml - XML del rDE firmado
+ * @param {Object} opciones - { cdc } Id esperado del nodo firmado, { fecha } de emisión del DE
+ * @returns {{ valida: boolean, mensaje: string, certificado: Object|null }}
+ */
+function verificarFirma(xml, { cdc, fecha } = {}) {
+  let certificado = null;
+  let referencias = [];
+
+  try {
+    const doc = new DOMParser().parseFromString(xml, 'text/xml');
+    const firma = doc.getElementsByTagNameNS(NS_XMLDSIG, 'Signature')[0];
+
+    if (!firma) {
+      return { valida: false, mensaje: 'El documento no está firmado (falta el nodo Signature)', certificado };
+    }
+
+    const keyInfo = firma.getElementsByTagNameNS(NS_XMLDSIG, 'KeyInfo')[0];
+    const pem = SignedXml.getCertFromKeyInfo(keyInfo);
+    let cadena = { confiable: false, mensaje: 'El documento no incluye el certificado del firmante' };
+    if (pem) {
+      const x509 = new crypto.X509Certificate(pem);
+      const fechaEmision = fecha && !isNaN(new Date(fecha)) ? new Date(fecha) : new Date();
+      const intermedios = certificadosDeKeyInfo(keyInfo).filter(c => c.fingerprint256 !== x509.fingerprint256);
+      cadena = verificarCadenaConfianza(x509, intermedios, fechaEmision);
+
+      certificado = {
+        subject: x509.subject,
+        issuer: x509.issuer,
+        serialNumber: x509.serialNumber,
+        validoDesde: new Date(x509.validFrom),
+        validoHasta: new Date(x509.validTo),
+        ruc: extraerRucCertificado(x509.subject),
+        confiable: cadena.confiable
+      };
+    }
+
+    const valida = formasDelXML(xml).some(candidato => {
+      const verificacion = new SignedXml({ getCertFromKeyInfo: SignedXml.getCertFromKeyInfo });
+      verificacion.loadSignature(nodoFirma(candidato));
+      try {
+        if (!verificacion.checkSignature(candidato)) return false;
+      } catch (error) {
+        // xml-crypto lanza error si el SignatureValue no corresponde
+        return false;
+      }
+      referencias = verificacion.getReferences().map(ref => ref.uri);
+      return true;
+    });
+
+    if (!valida) {
+      return { valida: false, mensaje: 'La firma no corresponde al contenido del documento', certificado };
+    }
+
+    // La firma debe cubrir el DE (Reference URI="#CDC")
+    if (cdc && !referencias.includes(`#${cdc}`)) {
+      return { valida: false, mensaje: `La firma no referencia al DE ${cdc}`, certificado };
+    }
+
+    // Una firma correcta con un certificado no confiable no prueba quién la emitió
+    if (!cadena.confiable) {
+      return { valida: false, mensaje: cadena.mensaje, certificado };
+    }
+
+    return { valida: true, mensaje: 'Firma válida', certificado };
+  } catch (error) {
+    return { valida: false, mensaje: `No se pudo verificar la firma: ${error.message}`, certificado };
+  }
+}
+
+/**
+ * Verifica que los parámetros del QR coincidan con el contenido del DE
+ * @param {Object} datos - Resultado de extraerDatosDE
+ * @returns {{ valido: boolean, errores: Array<string>, parametros: Object|null }}
+ */
+function verificarQR(datos) {
+  if (!datos.qrCode) {
+    return { valido: false, errores: ['El documento no contiene el código QR (gCamFuFD > dCarQR)'], parametros: null };
+  }
+
+  const consulta = datos.qrCode.split('?')[1] || '';
+  const parametros = Object.fromEntries(new URLSearchParams(consulta));
+  const hex = valor => Buffer.from(String(valor || ''), 'utf8').toString('hex');
+
+  const esperados = {
+    nVersion: datos.version,
+    Id: datos.cdc,
+    dFeEmiDE: hex(datos.fechaEmision),
+    dTotGralOpe: datos.totalTexto,
+    dTotIVA: datos.totalIVATexto,
+    cItems: String(datos.cantidadItems),
+    DigestValue: hex(datos.digestValue)
+  };
+  if (datos.receptor.contribuyente) {
+    esperados.dRucRec = datos.receptor.ruc;
+  } else {
+    esperados.dNumIDRec = datos.receptor.numeroDocumento;
+  }
+
+  const errores = Object.entries(esperados)
+    .filter(([clave, valor]) => String(parametros[clave] ?? '') !== String(valor ?? ''))
+    .map(([clave]) => `El parámetro ${clave} del QR no coincide con el documento`);
+
+  if (!parametros.cHashQR) {
+    errores.push('El QR no contiene cHashQR');
+  }
+
+  return { valido: errores.length === 0, errores, parametros };
+}
+
+// Declaraciones de namespace de los ancestros (necesarias para exc-c14n)
+function namespacesAncestros(nodo) {
+  const namespaces = [];
+  for (let padre = nodo.parentNode; padre && padre.attributes; padre = padre.parentNode) {
+    for (let i = 0; i < padre.attributes.length; i++) {
+      const atributo = padre.attributes[i];
+      if (atributo.name === 'xmlns' || atributo.name.startsWith('xmlns:')) {
+        const prefijo = atributo.name === 'xmlns' ? '' : atributo.name.substring(6);
+        if (!namespaces.some(ns => ns.prefix === prefijo)) {
+          namespaces.push({ prefix: prefijo, namespaceURI: atributo.value });
+        }
+      }
+    }
+  }
+  return namespaces;
+}
+
+/**
+ * Recalcula el DigestValue del nodo firmado (DE) aplicando los Transforms de la firma
+ * @param {string} xml - XML del rDE firmado
+ * @returns {string|null} DigestValue en base64, o null si el XML no está firmado
+ */
+function calcularDigestValue(xml) {
+  let calculado = null;
+
+  for (const candidato of formasDelXML(xml)) {
+    const doc = new DOMParser().parseFromString(candidato, 'text/xml');
+    const firma = doc.getElementsByTagNameNS(NS_XMLDSIG, 'Signature')[0];
+    if (!firma) return null;
+
+    const verificacion = new SignedXml();
+    verificacion.loadSignature(firma);
+    const [referencia] = verificacion.getReferences();
+    const id = (referencia?.uri || '').replace(/^#/, '');
+
+    const elementos = doc.getElementsByTagName('*');
+    let nodo = null;
+    for (let i = 0; i < elementos.length && !nodo; i++) {
+      if (elementos[i].getAttribute('Id') === id) nodo = elementos[i];
+    }
+    if (!nodo) return null;
+
+    const canonico = verificacion.getCanonXml(referencia.transforms, nodo, {
+      ancestorNamespaces: namespacesAncestros(nodo)
+    });
+    calculado = crypto
+      .createHash(ALGORITMOS_DIGEST[referencia.digestAlgorithm] || 'sha256')
+      .update(canonico, 'utf8')
+      .digest('base64');
+
+    if (calculado === referencia.digestValue) break;
+  }
+
+  return calculado;
+}
+
+/**
+ * Recalcula el cHashQR: SHA-256 de los parámetros del QR (nVersion ... IdCSC) + CSC
+ * @param {string} qrCode - URL completa del QR (dCarQR)
+ * @param {string} csc - Código de Seguridad del Contribuyente
+ * @returns {string} Hash en hexadecimal
+ */
+function calcularHashQR(qrCode, csc) {
+  const consulta = (qrCode.split('?')[1] || '').split('&cHashQR=')[0];
+  return crypto.createHash('sha256').update(consulta + csc, 'utf8').digest('hex');
+}
+
+/**
+ * Verifica un DE emitido y arma un reporte por verificación
+ * Las verificaciones sin datos suficientes quedan con valido = null (omitidas)
+ * @param {string} xml - XML del rDE firmado (con QR)
+ * @param {Object} referencia - { cdc, digestValue } registrados en BD, { idCSC, csc } de la empresa
+ * @returns {Promise<Object>} { valido, cdc, verificaciones: { firma, digestValue, cdc, qr } }
+ */
+async function verificarDocumentoEmitido(xml, referencia = {}) {
+  const datos = await extraerDatosDE(xml);
+
+  // Firma XMLDSig
+  const firma = verificarFirma(xml, { cdc: datos.cdc, fecha: datos.fechaEmision });
+
+  // DigestValue recalculado vs. el del XML y el registrado en BD
+  const digestCalculado = calcularDigestValue(xml);
+  const digestValue = {
+    valido: Boolean(digestCalculado) && digestCalculado === datos.digestValue,
+    calculado: digestCalculado,
+    enXML: datos.digestValue,
+    registrado: referencia.digestValue || null
+  };
+  if (referencia.digestValue) {
+    digestValue.valido = digestValue.valido && digestCalculado === referencia.digestValue;
+  }
+  digestValue.mensaje = digestValue.valido
+    ? 'El DigestValue recalculado coincide'
+    : 'El DigestValue recalculado no coincide (el documento fue modificado)';
+
+  // Dígito verificador del CDC
+  const validacionCDC = validarCDC(datos.cdc);
+  const cdc = {
+    valido: validacionCDC.valido,
+    mensaje: validacionCDC.mensaje,
+    digitoVerificador: validacionCDC.digitoVerificador,
+    digitoEsperado: validacionCDC.digitoEsperado
+  };
+  if (referencia.cdc && referencia.cdc !== datos.cdc) {
+    cdc.valido = false;
+    cdc.mensaje = `El CDC del XML (${datos.cdc}) no coincide con el registrado (${referencia.cdc})`;
+  }
+
+  // QR: parámetros vs. documento y cHashQR con el CSC
+  const consistencia = verificarQR(datos);
+  const qr = {
+    valido: consistencia.valido,
+    errores: [...consistencia.errores],
+    hashQR: consistencia.parametros?.cHashQR || null,
+    hashCalculado: null
+  };
+  if (datos.qrCode && referencia.csc) {
+    qr.hashCalculado = calcularHashQR(datos.qrCode, referencia.csc);
+    if (referencia.idCSC && consistencia.parametros.IdCSC !== referencia.idCSC) {
+      qr.errores.push(`El IdCSC del QR (${consistencia.parametros.IdCSC}) no es el de la empresa (${referencia.idCSC})`);
+    }
+    if (qr.hashCalculado !== String(qr.hashQR || '').toLowerCase()) {
+      qr.errores.push('El cHashQR no corresponde al CSC de la empresa');
+    }
+    qr.valido = qr.errores.length === 0;
+  } else if (consistencia.valido) {
+    qr.valido = null;
+    qr.mensaje = 'cHashQR no verificado: se desconoce el CSC de la empresa emisora';
+  }
+  if (!qr.mensaje) {
+    qr.mensaje = qr.valido ? 'QR válido' : 'QR inválido';
+  }
+
+  const verificaciones = {
+    firma: { valido: firma.valida, mensaje: firma.mensaje, certificado: firma.certificado },
+    digestValue,
+    cdc,
+    qr
+  };
+
+  return {
+    valido: Object.values(verificaciones).every(verificacion => verificacion.valido !== false),
+    cdc: datos.cdc,
+    verificaciones
+  };
+}
+
+module.exports = {
+  extraerDEDeConsulta,
+  extraerDatosDE,
+  verificarFirma,
+  verificarCadenaConfianza,
+  cargarCAsConfiables,
+  verificarQR,
+  calcularDigestValue,
+  calcularHashQR,
+  verificarDocumentoEmitido
+};
@@ -0,0 +1,220 @@
+/**
+ * Servicio de Validación XSD
+ * Valida localmente el XML de los DE y de los eventos contra los esquemas
+ * SIFEN v150 antes de enviarlos, para no gastar un envío a la SET que
+ * terminaría en un rechazo de la serie 1000.
+ *
+ * Esquemas (directorio xsd/ o SIFEN_XSD_PATH):
+ * - siRecepDE_v150.xsd  → DE enviado a siRecepDE (rEnviDe > xDE > rDE)
+ * - Evento_v150.xsd     → Evento (rGesEve > rEve)
+ *
+ * Modo (SIFEN_VALIDAR_XSD):
+ * - 'auto' (por defecto): valida si los esquemas están disponibles; si faltan
+ *   se advierte al iniciar y en cada tipo de documento que se envía sin validar
+ * - 'true': valida siempre; el servidor y los workers no inician si faltan los esquemas
+ * - 'false': no valida
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateXML } = require('xmllint-wasm');
+
+const NAMESPACE_SIFEN = 'http://ekuatia.set.gov.py/sifen/xsd';
+
+// Directorio con los esquemas oficiales SIFEN v150 y sus dependencias
+const XSD_PATH = process.env.SIFEN_XSD_PATH || path.join(__dirname, '../xsd');
+
+const MODO = (process.env.SIFEN_VALIDAR_XSD || 'auto').toLowerCase();
+
+// Esquema principal por tipo de documento
+const ESQUEMAS = {
+  de: 'siRecepDE_v150.xsd',
+  evento: 'Evento_v150.xsd'
+};
+
+/**
+ * Error de validación XSD (contiene la lista de violaciones)
+ */
+class ErrorValidacionXSD extends Error {
+  constructor(tipo, errores) {
+    super(`El XML del ${tipo === 'evento' ? 'evento' : 'DE'} no cumple el esquema ${ESQUEMAS[tipo]}: ${errores[0]?.mensaje || 'error desconocido'}` +
+      (errores.length > 1 ? ` (y ${errores.length - 1} error(es) más)` : ''));
+    this.name = 'ErrorValidacionXSD';
+    this.codigo = 'XSD_INVALIDO';
+    this.tipo = tipo;
+    this.esquema = ESQUEMAS[tipo];
+    this.errores = errores;
+  }
+}
+
+// Esquemas cargados en memoria (se leen una sola vez)
+let esquemasCache = null;
+
+// Tipos ya advertidos como enviados sin validar (una advertencia por proceso)
+const omitidosAdvertidos = new Set();
+
+/**
+ * Lee todos los .xsd del directorio de esquemas
+ * @returns {Array<{fileName: string, contents: string}>|null} null si el directorio no existe
+ */
+function cargarEsquemas() {
+  if (esquemasCache) return esquemasCache;
+
+  if (!fs.existsSync(XSD_PATH)) return null;
+
+  esquemasCache = fs.readdirSync(XSD_PATH)
+    .filter(archivo => archivo.toLowerCase().endsWith('.xsd'))
+    .map(archivo => ({
+      fileName: archivo,
+      contents: fs.readFileSync(path.join(XSD_PATH, archivo), 'utf8')
+    }));
+
+  return esquemasCache;
+}
+
+/**
+ * Indica si la validación está habilitada y el esquema del tipo está disponible
+ * @param {string} tipo - 'de' | 'evento'
+ * @returns {{ habilitada: boolean, motivo?: string }}
+ */
+function estadoValidacion(tipo) {
+  if (MODO === 'false') {
+    return { habilitada: false, motivo: 'Validación XSD deshabilitada (SIFEN_VALIDAR_XSD=false)' };
+  }
+
+  const esquemas = cargarEsquemas() || [];
+  const disponible = esquemas.some(esquema => esquema.fileName === ESQUEMAS[tipo]);
+
+  if (!disponible) {
+    const motivo = `Esquema ${ESQUEMAS[tipo]} no encontrado en ${XSD_PATH}`;
+    if (MODO === 'true') {
+      throw new Error(`${motivo}. Copie los XSD de SIFEN v150 o defina SIFEN_VALIDAR_XSD=false`);
+    }
+    if (!omitidosAdvertidos.has(tipo)) {
+      omitidosAdvertidos.add(tipo);
+      console.warn(`⚠️ [XSD] ${motivo}: los ${tipo === 'evento' ? 'eventos' : 'DE'} se envían sin validar`);
+    }
+    return { habilitada: false, motivo };
+  }
+
+  return { habilitada: true };
+}
+
+/**
+ * Verifica que estén los esquemas principales cuando la validación es obligatoria
+ * @throws {Error} Con SIFEN_VALIDAR_XSD=true y esquemas faltantes
+ */
+function verificarConfiguracion() {
+  if (MODO === 'false') {
+    console.warn('⚠️ [XSD] Validación XSD deshabilitada (SIFEN_VALIDAR_XSD=false)');
+    return;
+  }
+
+  const disponibles = (cargarEsquemas() || []).map(esquema => esquema.fileName);
+  const faltantes = Object.values(ESQUEMAS).filter(esquema => !disponibles.includes(esquema));
+  if (faltantes.length === 0) return;
+
+  const motivo = `Faltan los esquemas ${faltantes.join(', ')} en ${XSD_PATH}`;
+  if (MODO === 'true') {
+    throw new Error(`${motivo}. Copie los XSD de SIFEN v150 (ver xsd/README.md) o defina SIFEN_VALIDAR_XSD=false`);
+  }
+  console.warn(`⚠️ [XSD] ${motivo}: los DE y eventos se envían sin validar`);
+}
+
+/**
+ * Inicio de un proceso (servidor o worker): termina si la validación es obligatoria y faltan esquemas
+ * @param {string} etiqueta - Prefijo de los logs ([WORKER], [LOTE], ...)
+ */
+function verificarAlIniciar(etiqueta = '') {
+  try {
+    verificarConfiguracion();
+  } catch (error) {
+    console.error(`❌ ${etiqueta ? `${etiqueta} ` : ''}${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Convierte los mensajes de xmllint en errores estructurados
+ */
+function formatearErrores(errores) {
+  return errores.map(error => {
+    const elemento = error.message.match(/Element '(?:\{[^}]*\})?([^']+)'/);
+    const atributo = error.message.match(/attribute '([^']+)'/);
+    return {
+      linea: error.loc?.lineNumber || null,
+      elemento: elemento ? elemento[1] : null,
+      atributo: atributo ? atributo[1] : null,
+      mensaje: error.message
+        .replace(/^Schemas (validity|parser) error : /, '')
+        .replace(/\{[^}]*\}/g, '')
+    };
+  });
+}
+
+/**
+ * Valida un XML contra el esquema de su tipo
+ * @param {string} xml - XML completo a validar
+ * @param {string} tipo - 'de' | 'evento'
+ * @returns {Promise<{ valido: boolean, omitido: boolean, motivo?: string, errores: Array }>}
+ */
+async function validarContraEsquema(xml, tipo) {
+  const estado = estadoValidacion(tipo);
+  if (!estado.habilitada) {
+    return { valido: true, omitido: true, motivo: estado.motivo, errores: [] };
+  }
+
+  const esquemas = cargarEsquemas();
+  const principal = esquemas.find(esquema => esquema.fileName === ESQUEMAS[tipo]);
+
+  const resultado = await validateXML({
+    xml: [{ fileName: `${tipo}.xml`, contents: xml }],
+    schema: [principal],
+    preload: esquemas.filter(esquema => esquema !== principal)
+  });
+
+  return {
+    valido: resultado.valid,
+    omitido: false,
+    errores: resultado.valid ? [] : formatearErrores(resultado.errors)
+  };
+}
+
+/**
+ * Valida un DE (rDE firmado con QR) tal como se envía a siRecepDE
+ * @param {string} xmlDE - XML del rDE
+ * @returns {Promise<Object>} Resultado de la validación
+ */
+async function validarDE(xmlDE) {
+  // siRecepDE recibe el rDE dentro de rEnviDe > xDE
+  const rDE = xmlDE.replace(/^<\?xml[^>]*\?>\s*/, '');
+  const sobre = `<?xml version="1.0" encoding="UTF-8"?><rEnviDe xmlns="${NAMESPACE_SIFEN}"><dId>1</dId><xDE>${rDE}</xDE></rEnviDe>`;
+  return validarContraEsquema(sobre, 'de');
+}
+
+/**
+ * Valida un evento (rGesEve firmado)
+ * @param {string} xmlEvento - XML del evento (rEnviEventoDe completo o rGesEve)
+ * @returns {Promise<Object>} Resultado de la validación
+ */
+async function validarEvento(xmlEvento) {
+  const match = xmlEvento.match(/<rGesEve[\s>][\s\S]*<\/rGesEve>/);
+  let rGesEve = match ? match[0] : xmlEvento.replace(/^<\?xml[^>]*\?>\s*/, '');
+
+  // Al extraer el nodo se pierde el namespace heredado de rEnviEventoDe
+  if (!/^<rGesEve[^>]*\sxmlns="/.test(rGesEve)) {
+    rGesEve = rGesEve.replace(/^<rGesEve/, `<rGesEve xmlns="${NAMESPACE_SIFEN}"`);
+  }
+
+  return validarContraEsquema(`<?xml version="1.0" encoding="UTF-8"?>${rGesEve}`, 'evento');
+}
+
+module.exports = {
+  verificarConfiguracion,
+  verificarAlIniciar,
+  validarDE,
+  validarEvento,
+  ErrorValidacionXSD,
+  ESQUEMAS,
+  XSD_PATH
+};
@@ -0,0 +1,98 @@
+/**
+ * Pruebas de alertaCertificadoService: umbrales de vencimiento, una alerta por
+ * certificado y umbral, y bloqueo de la emisión con el certificado vencido
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Empresa = require('../models/Empresa');
+const AlertaCertificado = require('../models/AlertaCertificado');
+const alertaCertificadoService = require('../services/alertaCertificadoService');
+
+const DIA = 24 * 60 * 60 * 1000;
+const AHORA = new Date('2026-03-01T12:00:00Z');
+
+function crearEmpresa(diasParaVencer) {
+  return new Empresa({
+    ruc: '80069563-1',
+    nombreFantasia: 'Empresa de prueba',
+    certificado: {
+      activo: true,
+      numeroSerie: '0A1B',
+      fechaVencimiento: new Date(AHORA.getTime() + diasParaVencer * DIA)
+    }
+  });
+}
+
+test('umbralAlcanzado: el menor umbral que cubre los días restantes', () => {
+  assert.deepEqual(alertaCertificadoService.UMBRALES_DIAS, [30, 15, 7]);
+  assert.equal(alertaCertificadoService.umbralAlcanzado(45), null);
+  assert.equal(alertaCertificadoService.umbralAlcanzado(30), 30);
+  assert.equal(alertaCertificadoService.umbralAlcanzado(16), 30);
+  assert.equal(alertaCertificadoService.umbralAlcanzado(10), 15);
+  assert.equal(alertaCertificadoService.umbralAlcanzado(1), 7);
+  assert.equal(alertaCertificadoService.umbralAlcanzado(0), 0);
+  assert.equal(alertaCertificadoService.umbralAlcanzado(-3), 0);
+});
+
+test('estadoCertificado informa los días restantes y si está vencido', () => {
+  const porVencer = alertaCertificadoService.estadoCertificado(crearEmpresa(12), AHORA);
+  const vencido = alertaCertificadoService.estadoCertificado(crearEmpresa(-1), AHORA);
+
+  assert.equal(porVencer.diasParaVencer, 12);
+  assert.equal(porVencer.umbralDias, 15);
+  assert.equal(porVencer.vencido, false);
+  assert.equal(vencido.vencido, true);
+  assert.equal(vencido.umbralDias, 0);
+});
+
+test('revisarEmpresa registra la alerta del umbral una sola vez', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const empresa = crearEmpresa(12);
+  const alerta = { tipo: 'por_vencer' };
+  const registrar = t.mock.method(AlertaCertificado, 'updateOne', async () => ({ upsertedCount: 1 }));
+  t.mock.method(AlertaCertificado, 'findOne', async () => alerta);
+
+  assert.equal(await alertaCertificadoService.revisarEmpresa(empresa, AHORA), alerta);
+
+  const [filtro, cambios, opciones] = registrar.mock.calls[0].arguments;
+  assert.deepEqual(filtro, {
+    empresaId: empresa._id,
+    numeroSerie: '0A1B',
+    fechaVencimiento: empresa.certificado.fechaVencimiento,
+    umbralDias: 15
+  });
+  assert.equal(cambios.$setOnInsert.tipo, 'por_vencer');
+  assert.match(cambios.$setOnInsert.descripcion, /vence en 12 día\(s\), el 2026-03-13/);
+  assert.deepEqual(opciones, { upsert: true });
+
+  // La alerta ya existía
+  registrar.mock.mockImplementation(async () => ({ upsertedCount: 0 }));
+  assert.equal(await alertaCertificadoService.revisarEmpresa(empresa, AHORA), null);
+});
+
+test('certificado vencido: alerta de error y la empresa no puede emitir', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const empresa = crearEmpresa(-2);
+  const registrar = t.mock.method(AlertaCertificado, 'updateOne', async () => ({ upsertedCount: 1 }));
+  t.mock.method(AlertaCertificado, 'findOne', async () => ({}));
+
+  await alertaCertificadoService.revisarEmpresa(empresa, AHORA);
+
+  const { $setOnInsert: alerta } = registrar.mock.calls[0].arguments[1];
+  assert.equal(alerta.tipo, 'vencido');
+  assert.equal(alerta.estado, 'error');
+  assert.match(alerta.descripcion, /No se pueden emitir documentos/);
+  assert.equal(empresa.certificadoVencido(), true);
+  assert.equal(empresa.tieneCertificadoValido(), false);
+});
+
+test('sin umbral alcanzado no se registra nada', async (t) => {
+  const registrar = t.mock.method(AlertaCertificado, 'updateOne', async () => ({ upsertedCount: 1 }));
+
+  assert.equal(await alertaCertificadoService.revisarEmpresa(crearEmpresa(60), AHORA), null);
+  assert.equal(registrar.mock.callCount(), 0);
+});
@@ -0,0 +1,112 @@
+/**
+ * Pruebas de permisos por rol y por API Key (middleware/auth) y de la
+ * creación de keys
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const apiKeyController = require('../controllers/apiKeyController');
+const { requierePermiso, verificarAdmin, requiereSesion, tienePermiso } = require('../middleware/auth');
+
+// Respuesta mínima de Express: registra status y cuerpo
+function respuesta() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(codigo) { this.statusCode = codigo; return this; },
+    json(cuerpo) { this.body = cuerpo; return this; }
+  };
+}
+
+// Ejecuta un middleware e indica si llamó a next()
+function ejecutar(middleware, req) {
+  const res = respuesta();
+  let siguio = false;
+  middleware(req, res, () => { siguio = true; });
+  return { siguio, res };
+}
+
+const usuario = (rol) => new User({ username: `u-${rol}`, email: `${rol}@ejemplo.com`, password: 'x', rol });
+const apiKey = (permisos, empresaId = null) => new ApiKey({ permisos, empresaId });
+
+test('requierePermiso con JWT: alcanza con el rol', () => {
+  assert.equal(ejecutar(requierePermiso('facturas:crear'), { usuario: usuario('usuario') }).siguio, true);
+  assert.equal(ejecutar(requierePermiso('facturas:crear'), { usuario: usuario('admin') }).siguio, true);
+
+  const { siguio, res } = ejecutar(requierePermiso('facturas:crear'), { usuario: usuario('contador') });
+  assert.equal(siguio, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body.permisosFaltantes, ['facturas:crear']);
+});
+
+test('requierePermiso con varios permisos exige todos', () => {
+  const { siguio, res } = ejecutar(requierePermiso('facturas:leer', 'facturas:crear'), { usuario: usuario('contador') });
+
+  assert.equal(siguio, false);
+  assert.deepEqual(res.body.permisosFaltantes, ['facturas:crear']);
+});
+
+test('requierePermiso con API Key: exige el permiso en el rol y en la key', () => {
+  const soloLectura = apiKey(['facturas:leer']);
+
+  assert.equal(ejecutar(requierePermiso('facturas:leer'), { usuario: usuario('usuario'), apiKey: soloLectura }).siguio, true);
+
+  const { siguio, res } = ejecutar(requierePermiso('facturas:crear'), { usuario: usuario('usuario'), apiKey: soloLectura });
+  assert.equal(siguio, false);
+  assert.equal(res.statusCode, 403);
+  assert.deepEqual(res.body.permisosFaltantes, ['facturas:crear']);
+  assert.deepEqual(res.body.permisosActuales, ['facturas:leer']);
+
+  // Una key con todos los permisos no amplía el rol del usuario
+  const completa = apiKey(['admin']);
+  assert.equal(ejecutar(requierePermiso('facturas:crear'), { usuario: usuario('contador'), apiKey: completa }).siguio, false);
+  assert.equal(ejecutar(requierePermiso('admin'), { usuario: usuario('admin'), apiKey: completa }).siguio, true);
+});
+
+test('tienePermiso combina rol y API Key', () => {
+  assert.equal(tienePermiso({ usuario: usuario('usuario') }, 'eventos:enviar'), true);
+  assert.equal(tienePermiso({ usuario: usuario('usuario'), apiKey: apiKey(['facturas:leer']) }, 'eventos:enviar'), false);
+  assert.equal(tienePermiso({ usuario: usuario('contador') }, 'admin'), false);
+});
+
+test('verificarAdmin rechaza otros roles y las keys de una empresa', () => {
+  assert.equal(ejecutar(verificarAdmin, { usuario: usuario('admin') }).siguio, true);
+  assert.equal(ejecutar(verificarAdmin, { usuario: usuario('usuario') }).res.statusCode, 403);
+
+  const deEmpresa = apiKey(['admin'], new mongoose.Types.ObjectId());
+  const { siguio, res } = ejecutar(verificarAdmin, { usuario: usuario('admin'), apiKey: deEmpresa });
+  assert.equal(siguio, false);
+  assert.equal(res.statusCode, 403);
+});
+
+test('requiereSesion rechaza las API Keys, aunque tengan el permiso admin', () => {
+  assert.equal(ejecutar(requiereSesion, { usuario: usuario('admin') }).siguio, true);
+  assert.equal(ejecutar(requiereSesion, { usuario: usuario('admin'), apiKey: apiKey(['admin']) }).res.statusCode, 403);
+});
+
+test('crearApiKey no asigna el permiso admin ni permisos inexistentes', async (t) => {
+  const guardar = t.mock.method(ApiKey.prototype, 'save', async function () { return this; });
+  const req = (permisos) => ({ body: { nombre: 'ERP', permisos }, usuario: usuario('admin'), empresaIds: [] });
+
+  const admin = respuesta();
+  await apiKeyController.crearApiKey(req(['facturas:leer', 'admin']), admin);
+  assert.equal(admin.statusCode, 400);
+  assert.match(admin.body.error, /permiso admin no se puede asignar/);
+
+  const inexistente = respuesta();
+  await apiKeyController.crearApiKey(req(['facturas:borrar']), inexistente);
+  assert.equal(inexistente.statusCode, 400);
+  assert.match(inexistente.body.error, /Permisos no válidos: facturas:borrar/);
+  assert.equal(guardar.mock.callCount(), 0);
+
+  const creada = respuesta();
+  await apiKeyController.crearApiKey(req(['facturas:leer']), creada);
+  assert.equal(creada.statusCode, 201);
+  assert.deepEqual(creada.body.data.permisos, ['facturas:leer']);
+});
@@ -0,0 +1,104 @@
+/**
+ * Pruebas del bloqueo de cuenta por logins fallidos (models/User)
+ *
+ * Uso: npm test
+ */
+
+process.env.LOGIN_MAX_INTENTOS = '3';
+process.env.LOGIN_BLOQUEO_MINUTOS = '15';
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const User = require('../models/User');
+
+// Documento guardado en la "base": User.findOneAndUpdate/updateOne aplican
+// las mismas operaciones atómicas que usa el modelo
+function simularBase(t, inicial = {}) {
+  const guardado = { intentosFallidos: 0, bloqueadoHasta: null, ...inicial };
+
+  const coincide = (filtro) => {
+    if (filtro.intentosFallidos?.$gte !== undefined && !(guardado.intentosFallidos >= filtro.intentosFallidos.$gte)) {
+      return false;
+    }
+    if (filtro.$or) {
+      const hasta = filtro.$or[1].bloqueadoHasta.$lte;
+      return !guardado.bloqueadoHasta || guardado.bloqueadoHasta <= hasta;
+    }
+    return true;
+  };
+
+  const aplicar = (cambios) => {
+    for (const [campo, valor] of Object.entries(cambios.$inc || {})) guardado[campo] += valor;
+    Object.assign(guardado, cambios.$set);
+    for (const campo of Object.keys(cambios.$unset || {})) guardado[campo] = null;
+  };
+
+  // Cada operación cede el turno, como una consulta real, para intercalar solicitudes concurrentes
+  t.mock.method(User, 'findOneAndUpdate', async (filtro, cambios) => {
+    await new Promise(setImmediate);
+    if (!coincide(filtro)) return null;
+    aplicar(cambios);
+    return { ...guardado };
+  });
+  t.mock.method(User, 'updateOne', async (filtro, cambios) => {
+    await new Promise(setImmediate);
+    if (!coincide(filtro)) return { matchedCount: 0 };
+    aplicar(cambios);
+    return { matchedCount: 1 };
+  });
+
+  return guardado;
+}
+
+// Cada solicitud de login carga su propia copia del usuario
+const cargarUsuario = () => new User({ username: 'ana', email: 'ana@ejemplo.com', password: 'x' });
+
+test('se bloquea la cuenta al llegar al máximo de intentos', async (t) => {
+  const guardado = simularBase(t);
+  const usuario = cargarUsuario();
+
+  await usuario.registrarIntentoFallido();
+  await usuario.registrarIntentoFallido();
+  assert.equal(usuario.estaBloqueado(), false);
+  assert.equal(guardado.intentosFallidos, 2);
+
+  await usuario.registrarIntentoFallido();
+  assert.equal(usuario.estaBloqueado(), true);
+  assert.equal(guardado.intentosFallidos, 0);
+  assert.ok(guardado.bloqueadoHasta > new Date(Date.now() + 14 * 60 * 1000));
+});
+
+test('los intentos fallidos concurrentes no evitan el bloqueo', async (t) => {
+  const guardado = simularBase(t);
+
+  // Con save() cada solicitud leería 0 intentos y escribiría 1
+  await Promise.all([cargarUsuario(), cargarUsuario(), cargarUsuario()].map(usuario => usuario.registrarIntentoFallido()));
+
+  assert.ok(guardado.bloqueadoHasta > new Date());
+});
+
+test('un login exitoso reinicia los intentos fallidos', async (t) => {
+  const guardado = simularBase(t, { intentosFallidos: 2 });
+  const usuario = cargarUsuario();
+
+  assert.equal(await usuario.registrarLoginExitoso(), true);
+  assert.equal(guardado.intentosFallidos, 0);
+  assert.ok(guardado.ultimoAcceso instanceof Date);
+});
+
+test('un login exitoso no quita un bloqueo vigente', async (t) => {
+  const bloqueadoHasta = new Date(Date.now() + 60 * 1000);
+  const guardado = simularBase(t, { bloqueadoHasta });
+
+  // El password se verificó con una copia cargada antes del bloqueo
+  assert.equal(await cargarUsuario().registrarLoginExitoso(), false);
+  assert.equal(guardado.bloqueadoHasta, bloqueadoHasta);
+});
+
+test('vencido el bloqueo se puede volver a iniciar sesión', async (t) => {
+  const guardado = simularBase(t, { bloqueadoHasta: new Date(Date.now() - 1000) });
+
+  assert.equal(await cargarUsuario().registrarLoginExitoso(), true);
+  assert.equal(guardado.bloqueadoHasta, null);
+});
@@ -0,0 +1,82 @@
+/**
+ * Pruebas de utils/cdcUtils: dígito verificador módulo 11 y decodificación del CDC
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { calcularDigitoVerificador, validarCDC, decodificarCDC } = require('../utils/cdcUtils');
+
+// Factura 001-001-0000002 del RUC 80069563-1 emitida el 2026-02-27
+const CDC = '01800695631001001000000222026022719876543222';
+
+// Reemplaza el dígito verificador por uno incorrecto
+function conOtroDigito(cdc) {
+  return `${cdc.substring(0, 43)}${(Number(cdc[43]) + 1) % 10}`;
+}
+
+test('calcularDigitoVerificador: módulo 11 con pesos 2..11 de derecha a izquierda', () => {
+  assert.equal(calcularDigitoVerificador(CDC.substring(0, 43)), 2);
+  // Mismo algoritmo que el DV del RUC
+  assert.equal(calcularDigitoVerificador('80069563'), 1);
+  assert.equal(calcularDigitoVerificador('3604076'), 2);
+  // Resto 0 o 1: el dígito es 0
+  assert.equal(calcularDigitoVerificador('6'), 0);
+});
+
+test('validarCDC acepta el dígito correcto e informa el esperado si no coincide', () => {
+  assert.equal(validarCDC(CDC).valido, true);
+
+  const invalido = validarCDC(conOtroDigito(CDC));
+  assert.equal(invalido.valido, false);
+  assert.equal(invalido.digitoVerificador, 3);
+  assert.equal(invalido.digitoEsperado, 2);
+  assert.match(invalido.mensaje, /esperado 2/);
+});
+
+test('validarCDC rechaza un CDC que no tiene 44 dígitos', () => {
+  const resultado = validarCDC('0103604076');
+
+  assert.equal(resultado.valido, false);
+  assert.equal(resultado.digitoVerificador, null);
+  assert.match(resultado.mensaje, /recibido: 10/);
+});
+
+test('decodificarCDC descompone los campos del documento', () => {
+  const campos = decodificarCDC(CDC);
+
+  assert.equal(campos.valido, true, campos.errores.join(', '));
+  assert.equal(campos.tipoDocumento, 1);
+  assert.equal(campos.rucCompleto, '80069563-1');
+  assert.equal(campos.numeroCompleto, '001-001-0000002');
+  assert.equal(campos.tipoContribuyente, 2);
+  assert.equal(campos.fechaEmision, '2026-02-27');
+  assert.equal(campos.tipoEmision, 1);
+  assert.equal(campos.descripcionTipoEmision, 'Normal');
+  assert.equal(campos.codigoSeguridad, '987654322');
+});
+
+test('decodificarCDC valida el DV del RUC', () => {
+  // 3604076-1: el DV correcto es 2
+  const cdc = '0103604076100100100000022202602271987654322';
+  const campos = decodificarCDC(cdc + calcularDigitoVerificador(cdc));
+
+  assert.equal(campos.valido, false);
+  assert.deepEqual(campos.errores, ['DV del RUC inválido: 3604076-1 (esperado 2)']);
+});
+
+test('decodificarCDC informa cada campo inválido', () => {
+  // Fecha 2026-02-30 y tipo de emisión 9
+  const cdc = `${CDC.substring(0, 25)}202602309${CDC.substring(34, 43)}`;
+
+  const campos = decodificarCDC(cdc + calcularDigitoVerificador(cdc));
+
+  assert.equal(campos.valido, false);
+  assert.equal(campos.errores.length, 2);
+  assert.equal(campos.fechaEmision, null);
+  assert.ok(campos.errores.some(error => /Fecha de emisión inválida: 20260230/.test(error)));
+  assert.ok(campos.errores.some(error => /Tipo de emisión inválido: 9/.test(error)));
+  assert.equal(decodificarCDC('abc'), null);
+});
@@ -0,0 +1,197 @@
+/**
+ * Pruebas de certificadoService: inspección del .p12 subido (contraseña,
+ * vigencia, RUC del titular y cadena) e historial de versiones
+ *
+ * Uso: npm test
+ */
+
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+
+// CERTIFICADOS_PATH se lee al cargar el servicio
+const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'fepy-certificados-'));
+process.env.CERTIFICADOS_PATH = carpeta;
+after(() => fs.rmSync(carpeta, { recursive: true, force: true }));
+
+const Empresa = require('../models/Empresa');
+const certificadoService = require('../services/certificadoService');
+
+const { inspeccionarCertificado, ErrorCertificado } = certificadoService;
+
+const DIA = 24 * 60 * 60 * 1000;
+
+const clavesCA = forge.pki.rsa.generateKeyPair(2048);
+const clavesTitular = forge.pki.rsa.generateKeyPair(2048);
+
+const SUJETO_CA = [{ name: 'commonName', value: 'CA DE PRUEBA' }];
+
+function crearCertificado({ claves, sujeto, emisor = sujeto, clavesEmisor = claves, desde, hasta }) {
+  const certificado = forge.pki.createCertificate();
+  certificado.publicKey = claves.publicKey;
+  certificado.serialNumber = '0a1b';
+  certificado.validity.notBefore = desde || new Date(Date.now() - DIA);
+  certificado.validity.notAfter = hasta || new Date(Date.now() + 365 * DIA);
+  certificado.setSubject(sujeto);
+  certificado.setIssuer(emisor);
+  certificado.sign(clavesEmisor.privateKey, forge.md.sha256.create());
+  return certificado;
+}
+
+const ca = crearCertificado({ claves: clavesCA, sujeto: SUJETO_CA });
+
+function crearTitular(opciones = {}) {
+  return crearCertificado({
+    claves: clavesTitular,
+    sujeto: [
+      { name: 'commonName', value: 'EMPRESA DE PRUEBA S.A.' },
+      { name: 'serialNumber', value: opciones.serialNumber || 'RUC80069563-1' }
+    ],
+    emisor: SUJETO_CA,
+    clavesEmisor: clavesCA,
+    ...opciones
+  });
+}
+
+function crearP12(certificados, contrasena = 'prueba') {
+  const p12 = forge.pkcs12.toPkcs12Asn1(clavesTitular.privateKey, certificados, contrasena, { algorithm: '3des' });
+  return Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary');
+}
+
+function rechazo(mensaje) {
+  return (error) => error instanceof ErrorCertificado && error.status === 400 && mensaje.test(error.message);
+}
+
+test('un .p12 válido: datos del titular, RUC y cadena hasta la raíz', () => {
+  const titular = crearTitular();
+
+  const datos = inspeccionarCertificado(crearP12([titular, ca]), 'prueba', { ruc: '80069563-1' });
+
+  assert.equal(datos.rucTitular, '80069563-1');
+  assert.equal(datos.sujeto, 'CN=EMPRESA DE PRUEBA S.A., serialNumber=RUC80069563-1');
+  assert.equal(datos.emisor, 'CN=CA DE PRUEBA');
+  assert.equal(datos.numeroSerie, '0A1B');
+  // El certificado guarda la fecha con precisión de segundos
+  assert.equal(datos.fechaVencimiento.getTime(), Math.floor(titular.validity.notAfter.getTime() / 1000) * 1000);
+  assert.match(datos.huella, /^[0-9a-f]{64}$/);
+  assert.equal(datos.cadenaCompleta, true);
+  assert.deepEqual(datos.cadena.map(certificado => certificado.sujeto), [datos.sujeto, 'CN=CA DE PRUEBA']);
+});
+
+test('sin la CA en el .p12 la cadena queda incompleta', () => {
+  const datos = inspeccionarCertificado(crearP12([crearTitular()]), 'prueba');
+
+  assert.equal(datos.cadenaCompleta, false);
+  assert.equal(datos.cadena.length, 1);
+});
+
+test('contraseña incorrecta', () => {
+  assert.throws(
+    () => inspeccionarCertificado(crearP12([crearTitular()]), 'otra'),
+    rechazo(/contraseña del certificado es incorrecta/)
+  );
+});
+
+test('un archivo que no es un .p12', () => {
+  assert.throws(
+    () => inspeccionarCertificado(Buffer.from('no es un certificado'), 'prueba'),
+    rechazo(/no es un certificado PKCS#12/)
+  );
+});
+
+test('certificado vencido o todavía no vigente', () => {
+  const vencido = crearTitular({ desde: new Date(Date.now() - 400 * DIA), hasta: new Date(Date.now() - DIA) });
+  const futuro = crearTitular({ desde: new Date(Date.now() + DIA) });
+
+  assert.throws(() => inspeccionarCertificado(crearP12([vencido]), 'prueba'), rechazo(/está vencido desde/));
+  assert.throws(() => inspeccionarCertificado(crearP12([futuro]), 'prueba'), rechazo(/recién es válido desde/));
+});
+
+test('el RUC del titular debe ser el de la empresa (sin importar el DV)', () => {
+  const p12 = crearP12([crearTitular()]);
+
+  assert.equal(inspeccionarCertificado(p12, 'prueba', { ruc: '80069563' }).rucTitular, '80069563-1');
+  assert.throws(
+    () => inspeccionarCertificado(p12, 'prueba', { ruc: '3604076-2' }),
+    rechazo(/pertenece al RUC 80069563-1 y no al de la empresa \(3604076-2\)/)
+  );
+  assert.throws(
+    () => inspeccionarCertificado(crearP12([crearTitular({ serialNumber: 'SIN DATOS' })]), 'prueba', { ruc: '80069563-1' }),
+    rechazo(/no indica el RUC del titular/)
+  );
+});
+
+// Empresa con un certificado cargado antes del historial de versiones (certificado.p12)
+function crearEmpresa() {
+  const empresa = new Empresa({ ruc: '80069563-1', nombreFantasia: 'Empresa de prueba' });
+  fs.mkdirSync(path.join(carpeta, empresa.ruc), { recursive: true });
+  fs.writeFileSync(path.join(carpeta, empresa.ruc, 'certificado.p12'), crearP12([crearTitular()]));
+  empresa.certificado = {
+    activo: true,
+    nombreArchivo: 'original.p12',
+    contrasena: certificadoService.cifrarContrasena('prueba'),
+    numeroSerie: 'ORIGINAL'
+  };
+  return empresa;
+}
+
+function cargarVersion(empresa, certificado, numeroSerie) {
+  return certificadoService.agregarVersion(empresa, {
+    buffer: crearP12([certificado]),
+    nombreArchivo: `${numeroSerie}.p12`,
+    contrasena: 'prueba',
+    info: { numeroSerie, fechaVencimiento: certificado.validity.notAfter }
+  });
+}
+
+test('cargar un certificado: el anterior queda en el historial y no se sobrescribe', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const empresa = crearEmpresa();
+
+  const nueva = cargarVersion(empresa, crearTitular(), 'NUEVO');
+
+  assert.deepEqual(empresa.historialCertificados.map(entrada => [entrada.version, entrada.archivo, entrada.numeroSerie]), [
+    [1, 'certificado.p12', 'ORIGINAL'],
+    [2, 'certificado-v2.p12.enc', 'NUEVO']
+  ]);
+  assert.ok(empresa.historialCertificados[0].fechaBaja instanceof Date);
+  assert.equal(empresa.historialCertificados[1].fechaBaja, undefined);
+  assert.equal(empresa.certificado.version, nueva.version);
+  assert.equal(empresa.certificado.activo, true);
+  assert.equal(certificadoService.descifrarContrasena(empresa.certificado.contrasena), 'prueba');
+  assert.equal(empresa.obtenerRutaCertificado(), path.join(carpeta, empresa.ruc, 'certificado-v2.p12.enc'));
+  assert.ok(fs.existsSync(path.join(carpeta, empresa.ruc, 'certificado.p12')));
+});
+
+test('volver a una versión anterior del certificado', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const empresa = crearEmpresa();
+  cargarVersion(empresa, crearTitular(), 'NUEVO');
+
+  const activada = certificadoService.activarVersion(empresa, '1');
+
+  assert.equal(activada.version, 1);
+  assert.equal(empresa.certificado.version, 1);
+  assert.equal(empresa.certificado.numeroSerie, 'ORIGINAL');
+  assert.equal(empresa.obtenerRutaCertificado(), path.join(carpeta, empresa.ruc, 'certificado.p12'));
+  assert.equal(empresa.historialCertificados[0].fechaBaja, undefined);
+  assert.ok(empresa.historialCertificados[1].fechaBaja instanceof Date);
+});
+
+test('no se vuelve a una versión inexistente o vencida', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const empresa = crearEmpresa();
+  const vencido = crearTitular({ desde: new Date(Date.now() - 400 * DIA), hasta: new Date(Date.now() - DIA) });
+  cargarVersion(empresa, vencido, 'VENCIDO');
+  certificadoService.activarVersion(empresa, 1);
+
+  assert.throws(
+    () => certificadoService.activarVersion(empresa, 9),
+    (error) => error instanceof ErrorCertificado && error.status === 404
+  );
+  assert.throws(() => certificadoService.activarVersion(empresa, 2), rechazo(/está vencido desde/));
+  assert.equal(empresa.certificado.version, 1);
+});
@@ -0,0 +1,114 @@
+/**
+ * Pruebas de contingenciaService: plazo de 72 horas, envío en orden de los
+ * pendientes y activación automática por fallos de conexión
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Invoice = require('../models/Invoice');
+const Empresa = require('../models/Empresa');
+const OperationLog = require('../models/OperationLog');
+const certificadoService = require('../services/certificadoService');
+const setApi = require('../services/setapi-wrapper');
+const webhookService = require('../services/webhookService');
+const contingenciaService = require('../services/contingenciaService');
+
+const HORA = 60 * 60 * 1000;
+
+function crearEmpresa(contingencia = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    ruc: '3604076-1',
+    nombreFantasia: 'Empresa de prueba',
+    configuracionSifen: { modo: 'test' },
+    certificado: { activo: true, contrasena: 'cifrada' },
+    certificadoVencido: () => false,
+    contingencia: { activa: false, automatica: true, fallosConsecutivos: 0, ...contingencia },
+    save: async () => {}
+  };
+}
+
+function crearPendiente(correlativo, fechaLimiteEnvio) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    correlativo,
+    cdc: '01036040761001001000000122025010120000000015',
+    estadoSifen: 'pendiente_envio',
+    fechaLimiteEnvio,
+    save: async () => {}
+  };
+}
+
+test('calcularFechaLimite: 72 horas desde la firma', () => {
+  const fechaFirma = new Date('2026-03-02T10:00:00Z');
+
+  assert.equal(contingenciaService.PLAZO_TRANSMISION_HORAS, 72);
+  assert.deepEqual(contingenciaService.calcularFechaLimite(fechaFirma), new Date('2026-03-05T10:00:00Z'));
+});
+
+test('un pendiente con el plazo vencido pasa a error sin enviarse', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const vencido = crearPendiente('001-001-0000001', new Date(Date.now() - HORA));
+  const siguiente = crearPendiente('001-001-0000002', new Date(Date.now() + HORA));
+  t.mock.method(Invoice, 'find', () => ({ sort: async () => [vencido, siguiente] }));
+  t.mock.method(certificadoService, 'descifrarContrasena', () => 'clave');
+  t.mock.method(certificadoService, 'rutaParaFirma', () => '/tmp/fepy-secretos/certificado.p12');
+  const logs = t.mock.method(OperationLog, 'create', async () => {});
+  const notificaciones = t.mock.method(webhookService, 'notificarEstadoFactura', async () => {});
+  const recibe = t.mock.fn(async () => '');
+  t.mock.getter(setApi, 'recibe', () => recibe);
+
+  const resumen = await contingenciaService.enviarPendientesEmpresa(crearEmpresa());
+
+  assert.equal(vencido.estadoSifen, 'error');
+  assert.match(vencido.mensajeRetorno, /72 h desde la firma/);
+  assert.equal(logs.mock.calls[0].arguments[0].tipoOperacion, 'contingencia');
+  assert.equal(notificaciones.mock.calls[0].arguments[0], vencido);
+
+  // El siguiente no tiene XML: se corta ahí y sigue pendiente, sin alterar el orden
+  assert.equal(siguiente.estadoSifen, 'pendiente_envio');
+  assert.equal(recibe.mock.callCount(), 0);
+  assert.deepEqual(
+    { enviados: resumen.enviados, vencidos: resumen.vencidos, pendientes: resumen.pendientes },
+    { enviados: 0, vencidos: 1, pendientes: 1 }
+  );
+});
+
+test('con la contingencia manual activa no se envían los pendientes', async (t) => {
+  const buscar = t.mock.method(Invoice, 'find', () => ({ sort: async () => [] }));
+
+  const resumen = await contingenciaService.enviarPendientesEmpresa(crearEmpresa({ activa: true, origen: 'manual' }));
+
+  assert.equal(resumen.omitida, 'Contingencia manual activa');
+  assert.equal(buscar.mock.callCount(), 0);
+});
+
+test('la contingencia automática se activa al llegar al umbral de fallos', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const empresa = crearEmpresa({ fallosConsecutivos: contingenciaService.UMBRAL_FALLOS });
+  const actualizar = t.mock.method(Empresa, 'findByIdAndUpdate', async () => empresa);
+
+  assert.equal(await contingenciaService.registrarFalloConexion(empresa._id, 'ETIMEDOUT'), true);
+
+  assert.deepEqual(actualizar.mock.calls[0].arguments[1], { $inc: { 'contingencia.fallosConsecutivos': 1 } });
+  assert.equal(empresa.contingencia.activa, true);
+  assert.equal(empresa.contingencia.origen, 'automatica');
+  assert.match(empresa.contingencia.motivo, /ETIMEDOUT/);
+});
+
+test('por debajo del umbral o sin contingencia automática no se activa', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const pocosFallos = crearEmpresa({ fallosConsecutivos: 1 });
+  const sinAutomatica = crearEmpresa({ automatica: false, fallosConsecutivos: 10 });
+  t.mock.method(Empresa, 'findByIdAndUpdate', async (id) => (id === pocosFallos._id ? pocosFallos : sinAutomatica));
+
+  assert.equal(await contingenciaService.registrarFalloConexion(pocosFallos._id, 'ETIMEDOUT'), false);
+  assert.equal(await contingenciaService.registrarFalloConexion(sinAutomatica._id, 'ETIMEDOUT'), false);
+  assert.equal(pocosFallos.contingencia.activa, false);
+  assert.equal(sinAutomatica.contingencia.activa, false);
+});
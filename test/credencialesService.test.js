@@ -0,0 +1,112 @@
+/**
+ * Pruebas de credencialesService: certificado de la empresa para cada
+ * llamada a la SET y resolución de la empresa del usuario
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Empresa = require('../models/Empresa');
+const certificadoService = require('../services/certificadoService');
+const {
+  obtenerCredenciales,
+  resolverEmpresa,
+  resolverCredenciales,
+  ErrorCredenciales
+} = require('../services/credencialesService');
+
+// .p12 descifrado en la carpeta temporal del proceso (ver secretosService)
+const RUTA_TEMPORAL = '/tmp/fepy-secretos/certificado-v3.p12';
+
+function crearEmpresa(datos = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    ruc: '80069563-1',
+    configuracionSifen: { modo: 'produccion' },
+    certificado: { activo: true, contrasena: 'cifrada' },
+    certificadoVencido: () => false,
+    ...datos
+  };
+}
+
+test('obtenerCredenciales usa el certificado y el ambiente de la empresa', (t) => {
+  const descifrar = t.mock.method(certificadoService, 'descifrarContrasena', () => 'clave');
+  const rutaParaFirma = t.mock.method(certificadoService, 'rutaParaFirma', () => RUTA_TEMPORAL);
+  const empresa = crearEmpresa({
+    certificado: { activo: true, contrasena: 'cifrada', version: 3, archivo: 'certificado-v3.p12.enc', numeroSerie: '0A1B' }
+  });
+
+  assert.deepEqual(obtenerCredenciales(empresa), {
+    empresa,
+    ambiente: 'produccion',
+    rutaCertificado: RUTA_TEMPORAL,
+    contrasena: 'clave',
+    version: 3,
+    numeroSerie: '0A1B'
+  });
+  assert.deepEqual(descifrar.mock.calls[0].arguments, ['cifrada']);
+  assert.deepEqual(rutaParaFirma.mock.calls[0].arguments, ['80069563-1', 'certificado-v3.p12.enc']);
+});
+
+test('obtenerCredenciales rechaza una empresa sin certificado utilizable', (t) => {
+  t.mock.method(certificadoService, 'descifrarContrasena', (contrasena) => {
+    if (contrasena === 'corrupta') throw new Error('bad decrypt');
+    return 'clave';
+  });
+  t.mock.method(certificadoService, 'rutaParaFirma', (ruc, archivo) => (archivo === 'faltante.p12.enc' ? null : RUTA_TEMPORAL));
+
+  const casos = [
+    [null, /Empresa no encontrada/, 404],
+    [crearEmpresa({ certificado: { activo: false } }), /no tiene un certificado digital cargado/, 400],
+    [crearEmpresa({ certificadoVencido: () => true, certificado: { activo: true, contrasena: 'cifrada', fechaVencimiento: new Date('2026-01-01T00:00:00Z') } }),
+      /venció el 2026-01-01T00:00:00.000Z/, 400],
+    [crearEmpresa({ certificado: { activo: true, contrasena: 'cifrada', archivo: 'faltante.p12.enc' } }), /No se encontró el archivo/, 400],
+    [crearEmpresa({ certificado: { activo: true, contrasena: 'corrupta' } }), /No se pudo descifrar el certificado de la empresa 80069563-1: bad decrypt/, 400]
+  ];
+
+  for (const [empresa, mensaje, status] of casos) {
+    assert.throws(
+      () => obtenerCredenciales(empresa),
+      (error) => error instanceof ErrorCredenciales && mensaje.test(error.message) && error.status === status
+    );
+  }
+});
+
+test('con empresaId solo se resuelve una empresa permitida', async (t) => {
+  const empresa = crearEmpresa();
+  const otra = crearEmpresa();
+  const buscar = t.mock.method(Empresa, 'findById', async () => empresa);
+
+  assert.equal(await resolverEmpresa({ empresaId: String(empresa._id), empresaIds: [empresa._id] }), empresa);
+  assert.deepEqual(buscar.mock.calls[0].arguments, [String(empresa._id)]);
+
+  // Otra empresa del sistema, fuera del alcance de la solicitud: ni se consulta
+  await assert.rejects(
+    resolverEmpresa({ empresaId: String(otra._id), empresaIds: [empresa._id] }),
+    (error) => error instanceof ErrorCredenciales && error.status === 404
+  );
+  assert.equal(buscar.mock.callCount(), 1);
+
+  await assert.rejects(resolverEmpresa({ empresaId: 'abc' }), /empresaId inválido/);
+});
+
+test('sin empresaId: la única empresa activa permitida, o error si hay varias', async (t) => {
+  const empresa = crearEmpresa();
+  t.mock.method(certificadoService, 'descifrarContrasena', () => 'clave');
+  t.mock.method(certificadoService, 'rutaParaFirma', () => RUTA_TEMPORAL);
+  const buscar = t.mock.method(Empresa, 'find', async () => [empresa]);
+
+  assert.equal((await resolverCredenciales({ empresaIds: [empresa._id] })).empresa, empresa);
+  assert.deepEqual(buscar.mock.calls[0].arguments[0], { _id: { $in: [empresa._id] }, activo: true });
+
+  buscar.mock.mockImplementation(async () => [empresa, crearEmpresa({ ruc: '3604076-2' })]);
+  await assert.rejects(
+    resolverCredenciales({ empresaIds: [empresa._id] }),
+    (error) => error instanceof ErrorCredenciales && /tiene 2 empresas: indique empresaId/.test(error.message)
+  );
+
+  await assert.rejects(resolverCredenciales({}), /Indique la empresa/);
+});
@@ -0,0 +1,152 @@
+/**
+ * Pruebas de los documentos recibidos: verificación de la firma (cadena hasta
+ * una CA confiable), del QR y de la importación a la empresa receptora
+ *
+ * Uso: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+
+// CA_CONFIABLES_DIR se lee al cargar el servicio
+const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'fepy-recibidos-'));
+const carpetaCAs = path.join(carpeta, 'ca-confiables');
+fs.mkdirSync(carpetaCAs);
+process.env.CA_CONFIABLES_DIR = carpetaCAs;
+
+const xmlVerificacionService = require('../services/xmlVerificacionService');
+const documentoRecibidoService = require('../services/documentoRecibidoService');
+const ReceivedDocument = require('../models/ReceivedDocument');
+const { validarFactura } = require('../services/procesarFacturaService');
+const xmlsign = require('facturacionelectronicapy-xmlsign').default;
+const qr = require('facturacionelectronicapy-qrgen').default;
+const factura = require('./fixtures/factura.json');
+
+function crearCertificado(sujeto, { emisor, clavesEmisor, esCA = false } = {}) {
+  const claves = forge.pki.rsa.generateKeyPair(2048);
+  const certificado = forge.pki.createCertificate();
+  certificado.publicKey = claves.publicKey;
+  certificado.serialNumber = esCA ? '01' : '02';
+  // Vigente a la fecha de emisión del DE de prueba
+  certificado.validity.notBefore = new Date('2020-01-01T00:00:00Z');
+  certificado.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  certificado.setSubject(sujeto);
+  certificado.setIssuer(emisor ? emisor.subject.attributes : sujeto);
+  certificado.setExtensions([{ name: 'basicConstraints', cA: esCA }]);
+  certificado.sign((clavesEmisor || claves).privateKey, forge.md.sha256.create());
+  return { certificado, claves };
+}
+
+function guardarP12({ certificado, claves }, nombre) {
+  const p12 = forge.pkcs12.toPkcs12Asn1(claves.privateKey, [certificado], 'prueba', { algorithm: '3des' });
+  const ruta = path.join(carpeta, nombre);
+  fs.writeFileSync(ruta, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+  return ruta;
+}
+
+async function generarDE(rutaP12) {
+  const generado = await validarFactura(factura, { ruc: factura.param.ruc });
+  const firmado = await xmlsign.signXML(generado.xml, rutaP12, 'prueba', true);
+  return qr.generateQR(firmado, '0001', 'ABCD0000000000000000000000000000', 'test');
+}
+
+const SUJETO_EMISOR = [
+  { name: 'commonName', value: 'EMPRESA DE PRUEBA S.A.' },
+  { name: 'serialNumber', value: `RUC${factura.param.ruc}` }
+];
+
+let xmlConfiable;
+let xmlAutofirmado;
+
+before(async () => {
+  const ca = crearCertificado([{ name: 'commonName', value: 'CA DE PRUEBA' }], { esCA: true });
+  fs.writeFileSync(path.join(carpetaCAs, 'ca.pem'), forge.pki.certificateToPem(ca.certificado));
+  const titular = crearCertificado(SUJETO_EMISOR, { emisor: ca.certificado, clavesEmisor: ca.claves });
+
+  xmlConfiable = await generarDE(guardarP12(titular, 'titular.p12'));
+  xmlAutofirmado = await generarDE(guardarP12(crearCertificado(SUJETO_EMISOR), 'autofirmado.p12'));
+});
+
+after(() => fs.rmSync(carpeta, { recursive: true, force: true }));
+
+test('firma de un certificado emitido por una CA confiable: válida y con el RUC del firmante', async () => {
+  const datos = await xmlVerificacionService.extraerDatosDE(xmlConfiable);
+
+  const firma = xmlVerificacionService.verificarFirma(xmlConfiable, { cdc: datos.cdc, fecha: datos.fechaEmision });
+
+  assert.equal(firma.valida, true, firma.mensaje);
+  assert.equal(firma.certificado.confiable, true);
+  assert.equal(firma.certificado.ruc, factura.param.ruc.split('-')[0]);
+});
+
+test('firma correcta con un certificado autofirmado: no es válida', async () => {
+  const datos = await xmlVerificacionService.extraerDatosDE(xmlAutofirmado);
+
+  const firma = xmlVerificacionService.verificarFirma(xmlAutofirmado, { cdc: datos.cdc, fecha: datos.fechaEmision });
+
+  assert.equal(firma.valida, false);
+  assert.match(firma.mensaje, /no fue emitido por una CA confiable/);
+});
+
+test('un DE modificado después de firmado no valida', async () => {
+  const datos = await xmlVerificacionService.extraerDatosDE(xmlConfiable);
+  const modificado = xmlConfiable.replace(/<dTotGralOpe>[^<]+</, '<dTotGralOpe>1<');
+
+  const firma = xmlVerificacionService.verificarFirma(modificado, { cdc: datos.cdc, fecha: datos.fechaEmision });
+
+  assert.equal(firma.valida, false);
+  assert.match(firma.mensaje, /no corresponde al contenido/);
+});
+
+test('el QR se verifica contra los datos del XML', async () => {
+  const datos = await xmlVerificacionService.extraerDatosDE(xmlConfiable);
+
+  assert.deepEqual(xmlVerificacionService.verificarQR(datos).errores, []);
+
+  const qrAlterado = xmlVerificacionService.verificarQR({ ...datos, totalTexto: '1', cantidadItems: 9 });
+  assert.equal(qrAlterado.valido, false);
+  assert.deepEqual(qrAlterado.errores, [
+    'El parámetro dTotGralOpe del QR no coincide con el documento',
+    'El parámetro cItems del QR no coincide con el documento'
+  ]);
+});
+
+test('extraerDEDeConsulta lee el rDE escapado de xContenDE', () => {
+  const respuesta = `<ns2:rEnviConsDeResponse><ns2:xContenDE>${xmlConfiable
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</ns2:xContenDE></ns2:rEnviConsDeResponse>`;
+
+  assert.equal(xmlVerificacionService.extraerDEDeConsulta(respuesta), xmlConfiable.match(/<rDE[\s>][\s\S]*<\/rDE>/)[0]);
+  assert.equal(xmlVerificacionService.extraerDEDeConsulta('<ns2:dCodRes>0420</ns2:dCodRes>'), null);
+});
+
+test('importarDocumento rechaza un DE emitido a otro receptor', async (t) => {
+  const crear = t.mock.method(ReceivedDocument, 'create', async () => ({}));
+
+  await assert.rejects(
+    documentoRecibidoService.importarDocumento({ _id: 'empresa', ruc: '80069563-1' }, { xml: xmlConfiable }),
+    (error) => error instanceof documentoRecibidoService.ErrorImportacion && /no fue emitido a la empresa 80069563-1/.test(error.message)
+  );
+  assert.equal(crear.mock.callCount(), 0);
+});
+
+test('importarDocumento guarda el DE con el resultado de la verificación', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const datos = await xmlVerificacionService.extraerDatosDE(xmlConfiable);
+  const empresa = { _id: 'empresa', ruc: `${datos.receptor.ruc}-${datos.receptor.dv}` };
+  t.mock.method(ReceivedDocument, 'findOne', async () => null);
+  const crear = t.mock.method(ReceivedDocument, 'create', async (documento) => documento);
+
+  const { documento, creado } = await documentoRecibidoService.importarDocumento(empresa, { xml: xmlConfiable });
+
+  assert.equal(creado, true);
+  assert.equal(documento.cdc, datos.cdc);
+  assert.equal(documento.origen, 'xml');
+  assert.equal(documento.verificacion.firmaValida, true);
+  assert.equal(documento.verificacion.qrValido, true);
+  assert.equal(documento.verificacion.firmanteCoincide, true);
+  assert.equal(crear.mock.callCount(), 1);
+});
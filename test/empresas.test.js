@@ -0,0 +1,141 @@
+/**
+ * Pruebas del alcance por empresa (middleware/empresas): filtros, facturas de
+ * otra empresa y API Keys asociadas a una empresa
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Empresa = require('../models/Empresa');
+const Invoice = require('../models/Invoice');
+const ApiKey = require('../models/ApiKey');
+const invoiceRoutes = require('../routes/invoices');
+const apiKeyController = require('../controllers/apiKeyController');
+const { resolverEmpresas, filtroEmpresas, empresaPermitida } = require('../middleware/empresas');
+
+const idA = new mongoose.Types.ObjectId();
+const idB = new mongoose.Types.ObjectId();
+const idOtra = new mongoose.Types.ObjectId();
+
+// Empresa.find(...).select('_id') sin base de datos: registra el filtro recibido
+function simularEmpresaFind(t, ids) {
+  const filtros = [];
+  t.mock.method(Empresa, 'find', (filtro) => {
+    filtros.push(filtro);
+    return { select: async () => ids.map(_id => ({ _id })) };
+  });
+  return filtros;
+}
+
+// Respuesta de Express mínima: guarda el status y el cuerpo
+function crearRespuesta() {
+  return {
+    statusCode: 200,
+    status(codigo) { this.statusCode = codigo; return this; },
+    json(cuerpo) { this.body = cuerpo; return this; }
+  };
+}
+
+// Handler final de una ruta del router (sin sus middlewares ni los de router.use)
+function handlerDe(router, metodo, ruta) {
+  const capa = router.stack.find(capa => capa.route?.path === ruta && capa.route.methods[metodo]);
+  return capa.route.stack[capa.route.stack.length - 1].handle;
+}
+
+function resolver(req) {
+  return new Promise((resolve) => resolverEmpresas(req, {}, resolve));
+}
+
+test('filtroEmpresas exige resolverEmpresas', () => {
+  assert.throws(() => filtroEmpresas({}), /resolverEmpresas/);
+});
+
+test('filtroEmpresas filtra por las empresas permitidas', () => {
+  const req = { empresaIds: [idA, idB] };
+
+  assert.deepEqual(filtroEmpresas(req), { empresaId: { $in: [idA, idB] } });
+  assert.deepEqual(filtroEmpresas(req, '_id'), { _id: { $in: [idA, idB] } });
+});
+
+test('empresaPermitida solo acepta empresas del alcance', () => {
+  const req = { empresaIds: [idA, idB] };
+
+  assert.equal(empresaPermitida(req, idA), true);
+  assert.equal(empresaPermitida(req, idB.toString()), true);
+  assert.equal(empresaPermitida(req, idOtra), false);
+  assert.equal(empresaPermitida(req, 'no-es-un-id'), false);
+  assert.equal(empresaPermitida(req, null), false);
+});
+
+test('resolverEmpresas con JWT: empresas asignadas al usuario', async (t) => {
+  const filtros = simularEmpresaFind(t, [idA, idB]);
+  const usuario = { _id: new mongoose.Types.ObjectId() };
+  const req = { usuario };
+
+  await resolver(req);
+
+  assert.deepEqual(filtros, [{ usuarios: usuario._id }]);
+  assert.deepEqual(req.empresaIds, [idA, idB]);
+});
+
+test('resolverEmpresas con API Key de una empresa: solo esa empresa', async (t) => {
+  const filtros = simularEmpresaFind(t, [idA]);
+  const usuario = { _id: new mongoose.Types.ObjectId() };
+  const req = { usuario, apiKey: { empresaId: idA } };
+
+  await resolver(req);
+
+  assert.deepEqual(filtros, [{ usuarios: usuario._id, _id: idA }]);
+  assert.deepEqual(filtroEmpresas(req), { empresaId: { $in: [idA] } });
+  assert.equal(empresaPermitida(req, idB), false);
+});
+
+test('resolverEmpresas no vuelve a consultar si ya se resolvió', async (t) => {
+  const filtros = simularEmpresaFind(t, [idA]);
+  const req = { usuario: { _id: new mongoose.Types.ObjectId() }, empresaIds: [idB] };
+
+  await resolver(req);
+
+  assert.equal(filtros.length, 0);
+  assert.deepEqual(req.empresaIds, [idB]);
+});
+
+test('una API Key de una empresa no lee las facturas de otra', async (t) => {
+  simularEmpresaFind(t, [idA]);
+  const facturaOtra = { _id: new mongoose.Types.ObjectId(), empresaId: idOtra };
+  // Invoice.findOne respeta el filtro por empresa como lo haría MongoDB
+  const buscar = t.mock.method(Invoice, 'findOne', async (filtro) => (
+    filtro.empresaId.$in.some(id => id.equals(facturaOtra.empresaId)) ? facturaOtra : null
+  ));
+  const req = {
+    usuario: { _id: new mongoose.Types.ObjectId() },
+    apiKey: { empresaId: idA },
+    params: { id: String(facturaOtra._id) }
+  };
+  await resolver(req);
+  const res = crearRespuesta();
+
+  await handlerDe(invoiceRoutes, 'get', '/:id')(req, res);
+
+  assert.equal(res.statusCode, 404);
+  assert.deepEqual(buscar.mock.calls[0].arguments[0], { _id: String(facturaOtra._id), empresaId: { $in: [idA] } });
+});
+
+test('crearApiKey solo asocia la key a una empresa permitida', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const guardar = t.mock.method(ApiKey.prototype, 'save', async function () { return this; });
+  const usuario = { _id: new mongoose.Types.ObjectId() };
+
+  const rechazada = crearRespuesta();
+  await apiKeyController.crearApiKey({ body: { nombre: 'ERP', empresaId: String(idOtra) }, usuario, empresaIds: [idA] }, rechazada);
+  assert.equal(rechazada.statusCode, 404);
+  assert.equal(guardar.mock.callCount(), 0);
+
+  const creada = crearRespuesta();
+  await apiKeyController.crearApiKey({ body: { nombre: 'ERP', empresaId: String(idA) }, usuario, empresaIds: [idA] }, creada);
+  assert.equal(creada.statusCode, 201);
+  assert.ok(guardar.mock.calls[0].this.empresaId.equals(idA));
+});
@@ -0,0 +1,123 @@
+/**
+ * Pruebas de eventoService: XML del evento de inutilización, rangos no
+ * disponibles y plazo de cancelación
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Invoice = require('../models/Invoice');
+const Evento = require('../models/Evento');
+const Empresa = require('../models/Empresa');
+const eventoService = require('../services/eventoService');
+
+const RANGO = {
+  timbrado: '12558946',
+  establecimiento: '001',
+  punto: '001',
+  tipoDocumento: 1,
+  desde: 5,
+  hasta: 12
+};
+
+const empresa = { _id: new mongoose.Types.ObjectId(), ruc: '3604076-1' };
+
+test('generarXMLEventoInutilizacion arma rGeVeInu con los números de 7 dígitos', () => {
+  const xml = eventoService.generarXMLEventoInutilizacion({ ...RANGO, motivo: 'Salto de numeración' });
+
+  assert.match(xml, /<dTiGDE>2<\/dTiGDE>/);
+  assert.match(xml, /<dNumTim>12558946<\/dNumTim>/);
+  assert.match(xml, /<dNumIn>0000005<\/dNumIn>/);
+  assert.match(xml, /<dNumFin>0000012<\/dNumFin>/);
+  assert.match(xml, /<iTiDE>1<\/iTiDE>/);
+});
+
+test('el motivo se escapa en el XML', () => {
+  const xml = eventoService.generarXMLEventoInutilizacion({ ...RANGO, motivo: 'Error <sistema> & "otros"' });
+
+  assert.match(xml, /<mOtEve>Error &lt;sistema&gt; &amp; &quot;otros&quot;<\/mOtEve>/);
+});
+
+test('un rango con documentos emitidos no se inutiliza', async (t) => {
+  let filtro;
+  t.mock.method(Invoice, 'find', (recibido) => {
+    filtro = recibido;
+    return { select: () => ({ limit: async () => [{ correlativo: '001-001-0000007', estadoSifen: 'aceptado' }] }) };
+  });
+  const findOne = t.mock.method(Evento, 'findOne', async () => null);
+
+  await assert.rejects(
+    eventoService.inutilizarNumeracion({ ...RANGO, empresa, motivo: 'Salto' }),
+    (error) => error instanceof eventoService.ErrorRangoNoDisponible && /001-001-0000007/.test(error.message)
+  );
+  assert.deepEqual(filtro['numeracion.numero'], { $gte: 5, $lte: 12 });
+  assert.deepEqual(filtro.estadoSifen, { $nin: ['rechazado'] });
+  assert.equal(findOne.mock.callCount(), 0);
+});
+
+test('un rango que se superpone con una inutilización registrada no se inutiliza', async (t) => {
+  t.mock.method(Invoice, 'find', () => ({ select: () => ({ limit: async () => [] }) }));
+  t.mock.method(Evento, 'findOne', async () => ({ inutilizacion: { desde: 10, hasta: 20 } }));
+
+  await assert.rejects(
+    eventoService.inutilizarNumeracion({ ...RANGO, empresa, motivo: 'Salto' }),
+    (error) => error instanceof eventoService.ErrorRangoNoDisponible && /10 al 20/.test(error.message)
+  );
+});
+
+const HORA = 60 * 60 * 1000;
+
+test('cancelación de una factura: 48 horas desde fechaProceso (hora de Paraguay)', () => {
+  const invoice = { tipoDocumento: 1, fechaProceso: '2026-03-03-18:51:18' };
+  const fechaLimite = new Date('2026-03-05T21:51:18Z');
+
+  const dentro = eventoService.verificarPlazoCancelacion(invoice, new Date(fechaLimite.getTime() - 1000));
+  assert.equal(dentro.permitido, true);
+  assert.equal(dentro.plazoHoras, 48);
+  assert.deepEqual(dentro.fechaLimite, fechaLimite);
+  assert.equal(dentro.motivo, null);
+
+  const fuera = eventoService.verificarPlazoCancelacion(invoice, new Date(fechaLimite.getTime() + 1000));
+  assert.equal(fuera.permitido, false);
+  assert.match(fuera.motivo, /48 horas/);
+});
+
+test('cancelación de una nota de crédito: 168 horas', () => {
+  const fechaEnvio = new Date('2026-03-01T12:00:00Z');
+  const invoice = { tipoDocumento: 5, fechaEnvio };
+
+  const plazo = eventoService.verificarPlazoCancelacion(invoice, new Date(fechaEnvio.getTime() + 100 * HORA));
+
+  assert.equal(plazo.plazoHoras, 168);
+  assert.equal(plazo.permitido, true);
+});
+
+test('sin fecha de aprobación la cancelación no se permite', () => {
+  const plazo = eventoService.verificarPlazoCancelacion({ tipoDocumento: 1 });
+
+  assert.equal(plazo.permitido, false);
+  assert.equal(plazo.fechaLimite, null);
+  assert.match(plazo.motivo, /fechaProceso/);
+});
+
+test('enviarEvento rechaza la cancelación fuera de plazo sin registrar el evento', async (t) => {
+  t.mock.method(Invoice, 'findById', async () => ({
+    _id: new mongoose.Types.ObjectId(),
+    cdc: '01036040761001001000000722026030311234567892',
+    estadoSifen: 'aceptado',
+    tipoDocumento: 1,
+    fechaEnvio: new Date(Date.now() - 49 * HORA)
+  }));
+  const findEmpresa = t.mock.method(Empresa, 'findById', async () => null);
+  const guardarEvento = t.mock.method(Evento.prototype, 'save', async function () { return this; });
+
+  await assert.rejects(
+    eventoService.enviarEvento({ invoiceId: 'factura', tipoEvento: eventoService.TIPOS_EVENTO.CANCELACION, descripcion: 'Error' }),
+    (error) => error instanceof eventoService.ErrorPlazoCancelacion && error.plazoHoras === 48
+  );
+  assert.equal(findEmpresa.mock.callCount(), 0);
+  assert.equal(guardarEvento.mock.callCount(), 0);
+});
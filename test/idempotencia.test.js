@@ -0,0 +1,145 @@
+/**
+ * Pruebas del middleware de idempotencia (cabecera Idempotency-Key)
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotencia, calcularHuella } = require('../middleware/idempotencia');
+
+const BODY = { param: { ruc: '3604076-1' }, data: { numero: '0000001', items: [1, 2] } };
+
+function crearReq(body = BODY, clave = 'clave-1') {
+  return {
+    get: (cabecera) => (cabecera === 'Idempotency-Key' ? clave : undefined),
+    method: 'POST',
+    baseUrl: '/api/facturar',
+    path: '/crear',
+    body,
+    usuario: { _id: 'usuario-1' }
+  };
+}
+
+function crearRes() {
+  return {
+    statusCode: 200,
+    cabeceras: {},
+    status(codigo) { this.statusCode = codigo; return this; },
+    set(nombre, valor) { this.cabeceras[nombre] = valor; return this; },
+    json(cuerpo) { this.cuerpo = cuerpo; return this; }
+  };
+}
+
+// Ejecuta el middleware y devuelve si llamó a next()
+async function ejecutar(req, res) {
+  let siguio = false;
+  await idempotencia(req, res, () => { siguio = true; });
+  return siguio;
+}
+
+// La clave ya existe: create falla con clave duplicada y findOne devuelve el registro
+function claveExistente(t, existente) {
+  t.mock.method(IdempotencyKey, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  t.mock.method(IdempotencyKey, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId(), ...existente }));
+}
+
+test('la huella no depende del orden de las claves del body', () => {
+  assert.equal(calcularHuella({ a: 1, b: { c: 2, d: 3 } }), calcularHuella({ b: { d: 3, c: 2 }, a: 1 }));
+  assert.notEqual(calcularHuella({ a: 1 }), calcularHuella({ a: 2 }));
+});
+
+test('primera solicitud: se procesa y se guarda la respuesta 2xx', async (t) => {
+  const registro = { _id: new mongoose.Types.ObjectId(), fechaInicio: new Date() };
+  const create = t.mock.method(IdempotencyKey, 'create', async () => registro);
+  const updateOne = t.mock.method(IdempotencyKey, 'updateOne', async () => {});
+  const res = crearRes();
+
+  assert.equal(await ejecutar(crearReq(), res), true);
+  assert.equal(create.mock.calls[0].arguments[0].huella, calcularHuella(BODY));
+
+  res.status(202).json({ success: true, data: { facturaId: 'f1' } });
+
+  const [filtro, cambios] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filtro, { _id: registro._id, fechaInicio: registro.fechaInicio });
+  assert.equal(cambios.estado, 'completada');
+  assert.equal(cambios.codigoHttp, 202);
+});
+
+test('una respuesta con error libera la clave', async (t) => {
+  t.mock.method(IdempotencyKey, 'create', async () => ({ _id: new mongoose.Types.ObjectId(), fechaInicio: new Date() }));
+  const deleteOne = t.mock.method(IdempotencyKey, 'deleteOne', async () => {});
+  const res = crearRes();
+
+  await ejecutar(crearReq(), res);
+  res.status(400).json({ success: false });
+
+  assert.equal(deleteOne.mock.callCount(), 1);
+});
+
+test('reintento con el mismo body: devuelve la respuesta original', async (t) => {
+  claveExistente(t, {
+    huella: calcularHuella(BODY),
+    estado: 'completada',
+    codigoHttp: 202,
+    respuesta: { success: true, data: { facturaId: 'f1' } }
+  });
+  const res = crearRes();
+
+  assert.equal(await ejecutar(crearReq(), res), false);
+  assert.equal(res.statusCode, 202);
+  assert.deepEqual(res.cuerpo, { success: true, data: { facturaId: 'f1' } });
+  assert.equal(res.cabeceras['Idempotent-Replayed'], 'true');
+});
+
+test('misma clave con otro body: 422', async (t) => {
+  claveExistente(t, { huella: calcularHuella(BODY), estado: 'completada', codigoHttp: 202, respuesta: {} });
+  const res = crearRes();
+
+  assert.equal(await ejecutar(crearReq({ ...BODY, data: { numero: '0000002' } }), res), false);
+  assert.equal(res.statusCode, 422);
+  assert.equal(res.cuerpo.error, 'Conflicto de Idempotency-Key');
+});
+
+test('misma clave mientras la original sigue en proceso: 409', async (t) => {
+  claveExistente(t, { huella: calcularHuella(BODY), estado: 'en_proceso', fechaInicio: new Date() });
+  const findOneAndUpdate = t.mock.method(IdempotencyKey, 'findOneAndUpdate', async () => null);
+  const res = crearRes();
+
+  assert.equal(await ejecutar(crearReq(), res), false);
+  assert.equal(res.statusCode, 409);
+  assert.equal(findOneAndUpdate.mock.callCount(), 0);
+});
+
+test('clave abandonada en proceso: el reintento la toma y se procesa', async (t) => {
+  const fechaInicio = new Date(Date.now() - 10 * 60 * 1000);
+  claveExistente(t, { huella: calcularHuella(BODY), estado: 'en_proceso', fechaInicio });
+  const tomada = { _id: new mongoose.Types.ObjectId(), fechaInicio: new Date() };
+  const findOneAndUpdate = t.mock.method(IdempotencyKey, 'findOneAndUpdate', async () => tomada);
+  const updateOne = t.mock.method(IdempotencyKey, 'updateOne', async () => {});
+  const res = crearRes();
+
+  assert.equal(await ejecutar(crearReq(), res), true);
+
+  // Solo la toma quien leyó la misma fechaInicio
+  const [filtro] = findOneAndUpdate.mock.calls[0].arguments;
+  assert.equal(filtro.estado, 'en_proceso');
+  assert.equal(filtro.fechaInicio, fechaInicio);
+
+  res.status(202).json({ success: true });
+  assert.deepEqual(updateOne.mock.calls[0].arguments[0], { _id: tomada._id, fechaInicio: tomada.fechaInicio });
+});
+
+test('clave abandonada tomada por otra solicitud: 409', async (t) => {
+  claveExistente(t, { huella: calcularHuella(BODY), estado: 'en_proceso', fechaInicio: new Date(Date.now() - 10 * 60 * 1000) });
+  t.mock.method(IdempotencyKey, 'findOneAndUpdate', async () => null);
+  const res = crearRes();
+
+  assert.equal(await ejecutar(crearReq(), res), false);
+  assert.equal(res.statusCode, 409);
+});
@@ -0,0 +1,159 @@
+/**
+ * Pruebas de loteService: armado de lotes y consulta por CDC de los DE
+ * que el lote deja sin resultado
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+process.env.LOTE_MAX_CONSULTAS = '2';
+
+// Cola de lotes sin Redis: registra los jobs encolados
+const trabajos = [];
+const rutaColas = require.resolve('../queues/facturaQueue');
+require.cache[rutaColas] = {
+  id: rutaColas,
+  filename: rutaColas,
+  loaded: true,
+  exports: { loteQueue: { add: async (...args) => trabajos.push(args) } }
+};
+
+const Lote = require('../models/Lote');
+const Invoice = require('../models/Invoice');
+const Empresa = require('../models/Empresa');
+const OperationLog = require('../models/OperationLog');
+const certificadoService = require('../services/certificadoService');
+const setApi = require('../services/setapi-wrapper');
+const webhookService = require('../services/webhookService');
+const loteService = require('../services/loteService');
+
+const CDC_1 = '01036040761001001000000122025010110000000013';
+const CDC_2 = '01036040761001001000000222025010110000000028';
+
+function crearFactura(cdc, correlativo) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    cdc,
+    correlativo,
+    estadoSifen: 'enviado',
+    save: async () => {}
+  };
+}
+
+// Lote 'enviado' con sus facturas y la SET simulada
+function prepararConsulta(t, { respuestaLote, respuestaCDC, intentosConsulta = 0 }) {
+  const facturas = [crearFactura(CDC_1, '001-001-0000001'), crearFactura(CDC_2, '001-001-0000002')];
+  const lote = {
+    _id: new mongoose.Types.ObjectId(),
+    empresaId: new mongoose.Types.ObjectId(),
+    estado: 'enviado',
+    protocolo: '123456',
+    intentosConsulta,
+    save: async () => {}
+  };
+  const consultados = [];
+
+  t.mock.method(Lote, 'findById', async () => lote);
+  t.mock.method(Empresa, 'findById', async () => ({
+    ruc: '3604076-1',
+    configuracionSifen: { modo: 'test' },
+    certificado: { activo: true, contrasena: 'cifrada' },
+    certificadoVencido: () => false
+  }));
+  t.mock.method(certificadoService, 'descifrarContrasena', () => 'clave');
+  t.mock.method(certificadoService, 'rutaParaFirma', () => '/tmp/fepy-secretos/certificado.p12');
+  t.mock.method(Invoice, 'find', async () => facturas);
+  t.mock.method(OperationLog, 'create', async () => {});
+  t.mock.method(webhookService, 'notificarEstadoFactura', async () => 0);
+  t.mock.getter(setApi, 'consultaLote', () => async () => respuestaLote);
+  t.mock.getter(setApi, 'consulta', () => async (id, cdc) => {
+    consultados.push(cdc);
+    return respuestaCDC;
+  });
+
+  return { lote, facturas, consultados };
+}
+
+test('crearLotes divide las facturas en lotes de hasta 50 DE y encola cada uno', async (t) => {
+  trabajos.length = 0;
+  const empresa = { _id: new mongoose.Types.ObjectId(), ruc: '3604076-1' };
+  const facturas = Array.from({ length: 120 }, () => ({ _id: new mongoose.Types.ObjectId() }));
+  t.mock.method(Lote, 'create', async (datos) => ({ _id: new mongoose.Types.ObjectId(), ...datos }));
+  const asignaciones = t.mock.method(Invoice, 'updateMany', async () => {});
+
+  const lotes = await loteService.crearLotes(empresa, facturas);
+
+  assert.deepEqual(lotes.map(lote => lote.invoiceIds.length), [50, 50, 20]);
+  assert.ok(lotes.every(lote => lote.empresaId === empresa._id && lote.rucEmpresa === empresa.ruc));
+  assert.deepEqual(lotes.flatMap(lote => lote.invoiceIds), facturas.map(f => f._id));
+  assert.equal(asignaciones.mock.callCount(), 3);
+  assert.deepEqual(
+    trabajos.map(([nombre, datos, opciones]) => [nombre, datos.loteId, opciones.jobId]),
+    lotes.map(lote => ['enviar-lote', lote._id.toString(), `lote-${lote._id}`])
+  );
+});
+
+test('lote concluido: el DE ausente en gResProcLote se consulta por CDC', async (t) => {
+  const { facturas, consultados } = prepararConsulta(t, {
+    respuestaLote: `<ns2:dCodResLot>0362</ns2:dCodResLot>
+      <ns2:gResProcLote><ns2:id>${CDC_1}</ns2:id><ns2:dEstRes>Aprobado</ns2:dEstRes><ns2:dCodRes>0260</ns2:dCodRes></ns2:gResProcLote>`,
+    respuestaCDC: '<ns2:dCodRes>0422</ns2:dCodRes><ns2:dMsgRes>CDC encontrado</ns2:dMsgRes>'
+  });
+
+  const resultado = await loteService.consultarLote('lote');
+
+  assert.equal(resultado.estado, 'concluido');
+  assert.deepEqual(consultados, [CDC_2]);
+  assert.equal(resultado.consultaIndividual.revisadas, 1);
+  assert.equal(resultado.consultaIndividual.actualizadas, 1);
+  assert.equal(facturas[0].estadoSifen, 'aceptado');
+  assert.equal(facturas[1].estadoSifen, 'aceptado');
+  assert.equal(facturas[1].codigoRetorno, '0422');
+});
+
+test('máximo de consultas alcanzado: los DE pendientes se consultan por CDC', async (t) => {
+  const { lote, facturas, consultados } = prepararConsulta(t, {
+    intentosConsulta: 1,
+    respuestaLote: '<ns2:dCodResLot>0361</ns2:dCodResLot>',
+    respuestaCDC: '<ns2:dCodRes>0420</ns2:dCodRes><ns2:dMsgRes>CDC inexistente</ns2:dMsgRes>'
+  });
+
+  const resultado = await loteService.consultarLote('lote');
+
+  assert.equal(lote.estado, 'error');
+  assert.equal(resultado.pendiente, false);
+  assert.deepEqual(consultados, [CDC_1, CDC_2]);
+  assert.deepEqual(facturas.map(f => [f.estadoSifen, f.estadoVisual]), [['error', 'error'], ['error', 'error']]);
+});
+
+test('consulta extemporánea (0364): sin estado final por CDC, los DE siguen en enviado', async (t) => {
+  const { facturas, consultados } = prepararConsulta(t, {
+    respuestaLote: '<ns2:dCodResLot>0364</ns2:dCodResLot>',
+    respuestaCDC: '<ns2:dCodRes>0361</ns2:dCodRes>'
+  });
+
+  const resultado = await loteService.consultarLote('lote');
+
+  assert.equal(resultado.estado, 'error');
+  assert.deepEqual(consultados, [CDC_1, CDC_2]);
+  assert.equal(resultado.consultaIndividual.revisadas, 2);
+  assert.equal(resultado.consultaIndividual.actualizadas, 0);
+  assert.ok(facturas.every(f => f.estadoSifen === 'enviado'));
+});
+
+test('lote inexistente (0360): los DE se marcan con error sin consultar por CDC', async (t) => {
+  const { facturas, consultados } = prepararConsulta(t, {
+    respuestaLote: '<ns2:dCodResLot>0360</ns2:dCodResLot>',
+    respuestaCDC: '<ns2:dCodRes>0422</ns2:dCodRes>'
+  });
+
+  const resultado = await loteService.consultarLote('lote');
+
+  assert.equal(resultado.estado, 'rechazado');
+  assert.equal(resultado.consultaIndividual, null);
+  assert.deepEqual(consultados, []);
+  assert.ok(facturas.every(f => f.estadoSifen === 'error'));
+});
@@ -0,0 +1,68 @@
+/**
+ * Pruebas de las notas de crédito y débito: saldo del documento asociado
+ * y bloqueo del registro de notas
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Invoice = require('../models/Invoice');
+
+test('calcularMontosNotas descuenta las NC, suma las ND e ignora las anuladas', async (t) => {
+  const original = { _id: new mongoose.Types.ObjectId(), total: 100000 };
+  let filtro;
+  t.mock.method(Invoice, 'find', (recibido) => {
+    filtro = recibido;
+    return {
+      select: async () => [
+        { tipoDocumento: 5, total: 30000 },
+        { tipoDocumento: 5, total: 20000 },
+        { tipoDocumento: 6, total: 5000 }
+      ]
+    };
+  });
+
+  const montos = await Invoice.calcularMontosNotas(original);
+
+  assert.deepEqual(montos, { montoAcreditado: 50000, montoDebitado: 5000, saldo: 55000 });
+  assert.deepEqual(filtro, {
+    'documentoAsociado.invoiceId': original._id,
+    estadoSifen: { $nin: ['rechazado', 'error'] }
+  });
+});
+
+test('bloquearNotas solo toma un bloqueo libre o vencido', async (t) => {
+  const invoiceId = new mongoose.Types.ObjectId();
+  const updateOne = t.mock.method(Invoice, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  const hasta = await Invoice.bloquearNotas(invoiceId);
+
+  assert.ok(hasta > new Date());
+  const [filtro, cambios] = updateOne.mock.calls[0].arguments;
+  assert.equal(filtro._id, invoiceId);
+  assert.equal(filtro.$or[0].bloqueoNotasHasta, null);
+  assert.ok(filtro.$or[1].bloqueoNotasHasta.$lte <= new Date());
+  assert.deepEqual(cambios, { $set: { bloqueoNotasHasta: hasta } });
+});
+
+test('bloquearNotas devuelve null si otro registro tiene el bloqueo', async (t) => {
+  t.mock.method(Invoice, 'updateOne', async () => ({ modifiedCount: 0 }));
+
+  assert.equal(await Invoice.bloquearNotas(new mongoose.Types.ObjectId()), null);
+});
+
+test('liberarNotas solo libera el bloqueo propio', async (t) => {
+  const invoiceId = new mongoose.Types.ObjectId();
+  const hasta = new Date();
+  const updateOne = t.mock.method(Invoice, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+  await Invoice.liberarNotas(invoiceId, hasta);
+
+  assert.deepEqual(updateOne.mock.calls[0].arguments, [
+    { _id: invoiceId, bloqueoNotasHasta: hasta },
+    { $unset: { bloqueoNotasHasta: 1 } }
+  ]);
+});
@@ -0,0 +1,148 @@
+/**
+ * Pruebas de numeracionService: asignación de números, números del cliente
+ * y detección de huecos
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Numeracion = require('../models/Numeracion');
+const Invoice = require('../models/Invoice');
+const Evento = require('../models/Evento');
+const numeracionService = require('../services/numeracionService');
+
+const empresa = {
+  _id: new mongoose.Types.ObjectId(),
+  ruc: '3604076-1',
+  configuracionSifen: { timbrado: '12558946' }
+};
+
+function factura(numero) {
+  return { param: {}, data: { establecimiento: '1', punto: '1', ...(numero !== undefined && { numero }) } };
+}
+
+function serie(ultimoNumero) {
+  return { ...numeracionService.obtenerSerie(factura(), empresa), ultimoNumero };
+}
+
+test('obtenerSerie normaliza establecimiento y punto', () => {
+  assert.deepEqual(numeracionService.obtenerSerie(factura(), empresa), {
+    empresaId: empresa._id,
+    timbrado: '12558946',
+    establecimiento: '001',
+    punto: '001',
+    tipoDocumento: 1
+  });
+});
+
+test('sin data.numero: el servidor asigna el siguiente número', async (t) => {
+  t.mock.method(Numeracion, 'exists', async () => ({ _id: 'serie' }));
+  t.mock.method(Numeracion, 'findOneAndUpdate', async () => ({ ultimoNumero: 42 }));
+  const datos = factura();
+
+  const numero = await numeracionService.asignarNumero(datos, empresa);
+
+  assert.equal(numero, 42);
+  assert.equal(datos.data.numero, '0000042');
+});
+
+test('serie agotada: ErrorNumeracion y el contador no queda por encima del máximo', async (t) => {
+  t.mock.method(Numeracion, 'exists', async () => ({ _id: 'serie' }));
+  t.mock.method(Numeracion, 'findOneAndUpdate', async () => ({ _id: 'serie', ultimoNumero: Numeracion.NUMERO_MAXIMO + 1 }));
+  const updateOne = t.mock.method(Numeracion, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  await assert.rejects(
+    numeracionService.asignarNumero(factura(), empresa),
+    (error) => error instanceof numeracionService.ErrorNumeracion && /número máximo/.test(error.message)
+  );
+  assert.deepEqual(updateOne.mock.calls[0].arguments[1], { $inc: { ultimoNumero: -1 } });
+});
+
+test('número del cliente cercano al contador: lo adelanta', async (t) => {
+  const updateOne = t.mock.method(Numeracion, 'updateOne', async () => ({ matchedCount: 1 }));
+
+  assert.equal(await numeracionService.asignarNumero(factura('0000050'), empresa), null);
+
+  const [filtro, cambios] = updateOne.mock.calls[0].arguments;
+  assert.deepEqual(filtro.ultimoNumero, { $gte: 50 - 100 });
+  assert.deepEqual(cambios, { $max: { ultimoNumero: 50 } });
+});
+
+test('número del cliente muy por encima del contador: se rechaza sin tocar la serie', async (t) => {
+  t.mock.method(Numeracion, 'updateOne', async () => ({ matchedCount: 0 }));
+  t.mock.method(Numeracion, 'findOne', async () => serie(10));
+
+  await assert.rejects(
+    numeracionService.asignarNumero(factura('9999999'), empresa),
+    (error) => error instanceof numeracionService.ErrorNumeracion && /supera en más de 100/.test(error.message)
+  );
+});
+
+test('número del cliente sin contador creado: se acepta', async (t) => {
+  t.mock.method(Numeracion, 'updateOne', async () => ({ matchedCount: 0 }));
+  t.mock.method(Numeracion, 'findOne', async () => null);
+
+  assert.equal(await numeracionService.asignarNumero(factura('9999999'), empresa), null);
+});
+
+test('dry-run: el número del cliente se verifica sin modificar el contador', async (t) => {
+  const updateOne = t.mock.method(Numeracion, 'updateOne', async () => ({ matchedCount: 1 }));
+  t.mock.method(Numeracion, 'exists', async () => null);
+  t.mock.method(Numeracion, 'findOne', async () => serie(10));
+
+  await assert.rejects(
+    numeracionService.asignarNumero(factura('5000'), empresa, { reservar: false }),
+    numeracionService.ErrorNumeracion
+  );
+  assert.equal(updateOne.mock.callCount(), 0);
+});
+
+test('numeración automática: se rechaza el número enviado por el cliente', async () => {
+  const automatica = { ...empresa, configuracionSifen: { ...empresa.configuracionSifen, numeracionAutomatica: true } };
+
+  await assert.rejects(
+    numeracionService.asignarNumero(factura('0000001'), automatica),
+    numeracionService.ErrorNumeracion
+  );
+});
+
+test('detectarHuecos agrupa los números sin documento válido en rangos', async (t) => {
+  const distinct = t.mock.method(Invoice, 'distinct', async () => [5, 1, 2, 7]);
+  t.mock.method(Evento, 'find', () => ({ select: async () => [] }));
+
+  const resultado = await numeracionService.detectarHuecos(serie(10));
+
+  assert.deepEqual(resultado.huecos, [
+    { desde: 3, hasta: 4 },
+    { desde: 6, hasta: 6 },
+    { desde: 8, hasta: 10 }
+  ]);
+  assert.equal(resultado.totalHuecos, 6);
+
+  // Los documentos rechazados no ocupan su número
+  const [, filtro] = distinct.mock.calls[0].arguments;
+  assert.deepEqual(filtro.estadoSifen, { $nin: ['rechazado'] });
+  assert.deepEqual(filtro['numeracion.numero'], { $gte: 1, $lte: 10 });
+});
+
+test('detectarHuecos sin huecos', async (t) => {
+  t.mock.method(Invoice, 'distinct', async () => [1, 2, 3]);
+  t.mock.method(Evento, 'find', () => ({ select: async () => [] }));
+
+  assert.deepEqual(await numeracionService.detectarHuecos(serie(3)), { huecos: [], totalHuecos: 0 });
+});
+
+test('detectarHuecos descuenta los rangos inutilizados ante la SET', async (t) => {
+  t.mock.method(Invoice, 'distinct', async () => [1, 10]);
+  t.mock.method(Evento, 'find', () => ({
+    select: async () => [{ inutilizacion: { desde: 2, hasta: 4 } }, { inutilizacion: { desde: 6, hasta: 6 } }]
+  }));
+
+  const resultado = await numeracionService.detectarHuecos(serie(10));
+
+  assert.deepEqual(resultado.huecos, [{ desde: 5, hasta: 5 }, { desde: 7, hasta: 9 }]);
+  assert.equal(resultado.totalHuecos, 4);
+});
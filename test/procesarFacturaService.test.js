@@ -0,0 +1,60 @@
+/**
+ * Pruebas de validarFactura (POST /api/facturar/validar): generación del XML
+ * sin firmar ni enviar y errores por campo
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validarFactura } = require('../services/procesarFacturaService');
+const factura = require('./fixtures/factura.json');
+
+const EMPRESA = { ruc: factura.param.ruc };
+
+function copiaFactura() {
+  return JSON.parse(JSON.stringify(factura));
+}
+
+test('una factura válida devuelve el CDC y el XML sin firmar', async () => {
+  const resultado = await validarFactura(factura, EMPRESA);
+
+  assert.equal(resultado.valido, true);
+  assert.deepEqual(resultado.errores, []);
+  assert.match(resultado.cdc, /^\d{44}$/);
+  assert.ok(resultado.xml.includes(`<DE Id="${resultado.cdc}"`));
+  assert.ok(!resultado.xml.includes('<Signature'));
+});
+
+test('no modifica los datos recibidos', async () => {
+  const datos = copiaFactura();
+
+  await validarFactura(datos, EMPRESA);
+
+  assert.deepEqual(datos, factura);
+});
+
+test('sin cliente ni items: errores por campo sin llegar a generar el XML', async () => {
+  const datos = copiaFactura();
+  delete datos.data.cliente;
+  datos.data.items = [];
+
+  const resultado = await validarFactura(datos, EMPRESA);
+
+  assert.equal(resultado.valido, false);
+  assert.equal(resultado.cdc, null);
+  assert.deepEqual(resultado.errores.map(error => error.campo), ['data.cliente', 'data.items']);
+});
+
+test('los errores de xmlgen se devuelven separados y con el campo indicado', async () => {
+  const datos = copiaFactura();
+  delete datos.data.establecimiento;
+
+  const resultado = await validarFactura(datos, EMPRESA);
+
+  assert.equal(resultado.valido, false);
+  assert.ok(resultado.errores.length >= 1);
+  assert.ok(resultado.errores.every(error => error.campo === 'param.establecimientos'));
+  assert.ok(resultado.errores.every(error => !error.mensaje.includes('\n')));
+});
@@ -0,0 +1,117 @@
+/**
+ * Pruebas de reconciliacionService y del mapeo de estados de la consulta por CDC
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Invoice = require('../models/Invoice');
+const Empresa = require('../models/Empresa');
+const Lote = require('../models/Lote');
+const OperationLog = require('../models/OperationLog');
+const Reconciliacion = require('../models/Reconciliacion');
+const certificadoService = require('../services/certificadoService');
+const webhookService = require('../services/webhookService');
+const setApi = require('../services/setapi-wrapper');
+const { determinarEstadoConsulta } = require('../utils/estadoSifen');
+const { ejecutarReconciliacion } = require('../services/reconciliacionService');
+
+// Reconciliación sin base de datos: registra el filtro de facturas y responde con la SET simulada
+function prepararEjecucion(t, { lotesEnCurso = [], facturas = [], respuesta = '' }) {
+  const consultas = { filtro: null, cdcs: [] };
+
+  t.mock.method(Reconciliacion, 'create', async (datos) => {
+    const ejecucion = new Reconciliacion(datos);
+    ejecucion.save = async () => ejecucion;
+    return ejecucion;
+  });
+  t.mock.method(Lote, 'distinct', async () => lotesEnCurso);
+  t.mock.method(Invoice, 'find', (filtro) => {
+    consultas.filtro = filtro;
+    return { sort: () => ({ limit: async () => facturas }) };
+  });
+  t.mock.method(Empresa, 'findById', async () => ({
+    ruc: '3604076-1',
+    configuracionSifen: { modo: 'test' },
+    certificado: { activo: true, contrasena: 'cifrada' },
+    certificadoVencido: () => false
+  }));
+  t.mock.method(certificadoService, 'descifrarContrasena', () => 'clave');
+  t.mock.method(certificadoService, 'rutaParaFirma', () => '/tmp/fepy-secretos/certificado.p12');
+  t.mock.method(OperationLog, 'create', async () => {});
+  t.mock.method(webhookService, 'notificarEstadoFactura', async () => 0);
+  t.mock.getter(setApi, 'consulta', () => async (id, cdc) => {
+    consultas.cdcs.push(cdc);
+    return respuesta;
+  });
+
+  return consultas;
+}
+
+function crearFactura(cdc) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    empresaId: new mongoose.Types.ObjectId(),
+    cdc,
+    correlativo: '001-001-0000001',
+    estadoSifen: 'enviado',
+    save: async () => {}
+  };
+}
+
+test('determinarEstadoConsulta: 0420 (CDC inexistente) es error, como en refresh-status', () => {
+  assert.deepEqual(determinarEstadoConsulta('0420'), { estadoSifen: 'error', estadoVisual: 'error' });
+  assert.deepEqual(determinarEstadoConsulta('0422'), { estadoSifen: 'aceptado', estadoVisual: 'aceptado' });
+  assert.deepEqual(determinarEstadoConsulta('1005'), { estadoSifen: 'observado', estadoVisual: 'observado' });
+  assert.deepEqual(determinarEstadoConsulta('0421'), { estadoSifen: 'rechazado', estadoVisual: 'rechazado' });
+  assert.equal(determinarEstadoConsulta('0361'), null);
+});
+
+test('determinarEstadoConsulta: con 0421 manda el estado del documento', () => {
+  assert.deepEqual(determinarEstadoConsulta('0421', 'Aprobado'), { estadoSifen: 'aceptado', estadoVisual: 'aceptado' });
+  assert.deepEqual(determinarEstadoConsulta('0421', 'Rechazado'), { estadoSifen: 'rechazado', estadoVisual: 'rechazado' });
+  assert.deepEqual(determinarEstadoConsulta('0421', 'Aprobado con observación'), { estadoSifen: 'observado', estadoVisual: 'observado' });
+  assert.equal(determinarEstadoConsulta('0421', 'Pendiente'), null);
+});
+
+test('las facturas de lotes en curso no se reconcilian', async (t) => {
+  const loteEnCurso = new mongoose.Types.ObjectId();
+  const consultas = prepararEjecucion(t, { lotesEnCurso: [loteEnCurso] });
+
+  await ejecutarReconciliacion();
+
+  const [, filtroLotes] = Lote.distinct.mock.calls[0].arguments;
+  assert.deepEqual(filtroLotes, { estado: { $in: ['encolado', 'enviado'] } });
+  assert.deepEqual(consultas.filtro.loteId, { $nin: [loteEnCurso] });
+  assert.deepEqual(consultas.filtro.estadoSifen, { $in: ['encolado', 'procesando', 'enviado'] });
+});
+
+test('una factura con estado final en la SET se actualiza', async (t) => {
+  const factura = crearFactura('01036040761001001000000122025010110000000013');
+  const consultas = prepararEjecucion(t, {
+    facturas: [factura],
+    respuesta: '<ns2:dCodRes>0422</ns2:dCodRes><ns2:dMsgRes>CDC encontrado</ns2:dMsgRes>'
+  });
+
+  const ejecucion = await ejecutarReconciliacion({ origen: 'manual' });
+
+  assert.deepEqual(consultas.cdcs, [factura.cdc]);
+  assert.equal(factura.estadoSifen, 'aceptado');
+  assert.equal(ejecucion.estado, 'completada');
+  assert.equal(ejecucion.revisadas, 1);
+  assert.equal(ejecucion.actualizadas, 1);
+});
+
+test('una factura todavía sin estado final queda igual', async (t) => {
+  const factura = crearFactura('01036040761001001000000122025010110000000013');
+  prepararEjecucion(t, { facturas: [factura], respuesta: '<ns2:dCodRes>0361</ns2:dCodRes>' });
+
+  const ejecucion = await ejecutarReconciliacion();
+
+  assert.equal(factura.estadoSifen, 'enviado');
+  assert.equal(ejecucion.actualizadas, 0);
+  assert.equal(ejecucion.sinCambios, 1);
+});
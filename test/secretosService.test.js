@@ -0,0 +1,137 @@
+/**
+ * Pruebas de secretosService: cifrado de secretos, rotación de claves y
+ * archivos temporales para firmar
+ *
+ * Uso: npm test
+ */
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const sifenConfig = require('../config/sifen');
+const secretos = require('../services/secretosService');
+
+const CLAVE_1 = 'clave-de-prueba-version-1-con-32-caracteres';
+const CLAVE_2 = 'clave-de-prueba-version-2-con-32-caracteres';
+
+beforeEach(() => {
+  process.env.SECRETOS_CLAVES = `1:${CLAVE_1}`;
+  delete process.env.SECRETOS_CLAVE_ACTIVA;
+  delete process.env.CERTIFICADO_MASTER_KEY;
+});
+
+test('cifrar y descifrar devuelven el texto original', () => {
+  const sobre = secretos.cifrar('contraseña del certificado');
+
+  assert.ok(secretos.esSobre(sobre));
+  assert.equal(secretos.versionDe(sobre), 1);
+  assert.equal(secretos.descifrar(sobre), 'contraseña del certificado');
+});
+
+test('cada cifrado usa un salt e IV nuevos', () => {
+  assert.notEqual(secretos.cifrar('mismo texto'), secretos.cifrar('mismo texto'));
+});
+
+test('un sobre alterado no se descifra', () => {
+  const partes = secretos.cifrar('secreto').split(':');
+  partes[5] = Buffer.from('otro contenido').toString('base64');
+
+  assert.throws(() => secretos.descifrar(partes.join(':')), { name: 'ErrorSecretos' });
+});
+
+test('un sobre cifrado con otra clave no se descifra', () => {
+  const sobre = secretos.cifrar('secreto');
+  process.env.SECRETOS_CLAVES = `1:${CLAVE_2}`;
+
+  assert.throws(() => secretos.descifrar(sobre), { name: 'ErrorSecretos' });
+});
+
+test('rotación: la clave nueva pasa a ser la activa y recifrar migra el sobre', () => {
+  const anterior = secretos.cifrar('secreto');
+  process.env.SECRETOS_CLAVES = `1:${CLAVE_1},2:${CLAVE_2}`;
+
+  assert.equal(secretos.versionActiva(), 2);
+  assert.equal(secretos.requiereRecifrado(anterior), true);
+  assert.equal(secretos.descifrar(anterior), 'secreto');
+
+  const nuevo = secretos.recifrar(anterior);
+  assert.equal(secretos.versionDe(nuevo), 2);
+  assert.equal(secretos.requiereRecifrado(nuevo), false);
+
+  // Retirada la clave 1, el sobre migrado se sigue leyendo y el anterior no
+  process.env.SECRETOS_CLAVES = `2:${CLAVE_2}`;
+  assert.equal(secretos.descifrar(nuevo), 'secreto');
+  assert.throws(() => secretos.descifrar(anterior), /versión 1/);
+});
+
+test('SECRETOS_CLAVE_ACTIVA fija la versión con la que se cifra', () => {
+  process.env.SECRETOS_CLAVES = `1:${CLAVE_1},2:${CLAVE_2}`;
+  process.env.SECRETOS_CLAVE_ACTIVA = '1';
+  assert.equal(secretos.versionDe(secretos.cifrar('secreto')), 1);
+
+  process.env.SECRETOS_CLAVE_ACTIVA = '3';
+  assert.throws(() => secretos.versionActiva(), { name: 'ErrorSecretos' });
+});
+
+test('recifrar acepta texto plano', () => {
+  assert.equal(secretos.requiereRecifrado('texto plano'), true);
+  assert.equal(secretos.descifrar(secretos.recifrar('texto plano')), 'texto plano');
+});
+
+test('SECRETOS_CLAVES mal formado se rechaza', () => {
+  process.env.SECRETOS_CLAVES = 'sin-version';
+  assert.throws(() => secretos.versionActiva(), /SECRETOS_CLAVES inválido/);
+});
+
+test('en producción se rechaza la clave por defecto o la de .env.example', (t) => {
+  const modoOriginal = sifenConfig.modoProduccion;
+  t.after(() => { sifenConfig.modoProduccion = modoOriginal; });
+  sifenConfig.modoProduccion = true;
+
+  delete process.env.SECRETOS_CLAVES;
+  assert.throws(() => secretos.verificarConfiguracion(), { name: 'ErrorSecretos' });
+
+  process.env.SECRETOS_CLAVES = '1:cambiar_por_una_clave_larga_y_aleatoria_de_32_o_mas';
+  assert.throws(() => secretos.verificarConfiguracion(), { name: 'ErrorSecretos' });
+
+  process.env.SECRETOS_CLAVES = `1:${CLAVE_1}`;
+  assert.deepEqual(secretos.verificarConfiguracion(), { activa: 1, versiones: [1] });
+});
+
+test('los .p12 descifrados no se borran con SIGTERM mientras el worker termina sus jobs', (t) => {
+  const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'fepy-secretos-prueba-'));
+  const archivos = new Map();
+  secretos.registrarBackend('memoria', {
+    guardar: (clave, datos) => archivos.set(clave, datos),
+    leer: (clave) => archivos.get(clave) ?? null,
+    existe: (clave) => archivos.has(clave),
+    eliminar: (clave) => archivos.delete(clave)
+  });
+  process.env.SECRETOS_BACKEND = 'memoria';
+  process.env.SECRETOS_TMP_PATH = carpeta;
+  // Manejador del worker (cierra las colas antes de salir)
+  const cerrarWorker = () => {};
+  process.on('SIGTERM', cerrarWorker);
+  t.after(() => {
+    process.removeListener('SIGTERM', cerrarWorker);
+    delete process.env.SECRETOS_BACKEND;
+    delete process.env.SECRETOS_TMP_PATH;
+    secretos.limpiarCarpetaTemporal();
+    fs.rmSync(carpeta, { recursive: true, force: true });
+  });
+
+  secretos.guardarArchivo('80069563-1/certificado-v1.p12.enc', Buffer.from('contenido del p12'));
+  const ruta = secretos.materializarArchivo('80069563-1/certificado-v1.p12.enc');
+  assert.equal(fs.readFileSync(ruta, 'utf8'), 'contenido del p12');
+  assert.equal(fs.statSync(ruta).mode & 0o777, 0o600);
+
+  process.emit('SIGTERM', 'SIGTERM');
+  assert.ok(fs.existsSync(ruta));
+
+  // El worker la borra al cerrar, después de cerrar sus colas
+  secretos.limpiarCarpetaTemporal();
+  assert.equal(fs.existsSync(ruta), false);
+});
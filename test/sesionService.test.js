@@ -0,0 +1,131 @@
+/**
+ * Pruebas de sesionService: rotación del refresh token y detección de reuso
+ *
+ * Uso: npm test
+ */
+
+process.env.JWT_SECRET = 'secreto-de-prueba-para-las-sesiones';
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Sesion = require('../models/Sesion');
+const TokenRevocado = require('../models/TokenRevocado');
+const sesionService = require('../services/sesionService');
+
+const req = { ip: '127.0.0.1', get: () => 'node-test' };
+const usuario = { _id: new mongoose.Types.ObjectId() };
+
+// Sesiones y denylist guardadas en memoria, con las mismas operaciones
+// condicionales que usa el servicio
+let sesiones;
+let revocados;
+
+const cederTurno = () => new Promise(setImmediate);
+
+function coincide(sesion, filtro) {
+  if (!sesion) return false;
+  if (filtro.usuarioId && String(sesion.usuarioId) !== String(filtro.usuarioId)) return false;
+  if (filtro.refreshTokenHash && sesion.refreshTokenHash !== filtro.refreshTokenHash) return false;
+  if (filtro.revocada === false && sesion.revocada) return false;
+  if (filtro.fechaExpiracion?.$gt && !(sesion.fechaExpiracion > filtro.fechaExpiracion.$gt)) return false;
+  return true;
+}
+
+beforeEach((t) => {
+  sesiones = new Map();
+  revocados = new Set();
+
+  t.mock.method(Sesion.prototype, 'save', async function() {
+    sesiones.set(String(this._id), this.toObject());
+    return this;
+  });
+  t.mock.method(Sesion, 'findById', async (id) => {
+    await cederTurno();
+    const sesion = sesiones.get(String(id));
+    return sesion ? Sesion.hydrate({ ...sesion }) : null;
+  });
+  t.mock.method(Sesion, 'exists', async (filtro) => {
+    return coincide(sesiones.get(String(filtro._id)), filtro) ? { _id: filtro._id } : null;
+  });
+  t.mock.method(Sesion, 'updateOne', async (filtro, cambios) => {
+    await cederTurno();
+    const sesion = sesiones.get(String(filtro._id));
+    if (!coincide(sesion, filtro)) return { matchedCount: 0, modifiedCount: 0 };
+
+    const { $inc = {}, ...campos } = cambios;
+    Object.assign(sesion, campos);
+    for (const [campo, valor] of Object.entries($inc)) sesion[campo] = (sesion[campo] || 0) + valor;
+    return { matchedCount: 1, modifiedCount: 1 };
+  });
+  t.mock.method(TokenRevocado, 'updateOne', async ({ jti }) => {
+    revocados.add(jti);
+    return { matchedCount: 0, upsertedCount: 1 };
+  });
+  t.mock.method(TokenRevocado, 'exists', async ({ jti }) => (revocados.has(jti) ? { _id: jti } : null));
+});
+
+test('crearSesion emite un access token válido para la sesión', async () => {
+  const { token, refreshToken, sesion } = await sesionService.crearSesion(usuario, req);
+
+  const payload = await sesionService.verificarAccessToken(token);
+  assert.equal(payload.sid, String(sesion._id));
+  assert.equal(payload.userId, String(usuario._id));
+  assert.ok(refreshToken.startsWith(`${sesion._id}.`));
+});
+
+test('renovarSesion rota el refresh token', async () => {
+  const inicial = await sesionService.crearSesion(usuario, req);
+
+  const renovada = await sesionService.renovarSesion(inicial.refreshToken, req);
+  assert.notEqual(renovada.refreshToken, inicial.refreshToken);
+  assert.equal(sesiones.get(String(inicial.sesion._id)).renovaciones, 1);
+
+  const otra = await sesionService.renovarSesion(renovada.refreshToken, req);
+  assert.equal((await sesionService.verificarAccessToken(otra.token)).sid, String(inicial.sesion._id));
+});
+
+test('reusar un refresh token rotado revoca la sesión', async () => {
+  const inicial = await sesionService.crearSesion(usuario, req);
+  const renovada = await sesionService.renovarSesion(inicial.refreshToken, req);
+
+  await assert.rejects(
+    sesionService.renovarSesion(inicial.refreshToken, req),
+    { name: 'ErrorSesion', message: /sesión fue revocada/ }
+  );
+
+  const guardada = sesiones.get(String(inicial.sesion._id));
+  assert.equal(guardada.revocada, true);
+  assert.equal(guardada.motivoRevocacion, 'reuso_refresh_token');
+  assert.ok(revocados.has(guardada.accessJti));
+
+  // Ni el refresh token ni los access tokens del poseedor legítimo siguen valiendo
+  await assert.rejects(sesionService.renovarSesion(renovada.refreshToken, req), { name: 'ErrorSesion' });
+  await assert.rejects(sesionService.verificarAccessToken(renovada.token), { name: 'ErrorSesion' });
+  await assert.rejects(sesionService.verificarAccessToken(inicial.token), { name: 'ErrorSesion' });
+});
+
+test('dos renovaciones concurrentes con el mismo refresh token: solo una gana', async () => {
+  const { refreshToken } = await sesionService.crearSesion(usuario, req);
+
+  const resultados = await Promise.allSettled([
+    sesionService.renovarSesion(refreshToken, req),
+    sesionService.renovarSesion(refreshToken, req)
+  ]);
+
+  assert.deepEqual(resultados.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(resultados.find(r => r.status === 'rejected').reason.name, 'ErrorSesion');
+});
+
+test('un refresh token mal formado se rechaza', async () => {
+  await assert.rejects(sesionService.renovarSesion('no-es-un-token', req), { message: 'Refresh token inválido' });
+  await assert.rejects(sesionService.renovarSesion(undefined, req), { message: 'Refresh token inválido' });
+});
+
+test('revocada la sesión se rechazan sus access tokens', async () => {
+  const { token, sesion } = await sesionService.crearSesion(usuario, req);
+  await sesionService.revocarSesion(sesion, 'logout');
+
+  await assert.rejects(sesionService.verificarAccessToken(token), { name: 'ErrorSesion' });
+});
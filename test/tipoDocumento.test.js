@@ -0,0 +1,49 @@
+/**
+ * Pruebas de utils/tipoDocumento: tipo de documento y campos requeridos
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  obtenerTipoDocumento,
+  validarCamposRequeridos,
+  nombreArchivoTipo
+} = require('../utils/tipoDocumento');
+
+const BASE = { cliente: { ruc: '80069563-1' }, items: [{ codigo: '1' }] };
+
+test('obtenerTipoDocumento: estructura param/data, plana y por defecto', () => {
+  assert.equal(obtenerTipoDocumento({ data: { tipoDocumento: '7' } }), 7);
+  assert.equal(obtenerTipoDocumento({ tipoDocumento: 4 }), 4);
+  assert.equal(obtenerTipoDocumento({ data: {} }), 1);
+});
+
+test('una factura solo requiere cliente e items', () => {
+  assert.deepEqual(validarCamposRequeridos(BASE, 1), []);
+  assert.deepEqual(validarCamposRequeridos({}, 1).map(error => error.campo), ['data.cliente', 'data.items']);
+});
+
+test('autofactura sin el bloque autoFactura: se reporta solo el bloque', () => {
+  const errores = validarCamposRequeridos(BASE, 4);
+
+  assert.deepEqual(errores.map(error => error.campo), ['data.autoFactura']);
+  assert.match(errores[0].mensaje, /Autofactura electrónica/);
+});
+
+test('nota de remisión: se reportan los campos faltantes del bloque remision', () => {
+  const errores = validarCamposRequeridos({ ...BASE, remision: { motivo: 1 }, detalleTransporte: {} }, 7);
+
+  assert.deepEqual(errores.map(error => error.campo), ['data.remision.tipoResponsable', 'data.remision.kms']);
+});
+
+test('un tipo no soportado se rechaza', () => {
+  assert.deepEqual(validarCamposRequeridos(BASE, 2).map(error => error.campo), ['data.tipoDocumento']);
+});
+
+test('nombreArchivoTipo quita acentos y espacios', () => {
+  assert.equal(nombreArchivoTipo('Nota de remisión electrónica'), 'Nota_de_remision_electronica');
+  assert.equal(nombreArchivoTipo(null, 4), 'Autofactura_electronica');
+});
@@ -0,0 +1,120 @@
+/**
+ * Pruebas de la verificación de documentos emitidos: firma, DigestValue
+ * recalculado, dígito verificador del CDC y cHashQR con el CSC de la empresa
+ *
+ * Uso: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+
+// CA_CONFIABLES_DIR se lee al cargar el servicio
+const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'fepy-verificacion-'));
+const carpetaCAs = path.join(carpeta, 'ca-confiables');
+fs.mkdirSync(carpetaCAs);
+process.env.CA_CONFIABLES_DIR = carpetaCAs;
+
+const xmlVerificacionService = require('../services/xmlVerificacionService');
+const { validarFactura } = require('../services/procesarFacturaService');
+const xmlsign = require('facturacionelectronicapy-xmlsign').default;
+const qr = require('facturacionelectronicapy-qrgen').default;
+const factura = require('./fixtures/factura.json');
+
+const ID_CSC = '0001';
+const CSC = 'ABCD0000000000000000000000000000';
+
+let xml;
+let cdc;
+
+// DE firmado con un certificado autofirmado que se agrega a las CA confiables
+before(async () => {
+  const claves = forge.pki.rsa.generateKeyPair(2048);
+  const certificado = forge.pki.createCertificate();
+  certificado.publicKey = claves.publicKey;
+  certificado.serialNumber = '01';
+  certificado.validity.notBefore = new Date('2020-01-01T00:00:00Z');
+  certificado.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const sujeto = [{ name: 'commonName', value: 'EMPRESA DE PRUEBA S.A.' }, { name: 'serialNumber', value: `RUC${factura.param.ruc}` }];
+  certificado.setSubject(sujeto);
+  certificado.setIssuer(sujeto);
+  certificado.sign(claves.privateKey, forge.md.sha256.create());
+  fs.writeFileSync(path.join(carpetaCAs, 'emisor.pem'), forge.pki.certificateToPem(certificado));
+
+  const rutaP12 = path.join(carpeta, 'certificado.p12');
+  const p12 = forge.pkcs12.toPkcs12Asn1(claves.privateKey, [certificado], 'prueba', { algorithm: '3des' });
+  fs.writeFileSync(rutaP12, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+
+  const generado = await validarFactura(factura, { ruc: factura.param.ruc });
+  cdc = generado.cdc;
+  const firmado = await xmlsign.signXML(generado.xml, rutaP12, 'prueba', true);
+  xml = await qr.generateQR(firmado, ID_CSC, CSC, 'test');
+});
+
+after(() => fs.rmSync(carpeta, { recursive: true, force: true }));
+
+test('un DE emitido sin modificar pasa todas las verificaciones', async () => {
+  const datos = await xmlVerificacionService.extraerDatosDE(xml);
+
+  const resultado = await xmlVerificacionService.verificarDocumentoEmitido(xml, {
+    cdc,
+    digestValue: datos.digestValue,
+    idCSC: ID_CSC,
+    csc: CSC
+  });
+
+  assert.equal(resultado.valido, true, JSON.stringify(resultado.verificaciones));
+  assert.equal(resultado.cdc, cdc);
+  assert.equal(resultado.verificaciones.digestValue.calculado, datos.digestValue);
+  assert.equal(resultado.verificaciones.cdc.valido, true);
+  assert.equal(resultado.verificaciones.qr.hashCalculado, resultado.verificaciones.qr.hashQR);
+});
+
+test('sin el CSC de la empresa el cHashQR queda sin verificar', async () => {
+  const resultado = await xmlVerificacionService.verificarDocumentoEmitido(xml);
+
+  assert.equal(resultado.verificaciones.qr.valido, null);
+  assert.match(resultado.verificaciones.qr.mensaje, /se desconoce el CSC/);
+  assert.equal(resultado.valido, true);
+});
+
+test('un CSC distinto invalida el QR', async () => {
+  const resultado = await xmlVerificacionService.verificarDocumentoEmitido(xml, { idCSC: '0002', csc: 'OTRO' });
+
+  assert.equal(resultado.valido, false);
+  assert.deepEqual(resultado.verificaciones.qr.errores, [
+    `El IdCSC del QR (${ID_CSC}) no es el de la empresa (0002)`,
+    'El cHashQR no corresponde al CSC de la empresa'
+  ]);
+});
+
+test('un DE modificado después de firmado: el DigestValue recalculado no coincide', async () => {
+  const modificado = xml.replace(/<dNomRec>[^<]+</, '<dNomRec>OTRO CLIENTE<');
+
+  const resultado = await xmlVerificacionService.verificarDocumentoEmitido(modificado);
+
+  assert.equal(resultado.valido, false);
+  assert.equal(resultado.verificaciones.firma.valido, false);
+  assert.equal(resultado.verificaciones.digestValue.valido, false);
+  assert.notEqual(resultado.verificaciones.digestValue.calculado, resultado.verificaciones.digestValue.enXML);
+});
+
+test('el CDC del XML debe coincidir con el registrado', async () => {
+  const otro = `${cdc.substring(0, 43)}${(Number(cdc[43]) + 1) % 10}`;
+
+  const resultado = await xmlVerificacionService.verificarDocumentoEmitido(xml, { cdc: otro });
+
+  assert.equal(resultado.verificaciones.cdc.valido, false);
+  assert.match(resultado.verificaciones.cdc.mensaje, /no coincide con el registrado/);
+});
+
+test('calcularHashQR: SHA-256 de los parámetros anteriores a cHashQR más el CSC', () => {
+  const url = 'https://ekuatia.set.gov.py/consultas-test/qr?nVersion=150&Id=123&IdCSC=0001&cHashQR=abc';
+  const esperado = crypto.createHash('sha256').update(`nVersion=150&Id=123&IdCSC=0001${CSC}`).digest('hex');
+
+  assert.equal(xmlVerificacionService.calcularHashQR(url, CSC), esperado);
+});
@@ -0,0 +1,148 @@
+/**
+ * Pruebas de webhookService: firma HMAC, entrega y reintentos
+ *
+ * Uso: npm test
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+
+// Cola de webhooks sin Redis: registra los jobs encolados
+const trabajos = [];
+const rutaColas = require.resolve('../queues/facturaQueue');
+require.cache[rutaColas] = {
+  id: rutaColas,
+  filename: rutaColas,
+  loaded: true,
+  exports: { webhookQueue: { add: async (...args) => trabajos.push(args) } }
+};
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+
+const SECRETO = 'secreto-de-prueba';
+
+// Destino local: responde con el código configurado y guarda cada pedido
+let codigoRespuesta = 200;
+const recibidos = [];
+const destino = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    recibidos.push({ headers: req.headers, body });
+    res.writeHead(codigoRespuesta);
+    res.end('ok');
+  });
+});
+
+before(() => new Promise(resolve => destino.listen(0, '127.0.0.1', resolve)));
+after(() => new Promise(resolve => destino.close(resolve)));
+
+function prepararEntrega(t, { activo = true } = {}) {
+  const webhook = new Webhook({
+    empresaId: new mongoose.Types.ObjectId(),
+    url: `http://127.0.0.1:${destino.address().port}/hook`,
+    secret: SECRETO,
+    activo
+  });
+  const delivery = new WebhookDelivery({
+    webhookId: webhook._id,
+    empresaId: webhook.empresaId,
+    evento: 'factura.aceptado',
+    url: webhook.url,
+    payload: { evento: 'factura.aceptado', data: { correlativo: '001-001-0000001' } }
+  });
+
+  t.mock.method(WebhookDelivery, 'findById', async () => delivery);
+  t.mock.method(Webhook, 'findById', async () => webhook);
+  t.mock.method(delivery, 'save', async () => delivery);
+  recibidos.length = 0;
+
+  return delivery;
+}
+
+test('firmar calcula HMAC-SHA256 de "timestamp.body"', () => {
+  const esperado = crypto.createHmac('sha256', SECRETO).update('1700000000.{"a":1}').digest('hex');
+
+  assert.equal(webhookService.firmar(SECRETO, 1700000000, '{"a":1}'), `sha256=${esperado}`);
+});
+
+test('entregar envía el payload firmado y marca la entrega como entregada', async (t) => {
+  codigoRespuesta = 200;
+  const delivery = prepararEntrega(t);
+
+  await webhookService.entregar(delivery._id);
+
+  assert.equal(recibidos.length, 1);
+  const { headers, body } = recibidos[0];
+  assert.equal(body, JSON.stringify(delivery.payload));
+  assert.equal(headers['x-webhook-event'], 'factura.aceptado');
+  assert.equal(headers['x-webhook-id'], delivery._id.toString());
+  assert.equal(
+    headers['x-webhook-signature'],
+    webhookService.firmar(SECRETO, headers['x-webhook-timestamp'], body)
+  );
+  assert.equal(delivery.estado, 'entregado');
+  assert.equal(delivery.codigoHttp, 200);
+  assert.equal(delivery.intentos, 1);
+});
+
+test('una respuesta no 2xx lanza error para que la cola reintente', async (t) => {
+  codigoRespuesta = 500;
+  const delivery = prepararEntrega(t);
+
+  await assert.rejects(webhookService.entregar(delivery._id), /HTTP 500/);
+  assert.equal(delivery.estado, 'pendiente');
+  assert.equal(delivery.intentos, 1);
+
+  // El último intento deja la entrega como fallida
+  await assert.rejects(webhookService.entregar(delivery._id, true), /HTTP 500/);
+  assert.equal(delivery.estado, 'fallido');
+  assert.equal(delivery.intentos, 2);
+});
+
+test('una suscripción inactiva no se entrega', async (t) => {
+  const delivery = prepararEntrega(t, { activo: false });
+
+  await webhookService.entregar(delivery._id);
+
+  assert.equal(recibidos.length, 0);
+  assert.equal(delivery.estado, 'fallido');
+});
+
+test('notificar encola una entrega por cada suscripción que escucha el evento', async (t) => {
+  trabajos.length = 0;
+  const empresaId = new mongoose.Types.ObjectId();
+  const suscripciones = [
+    new Webhook({ empresaId, url: 'http://a.test/hook' }),
+    new Webhook({ empresaId, url: 'http://b.test/hook', eventos: ['factura.aceptado'] }),
+    new Webhook({ empresaId, url: 'http://c.test/hook', eventos: ['kude.generado'] })
+  ];
+  t.mock.method(Webhook, 'find', async () => suscripciones);
+  const guardadas = [];
+  t.mock.method(WebhookDelivery.prototype, 'save', async function () {
+    guardadas.push(this);
+    return this;
+  });
+
+  const cantidad = await webhookService.notificar(empresaId, 'factura.aceptado', { cdc: '123' });
+
+  assert.equal(cantidad, 2);
+  assert.deepEqual(guardadas.map(d => d.url), ['http://a.test/hook', 'http://b.test/hook']);
+  assert.deepEqual(guardadas[0].payload.data, { cdc: '123' });
+  assert.deepEqual(trabajos.map(([nombre, datos]) => [nombre, datos.deliveryId]),
+    guardadas.map(d => ['entregar-webhook', d._id.toString()]));
+});
+
+test('notificarEstadoFactura ignora estados no notificables', async (t) => {
+  const find = t.mock.method(Webhook, 'find', async () => []);
+
+  const cantidad = await webhookService.notificarEstadoFactura({ estadoSifen: 'enviado', empresaId: new mongoose.Types.ObjectId() });
+
+  assert.equal(cantidad, 0);
+  assert.equal(find.mock.callCount(), 0);
+});
@@ -0,0 +1,137 @@
+/**
+ * Pruebas de xsdValidacionService: modos de validación y validación de un DE
+ * y un evento generados contra los XSD SIFEN v150
+ *
+ * La validación contra los esquemas reales requiere los XSD en xsd/ (ver
+ * xsd/README.md); sin ellos esa prueba se omite.
+ *
+ * Uso: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const forge = require('node-forge');
+
+const RUTA_SERVICIO = require.resolve('../services/xsdValidacionService');
+const XSD_REPOSITORIO = path.join(__dirname, '../xsd');
+const hayEsquemas = ['siRecepDE_v150.xsd', 'Evento_v150.xsd']
+  .every(archivo => fs.existsSync(path.join(XSD_REPOSITORIO, archivo)));
+
+// El modo y el directorio se leen al cargar el servicio
+function cargarServicio(t, env) {
+  const anterior = {};
+  for (const [variable, valor] of Object.entries(env)) {
+    anterior[variable] = process.env[variable];
+    if (valor === undefined) delete process.env[variable];
+    else process.env[variable] = valor;
+  }
+  t.after(() => {
+    for (const [variable, valor] of Object.entries(anterior)) {
+      if (valor === undefined) delete process.env[variable];
+      else process.env[variable] = valor;
+    }
+    delete require.cache[RUTA_SERVICIO];
+  });
+
+  delete require.cache[RUTA_SERVICIO];
+  return require(RUTA_SERVICIO);
+}
+
+function carpetaVacia(t) {
+  const carpeta = fs.mkdtempSync(path.join(os.tmpdir(), 'fepy-xsd-'));
+  t.after(() => fs.rmSync(carpeta, { recursive: true, force: true }));
+  return carpeta;
+}
+
+// Certificado .p12 autofirmado para firmar los documentos de prueba
+function crearCertificadoPrueba(carpeta, contrasena) {
+  const claves = forge.pki.rsa.generateKeyPair(2048);
+  const certificado = forge.pki.createCertificate();
+  certificado.publicKey = claves.publicKey;
+  certificado.serialNumber = '01';
+  certificado.validity.notBefore = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  certificado.validity.notAfter = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+  const sujeto = [{ name: 'commonName', value: 'EMPRESA DE PRUEBA S.A.' }, { name: 'serialNumber', value: 'RUC3604076-1' }];
+  certificado.setSubject(sujeto);
+  certificado.setIssuer(sujeto);
+  certificado.sign(claves.privateKey, forge.md.sha256.create());
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(claves.privateKey, [certificado], contrasena, { algorithm: '3des' });
+  const ruta = path.join(carpeta, 'certificado.p12');
+  fs.writeFileSync(ruta, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+  return ruta;
+}
+
+test('modo auto sin esquemas: se omite la validación con una advertencia por tipo', async (t) => {
+  const advertencias = t.mock.method(console, 'warn', () => {});
+  const servicio = cargarServicio(t, { SIFEN_VALIDAR_XSD: undefined, SIFEN_XSD_PATH: carpetaVacia(t) });
+
+  const primero = await servicio.validarDE('<rDE/>');
+  const segundo = await servicio.validarDE('<rDE/>');
+
+  assert.equal(primero.omitido, true);
+  assert.equal(primero.valido, true);
+  assert.match(primero.motivo, /siRecepDE_v150\.xsd no encontrado/);
+  assert.equal(segundo.omitido, true);
+  assert.equal(advertencias.mock.callCount(), 1);
+});
+
+test('modo producción sin SIFEN_VALIDAR_XSD: no es obligatoria (solo advierte al iniciar)', (t) => {
+  const advertencias = t.mock.method(console, 'warn', () => {});
+  const servicio = cargarServicio(t, { NODE_ENV: 'production', SIFEN_VALIDAR_XSD: undefined, SIFEN_XSD_PATH: carpetaVacia(t) });
+
+  assert.doesNotThrow(() => servicio.verificarConfiguracion());
+  assert.match(advertencias.mock.calls[0].arguments[0], /se envían sin validar/);
+});
+
+test('SIFEN_VALIDAR_XSD=true sin esquemas: no inicia ni envía', async (t) => {
+  const servicio = cargarServicio(t, { SIFEN_VALIDAR_XSD: 'true', SIFEN_XSD_PATH: carpetaVacia(t) });
+
+  assert.throws(() => servicio.verificarConfiguracion(), /Faltan los esquemas siRecepDE_v150\.xsd, Evento_v150\.xsd/);
+  await assert.rejects(servicio.validarEvento('<rGesEve/>'), /Evento_v150\.xsd no encontrado/);
+});
+
+test('SIFEN_VALIDAR_XSD=false: no valida', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const servicio = cargarServicio(t, { SIFEN_VALIDAR_XSD: 'false', SIFEN_XSD_PATH: carpetaVacia(t) });
+
+  assert.doesNotThrow(() => servicio.verificarConfiguracion());
+  assert.equal((await servicio.validarDE('<rDE/>')).omitido, true);
+});
+
+test('un DE y un evento generados y firmados cumplen los XSD SIFEN v150', {
+  skip: !hayEsquemas && 'faltan los XSD SIFEN v150 en xsd/ (ver xsd/README.md)'
+}, async (t) => {
+  const servicio = cargarServicio(t, { SIFEN_VALIDAR_XSD: 'true', SIFEN_XSD_PATH: XSD_REPOSITORIO });
+  const { validarFactura } = require('../services/procesarFacturaService');
+  const { generarXMLEvento } = require('../services/eventoService');
+  const xmlsign = require('facturacionelectronicapy-xmlsign').default;
+  const qr = require('facturacionelectronicapy-qrgen').default;
+  t.mock.method(console, 'log', () => {});
+
+  const carpeta = carpetaVacia(t);
+  const rutaCertificado = crearCertificadoPrueba(carpeta, 'prueba');
+  const factura = require('./fixtures/factura.json');
+
+  const generado = await validarFactura(factura, { ruc: factura.param.ruc });
+  assert.equal(generado.valido, true, JSON.stringify(generado.errores));
+
+  const firmado = await xmlsign.signXML(generado.xml, rutaCertificado, 'prueba', true);
+  const conQR = await qr.generateQR(firmado, '0001', 'ABCD0000000000000000000000000000', 'test');
+  const de = await servicio.validarDE(conQR);
+  assert.equal(de.omitido, false);
+  assert.deepEqual(de.errores, []);
+  assert.equal(de.valido, true);
+
+  const xmlEvento = await generarXMLEvento({ cdc: generado.cdc, tipoEvento: 'cancelacion', descripcion: 'Prueba de validación XSD' });
+  // signXMLEvento (modo Node) busca el rEve dentro del sobre SOAP del envío
+  const sobre = `<env:Envelope xmlns:env="http://www.w3.org/2003/05/soap-envelope"><env:Body>${xmlEvento.replace(/^<\?xml[^>]*\?>\s*/, '')}</env:Body></env:Envelope>`;
+  const eventoFirmado = await xmlsign.signXMLEvento(sobre, rutaCertificado, 'prueba', true);
+  const evento = await servicio.validarEvento(eventoFirmado);
+  assert.equal(evento.omitido, false);
+  assert.deepEqual(evento.errores, []);
+  assert.equal(evento.valido, true);
+});
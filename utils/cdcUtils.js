@@ -0,0 +1,193 @@
+/**
+ * Utilitarios para el CDC (Código de Control del Documento Electrónico)
+ *
+ * El CDC tiene 44 dígitos: 43 de datos del documento + 1 dígito verificador
+ * calculado con el algoritmo módulo 11 (Manual Técnico v150 - Sección 9.4.1).
+ *
+ * Estructura:
+ *   01-02 Tipo de documento        26-33 Fecha de emisión (AAAAMMDD)
+ *   03-10 RUC del emisor            34    Tipo de emisión
+ *   11    DV del RUC                35-43 Código de seguridad
+ *   12-14 Establecimiento           44    Dígito verificador
+ *   15-17 Punto de expedición
+ *   18-24 Número del documento
+ *   25    Tipo de contribuyente
+ */
+
+const { TIPOS_DOCUMENTO } = require('./tipoDocumento');
+
+const LONGITUD_CDC = 44;
+
+// Posiciones de cada campo dentro del CDC [inicio, fin) (base 0)
+const CAMPOS_CDC = {
+  tipoDocumento: [0, 2],
+  ruc: [2, 10],
+  dv: [10, 11],
+  establecimiento: [11, 14],
+  punto: [14, 17],
+  numero: [17, 24],
+  tipoContribuyente: [24, 25],
+  fechaEmision: [25, 33],
+  tipoEmision: [33, 34],
+  codigoSeguridad: [34, 43],
+  digitoVerificador: [43, 44]
+};
+
+// Tipos de documento que pueden figurar en un CDC (además de los soportados para emisión)
+const TIPOS_DOCUMENTO_CDC = {
+  ...TIPOS_DOCUMENTO,
+  2: 'Factura electrónica de exportación',
+  3: 'Factura electrónica de importación',
+  8: 'Comprobante de retención electrónico'
+};
+
+const TIPOS_CONTRIBUYENTE = {
+  1: 'Persona Física',
+  2: 'Persona Jurídica'
+};
+
+const TIPOS_EMISION = {
+  1: 'Normal',
+  2: 'Contingencia'
+};
+
+/**
+ * Calcula el dígito verificador módulo 11 (mismo algoritmo que el DV del RUC)
+ * Pondera los dígitos de derecha a izquierda con 2, 3, ... 11 y vuelve a 2
+ * @param {string} numero - Cadena de dígitos (los 43 primeros del CDC)
+ * @param {number} baseMaxima - Peso máximo antes de volver a 2 (11 por defecto)
+ * @returns {number} Dígito verificador (0-9)
+ */
+function calcularDigitoVerificador(numero, baseMaxima = 11) {
+  let peso = 2;
+  let suma = 0;
+
+  for (let i = numero.length - 1; i >= 0; i--) {
+    suma += parseInt(numero[i], 10) * peso;
+    peso = peso < baseMaxima ? peso + 1 : 2;
+  }
+
+  const resto = suma % 11;
+  return resto > 1 ? 11 - resto : 0;
+}
+
+/**
+ * Valida formato y dígito verificador de un CDC
+ * @param {string} cdc - CDC a validar
+ * @returns {{ valido: boolean, mensaje: string, digitoVerificador: number|null, digitoEsperado: number|null }}
+ */
+function validarCDC(cdc) {
+  const valor = String(cdc || '').trim();
+
+  if (!new RegExp(`^\\d{${LONGITUD_CDC}}$`).test(valor)) {
+    return {
+      valido: false,
+      mensaje: `El CDC debe tener ${LONGITUD_CDC} dígitos numéricos (recibido: ${valor.length})`,
+      digitoVerificador: null,
+      digitoEsperado: null
+    };
+  }
+
+  const digitoVerificador = parseInt(valor[LONGITUD_CDC - 1], 10);
+  const digitoEsperado = calcularDigitoVerificador(valor.substring(0, LONGITUD_CDC - 1));
+  const valido = digitoVerificador === digitoEsperado;
+
+  return {
+    valido,
+    mensaje: valido
+      ? 'Dígito verificador correcto'
+      : `Dígito verificador inválido: ${digitoVerificador} (esperado ${digitoEsperado})`,
+    digitoVerificador,
+    digitoEsperado
+  };
+}
+
+/**
+ * Fecha AAAAMMDD → AAAA-MM-DD (null si no es una fecha real)
+ */
+function decodificarFecha(valor) {
+  const fecha = `${valor.substring(0, 4)}-${valor.substring(4, 6)}-${valor.substring(6, 8)}`;
+  const parseada = new Date(`${fecha}T00:00:00Z`);
+  return !isNaN(parseada) && parseada.toISOString().startsWith(fecha) ? fecha : null;
+}
+
+/**
+ * Descompone un CDC en sus campos y valida cada uno
+ * @param {string} cdc - CDC de 44 dígitos
+ * @returns {Object|null} Campos decodificados + { valido, errores }, o null si no tiene el formato de un CDC
+ */
+function decodificarCDC(cdc) {
+  const valor = String(cdc || '').trim();
+  const validacion = validarCDC(valor);
+
+  if (validacion.digitoVerificador === null) {
+    return null;
+  }
+
+  const campo = nombre => valor.substring(...CAMPOS_CDC[nombre]);
+  const errores = [];
+
+  const tipoDocumento = parseInt(campo('tipoDocumento'), 10);
+  if (!TIPOS_DOCUMENTO_CDC[tipoDocumento]) {
+    errores.push(`Tipo de documento desconocido: ${campo('tipoDocumento')}`);
+  }
+
+  // El RUC va completado con ceros a la izquierda hasta 8 dígitos
+  const ruc = campo('ruc').replace(/^0+(?=\d)/, '');
+  const dv = campo('dv');
+  const dvEsperado = calcularDigitoVerificador(ruc);
+  if (parseInt(dv, 10) !== dvEsperado) {
+    errores.push(`DV del RUC inválido: ${ruc}-${dv} (esperado ${dvEsperado})`);
+  }
+
+  const tipoContribuyente = parseInt(campo('tipoContribuyente'), 10);
+  if (!TIPOS_CONTRIBUYENTE[tipoContribuyente]) {
+    errores.push(`Tipo de contribuyente inválido: ${tipoContribuyente}`);
+  }
+
+  const fechaEmision = decodificarFecha(campo('fechaEmision'));
+  if (!fechaEmision) {
+    errores.push(`Fecha de emisión inválida: ${campo('fechaEmision')}`);
+  }
+
+  const tipoEmision = parseInt(campo('tipoEmision'), 10);
+  if (!TIPOS_EMISION[tipoEmision]) {
+    errores.push(`Tipo de emisión inválido: ${tipoEmision}`);
+  }
+
+  if (!validacion.valido) {
+    errores.push(validacion.mensaje);
+  }
+
+  return {
+    cdc: valor,
+    valido: errores.length === 0,
+    errores,
+    tipoDocumento,
+    descripcionTipo: TIPOS_DOCUMENTO_CDC[tipoDocumento] || null,
+    ruc,
+    dv,
+    rucCompleto: `${ruc}-${dv}`,
+    establecimiento: campo('establecimiento'),
+    punto: campo('punto'),
+    numero: campo('numero'),
+    numeroCompleto: `${campo('establecimiento')}-${campo('punto')}-${campo('numero')}`,
+    tipoContribuyente,
+    descripcionTipoContribuyente: TIPOS_CONTRIBUYENTE[tipoContribuyente] || null,
+    fechaEmision,
+    tipoEmision,
+    descripcionTipoEmision: TIPOS_EMISION[tipoEmision] || null,
+    codigoSeguridad: campo('codigoSeguridad'),
+    digitoVerificador: validacion.digitoVerificador,
+    digitoEsperado: validacion.digitoEsperado
+  };
+}
+
+module.exports = {
+  LONGITUD_CDC,
+  CAMPOS_CDC,
+  TIPOS_EMISION,
+  calcularDigitoVerificador,
+  validarCDC,
+  decodificarCDC
+};
@@ -239,6 +239,10 @@ function getColorPorEstadoVisual(estadoVisual) {
       return 'amber';    // Amarillo medio oscuro
     case 'rechazado':
       return 'error';    // Rojo
+    case 'cancelado':
+      return 'grey';     // Gris (cancelado por evento del emisor)
+    case 'pendiente':
+      return 'orange';   // Naranja (emitido en contingencia, pendiente de envío)
     default:
       return 'info';
   }
@@ -296,6 +300,178 @@ function extraerEstadoDocumento(xmlContent) {
   }
 }
 
+/**
+ * Extrae el número de protocolo de consulta de lote (dProtConsLote)
+ * Viene en la respuesta de recepción asíncrona (siRecepLoteDE)
+ *
+ * @param {string} xmlContent - Contenido XML de la respuesta SOAP
+ * @returns {string|null} Número de protocolo o null si no encuentra
+ */
+function extraerProtocoloLote(xmlContent) {
+  try {
+    const match =
+      xmlContent.match(/<ns2:dProtConsLote>(.*?)<\/ns2:dProtConsLote>/) ||
+      xmlContent.match(/<dProtConsLote>(.*?)<\/dProtConsLote>/);
+
+    if (match && match[1]) {
+      return match[1].trim();
+    }
+    return null;
+  } catch (error) {
+    console.warn('⚠️ Error al extraer protocolo de lote:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Extrae el código de resultado de la consulta de lote (dCodResLot)
+ * - 0360 = Número de lote inexistente
+ * - 0361 = Lote en procesamiento
+ * - 0362 = Procesamiento de lote concluido
+ * - 0364 = Consulta extemporánea (más de 48 horas)
+ *
+ * @param {string} xmlContent - Contenido XML de la respuesta SOAP
+ * @returns {string|null} Código de resultado o null si no encuentra
+ */
+function extraerCodigoResultadoLote(xmlContent) {
+  try {
+    const match =
+      xmlContent.match(/<ns2:dCodResLot>(.*?)<\/ns2:dCodResLot>/) ||
+      xmlContent.match(/<dCodResLot>(.*?)<\/dCodResLot>/);
+
+    if (match && match[1]) {
+      return match[1].trim();
+    }
+    return null;
+  } catch (error) {
+    console.warn('⚠️ Error al extraer código de resultado de lote:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Extrae el mensaje de resultado de la consulta de lote (dMsgResLot)
+ *
+ * @param {string} xmlContent - Contenido XML de la respuesta SOAP
+ * @returns {string|null} Mensaje de resultado o null si no encuentra
+ */
+function extraerMensajeResultadoLote(xmlContent) {
+  try {
+    const match =
+      xmlContent.match(/<ns2:dMsgResLot>(.*?)<\/ns2:dMsgResLot>/) ||
+      xmlContent.match(/<dMsgResLot>(.*?)<\/dMsgResLot>/);
+
+    if (match && match[1]) {
+      return match[1].trim();
+    }
+    return null;
+  } catch (error) {
+    console.warn('⚠️ Error al extraer mensaje de resultado de lote:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Extrae el resultado de cada DE contenido en la consulta de lote
+ * Cada documento viene en un bloque <gResProcLote> con su CDC, estado y código
+ *
+ * @param {string} xmlContent - Contenido XML de la respuesta SOAP
+ * @returns {Array<Object>} Lista de { cdc, estadoResultado, codigoRetorno, mensajeRetorno }
+ */
+function extraerResultadosLote(xmlContent) {
+  try {
+    const bloques = xmlContent.match(/<(ns2:)?gResProcLote>[\s\S]*?<\/(ns2:)?gResProcLote>/g) || [];
+
+    return bloques.map(bloque => {
+      const cdcMatch =
+        bloque.match(/<ns2:id>(.*?)<\/ns2:id>/) ||
+        bloque.match(/<id>(.*?)<\/id>/);
+
+      return {
+        cdc: cdcMatch && cdcMatch[1] ? cdcMatch[1].trim() : null,
+        estadoResultado: extraerEstadoResultado(bloque),
+        codigoRetorno: extraerCodigoRetorno(bloque),
+        mensajeRetorno: extraerMensajeRetorno(bloque)
+      };
+    });
+  } catch (error) {
+    console.warn('⚠️ Error al extraer resultados de lote:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Determina el estado SIFEN según el estado de resultado (dEstRes)
+ * Se usa en la consulta de lote, donde cada DE trae su propio dEstRes
+ *
+ * @param {string} estadoResultado - Aprobado | Aprobado con observación | Rechazado
+ * @returns {string} Estado determinado: 'aceptado', 'observado', 'rechazado'
+ */
+function determinarEstadoSegunResultado(estadoResultado) {
+  const estado = (estadoResultado || '').toLowerCase();
+
+  if (estado === 'aprobado') {
+    return 'aceptado';
+  }
+
+  if (estado.startsWith('aprobado con observ')) {
+    return 'observado';
+  }
+
+  return 'rechazado';
+}
+
+/**
+ * Determina el estado de una factura a partir del código de una consulta de DE
+ * (siConsDE) o de recepción. Mismo mapeo que POST /api/invoices/:id/refresh-status
+ *
+ * - 0260, 0422 = Aprobado 🟢
+ * - 1005 = Transmisión extemporánea (Observado) 🟠
+ * - 1000-1004, 0421 = Rechazado 🔴
+ * - 0420 = CDC inexistente en la SET (error)
+ *
+ * Si se indica el estado del documento (<estado> de la consulta, ver extraerEstadoDocumento),
+ * con 0421 manda ese estado: Aprobado, Rechazado o Aprobado con observación.
+ *
+ * @param {string} codigo - Código de retorno (dCodRes)
+ * @param {string|null} estadoDocumento - Estado del documento devuelto por la consulta
+ * @returns {{ estadoSifen: string, estadoVisual: string }|null} null si el código no es reconocido
+ *   o el documento todavía no tiene estado final
+ */
+function determinarEstadoConsulta(codigo, estadoDocumento = null) {
+  if (codigo === '0421' && estadoDocumento) {
+    const estado = estadoDocumento.toLowerCase();
+    if (estado === 'aprobado') {
+      return { estadoSifen: 'aceptado', estadoVisual: 'aceptado' };
+    }
+    if (estado === 'rechazado') {
+      return { estadoSifen: 'rechazado', estadoVisual: 'rechazado' };
+    }
+    if (estado.startsWith('aprobado con observ') || estado === 'observado') {
+      return { estadoSifen: 'observado', estadoVisual: 'observado' };
+    }
+    return null;
+  }
+
+  if (['0260', '0422'].includes(codigo)) {
+    return { estadoSifen: 'aceptado', estadoVisual: 'aceptado' };
+  }
+
+  if (codigo === '1005') {
+    return { estadoSifen: 'observado', estadoVisual: 'observado' };
+  }
+
+  if (['1000', '1001', '1002', '1003', '1004', '0421'].includes(codigo)) {
+    return { estadoSifen: 'rechazado', estadoVisual: 'rechazado' };
+  }
+
+  if (codigo === '0420') {
+    return { estadoSifen: 'error', estadoVisual: 'error' };
+  }
+
+  return null;
+}
+
 module.exports = {
   // Funciones de extracción de SOAP
   extraerCodigoRetorno,
@@ -305,9 +481,15 @@ module.exports = {
   extraerCDC,
   extraerFechaProceso,
   extraerDigestValue,
+  extraerProtocoloLote,
+  extraerCodigoResultadoLote,
+  extraerMensajeResultadoLote,
+  extraerResultadosLote,
 
   // Funciones de determinación de estados
   determinarEstadoSegunCodigo,
+  determinarEstadoSegunResultado,
+  determinarEstadoConsulta,
   determinarEstadoVisual,
   getColorPorEstadoVisual,
   getMensajePorCodigo
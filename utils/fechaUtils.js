@@ -160,10 +160,35 @@ function esFechaValida(fecha) {
   }
 }
 
+// Zona horaria de las fechas devueltas por la SET (Paraguay, UTC-3 sin horario de verano)
+const ZONA_HORARIA_SIFEN = process.env.SIFEN_ZONA_HORARIA || '-03:00';
+
+/**
+ * Convierte la fecha de proceso de la SET (dFecProc) a Date
+ * La SET devuelve la hora local sin zona y con distintos separadores:
+ * 2026-03-03-18:51:18, 2026-03-03 18:51:18 o 2026-03-03T18:51:18
+ *
+ * @param {string} fechaProceso - Fecha de proceso guardada en la factura
+ * @returns {Date|null} Fecha o null si no se puede interpretar
+ */
+function parsearFechaProceso(fechaProceso) {
+  if (!fechaProceso) return null;
+
+  const match = String(fechaProceso).match(/^(\d{4}-\d{2}-\d{2})[T\s-](\d{2}:\d{2}:\d{2})(.*)$/);
+  if (!match) return null;
+
+  // Si la fecha ya trae zona horaria (Z o ±HH:MM) se respeta
+  const zona = /^(?:\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(match[3]) ? match[3] : ZONA_HORARIA_SIFEN;
+  const fecha = new Date(`${match[1]}T${match[2]}${zona}`);
+
+  return isNaN(fecha.getTime()) ? null : fecha;
+}
+
 module.exports = {
   normalizarDatetime,
   normalizarFechasEnObjeto,
   formatoFechaSIFEN,
   convertirFechasASIFEN,
-  esFechaValida
+  esFechaValida,
+  parsearFechaProceso
 };
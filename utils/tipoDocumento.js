@@ -0,0 +1,158 @@
+/**
+ * Utilitarios para los tipos de Documento Electrónico (iTiDE - Manual Técnico v150)
+ *
+ * Centraliza por tipo de documento:
+ * - Descripción oficial (dDesTiDE)
+ * - Prefijo de los archivos descargados
+ * - Campos requeridos del JSON (bloques que xmlgen necesita para no fallar
+ *   con un TypeError sin indicar el campo)
+ */
+
+const TIPOS_DOCUMENTO = {
+  1: 'Factura electrónica',
+  4: 'Autofactura electrónica',
+  5: 'Nota de crédito electrónica',
+  6: 'Nota de débito electrónica',
+  7: 'Nota de remisión electrónica'
+};
+
+// Prefijo del nombre de archivo en las descargas (download-xml)
+const PREFIJOS_ARCHIVO = {
+  1: 'factura',
+  4: 'autofactura',
+  5: 'nota_credito',
+  6: 'nota_debito',
+  7: 'nota_remision'
+};
+
+// Tipos que solo se emiten con endpoints propios (requieren documento asociado)
+const TIPOS_NOTA = [5, 6];
+
+// Tipos que pueden ser el documento asociado de una NC/ND
+const TIPOS_ASOCIABLES = [1, 4];
+
+// Plazo para cancelar un DTE desde su aprobación (fechaProceso), en horas
+// Manual Técnico v150: 48 horas para la FE, 168 horas para el resto de los DTE
+const PLAZOS_CANCELACION_HORAS = {
+  1: 48,
+  4: 168,
+  5: 168,
+  6: 168,
+  7: 168,
+  // Se pueden sobrescribir por tipo con CANCELACION_PLAZO_HORAS (ej: "1=48,7=72")
+  ...Object.fromEntries(
+    (process.env.CANCELACION_PLAZO_HORAS || '')
+      .split(',')
+      .map(par => par.split('=').map(valor => parseInt(valor, 10)))
+      .filter(([tipo, horas]) => tipo > 0 && horas > 0)
+  )
+};
+
+/**
+ * Obtiene el tipo de documento del JSON recibido (1 = Factura electrónica por defecto)
+ * Soporta estructura param/data y plana
+ * @param {Object} datosFactura - JSON recibido
+ * @returns {number}
+ */
+function obtenerTipoDocumento(datosFactura) {
+  return parseInt(datosFactura.data?.tipoDocumento || datosFactura.tipoDocumento, 10) || 1;
+}
+
+// Lee un valor anidado por ruta ("remision.motivo")
+function valorEnRuta(objeto, ruta) {
+  return ruta.split('.').reduce((valor, clave) => (valor == null ? undefined : valor[clave]), objeto);
+}
+
+// Campos requeridos por tipo de documento: [ruta dentro de data, descripción]
+const CAMPOS_REQUERIDOS = {
+  1: [],
+  4: [
+    ['autoFactura', 'los datos de Autofactura'],
+    ['autoFactura.tipoVendedor', 'la Naturaleza del Vendedor'],
+    ['autoFactura.documentoTipo', 'el Tipo de Documento del Vendedor'],
+    ['autoFactura.documentoNumero', 'el Nro. de Documento del Vendedor'],
+    ['autoFactura.nombre', 'el Nombre del Vendedor'],
+    ['autoFactura.ubicacion', 'el Lugar de la Transacción']
+  ],
+  5: [
+    ['documentoAsociado', 'el Documento Asociado'],
+    ['notaCreditoDebito.motivo', 'el Motivo de la Nota de Crédito']
+  ],
+  6: [
+    ['documentoAsociado', 'el Documento Asociado'],
+    ['notaCreditoDebito.motivo', 'el Motivo de la Nota de Débito']
+  ],
+  7: [
+    ['remision', 'los datos de la Remisión'],
+    ['remision.motivo', 'el Motivo de la Remisión'],
+    ['remision.tipoResponsable', 'el Tipo de Responsable de la Remisión'],
+    ['remision.kms', 'los Kilómetros estimados del recorrido'],
+    ['detalleTransporte', 'los datos del Transporte']
+  ]
+};
+
+/**
+ * Valida los campos requeridos según el tipo de documento
+ * @param {Object} data - Bloque data del JSON (o el JSON plano)
+ * @param {number} tipoDocumento - iTiDE
+ * @returns {Array<{ campo: string, mensaje: string }>} Lista vacía si está completo
+ */
+function validarCamposRequeridos(data, tipoDocumento) {
+  const errores = [];
+
+  if (!TIPOS_DOCUMENTO[tipoDocumento]) {
+    return [{ campo: 'data.tipoDocumento', mensaje: `El tipo de documento ${tipoDocumento} no está soportado` }];
+  }
+
+  // Comunes a todos los tipos
+  if (!data.cliente || typeof data.cliente !== 'object') {
+    errores.push({ campo: 'data.cliente', mensaje: 'Debe especificar los datos del Cliente en data.cliente' });
+  }
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    errores.push({ campo: 'data.items', mensaje: 'Debe especificar al menos un item en data.items' });
+  }
+
+  const faltantes = [];
+  CAMPOS_REQUERIDOS[tipoDocumento].forEach(([ruta, descripcion]) => {
+    // Si falta el bloque padre no se reporta cada uno de sus campos
+    if (faltantes.some(padre => ruta.startsWith(`${padre}.`))) return;
+
+    const valor = valorEnRuta(data, ruta);
+    if (valor === undefined || valor === null || valor === '') {
+      faltantes.push(ruta);
+      errores.push({
+        campo: `data.${ruta}`,
+        mensaje: `Para ${TIPOS_DOCUMENTO[tipoDocumento]} debe especificar ${descripcion} en data.${ruta}`
+      });
+    }
+  });
+
+  return errores;
+}
+
+/**
+ * Normaliza la descripción del tipo de documento para usarla en nombres de archivo
+ * (igual que el JAR de KUDE: sin acentos, espacios por guiones bajos)
+ * Ejemplo: "Nota de remisión electrónica" → "Nota_de_remision_electronica"
+ * @param {string} descripcion - dDesTiDE del XML (si no se pudo leer, se usa la del tipo)
+ * @param {number} tipoDocumento - iTiDE
+ * @returns {string}
+ */
+function nombreArchivoTipo(descripcion, tipoDocumento = 1) {
+  return (descripcion || TIPOS_DOCUMENTO[tipoDocumento] || TIPOS_DOCUMENTO[1])
+    .normalize('NFD')                          // Separar caracteres con acentos
+    .replace(/[\u0300-\u036f]/g, '')           // Eliminar acentos
+    .replace(/ñ/gi, 'n')                       // Reemplazar ñ por n
+    .replace(/\s+/g, '_');                     // Reemplazar espacios por guiones bajos
+}
+
+module.exports = {
+  TIPOS_DOCUMENTO,
+  PREFIJOS_ARCHIVO,
+  TIPOS_NOTA,
+  TIPOS_ASOCIABLES,
+  PLAZOS_CANCELACION_HORAS,
+  obtenerTipoDocumento,
+  validarCamposRequeridos,
+  nombreArchivoTipo
+};
@@ -9,13 +9,23 @@
 
 require('dotenv').config();
 const mongoose = require('mongoose');
-const { facturaQueue, kudeQueue } = require('../queues/facturaQueue');
+const { facturaQueue, kudeQueue, webhookQueue, contingenciaQueue, certificadoQueue } = require('../queues/facturaQueue');
 const { procesarFactura, generarKUDE } = require('../services/procesarFacturaService');
+const contingenciaService = require('../services/contingenciaService');
+const alertaCertificadoService = require('../services/alertaCertificadoService');
+const webhookService = require('../services/webhookService');
+const secretosService = require('../services/secretosService');
+const xsdValidacionService = require('../services/xsdValidacionService');
 const Invoice = require('../models/Invoice');
 const OperationLog = require('../models/OperationLog');
 const path = require('path');
 const fs = require('fs');
 
+// No iniciar en producción con la clave de secretos por defecto
+secretosService.verificarAlIniciar('[WORKER]');
+// Advierte si faltan los XSD (no inicia si la validación es obligatoria)
+xsdValidacionService.verificarAlIniciar('[WORKER]');
+
 // ========================================
 // CONEXIÓN A BASE DE DATOS
 // ========================================
@@ -83,9 +93,14 @@ facturaQueue.process('generar-factura', async (job) => {
     invoice.digestValue = resultado.digestValue;
     invoice.fechaProceso = resultado.fechaProceso;
     invoice.xmlPath = resultado.xmlPath;
+    invoice.tipoEmision = resultado.tipoEmision;
+    invoice.fechaLimiteEnvio = resultado.fechaLimiteEnvio;
     // Respetar fechaEnvio del JSON si existe, sino usar fecha actual
+    // (en contingencia se registra al enviarla a la SET)
     const data = datosFactura.data || datosFactura;
-    if (data.factura?.fechaEnvio) {
+    if (resultado.estado === 'pendiente_envio') {
+      invoice.fechaEnvio = undefined;
+    } else if (data.factura?.fechaEnvio) {
       invoice.fechaEnvio = new Date(data.factura.fechaEnvio);
     } else {
       invoice.fechaEnvio = new Date();
@@ -126,6 +141,10 @@ facturaQueue.process('generar-factura', async (job) => {
       tipoOperacion = 'respuesta_sifen';
       descripcion = `Factura en procesamiento - CDC: ${resultado.cdc}`;
       estadoLog = 'success';
+    } else if (resultado.estado === 'pendiente_envio') {
+      tipoOperacion = 'contingencia';
+      descripcion = `Factura emitida en contingencia, pendiente de envío a SET - CDC: ${resultado.cdc}`;
+      estadoLog = 'warning';
     }
 
     await OperationLog.create({
@@ -136,16 +155,22 @@ facturaQueue.process('generar-factura', async (job) => {
       detalle: {
         estadoSifen: resultado.estado,
         estadoVisual: resultado.estadoVisual,
-        codigoRetorno: resultado.codigoRetorno
+        codigoRetorno: resultado.codigoRetorno,
+        fechaLimiteEnvio: resultado.fechaLimiteEnvio
       }
     });
 
+    // Notificar a los webhooks de la empresa (solo estados aceptado/rechazado/observado/error)
+    await webhookService.notificarEstadoFactura(invoice);
+
     if (resultado.estado === 'aceptado') {
       console.log(`✅ [WORKER] Factura ${facturaId} completada - CDC: ${resultado.cdc}`);
     } else if (resultado.estado === 'rechazado') {
       console.log(`❌ [WORKER] Factura ${facturaId} rechazada - CDC: ${resultado.cdc}, Código: ${resultado.codigoRetorno}`);
     } else if (resultado.estado === 'error') {
       console.log(`❌ [WORKER] Factura ${facturaId} con error - CDC: ${resultado.cdc}, Código: ${resultado.codigoRetorno}`);
+    } else if (resultado.estado === 'pendiente_envio') {
+      console.log(`🚧 [WORKER] Factura ${facturaId} emitida en contingencia - CDC: ${resultado.cdc}, enviar antes de ${resultado.fechaLimiteEnvio.toISOString()}`);
     } else if (resultado.estado === 'observado') {
       console.log(`⚠️ [WORKER] Factura ${facturaId} observada - CDC: ${resultado.cdc}, Código: ${resultado.codigoRetorno}`);
     } else {
@@ -157,6 +182,7 @@ facturaQueue.process('generar-factura', async (job) => {
     // ========================================
     // ENCOLAR GENERACIÓN DE KUDE
     // ========================================
+    // En contingencia el KUDE se entrega al cliente antes del envío a la SET
     try {
       const jobData = {
         facturaId: invoice._id.toString(),
@@ -201,6 +227,13 @@ facturaQueue.process('generar-factura', async (job) => {
         descripcion: `Error en worker: ${error.message}`,
         estado: 'error'
       });
+
+      await webhookService.notificarEstadoFactura(invoice);
+    }
+
+    // Un XML que no cumple el esquema no se corrige reintentando
+    if (error.codigo === 'XSD_INVALIDO') {
+      await job.discard();
     }
     
     // Lanzar error para que Bull reintente
@@ -235,6 +268,14 @@ kudeQueue.process('generar-kude', async (job) => {
         invoice.kudePath = pdfPath;
         await invoice.save();
         console.log(`✅ [KUDE] PDF guardado: ${pdfPath}`);
+
+        await webhookService.notificar(invoice.empresaId, 'kude.generado', {
+          facturaId: invoice._id.toString(),
+          correlativo: invoice.correlativo,
+          cdc: invoice.cdc || null,
+          estado: invoice.estadoSifen,
+          kudeLink: `/api/invoices/${invoice._id}/download-pdf`
+        });
       }
     }
 
@@ -246,6 +287,68 @@ kudeQueue.process('generar-kude', async (job) => {
   }
 });
 
+// ========================================
+// PROCESADOR DE WEBHOOKS
+// ========================================
+
+webhookQueue.process('entregar-webhook', async (job) => {
+  const { deliveryId } = job.data;
+  const ultimoIntento = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+  // Si falla, entregar() lanza error y Bull reintenta con backoff exponencial
+  const delivery = await webhookService.entregar(deliveryId, ultimoIntento);
+
+  return { estado: delivery.estado, codigoHttp: delivery.codigoHttp };
+});
+
+// ========================================
+// PROCESADOR DE CONTINGENCIA
+// ========================================
+
+contingenciaQueue.process('enviar-pendientes', async (job) => {
+  const { empresaId } = job.data || {};
+
+  const resumenes = await contingenciaService.procesarPendientes({ empresaId });
+  const enviados = resumenes.reduce((suma, resumen) => suma + resumen.enviados, 0);
+  const pendientes = resumenes.reduce((suma, resumen) => suma + resumen.pendientes, 0);
+
+  if (resumenes.length > 0) {
+    console.log(`🚧 [CONTINGENCIA] Enviados: ${enviados}, aún pendientes: ${pendientes}`);
+  }
+
+  return { empresas: resumenes.length, enviados, pendientes };
+});
+
+// Job repetible: reintenta el envío de los pendientes cada CONTINGENCIA_INTERVALO
+contingenciaQueue.add('enviar-pendientes', { origen: 'programada' }, {
+  repeat: { every: contingenciaService.INTERVALO },
+  jobId: 'enviar-pendientes'
+})
+  .then(() => console.log(`⏱️  [CONTINGENCIA] Envío de pendientes cada ${contingenciaService.INTERVALO / 1000}s`))
+  .catch(err => console.error('❌ [CONTINGENCIA] Error programando job repetible:', err.message));
+
+// ========================================
+// PROCESADOR DE VENCIMIENTO DE CERTIFICADOS
+// ========================================
+
+certificadoQueue.process('revisar-certificados', async () => {
+  const { revisadas, alertas } = await alertaCertificadoService.revisarCertificados();
+
+  if (alertas.length > 0) {
+    console.log(`🔐 [CERTIFICADOS] Revisados: ${revisadas}, alertas nuevas: ${alertas.length}`);
+  }
+
+  return { revisadas, alertas: alertas.length };
+});
+
+// Job repetible: alerta 30/15/7 días antes del vencimiento (CERTIFICADO_ALERTA_DIAS)
+certificadoQueue.add('revisar-certificados', { origen: 'programada' }, {
+  repeat: { every: alertaCertificadoService.INTERVALO },
+  jobId: 'revisar-certificados'
+})
+  .then(() => console.log(`⏱️  [CERTIFICADOS] Revisión de vencimientos cada ${alertaCertificadoService.INTERVALO / 1000}s`))
+  .catch(err => console.error('❌ [CERTIFICADOS] Error programando job repetible:', err.message));
+
 // ========================================
 // EVENTOS DE MONITOREO
 // ========================================
@@ -273,6 +376,11 @@ process.on('SIGINT', async () => {
   try {
     await facturaQueue.close();
     await kudeQueue.close();
+    await webhookQueue.close();
+    await contingenciaQueue.close();
+    await certificadoQueue.close();
+    // Los jobs en curso ya terminaron: se pueden borrar los .p12 descifrados
+    secretosService.limpiarCarpetaTemporal();
     await mongoose.connection.close();
     console.log('✅ [WORKER] Cerrado exitosamente');
   } catch (error) {
@@ -286,6 +394,10 @@ process.on('SIGTERM', async () => {
   console.log('\n🛑 [WORKER] Señal SIGTERM recibida...');
   await facturaQueue.close();
   await kudeQueue.close();
+  await webhookQueue.close();
+  await contingenciaQueue.close();
+  await certificadoQueue.close();
+  secretosService.limpiarCarpetaTemporal();
   await mongoose.connection.close();
   process.exit(0);
 });
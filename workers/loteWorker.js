@@ -0,0 +1,149 @@
+/**
+ * Worker de Envío por Lotes
+ * Escucha la cola de lotes: firma y envía cada lote a la SET (recibeLote)
+ * y consulta su resultado (consultaLote) hasta que concluya
+ *
+ * Uso:
+ *   npm run worker:lote
+ *   node workers/loteWorker.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { loteQueue, kudeQueue } = require('../queues/facturaQueue');
+const { enviarLote, consultarLote, INTERVALO_CONSULTA } = require('../services/loteService');
+const secretosService = require('../services/secretosService');
+const xsdValidacionService = require('../services/xsdValidacionService');
+
+// No iniciar en producción con la clave de secretos por defecto
+secretosService.verificarAlIniciar('[LOTE]');
+// Advierte si faltan los XSD (no inicia si la validación es obligatoria)
+xsdValidacionService.verificarAlIniciar('[LOTE]');
+
+// ========================================
+// CONEXIÓN A BASE DE DATOS
+// ========================================
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sifen_db';
+
+mongoose.connect(MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+  maxPoolSize: 10,
+  serverSelectionTimeoutMS: 5000
+})
+.then(() => console.log('✅ [LOTE] MongoDB conectado'))
+.catch(err => console.error('❌ [LOTE] Error conectando a MongoDB:', err.message));
+
+/**
+ * Encola la siguiente consulta del lote
+ * El jobId incluye el número de consulta para que Bull no lo descarte como duplicado
+ */
+async function programarConsulta(loteId, numeroConsulta) {
+  await loteQueue.add('consultar-lote', { loteId }, {
+    jobId: `lote-${loteId}-consulta-${numeroConsulta}`,
+    delay: INTERVALO_CONSULTA
+  });
+}
+
+// ========================================
+// PROCESADOR: ENVIAR LOTE
+// ========================================
+
+loteQueue.process('enviar-lote', async (job) => {
+  const { loteId } = job.data;
+
+  console.log(`\n📦 [LOTE] Enviando lote ${loteId}`);
+
+  const resultado = await enviarLote(loteId, job);
+
+  if (resultado.estado === 'enviado') {
+    await programarConsulta(loteId, 1);
+    console.log(`⏳ [LOTE] Consulta del lote ${loteId} programada en ${INTERVALO_CONSULTA / 1000}s`);
+  }
+
+  await job.progress(100);
+  return resultado;
+});
+
+// ========================================
+// PROCESADOR: CONSULTAR LOTE
+// ========================================
+
+loteQueue.process('consultar-lote', async (job) => {
+  const { loteId } = job.data;
+
+  console.log(`🔎 [LOTE] Consultando resultado del lote ${loteId}`);
+
+  const resultado = await consultarLote(loteId);
+
+  if (resultado.pendiente) {
+    const Lote = require('../models/Lote');
+    const lote = await Lote.findById(loteId);
+    await programarConsulta(loteId, lote.intentosConsulta + 1);
+    return { estado: resultado.estado, pendiente: true };
+  }
+
+  // ========================================
+  // ENCOLAR GENERACIÓN DE KUDE DE LOS DE CONCLUIDOS
+  // ========================================
+  const path = require('path');
+  for (const invoice of resultado.facturas || []) {
+    try {
+      await kudeQueue.add('generar-kude', {
+        facturaId: invoice._id.toString(),
+        xmlPath: path.join(__dirname, '../de_output', invoice.xmlPath),
+        cdc: invoice.cdc,
+        correlativo: invoice.correlativo,
+        fechaCreacion: invoice.fechaCreacion,
+        datosFactura: invoice.datosFactura,
+        empresaId: invoice.empresaId?.toString()
+      }, {
+        priority: 1
+      });
+    } catch (kudeError) {
+      console.warn(`⚠️ [LOTE] No se pudo encolar KUDE de ${invoice.correlativo}:`, kudeError.message);
+    }
+  }
+
+  return {
+    estado: resultado.estado,
+    pendiente: false,
+    facturas: (resultado.facturas || []).length
+  };
+});
+
+// ========================================
+// GRACEFUL SHUTDOWN
+// ========================================
+
+const cerrar = async () => {
+  console.log('\n🛑 [LOTE] Cerrando gracefulmente...');
+  try {
+    await loteQueue.close();
+    await kudeQueue.close();
+    // Los jobs en curso ya terminaron: se pueden borrar los .p12 descifrados
+    secretosService.limpiarCarpetaTemporal();
+    await mongoose.connection.close();
+    console.log('✅ [LOTE] Cerrado exitosamente');
+  } catch (error) {
+    console.error('❌ [LOTE] Error cerrando:', error.message);
+  }
+  process.exit(0);
+};
+
+process.on('SIGINT', cerrar);
+process.on('SIGTERM', cerrar);
+
+// ========================================
+// MENSAJE DE INICIO
+// ========================================
+
+console.log('\n📦 ========================================');
+console.log('📦   WORKER DE LOTES INICIADO');
+console.log('📦 ========================================');
+console.log(`📍 Redis: ${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`);
+console.log(`📍 MongoDB: ${MONGODB_URI}`);
+console.log(`⏱️  Intervalo de consulta: ${INTERVALO_CONSULTA / 1000}s`);
+console.log('📋 Escuchando jobs de lotes...');
+console.log('=========================================\n');
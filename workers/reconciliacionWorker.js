@@ -0,0 +1,115 @@
+/**
+ * Worker de Reconciliación de Estados
+ * Programa un job repetible que consulta a la SET las facturas en estados
+ * no finales (encolado, procesando, enviado) y actualiza su estado
+ *
+ * Uso:
+ *   npm run worker:reconciliacion
+ *   node workers/reconciliacionWorker.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { reconciliacionQueue } = require('../queues/facturaQueue');
+const { ejecutarReconciliacion, INTERVALO } = require('../services/reconciliacionService');
+const secretosService = require('../services/secretosService');
+
+const NOMBRE_JOB = 'reconciliar-estados';
+
+// No iniciar en producción con la clave de secretos por defecto
+secretosService.verificarAlIniciar('[RECONCILIACION]');
+
+// ========================================
+// CONEXIÓN A BASE DE DATOS
+// ========================================
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/sifen_db';
+
+mongoose.connect(MONGODB_URI, {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+  maxPoolSize: 5,
+  serverSelectionTimeoutMS: 5000
+})
+.then(() => console.log('✅ [RECONCILIACION] MongoDB conectado'))
+.catch(err => console.error('❌ [RECONCILIACION] Error conectando a MongoDB:', err.message));
+
+// ========================================
+// PROCESADOR
+// ========================================
+
+reconciliacionQueue.process(NOMBRE_JOB, async (job) => {
+  const origen = job.data?.origen || 'programada';
+  console.log(`\n🔎 [RECONCILIACION] Iniciando ejecución ${origen}`);
+
+  const ejecucion = await ejecutarReconciliacion({ origen });
+
+  console.log(`📋 [RECONCILIACION] Revisadas: ${ejecucion.revisadas}, actualizadas: ${ejecucion.actualizadas}, errores: ${ejecucion.errores}`);
+
+  return {
+    ejecucionId: ejecucion._id.toString(),
+    estado: ejecucion.estado,
+    revisadas: ejecucion.revisadas,
+    actualizadas: ejecucion.actualizadas,
+    errores: ejecucion.errores
+  };
+});
+
+// ========================================
+// PROGRAMACIÓN DEL JOB REPETIBLE
+// ========================================
+
+/**
+ * Registra el job repetible, reemplazando programaciones anteriores
+ * (por ejemplo, si cambió RECONCILIACION_INTERVALO)
+ */
+async function programar() {
+  const repetibles = await reconciliacionQueue.getRepeatableJobs();
+  for (const repetible of repetibles) {
+    if (repetible.name === NOMBRE_JOB && Number(repetible.every) !== INTERVALO) {
+      await reconciliacionQueue.removeRepeatableByKey(repetible.key);
+    }
+  }
+
+  await reconciliacionQueue.add(NOMBRE_JOB, { origen: 'programada' }, {
+    repeat: { every: INTERVALO },
+    jobId: NOMBRE_JOB
+  });
+}
+
+programar()
+  .then(() => console.log(`⏱️  [RECONCILIACION] Programada cada ${INTERVALO / 1000}s`))
+  .catch(err => console.error('❌ [RECONCILIACION] Error programando job repetible:', err.message));
+
+// ========================================
+// GRACEFUL SHUTDOWN
+// ========================================
+
+const cerrar = async () => {
+  console.log('\n🛑 [RECONCILIACION] Cerrando gracefulmente...');
+  try {
+    await reconciliacionQueue.close();
+    // Los jobs en curso ya terminaron: se pueden borrar los .p12 descifrados
+    secretosService.limpiarCarpetaTemporal();
+    await mongoose.connection.close();
+    console.log('✅ [RECONCILIACION] Cerrado exitosamente');
+  } catch (error) {
+    console.error('❌ [RECONCILIACION] Error cerrando:', error.message);
+  }
+  process.exit(0);
+};
+
+process.on('SIGINT', cerrar);
+process.on('SIGTERM', cerrar);
+
+// ========================================
+// MENSAJE DE INICIO
+// ========================================
+
+console.log('\n🔎 ========================================');
+console.log('🔎   WORKER DE RECONCILIACIÓN INICIADO');
+console.log('🔎 ========================================');
+console.log(`📍 Redis: ${process.env.REDIS_HOST || 'localhost'}:${process.env.REDIS_PORT || 6379}`);
+console.log(`📍 MongoDB: ${MONGODB_URI}`);
+console.log(`⏱️  Intervalo: ${INTERVALO / 1000}s`);
+console.log('=========================================\n');